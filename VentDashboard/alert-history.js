@@ -0,0 +1,190 @@
+// Alert History Module
+// Keeps a lifecycle record for every alert the AlertEngine raises: when it was
+// raised, who acknowledged it, how long it is snoozed for and when it resolved.
+// The engine only knows what is active right now; reconcile() turns each of
+// its results into log entries, so an alert that clears between refreshes
+// still leaves a trace. An entry resolves only when its device's evaluation
+// shows it cleared: a breach the engine holds back (quiet hours, a forMinutes
+// rule re-arming after a reload or an edit) keeps it open. The log is saved
+// per signed-in user, like the rules.
+
+const STORAGE_KEY_PREFIX = 'ventilation_alert_log:'; // + user email
+const MAX_ENTRIES = 1000;
+const RETENTION_MS = 180 * 24 * 60 * 60 * 1000; // Resolved entries older than this are dropped
+
+export const ALERT_STATUSES = ['raised', 'acknowledged', 'snoozed', 'resolved'];
+
+/**
+ * Where an entry is in its lifecycle
+ * @param {Object} entry - From AlertLog
+ * @param {number} [now]
+ * @returns {string} One of ALERT_STATUSES
+ */
+export function alertStatus(entry, now = Date.now()) {
+    if (entry.resolvedAt) return 'resolved';
+    if (entry.snoozedUntil && entry.snoozedUntil > now) return 'snoozed';
+    if (entry.acknowledgedAt) return 'acknowledged';
+    return 'raised';
+}
+
+export class AlertLog {
+    /**
+     * @param {Object} options
+     * @param {string} options.userKey - The log is stored per user (email)
+     * @param {Storage} [options.storage]
+     */
+    constructor({ userKey, storage = localStorage }) {
+        this.storageKey = `${STORAGE_KEY_PREFIX}${userKey || 'anonymous'}`;
+        this.storage = storage;
+        this.entries = this._load(); // Oldest first
+    }
+
+    /**
+     * Records what the engine reports as active and resolves what has cleared
+     * Suppressed breaches keep an open entry open but never raise one; entries
+     * of other devices are left alone until those are evaluated again.
+     * @param {Array} alerts - AlertEngine.evaluate() results
+     * @param {string} device - Device the alerts were evaluated for
+     * @param {number} [now]
+     * @returns {Array} The alerts that are neither suppressed nor snoozed, each
+     *   with its entry's entryId, acknowledgedAt, acknowledgedBy and raisedAt
+     */
+    reconcile(alerts, device, now = Date.now()) {
+        const open = new Map(this.entries
+            .filter(entry => !entry.resolvedAt && entry.device === device)
+            .map(entry => [entry.key, entry]));
+        const active = new Set();
+        let changed = false;
+
+        alerts.filter(alert => alert.suppressed).forEach(alert => active.add(alert.key));
+
+        const shown = alerts.filter(alert => !alert.suppressed).map(alert => {
+            let entry = open.get(alert.key);
+            if (!entry) {
+                entry = {
+                    id: `alert-${now.toString(36)}-${this.entries.length.toString(36)}`,
+                    key: alert.key,
+                    ruleId: alert.ruleId,
+                    device,
+                    type: alert.type,
+                    message: alert.message,
+                    raisedAt: alert.since || now,
+                    acknowledgedAt: null,
+                    acknowledgedBy: null,
+                    snoozedUntil: null,
+                    snoozedBy: null,
+                    resolvedAt: null
+                };
+                this.entries.push(entry);
+                open.set(alert.key, entry);
+                changed = true;
+            } else if (entry.message !== alert.message || entry.type !== alert.type) {
+                // Keep the latest reading so the history shows how far it went
+                entry.message = alert.message;
+                entry.type = alert.type;
+                changed = true;
+            }
+            active.add(alert.key);
+            return { alert, entry };
+        });
+
+        // Only alerts this device no longer breaches are over
+        this.entries.forEach(entry => {
+            if (entry.resolvedAt || entry.device !== device || active.has(entry.key)) return;
+            entry.resolvedAt = now;
+            changed = true;
+        });
+
+        if (changed) this._store(now);
+        return shown
+            .filter(({ entry }) => alertStatus(entry, now) !== 'snoozed')
+            .map(({ alert, entry }) => ({
+                ...alert,
+                entryId: entry.id,
+                raisedAt: entry.raisedAt,
+                acknowledgedAt: entry.acknowledgedAt,
+                acknowledgedBy: entry.acknowledgedBy
+            }));
+    }
+
+    /**
+     * @param {string} entryId
+     * @param {string} user - Email of whoever acknowledged it
+     * @returns {boolean} False when the entry is unknown or already resolved
+     */
+    acknowledge(entryId, user, now = Date.now()) {
+        const entry = this._openEntry(entryId);
+        if (!entry) return false;
+        entry.acknowledgedAt = now;
+        entry.acknowledgedBy = user || 'unknown';
+        this._store(now);
+        return true;
+    }
+
+    /**
+     * Hides an open alert until a time; it comes back then if still active
+     * @param {string} entryId
+     * @param {number} until - Epoch ms
+     * @param {string} user
+     * @returns {boolean} False when the entry is unknown or already resolved
+     */
+    snooze(entryId, until, user, now = Date.now()) {
+        const entry = this._openEntry(entryId);
+        if (!entry || !(until > now)) return false;
+        entry.snoozedUntil = until;
+        entry.snoozedBy = user || 'unknown';
+        this._store(now);
+        return true;
+    }
+
+    /**
+     * Log entries, newest first
+     * @param {Object} [filters]
+     * @param {string} [filters.text] - Matched against message, rule and user, case-insensitive
+     * @param {string} [filters.status] - One of ALERT_STATUSES, or 'all'
+     * @param {number} [filters.since] - Epoch ms; entries raised earlier are left out
+     * @param {number} [filters.until] - Epoch ms
+     * @returns {Array} Copies of the entries, each with its current status
+     */
+    search({ text = '', status = 'all', since = null, until = null } = {}, now = Date.now()) {
+        const needle = text.trim().toLowerCase();
+        return this.entries
+            .filter(entry => since === null || entry.raisedAt >= since)
+            .filter(entry => until === null || entry.raisedAt <= until)
+            .map(entry => ({ ...entry, status: alertStatus(entry, now) }))
+            .filter(entry => status === 'all' || entry.status === status)
+            .filter(entry => !needle || [entry.message, entry.ruleId, entry.device, entry.acknowledgedBy, entry.snoozedBy]
+                .some(field => field && String(field).toLowerCase().includes(needle)))
+            .reverse();
+    }
+
+    clear() {
+        this.entries = [];
+        this.storage.removeItem(this.storageKey);
+    }
+
+    _openEntry(entryId) {
+        return this.entries.find(entry => entry.id === entryId && !entry.resolvedAt) || null;
+    }
+
+    _load() {
+        try {
+            const saved = JSON.parse(this.storage.getItem(this.storageKey) || '[]');
+            return Array.isArray(saved) ? saved.filter(entry => entry && entry.id && entry.key) : [];
+        } catch (error) {
+            console.warn('AlertLog: Ignoring unreadable alert history:', error);
+            return [];
+        }
+    }
+
+    _store(now) {
+        this.entries = this.entries
+            .filter(entry => !entry.resolvedAt || now - entry.resolvedAt < RETENTION_MS)
+            .slice(-MAX_ENTRIES);
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(this.entries));
+        } catch (error) {
+            console.warn('AlertLog: Could not save alert history:', error);
+        }
+    }
+}
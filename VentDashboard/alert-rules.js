@@ -0,0 +1,356 @@
+// Alert Rules Module
+// User-defined alert conditions, evaluated against every status snapshot.
+// A rule watches one metric (a sensor, a derived series, system memory, the
+// storm state or a door) and fires when it stays past a threshold for a while.
+// It clears only once the value has come back by the hysteresis margin, and
+// stays silent during its quiet hours. Rules are saved per signed-in user; the
+// defaults reproduce the config.json thresholds.
+
+import { computeDerivedSeries, listDerivedSeries } from './derived-metrics.js';
+
+const STORAGE_KEY_PREFIX = 'ventilation_alert_rules:'; // + user email
+const DERIVED_HISTORY_MS = 4 * 60 * 60 * 1000; // Snapshots kept for trend metrics (pressureRate looks back 3 h)
+
+export const ALERT_SEVERITIES = ['info', 'warning', 'danger'];
+export const ALERT_OPERATORS = {
+    above: { label: 'is above', numeric: true },
+    below: { label: 'is below', numeric: true },
+    is: { label: 'is one of', numeric: false } // value: comma-separated list
+};
+
+function sensorMetric(zone, field, label, unit) {
+    return {
+        label,
+        unit,
+        group: 'Sensors',
+        valueOf: snapshot => {
+            const value = snapshot.sensors && snapshot.sensors[zone] ? snapshot.sensors[zone][field] : null;
+            return typeof value === 'number' && Number.isFinite(value) ? value : null;
+        }
+    };
+}
+
+// Metric key -> how to read it from an evaluation snapshot
+// ({ time, sensors, system, weather, doors }). perDoor metrics yield one value per door.
+const BASE_METRICS = {
+    'indoor.temp': sensorMetric('indoor', 'temp', 'Indoor temperature', '°F'),
+    'indoor.humidity': sensorMetric('indoor', 'humidity', 'Indoor humidity', '%'),
+    'indoor.pressure': sensorMetric('indoor', 'pressure', 'Indoor pressure', ' hPa'),
+    'outdoor.temp': sensorMetric('outdoor', 'temp', 'Outdoor temperature', '°F'),
+    'outdoor.humidity': sensorMetric('outdoor', 'humidity', 'Outdoor humidity', '%'),
+    'outdoor.pressure': sensorMetric('outdoor', 'pressure', 'Outdoor pressure', ' hPa'),
+    'garage.temp': sensorMetric('garage', 'temp', 'Garage temperature', '°F'),
+    'garage.humidity': sensorMetric('garage', 'humidity', 'Garage humidity', '%'),
+    'garage.pressure': sensorMetric('garage', 'pressure', 'Garage pressure', ' hPa'),
+    'system.freeHeap': {
+        label: 'Free memory',
+        unit: ' bytes',
+        group: 'System',
+        valueOf: snapshot => (typeof snapshot.system.freeHeap === 'number' ? snapshot.system.freeHeap : null),
+        format: value => `${Math.round(value / 1024)}KB available`
+    },
+    'weather.stormRisk': {
+        label: 'Storm risk',
+        unit: '',
+        group: 'Weather',
+        text: true,
+        valueOf: snapshot => (snapshot.weather.stormRisk ? String(snapshot.weather.stormRisk) : null),
+        format: value => value.replace(/_/g, ' ')
+    },
+    'door.minutesOpen': {
+        label: 'Door open time',
+        unit: ' min',
+        group: 'Doors',
+        perDoor: true,
+        valueOf: (snapshot, door) => (door.open && typeof door.minutesOpen === 'number' ? door.minutesOpen : null),
+        format: value => `open for ${Math.round(value)} minutes`
+    }
+};
+
+/**
+ * Every metric a rule can watch, derived series included
+ * @returns {Object} key -> { label, unit, group, text?, perDoor?, valueOf, format? }
+ */
+export function alertMetrics() {
+    const metrics = { ...BASE_METRICS };
+    listDerivedSeries().forEach(({ name, label, unit }) => {
+        metrics[`derived.${name}`] = { label, unit: unit === '°F' ? unit : ` ${unit}`, group: 'Derived', derived: name };
+    });
+    return metrics;
+}
+
+/**
+ * Rules matching the hard-coded checks they replace
+ * @param {Object} thresholds - CONFIG.thresholds
+ * @returns {Array} Rules
+ */
+export function defaultAlertRules(thresholds) {
+    const rule = (id, name, metric, operator, value, severity) => ({
+        id, name, metric, operator, value, severity, forMinutes: 0, hysteresis: 0, quietHours: null, enabled: true
+    });
+    return [
+        rule('indoor-high', 'High indoor temperature', 'indoor.temp', 'above', thresholds.indoorTempHighF, 'danger'),
+        rule('indoor-low', 'Low indoor temperature', 'indoor.temp', 'below', thresholds.indoorTempLowF, 'warning'),
+        rule('garage-high', 'High garage temperature', 'garage.temp', 'above', thresholds.garageTempHighF, 'danger'),
+        rule('garage-low', 'Low garage temperature', 'garage.temp', 'below', thresholds.garageTempLowF, 'warning'),
+        rule('low-memory', 'Low memory', 'system.freeHeap', 'below', thresholds.freeHeapLowBytes, 'warning'),
+        rule('storm', 'Weather alert', 'weather.stormRisk', 'is', 'STORM_LIKELY, STORM_IMMINENT', 'warning'),
+        rule('door-open', 'Door left open', 'door.minutesOpen', 'above', thresholds.doorOpenMinutes, 'warning')
+    ];
+}
+
+// 'HH:MM' -> minutes after midnight, null when malformed
+export function parseClock(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || ''));
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+    return Number(match[1]) * 60 + Number(match[2]);
+}
+
+// Quiet hours may wrap past midnight (22:00-07:00)
+function isQuiet(quietHours, time) {
+    if (!quietHours) return false;
+    const start = parseClock(quietHours.start);
+    const end = parseClock(quietHours.end);
+    if (start === null || end === null || start === end) return false;
+    const date = new Date(time);
+    const minute = date.getHours() * 60 + date.getMinutes();
+    return start < end ? minute >= start && minute < end : minute >= start || minute < end;
+}
+
+/**
+ * Lists everything wrong with a rule (empty array when it can be saved)
+ * @param {Object} rule
+ * @returns {string[]} Human-readable problems, one per field
+ */
+export function validateAlertRule(rule) {
+    const problems = [];
+    const metric = alertMetrics()[rule.metric];
+    const operator = ALERT_OPERATORS[rule.operator];
+    if (typeof rule.name !== 'string' || !rule.name.trim()) problems.push('Give the rule a name');
+    if (!metric) problems.push(`Unknown metric "${rule.metric}"`);
+    if (!operator) problems.push(`Unknown condition "${rule.operator}"`);
+    if (metric && operator) {
+        if (metric.text && operator.numeric) problems.push(`${metric.label} is text - use "is one of"`);
+        if (!metric.text && !operator.numeric) problems.push(`${metric.label} is a number - use "is above" or "is below"`);
+    }
+    if (operator && operator.numeric && !Number.isFinite(rule.value)) problems.push('The threshold must be a number');
+    if (operator && !operator.numeric && (typeof rule.value !== 'string' || !rule.value.trim())) problems.push('List at least one value');
+    if (!(Number.isFinite(rule.forMinutes) && rule.forMinutes >= 0)) problems.push('"For" must be zero or more minutes');
+    if (!(Number.isFinite(rule.hysteresis) && rule.hysteresis >= 0)) problems.push('Hysteresis must be zero or more');
+    if (!ALERT_SEVERITIES.includes(rule.severity)) problems.push(`Severity must be one of: ${ALERT_SEVERITIES.join(', ')}`);
+    if (rule.quietHours && (parseClock(rule.quietHours.start) === null || parseClock(rule.quietHours.end) === null)) {
+        problems.push('Quiet hours need a start and an end (HH:MM)');
+    }
+    return problems;
+}
+
+export class AlertEngine {
+    /**
+     * @param {Object} options
+     * @param {string} options.userKey - Rules are stored per user (email)
+     * @param {Object} options.thresholds - CONFIG.thresholds, for the default rules
+     * @param {Storage} [options.storage]
+     */
+    constructor({ userKey, thresholds, storage = localStorage }) {
+        this.storageKey = `${STORAGE_KEY_PREFIX}${userKey || 'anonymous'}`;
+        this.thresholds = thresholds;
+        this.storage = storage;
+        this.rules = this._load();
+        this.states = new Map(); // `${ruleId}|${subject}` -> { since, active }
+        this.history = []; // Recent snapshots, oldest first, for derived metrics
+        this.lastSnapshot = null;
+    }
+
+    // [{ key, label, unit, group, text }] for the rule editor's metric picker
+    describeMetrics() {
+        return Object.entries(alertMetrics()).map(([key, { label, unit, group, text }]) => ({ key, label, unit: unit.trim(), group, text: !!text }));
+    }
+
+    getRules() {
+        return this.rules.map(rule => ({ ...rule, quietHours: rule.quietHours ? { ...rule.quietHours } : null }));
+    }
+
+    /**
+     * Adds a rule, or replaces the one with the same id
+     * @param {Object} rule
+     * @returns {string[]} Problems; the rule is only saved when there are none
+     */
+    saveRule(rule) {
+        const problems = validateAlertRule(rule);
+        if (problems.length > 0) return problems;
+        const saved = { ...rule, id: rule.id || `rule-${Date.now().toString(36)}`, name: rule.name.trim() };
+        const index = this.rules.findIndex(existing => existing.id === saved.id);
+        if (index >= 0) {
+            this.rules[index] = saved;
+        } else {
+            this.rules.push(saved);
+        }
+        this._forget(saved.id);
+        this._store();
+        return [];
+    }
+
+    deleteRule(id) {
+        this.rules = this.rules.filter(rule => rule.id !== id);
+        this._forget(id);
+        this._store();
+    }
+
+    setRuleEnabled(id, enabled) {
+        const rule = this.rules.find(item => item.id === id);
+        if (!rule) return;
+        rule.enabled = enabled;
+        this._forget(id);
+        this._store();
+    }
+
+    resetToDefaults() {
+        this.storage.removeItem(this.storageKey);
+        this.rules = defaultAlertRules(this.thresholds);
+        this.states.clear();
+    }
+
+    /**
+     * Latest value of one metric, from the snapshots evaluate() has seen
+     * @param {string} metricKey - See alertMetrics(); a per-door metric gives its largest door value
+     * @returns {number|string|null}
+     */
+    currentValue(metricKey) {
+        const metric = alertMetrics()[metricKey];
+        if (!metric || !this.lastSnapshot) return null;
+        const values = this._readings(metric, this.lastSnapshot)
+            .map(reading => reading.value)
+            .filter(value => value !== null && value !== undefined);
+        if (values.length === 0) return null;
+        return metric.perDoor ? Math.max(...values) : values[0];
+    }
+
+    // Forget rule progress and snapshot history, e.g. when another device is selected
+    resetState() {
+        this.states.clear();
+        this.history = [];
+        this.lastSnapshot = null;
+    }
+
+    /**
+     * Runs every enabled rule against a status snapshot
+     * @param {Object} [snapshot] - { time, sensors, system, weather, doors }; the last one when left out
+     * @returns {Array<{key: string, ruleId: string, type: string, message: string, since: number, suppressed: string|null}>}
+     *   Every breach, keyed stably while it lasts; a rule/subject left out has cleared. suppressed is null
+     *   for alerts to show. Breaches that are not shown but have not cleared either carry the reason:
+     *   'quiet' during the rule's quiet hours, 'pending' while a forMinutes rule is (re-)arming, and
+     *   'no-reading' while a derived trend has no value yet (e.g. right after a reload).
+     */
+    evaluate(snapshot = this.lastSnapshot) {
+        if (!snapshot) return [];
+        if (snapshot !== this.lastSnapshot) this._remember(snapshot);
+        const metrics = alertMetrics();
+        const seen = new Set();
+        const alerts = [];
+
+        this.rules.filter(rule => rule.enabled).forEach(rule => {
+            const metric = metrics[rule.metric];
+            if (!metric) return;
+            this._readings(metric, snapshot).forEach(({ subject, value, warmingUp }) => {
+                const key = `${rule.id}|${subject}`;
+                seen.add(key);
+                const state = this._advance(key, rule, value, snapshot.time);
+                if (warmingUp) {
+                    // Not enough history for the trend yet is not the same as back to normal
+                    alerts.push({ key, ruleId: rule.id, type: rule.severity, message: rule.name, since: null, suppressed: 'no-reading' });
+                    return;
+                }
+                if (state.since === null) return; // Includes no reading, e.g. a door that has closed
+                const shown = metric.format ? metric.format(value) : `${value.toFixed(1)}${metric.unit}`;
+                let suppressed = null;
+                if (!state.active) {
+                    suppressed = 'pending';
+                } else if (isQuiet(rule.quietHours, snapshot.time)) {
+                    suppressed = 'quiet';
+                }
+                alerts.push({
+                    key,
+                    ruleId: rule.id,
+                    type: rule.severity,
+                    message: `${rule.name}: ${subject ? `${subject} ` : ''}${shown}`,
+                    since: state.since,
+                    suppressed
+                });
+            });
+        });
+
+        // A door that disappeared from the snapshot cannot still be alerting
+        [...this.states.keys()].forEach(key => {
+            if (!seen.has(key)) this.states.delete(key);
+        });
+        return alerts;
+    }
+
+    // [{ subject, value, warmingUp? }] for one metric; subject names the door for per-door metrics.
+    // warmingUp marks a derived trend with no value yet while the kept history is still short of its window.
+    _readings(metric, snapshot) {
+        if (metric.perDoor) {
+            return (snapshot.doors || [])
+                .map(door => ({ subject: door.name || `Door ${door.id}`, value: metric.valueOf(snapshot, door) }));
+        }
+        if (metric.derived) {
+            const values = computeDerivedSeries(metric.derived, this.history);
+            const value = values.length > 0 ? values[values.length - 1] : null;
+            const noValueYet = values.every(item => item === null || item === undefined);
+            const shortHistory = this.history.length === 0 || snapshot.time - this.history[0].time < DERIVED_HISTORY_MS;
+            return [{ subject: '', value, warmingUp: noValueYet && shortHistory }];
+        }
+        return [{ subject: '', value: metric.valueOf(snapshot) }];
+    }
+
+    // Moves one rule/subject through pending -> active -> cleared
+    _advance(key, rule, value, time) {
+        const state = this.states.get(key) || { since: null, active: false };
+        const breached = value !== null && value !== undefined && this._breached(rule, value, state.active);
+        if (!breached) {
+            this.states.set(key, { since: null, active: false });
+            return this.states.get(key);
+        }
+        const since = state.since ?? time;
+        const active = time - since >= rule.forMinutes * 60000;
+        this.states.set(key, { since, active });
+        return this.states.get(key);
+    }
+
+    // While active, a numeric rule holds until the value is back past the threshold by the hysteresis
+    _breached(rule, value, active) {
+        const margin = active ? rule.hysteresis : 0;
+        if (rule.operator === 'above') return value > rule.value - margin;
+        if (rule.operator === 'below') return value < rule.value + margin;
+        const wanted = String(rule.value).split(',').map(item => item.trim().toUpperCase()).filter(Boolean);
+        return wanted.includes(String(value).toUpperCase());
+    }
+
+    _remember(snapshot) {
+        this.lastSnapshot = snapshot;
+        this.history.push({ time: snapshot.time, sensors: snapshot.sensors, system: snapshot.system });
+        this.history = this.history.filter(item => item.time >= snapshot.time - DERIVED_HISTORY_MS);
+    }
+
+    _forget(ruleId) {
+        [...this.states.keys()].filter(key => key.startsWith(`${ruleId}|`)).forEach(key => this.states.delete(key));
+    }
+
+    _load() {
+        const raw = this.storage.getItem(this.storageKey);
+        if (raw) {
+            try {
+                const stored = JSON.parse(raw);
+                if (Array.isArray(stored)) return stored.filter(rule => validateAlertRule(rule).length === 0);
+            } catch (error) {
+                // Fall through to the warning below
+            }
+            console.warn(`AlertEngine: Ignoring localStorage['${this.storageKey}'] - not a list of rules`);
+        }
+        return defaultAlertRules(this.thresholds);
+    }
+
+    _store() {
+        this.storage.setItem(this.storageKey, JSON.stringify(this.rules));
+    }
+}
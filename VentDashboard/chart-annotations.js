@@ -0,0 +1,222 @@
+// Chart Annotation Module
+// Event layer over the history charts: a vertical marker for each moment
+// (door closed, reboot, command) and a shaded span for anything that lasted
+// (door left open, incident). Hovering a marker or span names the event.
+// One Chart.js plugin serves every chart, so new events or a category toggle
+// redraw all of them at once. ChartManager owns the layer.
+
+export const ANNOTATION_CATEGORIES = {
+    doors: { label: 'Doors', icon: '🚪', color: '#6f42c1' },
+    incidents: { label: 'Incidents', icon: '🚨', color: '#dc3545' },
+    reboots: { label: 'Reboots', icon: '🔄', color: '#fd7e14' },
+    commands: { label: 'Commands', icon: '🎛️', color: '#17a2b8' }
+};
+
+const HOVER_DISTANCE_PX = 6; // How close the pointer must be to a marker
+const MARKER_HEAD_PX = 4;
+const SPAN_FILL_ALPHA = '1f'; // Appended to the category colour (#rrggbbaa)
+const LABEL_FONT = '12px sans-serif';
+const LABEL_PADDING_PX = 6;
+const LABEL_LINE_PX = 16;
+
+// _visible() hands out copies, so events are matched by content
+function sameEvent(a, b) {
+    return !!a && !!b && a.category === b.category && a.time === b.time && a.label === b.label;
+}
+
+export class AnnotationLayer {
+    constructor() {
+        this.events = new Map(Object.keys(ANNOTATION_CATEGORIES).map(category => [category, []]));
+        this.hidden = new Set();
+        this.charts = new Set(); // Charts drawing the layer, redrawn on every change
+        this.hovered = new WeakMap(); // chart -> annotation under the pointer
+
+        this.plugin = {
+            id: 'eventAnnotations',
+            afterInit: chart => this.charts.add(chart),
+            afterDestroy: chart => this.charts.delete(chart),
+            beforeDatasetsDraw: chart => this._drawSpans(chart),
+            afterDatasetsDraw: chart => this._drawMarkers(chart),
+            afterDraw: chart => this._drawHoverLabel(chart),
+            afterEvent: (chart, args) => this._handlePointer(chart, args)
+        };
+    }
+
+    /**
+     * Replaces every event of one category
+     * @param {string} category - Key of ANNOTATION_CATEGORIES
+     * @param {Array<{time: number, end?: number|null, label: string, detail?: string, id?: string}>} events
+     *   time and end are epoch ms; an end makes a span (null: still going)
+     */
+    setEvents(category, events) {
+        if (!this.events.has(category)) {
+            console.warn(`AnnotationLayer: Unknown category "${category}"`);
+            return;
+        }
+        this.events.set(category, (events || [])
+            .filter(event => Number.isFinite(event.time))
+            .sort((a, b) => a.time - b.time));
+        this._redraw();
+    }
+
+    // Adds one event, replacing an earlier one with the same id
+    addEvent(category, event) {
+        const events = this.events.get(category) || [];
+        const others = event.id ? events.filter(existing => existing.id !== event.id) : events;
+        this.setEvents(category, [...others, event]);
+    }
+
+    setVisible(category, visible) {
+        if (visible) {
+            this.hidden.delete(category);
+        } else {
+            this.hidden.add(category);
+        }
+        this._redraw();
+    }
+
+    isVisible(category) {
+        return !this.hidden.has(category);
+    }
+
+    _redraw() {
+        this.charts.forEach(chart => chart.draw());
+    }
+
+    // Visible events of every shown category, with their colour
+    _visible() {
+        const visible = [];
+        this.events.forEach((events, category) => {
+            if (this.hidden.has(category)) return;
+            const { color } = ANNOTATION_CATEGORIES[category];
+            events.forEach(event => visible.push({ ...event, category, color }));
+        });
+        return visible;
+    }
+
+    // Pixel extent of an event on this chart, or null when it is off screen
+    _extent(chart, event) {
+        const scale = chart.scales.x;
+        if (!scale || scale.type !== 'time') return null; // e.g. the "no data" placeholder
+        const { chartArea } = chart;
+        const left = scale.getPixelForValue(event.time);
+        const isSpan = event.end !== undefined;
+        const right = isSpan ? (event.end === null ? chartArea.right : scale.getPixelForValue(event.end)) : left;
+        if (right < chartArea.left || left > chartArea.right) return null;
+        return { left: Math.max(left, chartArea.left), right: Math.min(right, chartArea.right), isSpan };
+    }
+
+    _drawSpans(chart) {
+        const { ctx, chartArea } = chart;
+        ctx.save();
+        this._visible().forEach(event => {
+            const extent = this._extent(chart, event);
+            if (!extent || !extent.isSpan) return;
+            ctx.fillStyle = `${event.color}${SPAN_FILL_ALPHA}`;
+            ctx.fillRect(extent.left, chartArea.top, Math.max(1, extent.right - extent.left), chartArea.bottom - chartArea.top);
+        });
+        ctx.restore();
+    }
+
+    // Dashed line per moment, with a small head at the top so stacked events stay countable
+    _drawMarkers(chart) {
+        const { ctx, chartArea } = chart;
+        const hovered = this.hovered.get(chart);
+        ctx.save();
+        this._visible().forEach(event => {
+            const extent = this._extent(chart, event);
+            if (!extent || extent.isSpan) return;
+            const x = extent.left;
+            const isHovered = sameEvent(hovered, event);
+            ctx.strokeStyle = event.color;
+            ctx.fillStyle = event.color;
+            ctx.lineWidth = isHovered ? 2 : 1;
+            ctx.setLineDash([4, 3]);
+            ctx.beginPath();
+            ctx.moveTo(x, chartArea.top);
+            ctx.lineTo(x, chartArea.bottom);
+            ctx.stroke();
+            ctx.setLineDash([]);
+            ctx.beginPath();
+            ctx.moveTo(x - MARKER_HEAD_PX, chartArea.top);
+            ctx.lineTo(x + MARKER_HEAD_PX, chartArea.top);
+            ctx.lineTo(x, chartArea.top + MARKER_HEAD_PX * 1.5);
+            ctx.closePath();
+            ctx.fill();
+        });
+        ctx.restore();
+    }
+
+    // Nearest marker within reach, else the shortest span under the pointer
+    _eventAt(chart, x, y) {
+        const { chartArea } = chart;
+        if (x < chartArea.left || x > chartArea.right || y < chartArea.top || y > chartArea.bottom) return null;
+        let marker = null;
+        let markerDistance = HOVER_DISTANCE_PX;
+        let span = null;
+        this._visible().forEach(event => {
+            const extent = this._extent(chart, event);
+            if (!extent) return;
+            if (!extent.isSpan) {
+                const distance = Math.abs(extent.left - x);
+                if (distance <= markerDistance) {
+                    marker = event;
+                    markerDistance = distance;
+                }
+            } else if (x >= extent.left && x <= extent.right && (!span || extent.right - extent.left < span.width)) {
+                span = { event, width: extent.right - extent.left };
+            }
+        });
+        return marker || (span && span.event);
+    }
+
+    _handlePointer(chart, args) {
+        const { event } = args;
+        const previous = this.hovered.get(chart) || null;
+        const current = event.type === 'mouseout' ? null : this._eventAt(chart, event.x, event.y);
+        if (current === previous || sameEvent(current, previous)) return;
+        if (current) {
+            this.hovered.set(chart, current);
+        } else {
+            this.hovered.delete(chart);
+        }
+        args.changed = true;
+    }
+
+    _drawHoverLabel(chart) {
+        const event = this.hovered.get(chart);
+        const extent = event && this.isVisible(event.category) && this._extent(chart, event);
+        if (!extent) return;
+        const { ctx, chartArea } = chart;
+        const { icon } = ANNOTATION_CATEGORIES[event.category];
+
+        const lines = [`${icon} ${event.label}`, this._describeTime(event)];
+        if (event.detail) lines.push(event.detail);
+
+        ctx.save();
+        ctx.font = LABEL_FONT;
+        const width = Math.max(...lines.map(line => ctx.measureText(line).width)) + LABEL_PADDING_PX * 2;
+        const height = lines.length * LABEL_LINE_PX + LABEL_PADDING_PX;
+        const anchor = extent.isSpan ? (extent.left + extent.right) / 2 : extent.left;
+        const left = Math.min(Math.max(anchor - width / 2, chartArea.left), chartArea.right - width);
+        const top = chartArea.top + MARKER_HEAD_PX * 2;
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+        ctx.fillRect(left, top, width, height);
+        ctx.fillStyle = event.color;
+        ctx.fillRect(left, top, 3, height);
+        ctx.fillStyle = '#fff';
+        ctx.textBaseline = 'top';
+        lines.forEach((line, index) => ctx.fillText(line, left + LABEL_PADDING_PX, top + LABEL_PADDING_PX / 2 + index * LABEL_LINE_PX + 2));
+        ctx.restore();
+    }
+
+    _describeTime(event) {
+        const start = new Date(event.time).toLocaleString();
+        if (event.end === undefined) return start;
+        if (event.end === null) return `${start} - ongoing`;
+        const minutes = Math.round((event.end - event.time) / 60000);
+        const duration = minutes >= 120 ? `${(minutes / 60).toFixed(1)} h` : `${minutes} min`;
+        return `${start} - ${new Date(event.end).toLocaleTimeString()} (${duration})`;
+    }
+}
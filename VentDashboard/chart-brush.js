@@ -0,0 +1,137 @@
+// Chart Brush Module
+// Overview strip under a history chart: a small line of the whole overview
+// window with the chart's visible range shaded. Drag across the strip to pick
+// a new range, or drag the shaded window to move it. ChartManager owns the
+// brushes and turns a selection into the shared chart range.
+
+const MIN_SELECTION_MS = 15 * 60 * 1000; // Shorter drags are treated as clicks
+const OUTSIDE_SHADE = 'rgba(0, 0, 0, 0.08)';
+const SELECTION_BORDER = '#007bff';
+
+export class ChartBrush {
+    /**
+     * @param {HTMLCanvasElement} canvas
+     * @param {Object} options
+     * @param {string} [options.color] - Overview line colour
+     * @param {Function} options.onSelect - Called with { start, end } (epoch ms) when a drag ends
+     */
+    constructor(canvas, { color = '#6c757d', onSelect }) {
+        this.canvas = canvas;
+        this.onSelect = onSelect;
+        this.selection = null; // { start, end } currently shaded
+        this.drag = null; // { mode: 'new' | 'move', anchor, offset, previous }
+        this.chart = new Chart(canvas.getContext('2d'), {
+            type: 'line',
+            data: { datasets: [{ data: [], borderColor: color, borderWidth: 1, pointRadius: 0, tension: 0.2, fill: false }] },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                events: [], // Pointer input is handled below, not by Chart.js
+                layout: { padding: { top: 4, bottom: 4 } },
+                scales: {
+                    x: { type: 'time', display: true, grid: { display: false }, ticks: { maxTicksLimit: 8, font: { size: 10 } } },
+                    y: { display: false }
+                },
+                plugins: { legend: { display: false }, tooltip: { enabled: false } }
+            },
+            plugins: [{ id: 'brushSelection', afterDatasetsDraw: chart => this._drawSelection(chart) }]
+        });
+
+        canvas.addEventListener('pointerdown', event => this._handlePointerDown(event));
+        canvas.addEventListener('pointermove', event => this._handlePointerMove(event));
+        canvas.addEventListener('pointerup', event => this._handlePointerUp(event));
+        canvas.addEventListener('pointercancel', () => this._cancelDrag());
+    }
+
+    /**
+     * @param {Array<{x: number, y: number}>} points - Overview series, oldest first
+     * @param {{start: number, end: number}} bounds - Overview window
+     * @param {{start: number, end: number}} selection - Visible range of the chart above
+     */
+    render(points, bounds, selection) {
+        this.chart.data.datasets[0].data = points;
+        this.chart.options.scales.x.min = bounds.start;
+        this.chart.options.scales.x.max = bounds.end;
+        if (!this.drag) this.selection = selection;
+        this.chart.update('none');
+    }
+
+    destroy() {
+        this.chart.destroy();
+    }
+
+    _timeAt(event) {
+        const scale = this.chart.scales.x;
+        const rect = this.canvas.getBoundingClientRect();
+        const pixel = Math.min(Math.max(event.clientX - rect.left, scale.left), scale.right);
+        return scale.getValueForPixel(pixel);
+    }
+
+    _handlePointerDown(event) {
+        const time = this._timeAt(event);
+        const inside = this.selection && time >= this.selection.start && time <= this.selection.end;
+        this.drag = inside
+            ? { mode: 'move', offset: time - this.selection.start, previous: this.selection }
+            : { mode: 'new', anchor: time, previous: this.selection };
+        if (!inside) this.selection = { start: time, end: time };
+        this.canvas.setPointerCapture(event.pointerId);
+    }
+
+    _handlePointerMove(event) {
+        if (!this.drag) {
+            const time = this._timeAt(event);
+            const inside = this.selection && time >= this.selection.start && time <= this.selection.end;
+            this.canvas.style.cursor = inside ? 'grab' : 'crosshair';
+            return;
+        }
+        const time = this._timeAt(event);
+        const { min, max } = this.chart.scales.x;
+        if (this.drag.mode === 'move') {
+            const width = this.selection.end - this.selection.start;
+            const start = Math.min(Math.max(time - this.drag.offset, min), max - width);
+            this.selection = { start, end: start + width };
+        } else {
+            this.selection = { start: Math.min(this.drag.anchor, time), end: Math.max(this.drag.anchor, time) };
+        }
+        this.chart.draw();
+    }
+
+    _handlePointerUp(event) {
+        if (!this.drag) return;
+        this._handlePointerMove(event);
+        const { start, end } = this.selection;
+        const moved = this.drag.previous && start !== this.drag.previous.start;
+        if (end - start < MIN_SELECTION_MS || (this.drag.mode === 'move' && !moved)) {
+            this._cancelDrag();
+            return;
+        }
+        this.drag = null;
+        this.onSelect({ start: Math.round(start), end: Math.round(end) });
+    }
+
+    _cancelDrag() {
+        if (!this.drag) return;
+        this.selection = this.drag.previous;
+        this.drag = null;
+        this.chart.draw();
+    }
+
+    // Shade everything outside the selection so the visible window stands out
+    _drawSelection(chart) {
+        if (!this.selection) return;
+        const { ctx, chartArea, scales } = chart;
+        const left = Math.max(scales.x.getPixelForValue(this.selection.start), chartArea.left);
+        const right = Math.min(scales.x.getPixelForValue(this.selection.end), chartArea.right);
+        const height = chartArea.bottom - chartArea.top;
+
+        ctx.save();
+        ctx.fillStyle = OUTSIDE_SHADE;
+        ctx.fillRect(chartArea.left, chartArea.top, Math.max(0, left - chartArea.left), height);
+        ctx.fillRect(right, chartArea.top, Math.max(0, chartArea.right - right), height);
+        ctx.strokeStyle = SELECTION_BORDER;
+        ctx.lineWidth = 1;
+        ctx.strokeRect(left, chartArea.top, Math.max(1, right - left), height);
+        ctx.restore();
+    }
+}
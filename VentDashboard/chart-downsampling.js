@@ -0,0 +1,113 @@
+// Chart Downsampling Module
+// Pickers that thin a long series to a point budget before it reaches
+// Chart.js. Each returns the indices to keep (ascending), so callers can thin
+// several aligned arrays the same way. ChartManager.downsample() sizes the
+// budget from the canvas width and combines pickers across datasets.
+//
+// Points are { x, y } with numeric x in one direction of time (either order).
+
+// Largest-Triangle-Three-Buckets: keeps the points that shape the line, so
+// peaks and dips survive while flat stretches collapse. Best for smooth series.
+export function lttbIndices(points, budget) {
+    const count = points.length;
+    if (budget >= count || budget < 3) return points.map((point, index) => index);
+
+    const kept = [0];
+    const bucketSize = (count - 2) / (budget - 2);
+    let previous = 0;
+    for (let bucket = 0; bucket < budget - 2; bucket++) {
+        // Average of the next bucket is the third corner of the triangle
+        const nextStart = Math.floor((bucket + 1) * bucketSize) + 1;
+        const nextEnd = Math.min(Math.floor((bucket + 2) * bucketSize) + 1, count);
+        let averageX = 0;
+        let averageY = 0;
+        for (let i = nextStart; i < nextEnd; i++) {
+            averageX += points[i].x;
+            averageY += points[i].y;
+        }
+        averageX /= nextEnd - nextStart;
+        averageY /= nextEnd - nextStart;
+
+        const start = Math.floor(bucket * bucketSize) + 1;
+        const end = Math.floor((bucket + 1) * bucketSize) + 1;
+        const { x: anchorX, y: anchorY } = points[previous];
+        let largestArea = -1;
+        let chosen = start;
+        for (let i = start; i < end; i++) {
+            const area = Math.abs((anchorX - averageX) * (points[i].y - anchorY) - (anchorX - points[i].x) * (averageY - anchorY));
+            if (area > largestArea) {
+                largestArea = area;
+                chosen = i;
+            }
+        }
+        kept.push(chosen);
+        previous = chosen;
+    }
+    kept.push(count - 1);
+    return kept;
+}
+
+// Lowest and highest point of every bucket, in their original order. Never
+// loses an extreme, so a one-reading spike or a short fan run stays visible.
+export function minMaxIndices(points, budget) {
+    const count = points.length;
+    const buckets = Math.floor(budget / 2);
+    if (budget >= count || buckets < 1) return points.map((point, index) => index);
+
+    const kept = [0];
+    const bucketSize = count / buckets;
+    for (let bucket = 0; bucket < buckets; bucket++) {
+        const start = Math.floor(bucket * bucketSize);
+        const end = Math.min(Math.floor((bucket + 1) * bucketSize), count);
+        let low = start;
+        let high = start;
+        for (let i = start + 1; i < end; i++) {
+            if (points[i].y < points[low].y) low = i;
+            if (points[i].y > points[high].y) high = i;
+        }
+        kept.push(Math.min(low, high), Math.max(low, high));
+    }
+    kept.push(count - 1);
+    return [...new Set(kept)].sort((a, b) => a - b);
+}
+
+// Highest point of every bucket, for bars where only the worst value matters
+export function maxIndices(points, budget) {
+    const count = points.length;
+    if (budget >= count || budget < 1) return points.map((point, index) => index);
+
+    const kept = [];
+    const bucketSize = count / budget;
+    for (let bucket = 0; bucket < budget; bucket++) {
+        const start = Math.floor(bucket * bucketSize);
+        const end = Math.min(Math.floor((bucket + 1) * bucketSize), count);
+        let high = start;
+        for (let i = start + 1; i < end; i++) {
+            if (points[i].y > points[high].y) high = i;
+        }
+        kept.push(high);
+    }
+    return kept;
+}
+
+// Both sides of every change in value, for on/off series such as the fan.
+// minmax can merge two switches that share a bucket; this never does, so it
+// may keep more than the budget when the value flips more often than that.
+export function transitionIndices(points, budget) {
+    const count = points.length;
+    if (budget >= count) return points.map((point, index) => index);
+
+    const kept = [0];
+    for (let i = 1; i < count; i++) {
+        if (points[i].y !== points[i - 1].y) kept.push(i - 1, i);
+    }
+    kept.push(count - 1);
+    return [...new Set(kept)].sort((a, b) => a - b);
+}
+
+export const DOWNSAMPLERS = {
+    lttb: lttbIndices,
+    minmax: minMaxIndices,
+    max: maxIndices,
+    transitions: transitionIndices
+};
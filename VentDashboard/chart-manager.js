@@ -1,162 +1,559 @@
 // Chart Manager Module
-// Smart chart update detection and lifecycle management
+// Smart chart update detection and lifecycle management, plus the one visible
+// range shared by the temperature chart (and its effectiveness overlay), the
+// pressure chart, the humidity / dew point chart and the overview brushes.
+//
+// A range is either a preset that follows "now" ({ hours }) or a fixed window
+// picked by zoom, pan, brush or the date picker ({ start, end }, epoch ms).
+// A comparison lays a second, earlier window of the same length over it.
+// Door, incident, reboot and command events are drawn over every history
+// chart by one shared annotation layer.
+
+import { AnnotationLayer, ANNOTATION_CATEGORIES } from './chart-annotations.js';
+import { ChartBrush } from './chart-brush.js';
+import { DOWNSAMPLERS, lttbIndices } from './chart-downsampling.js';
+import { computeDerivedSeries } from './derived-metrics.js';
+import { garageRiskBands, fanDewPointEffects } from './humidity-analysis.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const OVERVIEW_HOURS = 168; // Brush strip window (widened to include an older range)
+const MIN_RANGE_MS = 15 * 60 * 1000;
+// How far back GetVentilationHistory is ever asked to go: "Same week last year"
+// (364 days) behind a week-long range. The range picker and every comparison
+// window stop here, so no request goes further back than this.
+const MAX_HISTORY_AGE_DAYS = 372;
+const MAX_RANGE_SPAN_DAYS = 90; // A longer range would pull months of readings into the page
+const FAN_GAP_LIMIT_MS = 30 * 60 * 1000; // Longer reading gaps are not counted as fan time
+const POINTS_PER_PIXEL = 1; // Per dataset; more than this cannot be told apart on screen
+const MIN_POINT_BUDGET = 100;
+
+export function toChartRange(hoursOrRange) {
+    if (typeof hoursOrRange === 'number') return { hours: hoursOrRange };
+    if (hoursOrRange && hoursOrRange.start !== undefined) {
+        return { start: Math.round(hoursOrRange.start), end: Math.round(hoursOrRange.end) };
+    }
+    return { hours: (hoursOrRange && hoursOrRange.hours) || 6 };
+}
+
+export function rangeBounds(range, now = Date.now()) {
+    return range.hours ? { start: now - range.hours * HOUR_MS, end: now } : { start: range.start, end: range.end };
+}
+
+export function rangeKey(range) {
+    return range.hours ? `last-${range.hours}h` : `${range.start}-${range.end}`;
+}
+
+// How far back each comparison mode looks; 'period' is the range's own span
+// and 'date' lines the range's start up with the same time on a picked day
+export const COMPARISON_MODES = {
+    period: { label: 'Previous period' },
+    day: { label: 'Day before', shiftMs: 24 * HOUR_MS },
+    week: { label: 'Week before', shiftMs: 7 * 24 * HOUR_MS },
+    year: { label: 'Same week last year', shiftMs: 52 * 7 * 24 * HOUR_MS }, // 364 days keeps weekdays aligned
+    date: { label: 'Picked day' }
+};
+
+/**
+ * Figures the comparison summary is built from
+ * @param {Array} readings - Normalized history (any order)
+ * @returns {{meanIndoorF: number|null, maxIndoorF: number|null, fanMinutes: number}}
+ */
+export function summarizeReadings(readings) {
+    const sorted = [...readings].sort((a, b) => a.time - b.time);
+    const temps = sorted.map(reading => reading.sensors.indoor.temp).filter(temp => typeof temp === 'number');
+    let fanMs = 0;
+    for (let i = 0; i < sorted.length - 1; i++) {
+        if (sorted[i].system.fanOn === true) fanMs += Math.min(sorted[i + 1].time - sorted[i].time, FAN_GAP_LIMIT_MS);
+    }
+    return {
+        meanIndoorF: temps.length > 0 ? temps.reduce((sum, temp) => sum + temp, 0) / temps.length : null,
+        maxIndoorF: temps.length > 0 ? Math.max(...temps) : null,
+        fanMinutes: Math.round(fanMs / 60000)
+    };
+}
 
 export class ChartManager {
     constructor(dataManager) {
         this.charts = {
             temperature: null,
             pressure: null,
+            humidity: null,
             incidentTrends: null
         };
         
         this.latestTimestamps = {
             temperature: null,
             pressure: null,
+            humidity: null,
             incidents: null
         };
         
-        this.currentTimeRanges = {
-            temperature: 6,
-            pressure: 6
+        // Range each chart last drew, to tell a range change from a data refresh
+        this.drawnRangeKeys = {
+            temperature: null,
+            pressure: null,
+            humidity: null
         };
         
+        this.range = { hours: 6 };
+        this.comparison = null; // { mode, date? } - see COMPARISON_MODES
+        this.rangeListeners = [];
+        this.brushes = new Map(); // name -> { brush, valueOf }
+        this.annotations = new AnnotationLayer();
+        
         this.dataManager = dataManager;
     }
 
-    // Smart temperature chart update with timestamp detection
-    async updateTemperatureChart(hours, existingChart) {
-        console.log(`ChartManager: Temperature chart update request for ${hours}h`);
-        
-        const timeRangeChanged = this.currentTimeRanges.temperature !== hours;
-        this.currentTimeRanges.temperature = hours;
-        
-        try {
-            // Get data using DataManager instead of global function
-            const apiData = await this.dataManager.getHistoryData(hours);
-            
-            // Handle both array response (from snapshot) and object response (legacy/wrapper)
-            let data = [];
-            if (Array.isArray(apiData)) {
-                data = apiData;
-            } else if (apiData && Array.isArray(apiData.data)) {
-                data = apiData.data;
-            }
-            
-            if (!data || data.length === 0) {
-                console.log('ChartManager: No temperature data available');
-                return existingChart;
+    getRange() {
+        return { ...this.range };
+    }
+
+    // Oldest time any range or comparison window may reach (epoch ms)
+    earliestHistoryTime(now = Date.now()) {
+        return now - MAX_HISTORY_AGE_DAYS * 24 * HOUR_MS;
+    }
+
+    /**
+     * Explains why a fixed window cannot be shown (null when it can)
+     * @param {{start: number, end: number}} range
+     * @returns {string|null}
+     */
+    checkRange(range) {
+        if (range.hours) return null;
+        const now = Date.now();
+        if (!Number.isFinite(range.start) || !Number.isFinite(range.end)) return 'Pick both a start and an end';
+        if (range.end - range.start < MIN_RANGE_MS) return 'The end must be at least 15 minutes after the start';
+        if (range.start > now) return 'The start is in the future';
+        if (range.start < this.earliestHistoryTime(now)) return `History is only available for the last ${MAX_HISTORY_AGE_DAYS} days`;
+        if (range.end - range.start > MAX_RANGE_SPAN_DAYS * 24 * HOUR_MS) return `A range can cover at most ${MAX_RANGE_SPAN_DAYS} days`;
+        return null;
+    }
+
+    // Accepts hours (preset buttons) or { start, end }; listeners redraw the charts
+    setRange(hoursOrRange) {
+        const range = toChartRange(hoursOrRange);
+        const problem = this.checkRange(range);
+        if (problem) {
+            console.warn(`ChartManager: Ignoring range ${rangeKey(range)} - ${problem}`);
+            return;
+        }
+        if (rangeKey(range) === rangeKey(this.range)) return;
+
+        console.log(`ChartManager: Visible range -> ${rangeKey(range)}`);
+        this.range = range;
+        this._notifyRangeListeners();
+    }
+
+    _notifyRangeListeners() {
+        this.rangeListeners.forEach(callback => {
+            try {
+                callback(this.getRange());
+            } catch (error) {
+                console.error('ChartManager: Error in range listener:', error);
             }
-            
-            // Extract timestamps for comparison
-            const timestamps = data.map(d => {
-                let timestamp;
-                if (typeof d.timestamp === 'string') {
-                    timestamp = d.timestamp.includes('T') ? new Date(d.timestamp) : new Date(parseInt(d.timestamp) * 1000);
-                } else {
-                    timestamp = new Date(d.timestamp > 1000000000000 ? d.timestamp : d.timestamp * 1000);
+        });
+    }
+
+    // { start, end } in epoch ms; presets resolve against the current time
+    getRangeBounds(range = this.range) {
+        return rangeBounds(toChartRange(range));
+    }
+
+    getComparison() {
+        return this.comparison ? { ...this.comparison } : null;
+    }
+
+    /**
+     * Turns the comparison overlay on, changes it, or turns it off (null).
+     * Range listeners fire so every chart redraws with or without its ghost.
+     * @param {{mode: string, date?: string}|null} comparison - mode from COMPARISON_MODES;
+     *   'date' also needs date ('YYYY-MM-DD', local)
+     */
+    setComparison(comparison) {
+        if (comparison && (!COMPARISON_MODES[comparison.mode] || (comparison.mode === 'date' && !comparison.date))) {
+            console.warn(`ChartManager: Ignoring comparison ${JSON.stringify(comparison)}`);
+            return;
+        }
+        const next = comparison ? { mode: comparison.mode, ...(comparison.mode === 'date' ? { date: comparison.date } : {}) } : null;
+        if (JSON.stringify(next) === JSON.stringify(this.comparison)) return;
+
+        console.log(`ChartManager: Comparison -> ${next ? this._comparisonKey(next) : 'off'}`);
+        this.comparison = next;
+        this._notifyRangeListeners();
+    }
+
+    // How far the comparison window sits before the range (ms), or null
+    getComparisonShift(range = this.range) {
+        if (!this.comparison) return null;
+        const bounds = this.getRangeBounds(range);
+        const { mode, date } = this.comparison;
+        if (mode === 'period') return bounds.end - bounds.start;
+        if (mode !== 'date') return COMPARISON_MODES[mode].shiftMs;
+
+        const start = new Date(bounds.start);
+        const aligned = new Date(`${date}T00:00`);
+        aligned.setHours(start.getHours(), start.getMinutes(), start.getSeconds(), start.getMilliseconds());
+        const shift = bounds.start - aligned.getTime();
+        return shift > 0 ? shift : null; // A day at or after the range has nothing earlier to show
+    }
+
+    /**
+     * The comparison window for a range, moved forward onto the range's own time
+     * axis so charts can draw it as a ghost series, with summary deltas
+     * @param {Object} range - Range being drawn
+     * @param {Array} primaryData - Readings the chart draws for that range
+     * @returns {Promise<Object|null>} { label, shiftMs, window, data, summary } or null when off.
+     *   data keeps the normalized shape with time/timestamp shifted (originalTime holds the real one);
+     *   summary is { primary, comparison, delta } from summarizeReadings. A window older than
+     *   MAX_HISTORY_AGE_DAYS is not fetched: it comes back with unavailable (a reason) instead
+     *   of data and summary.
+     */
+    async getComparisonData(range, primaryData) {
+        const shiftMs = this.getComparisonShift(range);
+        if (shiftMs === null) return null;
+
+        const bounds = this.getRangeBounds(range);
+        const window = { start: bounds.start - shiftMs, end: bounds.end - shiftMs };
+        if (window.start < this.earliestHistoryTime()) {
+            return { label: this._comparisonLabel(window), shiftMs, window, unavailable: `history only goes back ${MAX_HISTORY_AGE_DAYS} days` };
+        }
+        const readings = await this.dataManager.getHistoryWindow(window.start, window.end);
+        const data = readings.map(reading => ({
+            ...reading,
+            originalTime: reading.time,
+            time: reading.time + shiftMs,
+            timestamp: new Date(reading.time + shiftMs).toISOString()
+        }));
+
+        const primary = summarizeReadings(primaryData);
+        const comparison = summarizeReadings(readings);
+        const difference = (a, b) => (a === null || b === null ? null : a - b);
+        return {
+            label: this._comparisonLabel(window),
+            shiftMs,
+            window,
+            data,
+            summary: {
+                primary,
+                comparison,
+                delta: {
+                    meanIndoorF: difference(primary.meanIndoorF, comparison.meanIndoorF),
+                    maxIndoorF: difference(primary.maxIndoorF, comparison.maxIndoorF),
+                    fanMinutes: primary.fanMinutes - comparison.fanMinutes
                 }
-                return timestamp;
-            }).filter(d => !isNaN(d.getTime()));
-            
-            const newLatestTimestamp = timestamps.length > 0 ? new Date(Math.max(...timestamps)) : null;
-            
-            // Update if we have new data OR time range changed
-            if (!this.latestTimestamps.temperature || 
-                newLatestTimestamp > this.latestTimestamps.temperature || 
-                timeRangeChanged) {
-                
-                if (timeRangeChanged) {
-                    console.log(`ChartManager: Time range changed to ${hours}h, updating chart`);
-                } else {
-                    console.log(`ChartManager: New data detected, updating chart (${newLatestTimestamp?.toLocaleTimeString()})`);
+            }
+        };
+    }
+
+    _comparisonLabel(window) {
+        const { mode } = this.comparison;
+        const day = new Date(window.start).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: mode === 'year' ? 'numeric' : undefined });
+        return `${COMPARISON_MODES[mode].label} (from ${day})`;
+    }
+
+    _comparisonKey(comparison = this.comparison) {
+        if (!comparison) return '';
+        return comparison.mode === 'date' ? `vs-${comparison.date}` : `vs-${comparison.mode}`;
+    }
+
+    // What a chart last drew: the range plus any comparison laid over it
+    _drawKey(range) {
+        const comparisonKey = this._comparisonKey();
+        return comparisonKey ? `${rangeKey(range)}:${comparisonKey}` : rangeKey(range);
+    }
+
+    onRangeChange(callback) {
+        this.rangeListeners.push(callback);
+    }
+
+    // History for a range, newest first. Fixed windows are re-queried from
+    // DataManager so zooming out past the loaded data fetches what is missing.
+    getRangeData(range = this.range) {
+        if (range.hours) return this.dataManager.getHistoryData(range.hours);
+        return this.dataManager.getHistoryRange(range.start, range.end);
+    }
+
+    /**
+     * Picks which rows of a long series to plot so each dataset stays near one
+     * point per pixel of the canvas. Every dataset chooses its own points and the
+     * union is kept, so the datasets stay aligned row for row and none loses its
+     * spikes. A narrower range (zooming in) has fewer rows, so it comes back at
+     * full resolution on its own.
+     * @param {Array} rows - Chart rows in time order (either direction)
+     * @param {HTMLCanvasElement} canvas - Canvas the chart draws on; sets the budget
+     * @param {Object} options
+     * @param {Function} options.timeOf - Row -> epoch ms (or Date)
+     * @param {Array<{valueOf: Function, method: string}>} options.series - valueOf(row, index)
+     *   returns the plotted number (null when the row has none); method is 'lttb' for
+     *   smooth lines, 'minmax' for spiky lines, 'transitions' for on/off steps that must
+     *   keep every switch, 'max' for bars
+     * @returns {number[]|null} Row indices to keep, ascending; null when every row fits
+     */
+    downsample(rows, canvas, { timeOf, series }) {
+        const budget = Math.max(MIN_POINT_BUDGET, Math.round((canvas.clientWidth || window.innerWidth) * POINTS_PER_PIXEL));
+        if (rows.length <= budget) return null;
+
+        const kept = new Set();
+        series.forEach(({ valueOf, method = 'lttb' }) => {
+            const points = [];
+            const rowIndices = [];
+            rows.forEach((row, index) => {
+                const y = valueOf(row, index);
+                if (typeof y === 'number' && Number.isFinite(y)) {
+                    points.push({ x: +timeOf(row), y });
+                    rowIndices.push(index);
                 }
-                
-                this.latestTimestamps.temperature = newLatestTimestamp;
-                return await this._performTemperatureChartUpdate(data, hours, existingChart);
-            } else {
-                console.log('ChartManager: No new temperature data, skipping refresh');
-                return existingChart;
+            });
+            DOWNSAMPLERS[method](points, budget).forEach(index => kept.add(rowIndices[index]));
+        });
+        return [...kept].sort((a, b) => a - b);
+    }
+
+    /**
+     * chartjs-plugin-zoom options shared by both history charts: drag to zoom,
+     * Shift+drag to pan, Ctrl+wheel or pinch to zoom. Each gesture ends in
+     * setRange(), which re-queries data at the new window for every chart.
+     * @returns {Object} Value for options.plugins.zoom
+     */
+    zoomOptions() {
+        const commit = ({ chart }) => this.setRange({ start: chart.scales.x.min, end: chart.scales.x.max });
+        const overview = this._overviewBounds();
+        return {
+            limits: {
+                x: { min: overview.start, max: overview.end, minRange: MIN_RANGE_MS }
+            },
+            pan: { enabled: true, mode: 'x', modifierKey: 'shift', onPanComplete: commit },
+            zoom: {
+                mode: 'x',
+                drag: { enabled: true, backgroundColor: 'rgba(0, 123, 255, 0.15)', borderColor: '#007bff', borderWidth: 1 },
+                wheel: { enabled: true, modifierKey: 'ctrl' },
+                pinch: { enabled: true },
+                onZoomComplete: commit
             }
-            
+        };
+    }
+
+    /**
+     * Adds an overview strip under a chart; dragging on it sets the shared range
+     * @param {string} name - 'temperature' or 'pressure'
+     * @param {HTMLCanvasElement} canvas
+     * @param {Object} options
+     * @param {Function} options.valueOf - Picks the plotted value from a history point (null to skip)
+     * @param {string} [options.color]
+     */
+    attachBrush(name, canvas, { valueOf, color }) {
+        if (this.brushes.has(name)) this.brushes.get(name).brush.destroy();
+        const brush = new ChartBrush(canvas, { color, onSelect: range => this.setRange(range) });
+        this.brushes.set(name, { brush, valueOf });
+    }
+
+    // Chart.js plugin that draws the event layer; add it to each history chart's plugins
+    annotationPlugin() {
+        return this.annotations.plugin;
+    }
+
+    // Category keys with their label, icon and colour, for building toggles
+    getAnnotationCategories() {
+        return Object.entries(ANNOTATION_CATEGORIES).map(([key, category]) => ({ key, ...category, visible: this.annotations.isVisible(key) }));
+    }
+
+    /**
+     * Replaces one category's events on every history chart
+     * @param {string} category - 'doors', 'incidents', 'reboots' or 'commands'
+     * @param {Array<{time: number, end?: number|null, label: string, detail?: string, id?: string}>} events
+     *   Epoch ms; give an end (null while still going) to shade a span instead of a marker
+     */
+    setAnnotations(category, events) {
+        this.annotations.setEvents(category, events);
+    }
+
+    // Adds one event; an id replaces the earlier event with that id
+    addAnnotation(category, event) {
+        this.annotations.addEvent(category, event);
+    }
+
+    setAnnotationVisible(category, visible) {
+        this.annotations.setVisible(category, visible);
+    }
+
+    // Drop every event, e.g. when another device is selected
+    clearAnnotations() {
+        Object.keys(ANNOTATION_CATEGORIES).forEach(category => this.annotations.setEvents(category, []));
+    }
+
+    // Last OVERVIEW_HOURS, reaching further back when the range starts earlier
+    _overviewBounds(now = Date.now()) {
+        return { start: Math.min(now - OVERVIEW_HOURS * HOUR_MS, rangeBounds(this.range, now).start), end: now };
+    }
+
+    // Redraw every brush over the overview window with the current range shaded
+    async updateBrushes() {
+        if (this.brushes.size === 0) return;
+        try {
+            const now = Date.now();
+            const bounds = this._overviewBounds(now);
+            const data = await this.dataManager.getHistoryRange(bounds.start, bounds.end);
+            const selection = rangeBounds(this.range, now);
+            this.brushes.forEach(({ brush, valueOf }) => {
+                const points = [];
+                for (let i = data.length - 1; i >= 0; i--) { // Oldest first
+                    const y = valueOf(data[i]);
+                    if (typeof y === 'number') points.push({ x: data[i].time, y });
+                }
+                const budget = Math.max(MIN_POINT_BUDGET, Math.round(brush.canvas.clientWidth * POINTS_PER_PIXEL));
+                brush.render(lttbIndices(points, budget).map(index => points[index]), bounds, selection);
+            });
         } catch (error) {
-            console.error('ChartManager: Error updating temperature chart:', error);
-            return existingChart;
+            console.error('ChartManager: Error updating overview brushes:', error);
         }
     }
 
+    // Forget freshness tracking so the next update always redraws (e.g. after a device switch)
+    resetTracking() {
+        this.latestTimestamps.temperature = null;
+        this.latestTimestamps.pressure = null;
+        this.latestTimestamps.humidity = null;
+        this.latestTimestamps.incidents = null;
+        this.drawnRangeKeys.temperature = null;
+        this.drawnRangeKeys.pressure = null;
+        this.drawnRangeKeys.humidity = null;
+    }
+
+    // Smart temperature chart update with timestamp detection
+    async updateTemperatureChart(hoursOrRange = this.range, existingChart) {
+        return this._updateChart('temperature', hoursOrRange, existingChart);
+    }
+
     // Smart pressure chart update with timestamp detection
-    async updatePressureChart(hours, existingChart) {
-        console.log(`ChartManager: Pressure chart update request for ${hours}h`);
+    async updatePressureChart(hoursOrRange = this.range, existingChart) {
+        return this._updateChart('pressure', hoursOrRange, existingChart);
+    }
+
+    // Smart humidity / dew point chart update with timestamp detection
+    async updateHumidityChart(hoursOrRange = this.range, existingChart) {
+        return this._updateChart('humidity', hoursOrRange, existingChart);
+    }
+
+    /**
+     * Everything the humidity chart computes from raw readings
+     * @param {Array} readings - Normalized history, oldest first
+     * @param {Object} thresholds - CONFIG.thresholds
+     * @returns {{dewPoints: Array<{indoor, outdoor, garage}>, riskBands: Array, fanEffects: Array}}
+     *   dewPoints lines up with readings; see humidity-analysis.js for the rest
+     */
+    analyzeHumidity(readings, thresholds) {
+        const [indoor, outdoor, garage] = this.derivedSeries(['indoorDewPointF', 'outdoorDewPointF', 'garageDewPointF'], readings);
+        return {
+            dewPoints: readings.map((reading, index) => ({ indoor: indoor[index], outdoor: outdoor[index], garage: garage[index] })),
+            riskBands: garageRiskBands(readings, thresholds),
+            fanEffects: fanDewPointEffects(readings)
+        };
+    }
+
+    /**
+     * Named computed series (see derived-metrics.js) for callers that cannot import the module
+     * @param {string|string[]} names - e.g. 'pressureRate' or ['indoorOutdoorDeltaF', 'indoorEnthalpy']
+     * @param {Array} readings - Normalized history, oldest first
+     * @returns {Array} Values lined up with readings (null where an input is missing); an array of them for a list of names
+     */
+    derivedSeries(names, readings) {
+        if (Array.isArray(names)) return names.map(name => computeDerivedSeries(name, readings));
+        return computeDerivedSeries(names, readings);
+    }
+
+    // Redraws when the range changed, or when a preset range has newer data.
+    // A fixed window only changes when the range does.
+    async _updateChart(type, hoursOrRange, existingChart) {
+        const range = toChartRange(hoursOrRange);
+        const key = this._drawKey(range);
+        console.log(`ChartManager: ${type} chart update request for ${key}`);
         
-        const timeRangeChanged = this.currentTimeRanges.pressure !== hours;
-        this.currentTimeRanges.pressure = hours;
+        const timeRangeChanged = this.drawnRangeKeys[type] !== key;
+        this.drawnRangeKeys[type] = key;
         
         try {
-            // Get data using DataManager instead of global function
-            const apiData = await this.dataManager.getHistoryData(hours);
+            // Normalized newest-first array (data-normalizer.js)
+            const data = await this.getRangeData(range);
             
-            // Handle both array response (from snapshot) and object response (legacy/wrapper)
-            let data = [];
-            if (Array.isArray(apiData)) {
-                data = apiData;
-            } else if (apiData && Array.isArray(apiData.data)) {
-                data = apiData.data;
-            }
-            
-            if (!data || data.length === 0) {
-                console.log('ChartManager: No pressure data available');
+            if (data.length === 0 && !timeRangeChanged) {
+                console.log(`ChartManager: No ${type} data available`);
                 return existingChart;
             }
             
-            const timestamps = data.map(d => new Date(d.timestamp * 1000))
-                .filter(d => !isNaN(d.getTime()));
+            const newLatestTimestamp = this._getLatestTimestamp();
+            const hasNewData = !!range.hours && (!this.latestTimestamps[type] || newLatestTimestamp > this.latestTimestamps[type]);
             
-            const newLatestTimestamp = timestamps.length > 0 ? new Date(Math.max(...timestamps)) : null;
-            
-            if (!this.latestTimestamps.pressure || 
-                newLatestTimestamp > this.latestTimestamps.pressure || 
-                timeRangeChanged) {
-                
+            if (timeRangeChanged || hasNewData) {
                 if (timeRangeChanged) {
-                    console.log(`ChartManager: Pressure time range changed to ${hours}h, updating chart`);
+                    console.log(`ChartManager: ${type} range changed to ${key}, updating chart`);
                 } else {
-                    console.log(`ChartManager: New pressure data detected, updating chart (${newLatestTimestamp?.toLocaleTimeString()})`);
+                    console.log(`ChartManager: New ${type} data detected, updating chart (${newLatestTimestamp?.toLocaleTimeString()})`);
                 }
                 
-                this.latestTimestamps.pressure = newLatestTimestamp;
-                return await this._performPressureChartUpdate(data, hours, existingChart);
+                this.latestTimestamps[type] = newLatestTimestamp;
+                if (type === 'humidity') return await this._performHumidityChartUpdate(data, range, existingChart);
+                const comparison = await this._loadComparison(range, data);
+                if (type === 'temperature') return await this._performTemperatureChartUpdate(data, range, existingChart, comparison);
+                return await this._performPressureChartUpdate(data, range, existingChart, comparison);
             } else {
-                console.log('ChartManager: No new pressure data, skipping refresh');
+                console.log(`ChartManager: No new ${type} data, skipping refresh`);
                 return existingChart;
             }
             
         } catch (error) {
-            console.error('ChartManager: Error updating pressure chart:', error);
+            console.error(`ChartManager: Error updating ${type} chart:`, error);
             return existingChart;
         }
     }
 
-    async _performTemperatureChartUpdate(data, hours, existingChart) {
+    // A failed comparison fetch leaves the main chart drawable without its ghost
+    async _loadComparison(range, data) {
+        try {
+            return await this.getComparisonData(range, data);
+        } catch (error) {
+            console.error('ChartManager: Error loading comparison window:', error);
+            return null;
+        }
+    }
+
+    // Newest point of the device's history series; every range is a slice of
+    // that series, so one timestamp tells whether any chart has new data
+    _getLatestTimestamp() {
+        const latest = this.dataManager.getLatestHistoryTimestamp();
+        return latest ? new Date(latest) : null;
+    }
+
+    async _performTemperatureChartUpdate(data, range, existingChart, comparison) {
         // Use existing global chart creation function with correct parameter order
         if (typeof createTemperatureChart === 'function') {
             // Pass true for bypassEnhanced, and pass the data to avoid double-fetch
-            return createTemperatureChart(hours, true, data);
+            return createTemperatureChart(range, true, data, comparison);
         } else {
             console.error('ChartManager: createTemperatureChart function not available');
             return existingChart;
         }
     }
 
-    async _performPressureChartUpdate(data, hours, existingChart) {
+    async _performPressureChartUpdate(data, range, existingChart, comparison) {
         // Use existing global chart creation function with correct parameter order  
         if (typeof createPressureChart === 'function') {
             // Pass true for bypassEnhanced, and pass the data to avoid double-fetch
-            return createPressureChart(hours, true, data);
+            return createPressureChart(range, true, data, comparison);
         } else {
             console.error('ChartManager: createPressureChart function not available');
             return existingChart;
         }
     }
+
+    async _performHumidityChartUpdate(data, range, existingChart) {
+        if (typeof createHumidityChart === 'function') {
+            // Pass the data to avoid double-fetch
+            return createHumidityChart(range, data);
+        } else {
+            console.error('ChartManager: createHumidityChart function not available');
+            return existingChart;
+        }
+    }
 }
 
 // Function to create a chart manager instance with DataManager dependency
@@ -0,0 +1,216 @@
+// Command Log Module
+// A record of every VentilationCommand POST made from this browser: who sent
+// it, from where (the control card or a schedule), and how far it got. It is
+// kept in this browser's localStorage, so commands sent by other people,
+// browsers or devices never appear; the dashboard labels it accordingly rather
+// than as the device's full command history, which the API does not provide.
+//
+// The API only reports the current state and what is still pending, so the
+// later stages are read from what the dashboard observes:
+//   queued    - queuedAt from the POST response
+//   delivered - the pending list or count showed the device had picked it up
+//   acked     - the device's state.updatedAt moved past queuedAt, or a pushed
+//               command-ack named the command
+//   expired   - no acknowledgement within COMMAND_EXPIRY_MS
+//   failed    - the POST itself was rejected
+//   cancelled - withdrawn before the device picked it up
+// When the API lists the pending commands by id, that decides what was picked
+// up; otherwise commands leave the queue oldest first, like the device takes them.
+
+const STORAGE_KEY_PREFIX = 'ventilation_command_log:'; // + device id
+const MAX_ENTRIES = 500;
+const COMMAND_EXPIRY_MS = 10 * 60 * 1000; // The device polls every 30 s; ten minutes without an ACK means it never applied
+
+export const COMMAND_STATUSES = ['queued', 'delivered', 'acked', 'expired', 'failed', 'cancelled'];
+
+/**
+ * Where a command is now
+ * @param {Object} entry - From CommandLog
+ * @returns {string} One of COMMAND_STATUSES
+ */
+export function commandStatus(entry) {
+    if (entry.error) return 'failed';
+    if (entry.cancelledAt) return 'cancelled';
+    if (entry.ackedAt) return 'acked';
+    if (entry.expiredAt) return 'expired';
+    if (entry.deliveredAt) return 'delivered';
+    return 'queued';
+}
+
+function seconds(from, to) {
+    return from && to ? Math.max(0, (to - from) / 1000) : null;
+}
+
+export class CommandLog {
+    /**
+     * @param {Object} options
+     * @param {string} options.deviceId - The log is stored per device
+     * @param {Storage} [options.storage]
+     */
+    constructor({ deviceId, storage = localStorage }) {
+        this.storage = storage;
+        this.setDevice(deviceId);
+    }
+
+    setDevice(deviceId) {
+        this.deviceId = deviceId;
+        this.storageKey = `${STORAGE_KEY_PREFIX}${deviceId}`;
+        this.entries = this._load(); // Oldest first
+    }
+
+    /**
+     * @param {Object} command
+     * @param {string} command.command - e.g. 'add_minutes'
+     * @param {number} command.value
+     * @param {string} command.user - Email of whoever sent it
+     * @param {string} command.source - 'Control card', or the schedule that sent it
+     * @param {number} command.queuedAt - Epoch ms from the POST response
+     * @param {string} [command.commandId] - From the POST response; needed to cancel or edit it later
+     */
+    recordQueued({ command, value, user, source, queuedAt, commandId = null }) {
+        this._add({ command, value, user, source, queuedAt, commandId, error: null });
+    }
+
+    recordFailed({ command, value, user, source, error, at = Date.now() }) {
+        this._add({ command, value, user, source, queuedAt: at, commandId: null, error: String(error || 'Failed') });
+    }
+
+    recordCancelled(commandId, user, at = Date.now()) {
+        const entry = this._byCommandId(commandId);
+        if (!entry) return;
+        entry.cancelledAt = at;
+        entry.cancelledBy = user || 'unknown';
+        this._store();
+    }
+
+    // The queued command was given a new value before the device picked it up
+    recordReplaced(commandId, value, user, at = Date.now()) {
+        const entry = this._byCommandId(commandId);
+        if (!entry) return;
+        entry.replaced = [...(entry.replaced || []), { from: entry.value, at, user: user || 'unknown' }];
+        entry.value = value;
+        this._store();
+    }
+
+    // Commands not yet acknowledged, expired, cancelled or failed, oldest first
+    outstanding() {
+        return this.entries
+            .filter(entry => ['queued', 'delivered'].includes(commandStatus(entry)))
+            .map(entry => ({ ...entry }));
+    }
+
+    /**
+     * Moves outstanding commands along from a VentilationCommand state
+     * @param {Object} payload - { state, pendingCount, pending? } from a poll, or a
+     *   pushed command-ack, which also names { commandId, command, value }
+     * @param {number} [now]
+     * @returns {boolean} Whether any entry changed
+     */
+    observe(payload, now = Date.now()) {
+        if (!payload || !payload.state) return false;
+        const updatedAt = Date.parse(payload.state.updatedAt) || null;
+        const outstanding = () => this.entries.filter(entry => ['queued', 'delivered'].includes(commandStatus(entry)));
+        let changed = false;
+
+        const acknowledge = (entry, at) => {
+            entry.ackedAt = at;
+            entry.deliveredAt = entry.deliveredAt ? Math.min(entry.deliveredAt, at) : at;
+            changed = true;
+        };
+
+        // A pushed ACK says exactly which command was applied
+        if (payload.command) {
+            const match = outstanding().find(entry => (payload.commandId
+                ? entry.commandId === payload.commandId
+                : entry.command === payload.command && Number(entry.value) === Number(payload.value)));
+            if (match) acknowledge(match, updatedAt || now);
+        }
+
+        // Whatever is no longer pending has been picked up
+        const waiting = outstanding();
+        let pickedUp;
+        if (Array.isArray(payload.pending)) {
+            const pendingIds = new Set(payload.pending.map(item => item.commandId));
+            pickedUp = waiting.filter(entry => entry.commandId && !pendingIds.has(entry.commandId));
+        } else {
+            pickedUp = waiting.slice(0, Math.max(0, waiting.length - (Number(payload.pendingCount) || 0)));
+        }
+        pickedUp.forEach(entry => {
+            if (updatedAt && updatedAt >= entry.queuedAt) {
+                acknowledge(entry, updatedAt);
+            } else if (!entry.deliveredAt) {
+                entry.deliveredAt = now;
+                changed = true;
+            }
+        });
+
+        outstanding().forEach(entry => {
+            if (now - entry.queuedAt < COMMAND_EXPIRY_MS) return;
+            entry.expiredAt = now;
+            changed = true;
+        });
+
+        if (changed) this._store();
+        return changed;
+    }
+
+    /**
+     * Log entries, newest first, with their status and latencies in seconds
+     * @param {Object} [filters]
+     * @param {string} [filters.text] - Matched against command, user, source and error, case-insensitive
+     * @param {string} [filters.status] - One of COMMAND_STATUSES, or 'all'
+     * @param {number} [filters.since] - Epoch ms
+     * @returns {Array}
+     */
+    search({ text = '', status = 'all', since = null } = {}) {
+        const needle = text.trim().toLowerCase();
+        return this.entries
+            .filter(entry => since === null || entry.queuedAt >= since)
+            .map(entry => ({
+                ...entry,
+                status: commandStatus(entry),
+                deliverySec: seconds(entry.queuedAt, entry.deliveredAt),
+                ackSec: seconds(entry.deliveredAt, entry.ackedAt),
+                totalSec: seconds(entry.queuedAt, entry.ackedAt)
+            }))
+            .filter(entry => status === 'all' || entry.status === status)
+            .filter(entry => !needle || [entry.command, entry.user, entry.source, entry.error, entry.cancelledBy]
+                .some(field => field && String(field).toLowerCase().includes(needle)))
+            .reverse();
+    }
+
+    _byCommandId(commandId) {
+        return commandId ? this.entries.find(entry => entry.commandId === commandId) || null : null;
+    }
+
+    _add(fields) {
+        this.entries.push({
+            id: `cmd-${fields.queuedAt.toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            deliveredAt: null,
+            ackedAt: null,
+            expiredAt: null,
+            cancelledAt: null,
+            ...fields
+        });
+        this.entries = this.entries.slice(-MAX_ENTRIES);
+        this._store();
+    }
+
+    _load() {
+        try {
+            const saved = JSON.parse(this.storage.getItem(this.storageKey) || '[]');
+            return Array.isArray(saved) ? saved.filter(entry => entry && entry.id && entry.command) : [];
+        } catch (error) {
+            console.warn('CommandLog: Ignoring unreadable command history:', error);
+            return [];
+        }
+    }
+
+    _store() {
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(this.entries));
+        } catch (error) {
+            console.warn('CommandLog: Could not save command history:', error);
+        }
+    }
+}
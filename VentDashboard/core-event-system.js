@@ -92,6 +92,7 @@ export const EVENT_NAMES = {
     DATA_UPDATED: 'data:updated',
     DATA_ERROR: 'data:error',
     DATA_LOADING: 'data:loading',
+    DEVICE_CHANGED: 'device:changed',
     
     // Chart events
     CHART_UPDATED: 'chart:updated',
@@ -1,9 +1,19 @@
 // ESP32 Ventilation Dashboard JavaScript
 /*
 🚨 CRITICAL DEPLOYMENT REMINDER:
-- This dashboard ONLY works on Azure Static Web App (has API keys)
-- Local file testing WILL FAIL - no API access locally
-- MUST GIT PUSH all changes before testing
+- Live data ONLY works on Azure Static Web App (has API keys)
+- Endpoints, devices, intervals and thresholds come from config.json
+  (runtime-config.js); no URLs are hard-coded in this file
+- For local development, serve this folder over HTTP on localhost and open
+  dashboard.html?transport=fixtures - recorded API responses from fixtures/
+  are served instead of calling Azure (no login needed) under a FIXTURE DATA
+  banner. ?transport=http switches back; other hosts refuse fixture mode.
+  Modules, config and fixtures do not load from file:// URLs.
+- To develop against pushed updates, run node dev-server/stand-in-server.mjs
+  from the repository root (it is kept out of the deployed folder)
+  and open http://localhost:8787/dashboard.html (live channel over SSE, or
+  --mode websocket). Stopping it shows the fallback to polling.
+- MUST GIT PUSH all changes before testing against live data
 - Wait 1-2 minutes after git push for Azure deployment to complete
 */
 
@@ -47,9 +57,10 @@ const AuthUtils = {
         return headers;
     },
 
-    logout() {
+    async logout() {
         localStorage.removeItem('ventilation_auth_token');
         localStorage.removeItem('ventilation_user_email');
+        await clearOfflineData();
         window.location.href = 'login.html';
     },
 
@@ -64,6 +75,17 @@ const AuthUtils = {
     }
 };
 
+// Drops the last-known snapshots and history kept in IndexedDB, so the next
+// person to open the dashboard does not see this user's data before logging in
+async function clearOfflineData() {
+    try {
+        const { offlineCache, fixtureOfflineCache } = await ModuleLoader.loadModule('offline-cache.js');
+        await Promise.all([offlineCache.clear(), fixtureOfflineCache.clear()]);
+    } catch (error) {
+        Logger.warn('Could not clear offline data on logout:', error);
+    }
+}
+
 const ModuleLoader = {
     loadedModules: new Map(),
     
@@ -74,6 +96,7 @@ const ModuleLoader = {
         
         try {
             Logger.log(`ModuleLoader: Loading ${fileName}`);
+            // The import map in dashboard.html adds the deploy's ?v= to every module URL
             const module = await import(`./${fileName}`);
             this.loadedModules.set(fileName, module);
             Logger.log(`ModuleLoader: ${fileName} loaded successfully`);
@@ -98,11 +121,23 @@ const ModuleLoader = {
 let GlobalDataManager = null;
 let GlobalChartManager = null;
 let GlobalEventSystem = null;
+let GlobalRefreshScheduler = null;
+let GlobalAlertEngine = null;
+let GlobalNotifier = null;
+let GlobalAlertLog = null;
+let GlobalVentilationScheduler = null;
+let GlobalCommandLog = null;
+let GlobalVentilationPresets = null;
+let GlobalVentilationAdvisor = null;
 
 /**
  * Initializes the modular architecture system by loading required modules
- * Loads data-api-manager.js, chart-manager.js, and core-event-system.js
- * Sets global references for DataManager, ChartManager, and EventSystem
+ * Loads data-api-manager.js, chart-manager.js, core-event-system.js, refresh-scheduler.js, alert-rules.js,
+ * alert-history.js, desktop-notifications.js, ventilation-schedules.js, command-log.js, ventilation-presets.js
+ * and ventilation-advisor.js
+ * Sets global references for DataManager, ChartManager, EventSystem, RefreshScheduler, AlertEngine, AlertLog,
+ * Notifier, VentilationScheduler, CommandLog, VentilationPresets and VentilationAdvisor
+ * GlobalDataManager is the dashboard's only data layer, so nothing can load without it
  * @returns {Object|null} Object containing dataManager, chartManager, and DashboardEvents, or null on failure
  */
 async function initializeModularSystems() {
@@ -113,21 +148,45 @@ async function initializeModularSystems() {
         const { dataManager } = await ModuleLoader.loadModule('data-api-manager.js');
         const { createChartManager } = await ModuleLoader.loadModule('chart-manager.js');
         const { DashboardEvents } = await ModuleLoader.loadModule('core-event-system.js');
+        const { RefreshScheduler, refreshSettings } = await ModuleLoader.loadModule('refresh-scheduler.js');
+        const { AlertEngine } = await ModuleLoader.loadModule('alert-rules.js');
+        const { AlertLog } = await ModuleLoader.loadModule('alert-history.js');
+        const { DesktopNotifier } = await ModuleLoader.loadModule('desktop-notifications.js');
+        const { VentilationScheduler } = await ModuleLoader.loadModule('ventilation-schedules.js');
+        const { CommandLog } = await ModuleLoader.loadModule('command-log.js');
+        const { PresetStore } = await ModuleLoader.loadModule('ventilation-presets.js');
+        const { VentilationAdvisor } = await ModuleLoader.loadModule('ventilation-advisor.js');
         
         // Create chart manager with DataManager dependency
         const chartManager = createChartManager(dataManager);
+        const refreshScheduler = new RefreshScheduler(refreshSettings(CONFIG));
+        const alertEngine = new AlertEngine({ userKey: AuthUtils.getUserEmail(), thresholds: CONFIG.thresholds });
+        const alertLog = new AlertLog({ userKey: AuthUtils.getUserEmail() });
+        const notifier = new DesktopNotifier();
+        const ventilationScheduler = new VentilationScheduler({ deviceId: CONFIG.deviceId });
+        const commandLog = new CommandLog({ deviceId: CONFIG.deviceId });
+        const ventilationPresets = new PresetStore({ userKey: AuthUtils.getUserEmail(), deviceId: CONFIG.deviceId });
+        const ventilationAdvisor = new VentilationAdvisor({ deviceId: CONFIG.deviceId });
+        notifier.start(); // Re-registers the worker for an earlier opt-in; never prompts
         
         // Set global references
         GlobalDataManager = dataManager;
         GlobalChartManager = chartManager;
         GlobalEventSystem = DashboardEvents;
+        GlobalRefreshScheduler = refreshScheduler;
+        GlobalAlertEngine = alertEngine;
+        GlobalAlertLog = alertLog;
+        GlobalNotifier = notifier;
+        GlobalVentilationScheduler = ventilationScheduler;
+        GlobalCommandLog = commandLog;
+        GlobalVentilationPresets = ventilationPresets;
+        GlobalVentilationAdvisor = ventilationAdvisor;
         
         Logger.log('=== STAGE 5: Modular systems initialized successfully ===');
         
-        return { dataManager, chartManager, DashboardEvents };
+        return { dataManager, chartManager, DashboardEvents, refreshScheduler, alertEngine, alertLog, notifier, ventilationScheduler, commandLog, ventilationPresets, ventilationAdvisor };
     } catch (error) {
         Logger.error('STAGE 5: Failed to initialize modular systems:', error);
-        // Fallback to legacy systems if modules fail
         return null;
     }
 }
@@ -205,6 +264,16 @@ const DateTimeUtils = {
             return date.toLocaleDateString([], {month: 'short', day: 'numeric'}) + ' ' + 
                    date.toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'});
         }
+    },
+
+    // Epoch ms <-> the local "YYYY-MM-DDTHH:MM" value of <input type="datetime-local">
+    toLocalInputValue(ms) {
+        const date = new Date(ms - new Date(ms).getTimezoneOffset() * 60000);
+        return date.toISOString().slice(0, 16);
+    },
+
+    fromLocalInputValue(value) {
+        return value ? new Date(value).getTime() : NaN; // No zone suffix, so parsed as local time
     }
 };
 
@@ -246,6 +315,87 @@ const ChartUtils = {
         }
     },
 
+    // "6 Hours" for presets, "Oct 14, 2:00 PM – Oct 14, 6:00 PM" for zoomed windows
+    describeRange(range) {
+        if (range.hours) return `${range.hours} Hours`;
+        return `${DateTimeUtils.formatDateTime(new Date(range.start))} – ${DateTimeUtils.formatDateTime(new Date(range.end))}`;
+    },
+
+    // "2024-10-14T1400_to_2024-10-14T1800" (local time) for export file names
+    describeRangeForFile(range) {
+        const stamp = ms => DateTimeUtils.toLocalInputValue(ms).replace(':', '');
+        return `${stamp(range.start)}_to_${stamp(range.end)}`;
+    },
+
+    // Shareable links: ?hours=24 for presets, ?from=&to= (ISO) for fixed windows,
+    // plus ?compare=week (or a YYYY-MM-DD day) for the comparison overlay
+    readChartViewFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        let range = null;
+        if (params.has('from') && params.has('to')) {
+            range = { start: Date.parse(params.get('from')), end: Date.parse(params.get('to')) };
+        } else if (Number(params.get('hours')) > 0) {
+            range = { hours: Number(params.get('hours')) };
+        }
+        const compare = params.get('compare');
+        let comparison = null;
+        if (compare) comparison = /^\d{4}-\d{2}-\d{2}$/.test(compare) ? { mode: 'date', date: compare } : { mode: compare };
+        return { range, comparison };
+    },
+
+    // Keeps every other parameter (deviceId, transport, ...) as it is
+    writeChartViewToUrl(range, comparison, defaultHours = 6) {
+        const url = new URL(window.location.href);
+        ['hours', 'from', 'to', 'compare'].forEach(key => url.searchParams.delete(key));
+        if (range.hours && range.hours !== defaultHours) {
+            url.searchParams.set('hours', range.hours);
+        } else if (!range.hours) {
+            url.searchParams.set('from', new Date(range.start).toISOString());
+            url.searchParams.set('to', new Date(range.end).toISOString());
+        }
+        if (comparison) url.searchParams.set('compare', comparison.mode === 'date' ? comparison.date : comparison.mode);
+        if (url.href !== window.location.href) window.history.replaceState(null, '', url.href);
+    },
+
+    /**
+     * Faded copy of one series from the comparison window, already shifted onto
+     * the chart's time axis by GlobalChartManager.getComparisonData()
+     * @param {Object} comparison - From getComparisonData
+     * @param {HTMLCanvasElement} canvas - Chart canvas (sets the downsampling budget)
+     * @param {Object} options - label, color, yAxisID, valueOf(reading) -> number|null
+     * @returns {Object} Chart.js dataset
+     */
+    comparisonDataset(comparison, canvas, { label, color, yAxisID, valueOf }) {
+        const indices = GlobalChartManager.downsample(comparison.data, canvas, {
+            timeOf: reading => reading.time,
+            series: [{ valueOf, method: 'lttb' }]
+        });
+        const readings = indices ? indices.map(index => comparison.data[index]) : comparison.data;
+        return {
+            label: `${label} – ${comparison.label}`,
+            data: readings
+                .map(reading => ({ x: reading.time, y: valueOf(reading), originalTime: reading.originalTime }))
+                .filter(point => typeof point.y === 'number'),
+            borderColor: color,
+            backgroundColor: color,
+            borderWidth: 1.5,
+            borderDash: [2, 3],
+            pointRadius: 0,
+            tension: 0.3,
+            fill: false,
+            yAxisID,
+            comparison: true
+        };
+    },
+
+    // 'index' tooltips pair points by position, which means nothing for a ghost
+    // series; keep a ghost point only when it sits at the hovered time
+    comparisonTooltipFilter(item, index, items) {
+        if (!item.dataset.comparison) return true;
+        const hovered = items.find(other => !other.dataset.comparison);
+        return !!hovered && Math.abs(item.parsed.x - hovered.parsed.x) <= 30 * 60 * 1000;
+    },
+
     updateActiveButton(containerSelector, hours, functionName) {
         const selector = containerSelector ? `${containerSelector} .time-btn` : '.time-btn';
         document.querySelectorAll(selector).forEach(btn => {
@@ -308,19 +458,91 @@ function getApiKeyFromUrl() {
     return null;
 }
 
-// Configuration - Replace with your actual Azure Function URLs
+// Configuration - filled from config.json at startup by initializeRuntimeConfig()
+// Endpoints, devices, refresh interval, retry/circuit settings and alert
+// thresholds all live in config.json (see runtime-config.js for overrides)
 const CONFIG = {
-    statusApiUrl: 'https://esp32-ventilation-api.azurewebsites.net/api/GetEnhancedDashboardData', // For analytics and aggregated data
-    ventilationStatusApiUrl: 'https://esp32-ventilation-api.azurewebsites.net/api/GetVentilationStatus', // For real-time status and aggregation status
-    deviceId: 'ESP32-Ventilation-01',
-    refreshInterval: 15000, // 15 seconds - check for new telemetry data
-    apiSecret: null, // Will be set dynamically, DO NOT STORE SECRETS IN THE JS/HTML FILES
-    enhancedApiUrl: 'https://esp32-ventilation-api.azurewebsites.net/api/GetEnhancedDashboardData',
-    snapshotApiUrl: 'https://esp32-ventilation-api.azurewebsites.net/api/GetDashboardSnapshot',
-    historyApiUrl: 'https://esp32-ventilation-api.azurewebsites.net/api/GetVentilationHistory',
-    commandApiUrl: 'https://esp32-ventilation-api.azurewebsites.net/api/VentilationCommand'
+    apiSecret: null // Will be set dynamically, DO NOT STORE SECRETS IN THE JS/HTML FILES
 };
 
+// ===================================================================
+// RUNTIME CONFIG & API TRANSPORT
+// ===================================================================
+
+/**
+ * Loads config.json (plus localStorage/URL overrides) into CONFIG
+ * Safe to call more than once; the file is fetched a single time per page
+ * @returns {Promise<Object>} The populated CONFIG
+ * @throws {Error} ConfigError listing every missing or invalid field
+ */
+async function initializeRuntimeConfig() {
+    const { loadRuntimeConfig } = await ModuleLoader.loadModule('runtime-config.js');
+    const config = await loadRuntimeConfig();
+    if (CONFIG.transport === undefined && config.transport === 'fixtures') {
+        Logger.warn('Fixture transport active - serving recorded API responses, not live data');
+        const banner = document.getElementById('fixtureBanner');
+        if (banner) banner.hidden = false;
+    }
+    Object.entries(config).forEach(([key, value]) => {
+        // deviceId changes at runtime (switchDevice); keep the live value on repeat calls
+        if (key === 'deviceId' && CONFIG.deviceId) return;
+        CONFIG[key] = value;
+    });
+    return CONFIG;
+}
+
+/**
+ * Replaces the dashboard with a readable list of configuration problems
+ * @param {Error} error - ConfigError from runtime-config.js, or a load failure
+ * @returns {void}
+ */
+function showRuntimeConfigError(error) {
+    Logger.error('Runtime configuration failed:', error);
+    const loadingSection = document.getElementById('loadingSection');
+    if (loadingSection) loadingSection.style.display = 'none';
+
+    const errorSection = document.getElementById('errorSection');
+    if (!errorSection) return;
+    const problems = Array.isArray(error.problems) ? error.problems : [error.message];
+    errorSection.innerHTML = `
+        <h3>⚠️ Configuration Error</h3>
+        <p>The dashboard could not start because config.json is missing or invalid:</p>
+        <ul class="config-problems"></ul>
+        <p>Fix config.json (or clear the <code>ventilation_config_overrides</code> localStorage entry) and reload.</p>
+    `;
+    // Problems can echo URL parameters, so never render them as HTML
+    const list = errorSection.querySelector('.config-problems');
+    problems.forEach(problem => {
+        const item = document.createElement('li');
+        item.textContent = problem;
+        list.appendChild(item);
+    });
+    errorSection.style.display = 'block';
+    updateConnectionStatus('disconnected');
+}
+
+/**
+ * Whether requests are served from recorded fixtures instead of Azure
+ * Fixture mode needs no login, so authentication checks pass through
+ * @returns {boolean}
+ */
+function isFixtureTransport() {
+    return CONFIG.transport === 'fixtures';
+}
+
+/**
+ * fetch() replacement for every API call outside the modular DataManager
+ * Routes through the transport module so fixture mode covers commands and
+ * climate analysis as well
+ * @param {string} url - API endpoint
+ * @param {RequestInit} [options] - Same options as fetch()
+ * @returns {Promise<Response>}
+ */
+async function apiFetch(url, options = {}) {
+    const { getTransport } = await ModuleLoader.loadModule('transport.js');
+    return getTransport().request(url, options);
+}
+
 // Initialize API secret from URL parameter
 /**
  * No-op shim kept for backward compatibility with code paths that still
@@ -335,13 +557,116 @@ function initializeApiSecret() {
     return null;
 }
 
+// ===================================================================
+// DEVICE REGISTRY & SWITCHER
+// ===================================================================
+
+/**
+ * Restores the last selected device from localStorage into CONFIG.deviceId
+ * Must run before the modular DataManager is created so its first requests
+ * already target the right controller. Unknown IDs fall back to the default.
+ * @returns {string} The active device ID
+ */
+function restoreActiveDevice() {
+    // A ?deviceId= link (applied by the runtime config unless the device is unknown) beats the remembered choice
+    if (new URLSearchParams(window.location.search).get('deviceId') === CONFIG.deviceId) {
+        localStorage.setItem('ventilation_device_id', CONFIG.deviceId);
+        return CONFIG.deviceId;
+    }
+    const saved = localStorage.getItem('ventilation_device_id');
+    if (saved && CONFIG.devices.some(device => device.id === saved)) {
+        CONFIG.deviceId = saved;
+    }
+    return CONFIG.deviceId;
+}
+
+/**
+ * Populates the header device switcher from CONFIG.devices
+ * The switcher stays hidden when only one device is registered.
+ * @returns {void}
+ */
+function initializeDeviceSelector() {
+    const selector = document.getElementById('deviceSelector');
+    const container = document.getElementById('deviceSwitcher');
+    if (!selector) return;
+
+    selector.innerHTML = '';
+    CONFIG.devices.forEach(device => {
+        const option = document.createElement('option');
+        option.value = device.id;
+        option.textContent = device.name || device.id;
+        option.selected = device.id === CONFIG.deviceId;
+        selector.appendChild(option);
+    });
+    if (container) container.style.display = CONFIG.devices.length > 1 ? '' : 'none';
+}
+
+/**
+ * Switches the whole dashboard to another registered device
+ * Drops chart freshness tracking, then runs every registered refresh task
+ * (snapshot, charts, command panel, ...) for the new device.
+ * @param {string} deviceId - ID of a device listed in CONFIG.devices
+ * @returns {Promise<void>}
+ */
+async function switchDevice(deviceId) {
+    const device = CONFIG.devices.find(item => item.id === deviceId);
+    if (!device) {
+        Logger.error(`switchDevice: Unknown device ${deviceId}`);
+        return;
+    }
+    if (deviceId === CONFIG.deviceId) return;
+
+    Logger.log(`Switching device ${CONFIG.deviceId} -> ${deviceId}`);
+    CONFIG.deviceId = deviceId;
+    localStorage.setItem('ventilation_device_id', deviceId);
+    if (GlobalDataManager) GlobalDataManager.setActiveDevice(deviceId);
+
+    // Force both charts to redraw even if the new device's data looks "older".
+    latestChartDataTimestamp = null;
+    latestPressureDataTimestamp = null;
+    if (GlobalChartManager) {
+        GlobalChartManager.resetTracking();
+        GlobalChartManager.clearAnnotations();
+    }
+    if (GlobalAlertEngine) GlobalAlertEngine.resetState();
+    lastStormRiskRank = null;
+    if (GlobalVentilationScheduler) {
+        GlobalVentilationScheduler.setDevice(deviceId);
+        clearScheduleForm();
+        renderVentilationSchedules();
+    }
+    if (GlobalCommandLog) {
+        GlobalCommandLog.setDevice(deviceId);
+        renderCommandHistory();
+    }
+    if (GlobalVentilationPresets) {
+        GlobalVentilationPresets.setDevice(deviceId);
+        renderVentilationPresets();
+    }
+    if (GlobalVentilationAdvisor) {
+        GlobalVentilationAdvisor.setDevice(deviceId);
+        ventilationAdvisorConditions = null;
+        renderVentilationAdvisor();
+    }
+
+    ventilationControlState = null;
+    annotatedControlUpdateAt = null;
+    renderStopVentilationControl(); // Until the new device's API says it can stop
+    setControlStatus('fanTempStartStatus', `Loading ${device.name || device.id} setting…`);
+    setControlStatus('manualVentilationStatus', 'Loading…');
+
+    if (GlobalEventSystem) GlobalEventSystem.emit('device:changed', { deviceId, name: device.name });
+
+    await GlobalRefreshScheduler.runAll();
+}
+
 // Global variables
 let temperatureChart = null;
 let pressureChart = null;
+let humidityChart = null;
 let incidentTrendsChart = null;
-let refreshTimer = null;
-let currentChartHours = 6; // Track the currently displayed time period
-let currentPressureChartHours = 6; // Track the currently displayed pressure chart time period
+let lastSnapshotRefreshAt = 0; // When refreshData() last completed; paces resyncs while live
+let drawnPressureRange = null; // JSON of the range and comparison the pressure chart last drew (both live in GlobalChartManager)
 let latestChartDataTimestamp = null; // Track the latest data point timestamp to avoid unnecessary chart refreshes
 let latestPressureDataTimestamp = null; // Track pressure chart data freshness
 let originalIncidentsData = []; // Global variable to store original incidents data for filtering
@@ -382,7 +707,7 @@ function initializeDashboardTabs() {
     // Tab 3: analytical/status widgets. Inner layouts are not changed.
     ['comfortSection', 'systemStatusCard']
         .forEach(id => moveDashboardWidget(id, analysisGrid));
-    ['doorSection', 'yesterdayReport', 'ventilationEffectivenessCard', 'advancedAnalyticsCard', 'alertSection']
+    ['doorSection', 'yesterdayReport', 'ventilationEffectivenessCard', 'advancedAnalyticsCard', 'alertSection', 'commandHistoryCard']
         .forEach(id => moveDashboardWidget(id, analysisFlow));
 
     const oldGrid = document.getElementById('currentStatusGrid');
@@ -429,7 +754,7 @@ function showDashboardTab(tabName) {
     // Chart.js may initialize while its tab is hidden; resize after the panel becomes visible.
     if (tabName === 'history' || tabName === 'analysis') {
         requestAnimationFrame(() => {
-            [temperatureChart, pressureChart, incidentTrendsChart].forEach(chart => {
+            [temperatureChart, pressureChart, humidityChart, incidentTrendsChart].forEach(chart => {
                 if (chart && typeof chart.resize === 'function') chart.resize();
             });
             window.dispatchEvent(new Event('resize'));
@@ -447,32 +772,200 @@ function setControlStatus(id, message, type = '') {
     if (type) element.classList.add(type);
 }
 
+// Manual fan time left now, counting down from when the device last reported it
+function manualVentilationRemainingSec(state) {
+    const remaining = Number(state.manualVentRemainingSec || 0);
+    if (remaining <= 0 || !state.updatedAt) return remaining;
+    const elapsed = Math.max(0, (Date.now() - Date.parse(state.updatedAt)) / 1000);
+    return Math.max(0, remaining - elapsed);
+}
+
+const MANUAL_VENT_MAX_SEC = 2 * 60 * 60; // The firmware caps manual time at two hours
+
+/*
+Command API contract (CONFIG.commandApiUrl?deviceId=…). Every backend supports
+GET (control state) and POST { deviceId, command, value } with set_fan_start_temp
+and add_minutes. The rest is optional, and the control card only offers it when
+the GET payload advertises it:
+- commands: ['set_fan_start_temp', 'add_minutes', 'stop_ventilation', …] - the
+  commands POST accepts. Stop Ventilation Now is shown when it lists stop_ventilation.
+- pending: [{ commandId, command, value, queuedAt }] - commands the device has
+  not picked up yet (POST returns the same commandId). Listing them promises
+  DELETE ?commandId=… to withdraw one and PATCH { deviceId, commandId, value }
+  to change its value, each answering 409 once the device has picked it up.
+  Without it, queued commands are listed but cannot be cancelled or changed.
+dev-server/stand-in-server.mjs implements all of it.
+*/
+
+// What the command API advertises beyond GET and POST, from the last control state
+function ventilationCommandCapabilities() {
+    const payload = ventilationControlState || {};
+    return {
+        stop: Array.isArray(payload.commands) && payload.commands.includes('stop_ventilation'),
+        editPending: Array.isArray(payload.pending)
+    };
+}
+
+/**
+ * Commands the device has not applied yet, oldest first: the API's pending
+ * list merged with what this browser sent and has not seen acknowledged
+ * @returns {Array} { commandId, command, value, queuedAt (epoch ms), cancellable, pickedUp }
+ */
+function pendingVentilationCommands() {
+    if (!ventilationControlState) return [];
+    const listed = ventilationCommandCapabilities().editPending ? ventilationControlState.pending : null;
+    const commands = new Map();
+    (listed || []).forEach(item => commands.set(item.commandId, {
+        commandId: item.commandId,
+        command: item.command,
+        value: item.value,
+        queuedAt: Date.parse(item.queuedAt) || Date.now(),
+        cancellable: Boolean(item.commandId),
+        pickedUp: false
+    }));
+    (GlobalCommandLog ? GlobalCommandLog.outstanding() : []).forEach(entry => {
+        if (entry.commandId && commands.has(entry.commandId)) return;
+        // Missing from the API's pending list means the device has it already
+        const pickedUp = Boolean(listed) || Boolean(entry.deliveredAt);
+        commands.set(entry.commandId || entry.id, { ...entry, cancellable: false, pickedUp });
+    });
+    return [...commands.values()].sort((a, b) => a.queuedAt - b.queuedAt);
+}
+
+// Manual fan time the device last confirmed, counted down, and what it will be once the pending commands apply
+function expectedManualVentilation() {
+    const confirmed = manualVentilationRemainingSec(ventilationControlState.state);
+    const pending = pendingVentilationCommands().filter(item => ['add_minutes', 'stop_ventilation'].includes(item.command));
+    const expected = pending.reduce((remaining, item) => (item.command === 'stop_ventilation'
+        ? 0
+        : Math.min(MANUAL_VENT_MAX_SEC, remaining + Number(item.value) * 60)), confirmed);
+    return { confirmed, expected, pending };
+}
+
+// The fan start setting once the pending commands apply
+function expectedFanStartTempF() {
+    const queued = pendingVentilationCommands().filter(item => item.command === 'set_fan_start_temp').pop();
+    return Number(queued ? queued.value : ventilationControlState.state.fanStartTempF || 70);
+}
+
+function formatCountdown(totalSec) {
+    const sec = Math.max(0, Math.ceil(totalSec));
+    const hours = Math.floor(sec / 3600);
+    const minutes = Math.floor((sec % 3600) / 60);
+    const pad = n => String(n).padStart(2, '0');
+    return hours > 0 ? `${hours}:${pad(minutes)}:${pad(sec % 60)}` : `${minutes}:${pad(sec % 60)}`;
+}
+
+/**
+ * Ticks the manual ventilation countdown; runs as the 'countdown' refresh task
+ * The confirmed time is what the device last ACKed, counted down locally; the
+ * expected time applies the pending commands to it the way the firmware will
+ * @returns {void}
+ */
+function renderManualVentilationCountdown() {
+    const element = document.getElementById('manualVentilationCountdown');
+    if (!element) return;
+    if (!ventilationControlState) {
+        element.textContent = '—';
+        element.classList.remove('active');
+        return;
+    }
+    const { confirmed, expected, pending } = expectedManualVentilation();
+
+    let text = confirmed > 0 ? `⏱ ${formatCountdown(confirmed)} remaining` : 'No manual ventilation time active';
+    if (pending.length > 0) {
+        const waiting = `${pending.length} pending command${pending.length === 1 ? '' : 's'}`;
+        text += expected > 0
+            ? ` → about ${formatCountdown(expected)} once the device applies ${waiting}`
+            : ` → stopping once the device applies ${waiting}`;
+    }
+    element.textContent = text;
+    element.classList.toggle('active', confirmed > 0 || expected > 0);
+}
+
+/**
+ * Lists the pending commands with Cancel, and a value edit for those that carry one
+ * Rebuilt only when the state changes, so a value being typed is not replaced;
+ * Cancel and Change only appear when the API lists pending commands
+ * @returns {void}
+ */
+function renderPendingVentilationCommands() {
+    const list = document.getElementById('pendingCommandList');
+    if (!list) return;
+    const pending = pendingVentilationCommands();
+    list.replaceChildren(...pending.map(item => {
+        const row = document.createElement('div');
+        row.className = 'pending-command-row';
+        const label = document.createElement('span');
+        label.className = 'pending-command-label';
+        label.textContent = `${describeVentilationCommand(item.command, item.value)} · queued ${DashboardUtils.formatDuration((Date.now() - item.queuedAt) / 1000)} ago`;
+        row.appendChild(label);
+        if (!item.cancellable) {
+            label.textContent += item.pickedUp ? ' · picked up, waiting for ACK' : ' · waiting for the device';
+            return row;
+        }
+        if (item.command === 'add_minutes' || item.command === 'set_fan_start_temp') {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.value = item.value;
+            input.setAttribute('aria-label', `New value for ${describeVentilationCommand(item.command, item.value)}`);
+            if (item.command === 'add_minutes') Object.assign(input, { min: 1, max: 120, step: 1 });
+            else Object.assign(input, { min: 55, max: 90, step: 0.5 });
+            const change = document.createElement('button');
+            change.type = 'button';
+            change.className = 'control-button small';
+            change.textContent = 'Change';
+            change.onclick = () => replacePendingCommand(item.commandId, item.command, input.value);
+            row.append(input, change);
+        }
+        const cancel = document.createElement('button');
+        cancel.type = 'button';
+        cancel.className = 'control-button small secondary';
+        cancel.textContent = 'Cancel';
+        cancel.onclick = () => cancelPendingCommand(item.commandId, item.command, item.value);
+        row.appendChild(cancel);
+        return row;
+    }));
+    list.hidden = pending.length === 0;
+    const help = document.getElementById('pendingCommandHelp');
+    if (help) {
+        help.textContent = ventilationCommandCapabilities().editPending
+            ? 'Commands wait for the device\'s next poll (about 30 seconds); until then they can be cancelled or changed.'
+            : 'Commands wait for the device\'s next poll (about 30 seconds).';
+    }
+}
+
+// Stop is only offered when the command API says it accepts stop_ventilation
+function renderStopVentilationControl() {
+    const supported = ventilationCommandCapabilities().stop;
+    ['stopVentilationButton', 'stopVentilationHelp'].forEach(id => {
+        const element = document.getElementById(id);
+        if (element) element.hidden = !supported;
+    });
+}
+
 function renderVentilationControlState(payload) {
     if (!payload || !payload.state) return;
     ventilationControlState = payload;
+    annotateAppliedVentilationChange(payload);
+    if (GlobalCommandLog && GlobalCommandLog.observe(payload)) renderCommandHistory();
     const input = document.getElementById('fanTempStartInput');
     if (input && document.activeElement !== input) input.value = Number(payload.state.fanStartTempF || 70).toFixed(1);
 
     const pendingText = payload.pendingCount ? ` · ${payload.pendingCount} command${payload.pendingCount === 1 ? '' : 's'} pending` : '';
     setControlStatus('fanTempStartStatus', `Current setting: ${Number(payload.state.fanStartTempF || 70).toFixed(1)}°F${pendingText}`);
-
-    let remaining = Number(payload.state.manualVentRemainingSec || 0);
-    if (remaining > 0 && payload.state.updatedAt) {
-        const elapsed = Math.max(0, (Date.now() - Date.parse(payload.state.updatedAt)) / 1000);
-        remaining = Math.max(0, remaining - elapsed);
-    }
-    const minutes = Math.ceil(remaining / 60);
-    setControlStatus('manualVentilationStatus',
-        minutes > 0 ? `Manual ventilation: about ${minutes} minute${minutes === 1 ? '' : 's'} remaining${pendingText}` : `No manual ventilation time active${pendingText}`,
-        minutes > 0 ? 'success' : '');
+    setControlStatus('manualVentilationStatus', ''); // The countdown now says what the last command did
+    renderManualVentilationCountdown();
+    renderPendingVentilationCommands();
+    renderStopVentilationControl();
 }
 
 async function loadVentilationControlState() {
     const token = localStorage.getItem('ventilation_auth_token');
-    if (!token && !CONFIG.apiSecret) return;
+    if (!token && !CONFIG.apiSecret && !isFixtureTransport()) return;
     try {
         const url = `${CONFIG.commandApiUrl}?deviceId=${encodeURIComponent(CONFIG.deviceId)}`;
-        const response = await fetch(url, { method: 'GET', headers: DashboardUtils.getAuthHeaders(), cache: 'no-store' });
+        const response = await apiFetch(url, { method: 'GET', headers: DashboardUtils.getAuthHeaders(), cache: 'no-store' });
         if (!response.ok) throw new Error(`Command status HTTP ${response.status}`);
         renderVentilationControlState(await response.json());
     } catch (error) {
@@ -482,12 +975,17 @@ async function loadVentilationControlState() {
     }
 }
 
-async function queueVentilationCommand(command, value, buttonId, statusId, queuedMessage) {
+/**
+ * Posts one command for the device to pick up on its next poll, and logs it
+ * @param {string} [source] - What sent it, for the command history
+ * @returns {Promise<boolean>} Whether the command was queued
+ */
+async function queueVentilationCommand(command, value, buttonId, statusId, queuedMessage, source = 'Control card') {
     const button = document.getElementById(buttonId);
     if (button) button.disabled = true;
     setControlStatus(statusId, 'Sending command…');
     try {
-        const response = await fetch(`${CONFIG.commandApiUrl}?deviceId=${encodeURIComponent(CONFIG.deviceId)}`, {
+        const response = await apiFetch(`${CONFIG.commandApiUrl}?deviceId=${encodeURIComponent(CONFIG.deviceId)}`, {
             method: 'POST',
             headers: DashboardUtils.getAuthHeaders(),
             body: JSON.stringify({ deviceId: CONFIG.deviceId, command, value })
@@ -495,22 +993,63 @@ async function queueVentilationCommand(command, value, buttonId, statusId, queue
         const payload = await response.json().catch(() => ({}));
         if (!response.ok) throw new Error(payload.error || `Command HTTP ${response.status}`);
         setControlStatus(statusId, queuedMessage, 'success');
-        // Device polls every 30 seconds. Refresh twice so ACK/state appears without a page reload.
-        setTimeout(loadVentilationControlState, 5000);
-        setTimeout(loadVentilationControlState, 35000);
+        const queuedAt = Date.parse(payload.queuedAt) || Date.now();
+        if (GlobalCommandLog) {
+            GlobalCommandLog.recordQueued({ command, value, user: AuthUtils.getUserEmail(), source, queuedAt, commandId: payload.commandId });
+            renderCommandHistory();
+            renderManualVentilationCountdown();
+            renderPendingVentilationCommands();
+        }
+        GlobalChartManager.addAnnotation('commands', {
+            time: queuedAt,
+            label: `${describeVentilationCommand(command, value)} (queued)`,
+            detail: 'Sent from this dashboard; the device picks it up on its next poll'
+        });
+        if (!GlobalDataManager.isLive()) {
+            // No push channel for the ACK. Device polls every 30 seconds, so refresh
+            // twice to show the ACK/state without a page reload.
+            GlobalRefreshScheduler.runSoon('controls', 5000);
+            GlobalRefreshScheduler.runSoon('controls', 35000);
+        }
+        return true;
     } catch (error) {
         Logger.error('Ventilation command failed:', error);
         setControlStatus(statusId, `Command failed: ${error.message}`, 'error');
+        if (GlobalCommandLog) {
+            GlobalCommandLog.recordFailed({ command, value, user: AuthUtils.getUserEmail(), source, error: error.message });
+            renderCommandHistory();
+        }
+        if (GlobalNotifier) {
+            GlobalNotifier.notify({
+                tag: `command:${command}`,
+                title: '🎛️ Ventilation command failed',
+                body: `${describeVentilationCommand(command, value)}: ${error.message}`,
+                url: dashboardWidgetUrl('ventilationControlsCard')
+            });
+        }
+        return false;
     } finally {
         if (button) button.disabled = false;
     }
 }
 
+// Why a command value would be refused, or null when it is acceptable
+function ventilationCommandValueProblem(command, value) {
+    if (command === 'set_fan_start_temp' && (!Number.isFinite(value) || value < 55 || value > 90)) {
+        return 'Enter a temperature from 55°F to 90°F';
+    }
+    if (command === 'add_minutes' && (!Number.isInteger(value) || value < 1 || value > 120)) {
+        return 'Enter whole minutes from 1 to 120';
+    }
+    return null;
+}
+
 function setFanTempStart() {
     const input = document.getElementById('fanTempStartInput');
     const value = input ? Number(input.value) : NaN;
-    if (!Number.isFinite(value) || value < 55 || value > 90) {
-        setControlStatus('fanTempStartStatus', 'Enter a temperature from 55°F to 90°F', 'error');
+    const problem = ventilationCommandValueProblem('set_fan_start_temp', value);
+    if (problem) {
+        setControlStatus('fanTempStartStatus', problem, 'error');
         return;
     }
     queueVentilationCommand('set_fan_start_temp', value, 'fanTempStartButton', 'fanTempStartStatus',
@@ -522,6 +1061,1017 @@ function addVentilationMinutes(minutes = 20) {
         `Queued +${minutes} minutes; fan should start after the device's next command poll`);
 }
 
+function stopVentilationNow() {
+    if (!ventilationCommandCapabilities().stop) return;
+    queueVentilationCommand('stop_ventilation', 0, 'stopVentilationButton', 'manualVentilationStatus',
+        'Queued stop; the fan stops after the device\'s next command poll');
+}
+
+/**
+ * Withdraws a command the device has not picked up yet
+ * A 409 means the device got there first; the refreshed state then shows what it did
+ * @param {string} commandId
+ * @param {string} command - With value, for the status line and chart annotation
+ * @param {number} value
+ * @returns {Promise<void>}
+ */
+async function cancelPendingCommand(commandId, command, value) {
+    if (!ventilationCommandCapabilities().editPending) return;
+    setControlStatus('pendingCommandStatus', 'Cancelling…');
+    try {
+        const url = `${CONFIG.commandApiUrl}?deviceId=${encodeURIComponent(CONFIG.deviceId)}&commandId=${encodeURIComponent(commandId)}`;
+        const response = await apiFetch(url, { method: 'DELETE', headers: DashboardUtils.getAuthHeaders() });
+        const payload = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(payload.error || `Cancel HTTP ${response.status}`);
+        if (GlobalCommandLog) GlobalCommandLog.recordCancelled(commandId, AuthUtils.getUserEmail());
+        GlobalChartManager.addAnnotation('commands', {
+            time: Date.now(),
+            label: `${describeVentilationCommand(command, value)} (cancelled)`,
+            detail: 'Withdrawn before the device picked it up'
+        });
+        setControlStatus('pendingCommandStatus', `Cancelled: ${describeVentilationCommand(command, value)}`, 'success');
+    } catch (error) {
+        Logger.error('Cancelling ventilation command failed:', error);
+        setControlStatus('pendingCommandStatus', `Could not cancel: ${error.message}`, 'error');
+    }
+    await loadVentilationControlState();
+    renderCommandHistory();
+}
+
+/**
+ * Gives a pending command a new value before the device picks it up
+ * @param {string} commandId
+ * @param {string} command - Decides which values are allowed
+ * @param {string|number} rawValue - From the row's input
+ * @returns {Promise<void>}
+ */
+async function replacePendingCommand(commandId, command, rawValue) {
+    if (!ventilationCommandCapabilities().editPending) return;
+    const value = Number(rawValue);
+    const problem = ventilationCommandValueProblem(command, value);
+    if (problem) {
+        setControlStatus('pendingCommandStatus', problem, 'error');
+        return;
+    }
+    setControlStatus('pendingCommandStatus', 'Updating command…');
+    try {
+        const response = await apiFetch(`${CONFIG.commandApiUrl}?deviceId=${encodeURIComponent(CONFIG.deviceId)}`, {
+            method: 'PATCH',
+            headers: DashboardUtils.getAuthHeaders(),
+            body: JSON.stringify({ deviceId: CONFIG.deviceId, commandId, value })
+        });
+        const payload = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(payload.error || `Update HTTP ${response.status}`);
+        if (GlobalCommandLog) GlobalCommandLog.recordReplaced(commandId, value, AuthUtils.getUserEmail());
+        setControlStatus('pendingCommandStatus', `Changed to: ${describeVentilationCommand(command, value)}`, 'success');
+    } catch (error) {
+        Logger.error('Updating ventilation command failed:', error);
+        setControlStatus('pendingCommandStatus', `Could not change it: ${error.message}`, 'error');
+    }
+    await loadVentilationControlState();
+    renderCommandHistory();
+}
+
+// Ventilation presets: one-tap bundles of the commands above, saved per user in GlobalVentilationPresets
+
+function describePreset(preset) {
+    const parts = [];
+    if (preset.fanStartTempF !== null && preset.fanStartTempF !== undefined) parts.push(`fan start ${Number(preset.fanStartTempF).toFixed(1)}°F`);
+    if (preset.minutes > 0) parts.push(`${preset.minutes} min of ventilation`);
+    if (preset.revertAt === 'end') parts.push('fan start back when the minutes end');
+    else if (preset.revertAt) parts.push(`fan start back at ${preset.revertAt}`);
+    return parts.join(' · ');
+}
+
+/**
+ * Draws a button per preset, the editor's list and any revert still waiting
+ * Built with DOM nodes because preset names are user input
+ * @returns {void}
+ */
+function renderVentilationPresets() {
+    const buttons = document.getElementById('presetButtons');
+    const list = document.getElementById('presetList');
+    if (!buttons || !list || !GlobalVentilationPresets) return;
+    const presets = GlobalVentilationPresets.getPresets();
+
+    buttons.replaceChildren(...presets.map(preset => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'control-button preset';
+        button.textContent = preset.name;
+        button.title = describePreset(preset);
+        button.addEventListener('click', () => applyVentilationPreset(preset.id));
+        return button;
+    }));
+    if (presets.length === 0) buttons.textContent = 'No presets - add one below or restore the defaults.';
+
+    list.replaceChildren(...presets.map(preset => {
+        const row = document.createElement('div');
+        row.className = 'alert-rule-row severity-info';
+        const text = document.createElement('div');
+        text.className = 'alert-rule-text';
+        const name = document.createElement('strong');
+        name.textContent = preset.name;
+        const detail = document.createElement('div');
+        detail.className = 'control-help';
+        detail.textContent = describePreset(preset);
+        text.append(name, detail);
+        const edit = document.createElement('button');
+        edit.type = 'button';
+        edit.className = 'alert-rule-action';
+        edit.textContent = 'Edit';
+        edit.addEventListener('click', () => editPreset(preset.id));
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'alert-rule-action';
+        remove.textContent = 'Delete';
+        remove.addEventListener('click', () => deletePreset(preset.id));
+        row.append(text, edit, remove);
+        return row;
+    }));
+
+    const revertNote = document.getElementById('presetRevertNote');
+    const revert = GlobalVentilationPresets.getRevert();
+    if (revertNote) {
+        revertNote.hidden = !revert;
+        const text = document.getElementById('presetRevertText');
+        if (revert && text) {
+            text.textContent = `"${revert.presetName}" puts fan start back to ${revert.fanStartTempF.toFixed(1)}°F at ${DashboardUtils.formatDateTime(new Date(revert.dueAt))}`;
+        }
+    }
+}
+
+/**
+ * Sends the commands a preset still needs, one after another, and reports them
+ * on one status line; a failed step does not stop the ones after it
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+async function applyVentilationPreset(id) {
+    const preset = GlobalVentilationPresets.getPreset(id);
+    if (!preset) return;
+    if (!ventilationControlState) {
+        setControlStatus('presetStatus', 'Waiting for the device\'s current settings - try again in a moment', 'error');
+        return;
+    }
+    const { steps, revert } = GlobalVentilationPresets.expand(preset, {
+        fanStartTempF: expectedFanStartTempF(),
+        manualRemainingSec: expectedManualVentilation().expected
+    });
+    if (steps.length === 0) {
+        setControlStatus('presetStatus', `"${preset.name}" is already in effect`, 'success');
+        return;
+    }
+
+    const presetButtons = [...document.querySelectorAll('#presetButtons button')];
+    presetButtons.forEach(button => { button.disabled = true; });
+    setControlStatus('presetStatus', `Applying "${preset.name}"…`);
+    const results = [];
+    for (const step of steps) {
+        const queued = await queueVentilationCommand(step.command, step.value, null, null, '', `Preset "${preset.name}"`);
+        results.push(`${describeVentilationCommand(step.command, step.value)} ${queued ? 'queued' : 'failed'}`);
+        if (queued && step.command === 'set_fan_start_temp' && revert) {
+            GlobalVentilationPresets.setRevert({ ...revert, presetId: preset.id, presetName: preset.name, user: AuthUtils.getUserEmail() });
+        }
+    }
+    presetButtons.forEach(button => { button.disabled = false; });
+
+    const failed = results.filter(result => result.endsWith('failed')).length;
+    setControlStatus('presetStatus', `"${preset.name}": ${results.join(' · ')}${failed ? ' - see Commands Sent From This Browser' : ''}`,
+        failed ? 'error' : 'success');
+    renderVentilationPresets();
+}
+
+/**
+ * Sends a preset's revert once it falls due; runs as the 'presets' refresh task
+ * Dropped instead when the fan start has been changed since the preset set it
+ * @returns {Promise<void>}
+ */
+async function runPresetRevert() {
+    if (!GlobalVentilationPresets || !ventilationControlState || ventilationControlState.pendingCount) return;
+    const revert = GlobalVentilationPresets.dueRevert();
+    if (!revert) return;
+    if (Number(ventilationControlState.state.fanStartTempF) !== revert.presetFanStartTempF) {
+        GlobalVentilationPresets.clearRevert();
+        setControlStatus('presetStatus', `Skipped the "${revert.presetName}" revert - fan start was changed since`);
+    } else if (await queueVentilationCommand('set_fan_start_temp', revert.fanStartTempF, null, 'presetStatus',
+        `"${revert.presetName}" ended; fan start going back to ${revert.fanStartTempF.toFixed(1)}°F`, `Preset "${revert.presetName}" (revert)`)) {
+        GlobalVentilationPresets.clearRevert();
+    }
+    renderVentilationPresets();
+}
+
+function cancelPresetRevert() {
+    GlobalVentilationPresets.clearRevert();
+    setControlStatus('presetStatus', 'The fan start will stay as it is', 'success');
+    renderVentilationPresets();
+}
+
+function readPresetForm() {
+    const field = id => document.getElementById(id).value.trim();
+    const revertMode = field('presetRevert');
+    return {
+        id: field('presetId') || null,
+        name: field('presetName'),
+        fanStartTempF: field('presetFanStart') === '' ? null : Number(field('presetFanStart')),
+        minutes: Number(field('presetMinutes') || 0),
+        revertAt: revertMode === 'at' ? field('presetRevertAt') : (revertMode || null)
+    };
+}
+
+function savePresetFromForm() {
+    const preset = readPresetForm();
+    const problems = GlobalVentilationPresets.savePreset(preset);
+    if (problems.length > 0) {
+        setControlStatus('presetEditorStatus', problems.join(' · '), 'error');
+        return;
+    }
+    clearPresetForm();
+    setControlStatus('presetEditorStatus', `Saved "${preset.name}"`, 'success');
+    renderVentilationPresets();
+}
+
+function editPreset(id) {
+    const preset = GlobalVentilationPresets.getPreset(id);
+    if (!preset) return;
+    const set = (fieldId, value) => { document.getElementById(fieldId).value = value ?? ''; };
+    set('presetId', preset.id);
+    set('presetName', preset.name);
+    set('presetFanStart', preset.fanStartTempF);
+    set('presetMinutes', preset.minutes || '');
+    set('presetRevert', !preset.revertAt || preset.revertAt === 'end' ? preset.revertAt || '' : 'at');
+    set('presetRevertAt', preset.revertAt && preset.revertAt !== 'end' ? preset.revertAt : '');
+    document.getElementById('presetEditor').open = true;
+    setControlStatus('presetEditorStatus', `Editing "${preset.name}"`);
+}
+
+function clearPresetForm() {
+    ['presetId', 'presetName', 'presetFanStart', 'presetMinutes', 'presetRevert', 'presetRevertAt']
+        .forEach(id => { document.getElementById(id).value = ''; });
+    setControlStatus('presetEditorStatus', '');
+}
+
+function deletePreset(id) {
+    const preset = GlobalVentilationPresets.getPreset(id);
+    if (!preset || !confirm(`Delete the preset "${preset.name}"?`)) return;
+    GlobalVentilationPresets.deletePreset(id);
+    renderVentilationPresets();
+}
+
+function resetPresetsToDefaults() {
+    if (!confirm('Replace your presets with the defaults?')) return;
+    GlobalVentilationPresets.resetToDefaults();
+    clearPresetForm();
+    renderVentilationPresets();
+}
+
+// Ventilation advisor: GlobalVentilationAdvisor's best fan windows for the next 24 hours
+let ventilationAdvisorConditions = null; // Latest indoor/outdoor readings and forecast from the snapshot
+let ventilationAdvice = []; // What the advisor card shows, for its buttons
+const ADVISOR_MIN_INDOOR_MARGIN_F = 2; // Never advise cooling to within this of the low-temperature threshold
+
+const formatAdvisorTime = time => new Date(time).toLocaleString('en-US', { weekday: 'short', hour: 'numeric', minute: '2-digit' });
+
+function updateVentilationAdvisor(conditions) {
+    ventilationAdvisorConditions = conditions;
+    renderVentilationAdvisor();
+}
+
+// The one-off schedule already made from a window, if any
+function scheduleForAdvice(advice) {
+    return GlobalVentilationScheduler
+        ? GlobalVentilationScheduler.getSchedules().find(schedule => schedule.expiresAt === advice.end) || null
+        : null;
+}
+
+/**
+ * Lists the advisor's recommended fan windows, each with a "Schedule this" button
+ * @returns {void}
+ */
+function renderVentilationAdvisor() {
+    const list = document.getElementById('advisorWindows');
+    const basis = document.getElementById('advisorBasis');
+    if (!list || !GlobalVentilationAdvisor) return;
+    if (!ventilationAdvisorConditions) {
+        list.textContent = 'Waiting for current conditions…';
+        ventilationAdvice = [];
+        return;
+    }
+    const conditions = ventilationAdvisorConditions;
+    ventilationAdvice = GlobalVentilationAdvisor.recommend({
+        ...conditions,
+        minIndoorF: CONFIG.thresholds.indoorTempLowF + ADVISOR_MIN_INDOOR_MARGIN_F
+    });
+
+    list.replaceChildren(...ventilationAdvice.map((advice, index) => {
+        const row = document.createElement('div');
+        row.className = `advisor-window ${advice.kind}`;
+        const text = document.createElement('div');
+        text.className = 'alert-rule-text';
+        const when = document.createElement('strong');
+        when.textContent = `${advice.start <= Date.now() ? 'Now' : formatAdvisorTime(advice.start)} – ${formatAdvisorTime(advice.end)}`;
+        const detail = document.createElement('div');
+        detail.className = 'alert-history-note';
+        const effect = advice.kind === 'cooling'
+            ? `Cool down: about ${advice.expectedDropF.toFixed(1)}°F cooler inside by the end`
+            : 'Dry out: bring in drier air';
+        detail.textContent = [effect, ...advice.reasons].join(' · ');
+        text.append(when, detail);
+        const action = document.createElement('button');
+        action.type = 'button';
+        action.className = 'alert-rule-action';
+        const scheduled = scheduleForAdvice(advice);
+        action.textContent = scheduled ? 'Scheduled ✓' : 'Schedule this';
+        action.disabled = !!scheduled;
+        action.addEventListener('click', () => scheduleAdvisedWindow(index));
+        row.append(text, action);
+        return row;
+    }));
+    if (ventilationAdvice.length === 0) list.textContent = 'No good fan windows in the next 24 hours.';
+
+    if (basis) {
+        const forecast = conditions.forecast;
+        const learned = GlobalVentilationAdvisor.learned();
+        const forecastText = forecast && forecast.valid && typeof forecast.temperature === 'number'
+            ? `Forecast high ${(forecast.temperature * 9 / 5 + 32).toFixed(0)}°F${typeof forecast.precipitationProb === 'number' ? `, ${forecast.precipitationProb.toFixed(0)}% rain` : ''}`
+            : 'No device forecast - assuming a typical day/night swing';
+        const historyText = learned.learnedRate
+            ? `cooling rate learned from ${learned.sessions} recent fan runs`
+            : 'typical cooling rate until more fan runs are recorded';
+        basis.textContent = `${forecastText} · ${historyText}.`;
+    }
+}
+
+/**
+ * Turns a recommended window into a one-off ventilate schedule, so the usual
+ * schedule runner queues its +20 minute blocks (right away if it has begun)
+ * Cooling windows only run while outside really is cooler
+ * @param {number} index - Into ventilationAdvice
+ * @returns {void}
+ */
+function scheduleAdvisedWindow(index) {
+    const advice = ventilationAdvice[index];
+    if (!advice || !GlobalVentilationScheduler || scheduleForAdvice(advice)) return;
+    const now = Date.now();
+    const start = new Date(Math.max(advice.start, now));
+    const clock = date => `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+    const schedule = {
+        id: null,
+        name: `Advisor: ${advice.kind === 'cooling' ? 'cool down' : 'dry out'} ${formatAdvisorTime(start)}`,
+        days: [start.getDay()],
+        start: clock(start),
+        end: clock(new Date(advice.end)),
+        action: 'ventilate',
+        value: null,
+        condition: advice.kind === 'cooling' ? { metric: 'derived.indoorOutdoorDeltaF', operator: 'above', value: 2 } : null,
+        enabled: true,
+        expiresAt: advice.end
+    };
+    const problems = GlobalVentilationScheduler.saveSchedule(schedule, AuthUtils.getUserEmail());
+    if (problems.length > 0) {
+        setControlStatus('advisorStatus', problems.join(' · '), 'error');
+        return;
+    }
+    setControlStatus('advisorStatus',
+        `Scheduled "${schedule.name}"; fan time goes out in 20-minute blocks while a dashboard is open`, 'success');
+    renderVentilationSchedules();
+    renderVentilationAdvisor();
+    if (advice.start <= now) GlobalRefreshScheduler.runSoon('schedules', 0);
+}
+
+// Ventilation schedules: GlobalVentilationScheduler turns them into the two commands above
+const SCHEDULE_DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Sends whatever schedule steps are due; runs as the 'schedules' refresh task
+ * A window's restore is dropped when the fan start was changed during it
+ * This tab is the only thing that runs them, so nothing is sent while it (and
+ * every other dashboard tab in this browser) is closed. Waits while the control state is unknown or a command is still pending, so
+ * the setting to restore afterwards is the one the device really had
+ * @returns {Promise<void>}
+ */
+async function runVentilationSchedules() {
+    if (!GlobalVentilationScheduler) return;
+    if (GlobalVentilationScheduler.pruneExpired(Date.now(), AuthUtils.getUserEmail())) renderVentilationSchedules();
+    if (!ventilationControlState || !ventilationControlState.state) return;
+    if (ventilationControlState.pendingCount) return;
+    const state = ventilationControlState.state;
+    const control = { fanStartTempF: Number(state.fanStartTempF || 70), manualRemainingSec: manualVentilationRemainingSec(state) };
+    const valueOf = metric => (GlobalAlertEngine ? GlobalAlertEngine.currentValue(metric) : null);
+
+    GlobalVentilationScheduler.dropOverriddenRestores(control).forEach(name => {
+        setControlStatus('scheduleStatus', `"${name}" ended: kept the fan start - it was changed since the schedule set it`);
+    });
+    for (const step of GlobalVentilationScheduler.due(control, valueOf)) {
+        const what = describeVentilationCommand(step.command, step.value);
+        const queued = await queueVentilationCommand(step.command, step.value, null, 'scheduleStatus',
+            step.phase === 'restore' ? `"${step.scheduleName}" ended: queued ${what}` : `"${step.scheduleName}": queued ${what}`,
+            `Schedule "${step.scheduleName}"`);
+        if (queued) GlobalVentilationScheduler.markSent(step, control);
+    }
+    renderSchedulePreview();
+}
+
+function describeSchedule(schedule, metricsByKey) {
+    const days = schedule.days.length === 7 ? 'Every day' : schedule.days.map(day => SCHEDULE_DAY_NAMES[day]).join(', ');
+    const action = schedule.action === 'ventilate' ? 'run the fan'
+        : (schedule.action === 'hold_off' ? 'keep the fan off' : `fan start ${Number(schedule.value).toFixed(1)}°F`);
+    const when = schedule.expiresAt
+        ? `Once, ends ${new Date(schedule.expiresAt).toLocaleString('en-US', { weekday: 'short', hour: 'numeric', minute: '2-digit' })}`
+        : days;
+    const parts = [`${when} ${schedule.start}–${schedule.end}`, action];
+    if (schedule.condition) {
+        const metric = metricsByKey[schedule.condition.metric];
+        const operator = { above: 'is above', below: 'is below', is: 'is one of' }[schedule.condition.operator];
+        parts.push(`if ${metric ? metric.label : schedule.condition.metric} ${operator} ${schedule.condition.value}${metric && metric.unit && !metric.text ? metric.unit.trim() : ''}`);
+    }
+    return parts.join(' · ');
+}
+
+// Next 24 hours of planned commands for the Overview tab
+function renderSchedulePreview() {
+    const preview = document.getElementById('schedulePreview');
+    if (!preview || !GlobalVentilationScheduler) return;
+    const steps = GlobalVentilationScheduler.upcoming(Date.now(), 24);
+    preview.replaceChildren(...steps.slice(0, 8).map(step => {
+        const row = document.createElement('li');
+        const time = document.createElement('strong');
+        time.textContent = new Date(step.time).toLocaleString('en-US', { weekday: 'short', hour: 'numeric', minute: '2-digit' });
+        row.append(time, ` ${step.scheduleName}: ${step.description}${step.conditional ? ' (if its condition holds)' : ''}`);
+        return row;
+    }));
+    if (steps.length === 0) {
+        const empty = document.createElement('li');
+        empty.textContent = 'Nothing scheduled in the next 24 hours.';
+        preview.appendChild(empty);
+    }
+}
+
+/**
+ * Lists the device's schedules, their saved versions and the upcoming preview
+ * Built with DOM nodes because schedule names are user input
+ * @returns {void}
+ */
+function renderVentilationSchedules() {
+    const list = document.getElementById('scheduleList');
+    if (!list || !GlobalVentilationScheduler) return;
+    const metrics = GlobalAlertEngine ? GlobalAlertEngine.describeMetrics() : [];
+    const metricsByKey = Object.fromEntries(metrics.map(metric => [metric.key, metric]));
+
+    list.replaceChildren(...GlobalVentilationScheduler.getSchedules().map(schedule => {
+        const row = document.createElement('div');
+        row.className = 'alert-rule-row schedule-row';
+        const toggle = document.createElement('input');
+        toggle.type = 'checkbox';
+        toggle.checked = schedule.enabled;
+        toggle.title = schedule.enabled ? 'Enabled' : 'Paused';
+        toggle.addEventListener('change', () => setScheduleEnabled(schedule.id, toggle.checked));
+        const text = document.createElement('div');
+        text.className = 'alert-rule-text';
+        const name = document.createElement('strong');
+        name.textContent = schedule.name;
+        const detail = document.createElement('div');
+        detail.className = 'control-help';
+        detail.textContent = describeSchedule(schedule, metricsByKey);
+        text.append(name, detail);
+        const edit = document.createElement('button');
+        edit.type = 'button';
+        edit.className = 'alert-rule-action';
+        edit.textContent = 'Edit';
+        edit.addEventListener('click', () => editSchedule(schedule.id));
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'alert-rule-action';
+        remove.textContent = 'Delete';
+        remove.addEventListener('click', () => deleteSchedule(schedule.id));
+        row.append(toggle, text, edit, remove);
+        return row;
+    }));
+    if (list.children.length === 0) list.textContent = 'No schedules for this device yet.';
+
+    const versions = document.getElementById('scheduleVersion');
+    if (versions) {
+        versions.replaceChildren(...GlobalVentilationScheduler.listVersions().map(version => new Option(
+            `v${version.version} · ${version.note} · ${version.savedBy} · ${DashboardUtils.formatDateTime(new Date(version.savedAt))}`,
+            String(version.version)
+        )));
+        versions.disabled = versions.options.length < 2;
+    }
+
+    const picker = document.getElementById('scheduleConditionMetric');
+    if (picker && picker.options.length <= 1) {
+        [...new Set(metrics.map(metric => metric.group))].forEach(group => {
+            const optgroup = document.createElement('optgroup');
+            optgroup.label = group;
+            metrics.filter(metric => metric.group === group).forEach(metric => {
+                optgroup.appendChild(new Option(metric.unit ? `${metric.label} (${metric.unit})` : metric.label, metric.key));
+            });
+            picker.appendChild(optgroup);
+        });
+    }
+    renderSchedulePreview();
+}
+
+function readScheduleForm() {
+    const field = id => document.getElementById(id).value.trim();
+    const metric = field('scheduleConditionMetric');
+    const operator = field('scheduleConditionOperator');
+    const conditionValue = field('scheduleConditionValue');
+    return {
+        id: field('scheduleId') || null,
+        name: field('scheduleName'),
+        days: [...document.querySelectorAll('input[name="scheduleDay"]:checked')].map(input => Number(input.value)),
+        start: field('scheduleStart'),
+        end: field('scheduleEnd'),
+        action: field('scheduleAction'),
+        value: field('scheduleAction') === 'fan_start' ? Number(field('scheduleValue')) : null,
+        condition: metric
+            ? { metric, operator, value: operator === 'is' ? conditionValue : (conditionValue === '' ? NaN : Number(conditionValue)) }
+            : null,
+        enabled: true
+    };
+}
+
+function saveScheduleFromForm() {
+    const schedule = readScheduleForm();
+    const existing = schedule.id && GlobalVentilationScheduler.getSchedules().find(item => item.id === schedule.id);
+    if (existing) {
+        schedule.enabled = existing.enabled;
+        schedule.expiresAt = existing.expiresAt || null; // An edited one-off stays one-off
+    }
+    const problems = GlobalVentilationScheduler.saveSchedule(schedule, AuthUtils.getUserEmail());
+    if (problems.length > 0) {
+        setControlStatus('scheduleStatus', problems.join(' · '), 'error');
+        return;
+    }
+    clearScheduleForm();
+    setControlStatus('scheduleStatus', `Saved "${schedule.name}" as version ${GlobalVentilationScheduler.getVersion()}`, 'success');
+    renderVentilationSchedules();
+}
+
+function editSchedule(id) {
+    const schedule = GlobalVentilationScheduler.getSchedules().find(item => item.id === id);
+    if (!schedule) return;
+    const set = (fieldId, value) => { document.getElementById(fieldId).value = value ?? ''; };
+    set('scheduleId', schedule.id);
+    set('scheduleName', schedule.name);
+    document.querySelectorAll('input[name="scheduleDay"]').forEach(input => {
+        input.checked = schedule.days.includes(Number(input.value));
+    });
+    set('scheduleStart', schedule.start);
+    set('scheduleEnd', schedule.end);
+    set('scheduleAction', schedule.action);
+    set('scheduleValue', schedule.value);
+    set('scheduleConditionMetric', schedule.condition ? schedule.condition.metric : '');
+    set('scheduleConditionOperator', schedule.condition ? schedule.condition.operator : 'above');
+    set('scheduleConditionValue', schedule.condition ? schedule.condition.value : '');
+    document.getElementById('scheduleEditor').open = true;
+    setControlStatus('scheduleStatus', `Editing "${schedule.name}"`);
+}
+
+function clearScheduleForm() {
+    ['scheduleId', 'scheduleName', 'scheduleStart', 'scheduleEnd', 'scheduleValue', 'scheduleConditionMetric', 'scheduleConditionValue']
+        .forEach(id => { document.getElementById(id).value = ''; });
+    document.querySelectorAll('input[name="scheduleDay"]').forEach(input => { input.checked = true; });
+    setControlStatus('scheduleStatus', '');
+}
+
+function deleteSchedule(id) {
+    const schedule = GlobalVentilationScheduler.getSchedules().find(item => item.id === id);
+    if (!schedule || !confirm(`Delete the schedule "${schedule.name}"?`)) return;
+    GlobalVentilationScheduler.deleteSchedule(id, AuthUtils.getUserEmail());
+    renderVentilationSchedules();
+}
+
+function setScheduleEnabled(id, enabled) {
+    GlobalVentilationScheduler.setScheduleEnabled(id, enabled, AuthUtils.getUserEmail());
+    renderVentilationSchedules();
+}
+
+// Command log entries matching the Command History filters, newest first
+function filteredCommandHistory() {
+    const days = Number(document.getElementById('commandHistoryPeriod').value) || 7;
+    return GlobalCommandLog.search({
+        text: document.getElementById('commandHistorySearch').value,
+        status: document.getElementById('commandHistoryStatus').value,
+        since: Date.now() - days * 24 * 60 * 60 * 1000
+    });
+}
+
+/**
+ * Fills the Command History table from the command log
+ * Built with DOM nodes because sources carry user-named schedules
+ * @returns {void}
+ */
+function renderCommandHistory() {
+    const rows = document.getElementById('commandHistoryRows');
+    if (!rows || !GlobalCommandLog) return;
+    const entries = filteredCommandHistory();
+    const when = time => (time ? DashboardUtils.formatDateTime(new Date(time)) : '—');
+    const took = sec => (sec === null ? '' : DashboardUtils.formatDuration(sec));
+    const cell = (...content) => {
+        const td = document.createElement('td');
+        td.append(...content);
+        return td;
+    };
+    const note = text => {
+        const div = document.createElement('div');
+        div.className = 'alert-history-note';
+        div.textContent = text;
+        return div;
+    };
+
+    rows.replaceChildren(...entries.map(entry => {
+        const row = document.createElement('tr');
+        const badge = document.createElement('span');
+        badge.className = `alert-status-badge ${entry.status}`;
+        badge.textContent = entry.status;
+        const ended = entry.error ? note(entry.error)
+            : entry.cancelledAt ? note(`by ${entry.cancelledBy} at ${when(entry.cancelledAt)}`)
+                : (entry.expiredAt ? note(`no ACK by ${when(entry.expiredAt)}`) : '');
+        const changes = (entry.replaced || []).map(change => note(`was ${change.from}, changed by ${change.user} at ${when(change.at)}`));
+        const latency = entry.totalSec !== null
+            ? `${took(entry.totalSec)} (pickup ${took(entry.deliverySec)}, apply ${took(entry.ackSec)})`
+            : (entry.deliverySec !== null ? `pickup ${took(entry.deliverySec)}` : '');
+        row.append(
+            cell(badge, ended),
+            cell(describeVentilationCommand(entry.command, entry.value), note(entry.source), ...changes),
+            cell(entry.user || 'unknown'),
+            cell(when(entry.queuedAt)),
+            cell(when(entry.deliveredAt)),
+            cell(when(entry.ackedAt)),
+            cell(latency)
+        );
+        return row;
+    }));
+    if (entries.length === 0) {
+        const row = document.createElement('tr');
+        const empty = cell('No commands match these filters.');
+        empty.colSpan = 7;
+        row.appendChild(empty);
+        rows.appendChild(row);
+    }
+    const statusText = document.getElementById('commandHistoryStatusText');
+    if (statusText) statusText.textContent = `${entries.length} command${entries.length === 1 ? '' : 's'}`;
+}
+
+// Downloads the filtered log of commands sent from this browser, oldest first
+function exportCommandHistoryCSV() {
+    if (!GlobalCommandLog) return;
+    const iso = time => (time ? new Date(time).toISOString() : '');
+    const number = sec => (sec === null ? '' : sec.toFixed(0));
+    const csvLines = [
+        ['device', 'command', 'value', 'status', 'user', 'source', 'queued', 'delivered', 'acked', 'expired', 'cancelled', 'cancelled_by', 'delivery_sec', 'ack_sec', 'total_sec', 'error'].join(','),
+        ...filteredCommandHistory().reverse().map(entry => DashboardUtils.toCSVLine([
+            CONFIG.deviceId, entry.command, entry.value, entry.status, entry.user, entry.source,
+            iso(entry.queuedAt), iso(entry.deliveredAt), iso(entry.ackedAt), iso(entry.expiredAt),
+            iso(entry.cancelledAt), entry.cancelledBy,
+            number(entry.deliverySec), number(entry.ackSec), number(entry.totalSec), entry.error
+        ]))
+    ];
+
+    const blob = new Blob([csvLines.join('\n')], { type: 'text/csv;charset=utf-8;' });
+    const url = window.URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `ventilation_commands_this_browser_${CONFIG.deviceId}_${new Date().toISOString().split('T')[0]}.csv`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    window.URL.revokeObjectURL(url);
+}
+
+function restoreScheduleVersion() {
+    const version = Number(document.getElementById('scheduleVersion').value);
+    if (!version || version === GlobalVentilationScheduler.getVersion()) return;
+    if (!confirm(`Make version ${version} of the schedules current again?`)) return;
+    GlobalVentilationScheduler.restoreVersion(version, AuthUtils.getUserEmail());
+    setControlStatus('scheduleStatus', `Restored version ${version} as version ${GlobalVentilationScheduler.getVersion()}`, 'success');
+    renderVentilationSchedules();
+}
+
+// Chart event annotations: GlobalChartManager draws these over the history charts
+const ANNOTATION_VISIBILITY_STORAGE_KEY = 'ventilation_hidden_annotations'; // JSON array of hidden categories
+const INCIDENT_TYPE_NAMES = ['Power Loss', 'WiFi Down', 'Internet Down', 'API Down', 'Storm Event', 'Heat Event', 'Freeze Event', 'SD Card Failure'];
+const INCIDENT_SEVERITY_NAMES = ['Critical', 'High', 'Medium', 'Low'];
+let annotatedControlUpdateAt = null; // state.updatedAt already marked on the charts
+
+/**
+ * Door transitions as chart annotations: each open/close pair becomes a shaded
+ * span; an open or close whose partner is outside the feed becomes a marker
+ * @param {Array} doorEvents - snapshot.recentDoorEvents (any order)
+ * @returns {Array} Events for GlobalChartManager.setAnnotations('doors', ...)
+ */
+function doorAnnotations(doorEvents) {
+    const openSince = new Map(); // doorId -> opening event
+    const annotations = [];
+    const nameOf = event => event.doorName || `Door ${event.doorId}`;
+    (Array.isArray(doorEvents) ? doorEvents : [])
+        .filter(event => isMeaningfulDoorTransition(event) && Number.isFinite(event.time))
+        .sort((a, b) => a.time - b.time)
+        .forEach(event => {
+            if (event.opened) {
+                if (!openSince.has(event.doorId)) openSince.set(event.doorId, event);
+                return;
+            }
+            const opening = openSince.get(event.doorId);
+            openSince.delete(event.doorId);
+            annotations.push(opening
+                ? { time: opening.time, end: event.time, label: `${nameOf(event)} open`, detail: describeDoorDetectionMethod(opening) }
+                : { time: event.time, label: `${nameOf(event)} closed`, detail: describeDoorDetectionMethod(event) });
+        });
+    openSince.forEach(opening => annotations.push({ time: opening.time, label: `${nameOf(opening)} opened`, detail: describeDoorDetectionMethod(opening) }));
+    return annotations;
+}
+
+// Incidents (startTime/endTime in seconds, endTime 0 while ongoing) as shaded spans
+function incidentAnnotations(incidents) {
+    return incidents.map(incident => ({
+        time: incident.startTime * 1000,
+        end: incident.endTime > 0 ? incident.endTime * 1000 : null,
+        label: INCIDENT_TYPE_NAMES[incident.type] || `Incident type ${incident.type}`,
+        detail: `Severity: ${INCIDENT_SEVERITY_NAMES[incident.severity] || 'Unknown'}`
+    }));
+}
+
+function describeVentilationCommand(command, value) {
+    if (command === 'set_fan_start_temp') return `Fan start set to ${Number(value).toFixed(1)}°F`;
+    if (command === 'add_minutes') return `+${value} min manual ventilation`;
+    if (command === 'stop_ventilation') return 'Stop manual ventilation';
+    return String(command);
+}
+
+// Marks when the device applied a change; a pushed ACK names the command, a poll cannot
+function annotateAppliedVentilationChange(payload) {
+    const updatedAt = Date.parse(payload.state.updatedAt);
+    if (!GlobalChartManager || !Number.isFinite(updatedAt) || payload.state.updatedAt === annotatedControlUpdateAt) return;
+    annotatedControlUpdateAt = payload.state.updatedAt;
+    GlobalChartManager.addAnnotation('commands', {
+        id: `applied-${updatedAt}`,
+        time: updatedAt,
+        label: payload.command ? `${describeVentilationCommand(payload.command, payload.value)} (applied)` : 'Ventilation settings applied',
+        detail: `Fan start ${Number(payload.state.fanStartTempF || 70).toFixed(1)}°F`
+    });
+}
+
+/**
+ * Builds the per-category show/hide checkboxes under the Historical Data controls
+ * @returns {void}
+ */
+function renderChartAnnotationToggles() {
+    const container = document.getElementById('chartAnnotationToggles');
+    if (!container || !GlobalChartManager) return;
+    container.innerHTML = '<span>Show events:</span>' + GlobalChartManager.getAnnotationCategories().map(({ key, label, icon, color, visible }) => `
+        <label title="${label} on the temperature, pressure and humidity charts">
+            <input type="checkbox" ${visible ? 'checked' : ''} onchange="setChartAnnotationVisible('${key}', this.checked)">
+            <span class="annotation-swatch" style="background: ${color};"></span>${icon} ${label}
+        </label>`).join('');
+}
+
+function setChartAnnotationVisible(category, visible) {
+    GlobalChartManager.setAnnotationVisible(category, visible);
+    const hidden = GlobalChartManager.getAnnotationCategories().filter(item => !item.visible).map(item => item.key);
+    localStorage.setItem(ANNOTATION_VISIBILITY_STORAGE_KEY, JSON.stringify(hidden));
+}
+
+function restoreChartAnnotationVisibility() {
+    try {
+        const hidden = JSON.parse(localStorage.getItem(ANNOTATION_VISIBILITY_STORAGE_KEY) || '[]');
+        if (Array.isArray(hidden)) hidden.forEach(category => GlobalChartManager.setAnnotationVisible(category, false));
+    } catch (error) {
+        Logger.warn('Ignoring unreadable chart annotation settings:', error);
+    }
+    renderChartAnnotationToggles();
+}
+
+// Alert rules editor: GlobalAlertEngine stores the rules and evaluates them on every snapshot
+const ALERT_OPERATOR_TEXT = { above: '>', below: '<', is: 'is' };
+
+function describeAlertRule(rule, metricsByKey) {
+    const metric = metricsByKey[rule.metric] || { label: rule.metric, unit: '' };
+    const unit = metric.unit && metric.unit !== '°F' && metric.unit !== '%' ? ` ${metric.unit}` : metric.unit;
+    const parts = [`${metric.label} ${ALERT_OPERATOR_TEXT[rule.operator] || rule.operator} ${rule.value}${rule.operator === 'is' ? '' : unit}`];
+    if (rule.forMinutes > 0) parts.push(`for ${rule.forMinutes} min`);
+    if (rule.hysteresis > 0) parts.push(`clears ${rule.hysteresis}${unit} back`);
+    if (rule.quietHours) parts.push(`quiet ${rule.quietHours.start}–${rule.quietHours.end}`);
+    return parts.join(' · ');
+}
+
+/**
+ * Lists the signed-in user's alert rules and fills the editor's metric picker
+ * Built with DOM nodes because rule names are user input
+ * @returns {void}
+ */
+function renderAlertRules() {
+    const list = document.getElementById('alertRulesList');
+    if (!list || !GlobalAlertEngine) return;
+    const metrics = GlobalAlertEngine.describeMetrics();
+    const metricsByKey = Object.fromEntries(metrics.map(metric => [metric.key, metric]));
+
+    list.replaceChildren(...GlobalAlertEngine.getRules().map(rule => {
+        const row = document.createElement('div');
+        row.className = `alert-rule-row severity-${rule.severity}`;
+        const toggle = document.createElement('input');
+        toggle.type = 'checkbox';
+        toggle.checked = rule.enabled;
+        toggle.title = rule.enabled ? 'Enabled' : 'Disabled';
+        toggle.addEventListener('change', () => setAlertRuleEnabled(rule.id, toggle.checked));
+        const text = document.createElement('div');
+        text.className = 'alert-rule-text';
+        const name = document.createElement('strong');
+        name.textContent = rule.name;
+        const detail = document.createElement('div');
+        detail.className = 'control-help';
+        detail.textContent = `${describeAlertRule(rule, metricsByKey)} · ${rule.severity}`;
+        text.append(name, detail);
+        const edit = document.createElement('button');
+        edit.type = 'button';
+        edit.className = 'alert-rule-action';
+        edit.textContent = 'Edit';
+        edit.addEventListener('click', () => editAlertRule(rule.id));
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'alert-rule-action';
+        remove.textContent = 'Delete';
+        remove.addEventListener('click', () => deleteAlertRule(rule.id));
+        row.append(toggle, text, edit, remove);
+        return row;
+    }));
+    if (list.children.length === 0) list.textContent = 'No alert rules - add one below or restore the defaults.';
+
+    const picker = document.getElementById('alertRuleMetric');
+    if (picker && picker.options.length === 0) {
+        [...new Set(metrics.map(metric => metric.group))].forEach(group => {
+            const optgroup = document.createElement('optgroup');
+            optgroup.label = group;
+            metrics.filter(metric => metric.group === group).forEach(metric => {
+                optgroup.appendChild(new Option(metric.unit ? `${metric.label} (${metric.unit})` : metric.label, metric.key));
+            });
+            picker.appendChild(optgroup);
+        });
+    }
+}
+
+// Re-run the rules on the last snapshot so edits show up without waiting for the next refresh
+function refreshAlertsAfterRuleChange() {
+    renderAlertRules();
+    applyAlerts(GlobalAlertEngine.evaluate());
+}
+
+function readAlertRuleForm() {
+    const field = id => document.getElementById(id).value.trim();
+    const operator = field('alertRuleOperator');
+    const quietStart = field('alertRuleQuietStart');
+    const quietEnd = field('alertRuleQuietEnd');
+    return {
+        id: field('alertRuleId') || null,
+        name: field('alertRuleName'),
+        metric: field('alertRuleMetric'),
+        operator,
+        value: operator === 'is' ? field('alertRuleValue') : (field('alertRuleValue') === '' ? NaN : Number(field('alertRuleValue'))),
+        forMinutes: Number(field('alertRuleFor') || 0),
+        hysteresis: Number(field('alertRuleHysteresis') || 0),
+        severity: field('alertRuleSeverity'),
+        quietHours: quietStart || quietEnd ? { start: quietStart, end: quietEnd } : null,
+        enabled: true
+    };
+}
+
+function saveAlertRuleFromForm() {
+    const rule = readAlertRuleForm();
+    const existing = rule.id && GlobalAlertEngine.getRules().find(item => item.id === rule.id);
+    if (existing) rule.enabled = existing.enabled;
+    const problems = GlobalAlertEngine.saveRule(rule);
+    if (problems.length > 0) {
+        setControlStatus('alertRuleStatus', problems.join(' · '), 'error');
+        return;
+    }
+    clearAlertRuleForm();
+    setControlStatus('alertRuleStatus', `Saved "${rule.name}"`, 'success');
+    refreshAlertsAfterRuleChange();
+}
+
+function editAlertRule(id) {
+    const rule = GlobalAlertEngine.getRules().find(item => item.id === id);
+    if (!rule) return;
+    const set = (fieldId, value) => { document.getElementById(fieldId).value = value ?? ''; };
+    set('alertRuleId', rule.id);
+    set('alertRuleName', rule.name);
+    set('alertRuleMetric', rule.metric);
+    set('alertRuleOperator', rule.operator);
+    set('alertRuleValue', rule.value);
+    set('alertRuleFor', rule.forMinutes || '');
+    set('alertRuleHysteresis', rule.hysteresis || '');
+    set('alertRuleSeverity', rule.severity);
+    set('alertRuleQuietStart', rule.quietHours ? rule.quietHours.start : '');
+    set('alertRuleQuietEnd', rule.quietHours ? rule.quietHours.end : '');
+    document.getElementById('alertRuleEditor').open = true;
+    setControlStatus('alertRuleStatus', `Editing "${rule.name}"`);
+}
+
+function clearAlertRuleForm() {
+    ['alertRuleId', 'alertRuleName', 'alertRuleValue', 'alertRuleFor', 'alertRuleHysteresis', 'alertRuleQuietStart', 'alertRuleQuietEnd']
+        .forEach(id => { document.getElementById(id).value = ''; });
+    setControlStatus('alertRuleStatus', '');
+}
+
+function deleteAlertRule(id) {
+    const rule = GlobalAlertEngine.getRules().find(item => item.id === id);
+    if (!rule || !confirm(`Delete the alert rule "${rule.name}"?`)) return;
+    GlobalAlertEngine.deleteRule(id);
+    refreshAlertsAfterRuleChange();
+}
+
+function setAlertRuleEnabled(id, enabled) {
+    GlobalAlertEngine.setRuleEnabled(id, enabled);
+    refreshAlertsAfterRuleChange();
+}
+
+function resetAlertRulesToDefaults() {
+    if (!confirm('Replace your alert rules with the defaults from config.json?')) return;
+    GlobalAlertEngine.resetToDefaults();
+    clearAlertRuleForm();
+    refreshAlertsAfterRuleChange();
+}
+
+// Links such as dashboard.html#widget=garageDoorSummary open the tab holding that widget
+function dashboardWidgetUrl(widgetId) {
+    const { origin, pathname, search } = window.location;
+    return `${origin}${pathname}${search}#widget=${encodeURIComponent(widgetId)}`;
+}
+
+function openDashboardWidget(widgetId) {
+    const element = document.getElementById(widgetId);
+    if (!element) return;
+    const panel = element.closest('.dashboard-tab-panel');
+    if (panel) showDashboardTab(panel.id.replace('dashboardTab-', ''));
+    const target = element.closest('.card') || element.querySelector('.card') || element;
+    requestAnimationFrame(() => {
+        target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        target.classList.remove('widget-highlight');
+        void target.offsetWidth; // Restart the highlight when the same widget is opened twice
+        target.classList.add('widget-highlight');
+    });
+}
+
+function openDashboardWidgetFromUrl(url = window.location.href) {
+    const match = /#widget=([^&]+)/.exec(url);
+    if (match) openDashboardWidget(decodeURIComponent(match[1]));
+}
+
+function notifyDesktop(group, notifications) {
+    if (GlobalNotifier) GlobalNotifier.sync(group, notifications);
+}
+
+let lastStormRiskRank = null;
+
+// Same levels as the storm risk chart. Only a rise notifies; the first reading after load sets the baseline.
+function notifyStormEscalation(stormRisk) {
+    const risk = String(stormRisk || 'NONE').toUpperCase();
+    let rank = 0;
+    if (risk.includes('IMMINENT') || risk.includes('ALERT')) rank = 3;
+    else if (risk.includes('LIKELY') || risk.includes('WARNING')) rank = 2;
+    else if (risk.includes('POSSIBLE') || risk.includes('WATCH')) rank = 1;
+
+    const previous = lastStormRiskRank;
+    lastStormRiskRank = rank;
+    if (previous === null || rank <= previous || !GlobalNotifier) return;
+    GlobalNotifier.notify({
+        tag: 'storm', // A further escalation replaces the earlier notification
+        title: '⛈️ Storm risk rising',
+        body: `Storm risk is now ${risk.replace(/_/g, ' ')}`,
+        url: dashboardWidgetUrl('stormRisk'),
+        urgent: rank === 3
+    });
+}
+
+function renderDesktopNotificationControl() {
+    const button = document.getElementById('desktopNotificationsButton');
+    const status = document.getElementById('desktopNotificationsStatus');
+    if (!button || !GlobalNotifier) return;
+    const state = GlobalNotifier.getState();
+    button.textContent = state === 'on' ? 'Turn off desktop notifications' : 'Turn on desktop notifications';
+    button.disabled = state === 'unsupported' || state === 'denied';
+    if (status) {
+        status.textContent = {
+            on: 'On: alerts, open doors, storm escalations and failed commands notify while this tab is in the background.',
+            off: 'Off.',
+            denied: 'Blocked in this browser\'s site settings.',
+            unsupported: 'This browser cannot show desktop notifications.'
+        }[state];
+    }
+}
+
+async function toggleDesktopNotifications() {
+    if (!GlobalNotifier) return;
+    if (GlobalNotifier.getState() === 'on') {
+        GlobalNotifier.disable();
+    } else {
+        await GlobalNotifier.enable();
+    }
+    renderDesktopNotificationControl();
+}
+
 const GARAGE_DOOR_SUMMARY = [
     { key: 'd1', statusId: 1, patterns: ['d1', 'garage side hinge'] },
     { key: 'd2', statusId: 2, patterns: ['d2', 'house hinge'] },
@@ -538,16 +2088,8 @@ function identifyGarageDoorKey(item, allowNumericFallback = true) {
     return Number.isInteger(id) && id >= 0 && id <= 3 ? `d${id + 1}` : null;
 }
 
-function getDoorEventTime(timestamp) {
-    if (timestamp === null || timestamp === undefined || timestamp === '') return 0;
-    const numeric = Number(timestamp);
-    if (Number.isFinite(numeric) && numeric > 0) return numeric > 1e12 ? numeric : numeric * 1000;
-    const parsed = Date.parse(String(timestamp));
-    return Number.isFinite(parsed) ? parsed : 0;
-}
-
-function formatCompactDoorAge(timestamp) {
-    const eventTime = getDoorEventTime(timestamp);
+// eventTime is epoch ms, as set by data-normalizer.js on door events and detector stats
+function formatCompactDoorAge(eventTime) {
     if (!eventTime) return 'time unknown';
     const ageMs = Math.max(0, Date.now() - eventTime);
     if (ageMs < 60000) return 'just now';
@@ -592,15 +2134,14 @@ function updateGarageDoorSummary(liveDoors = [], confirmedEvents = [], durableHi
     });
 
     const latest = new Map();
-    (Array.isArray(confirmedEvents) ? confirmedEvents : []).forEach(event => {
+    confirmedEvents.forEach(event => {
         if (!isMeaningfulDoorTransition(event)) return;
         const key = identifyGarageDoorKey(event);
         if (!key) return;
-        const timestamp = getDoorEventTime(event?.timestamp);
-        if (!timestamp) return;
-        if (!latest.has(key) || timestamp > getDoorEventTime(latest.get(key)?.timestamp)) latest.set(key, event);
+        if (!latest.has(key) || event.time > latest.get(key).time) latest.set(key, event);
     });
 
+    const longOpen = [];
     GARAGE_DOOR_SUMMARY.forEach(door => {
         const stateEl = document.getElementById(`garageSummaryState-${door.key}`);
         const actionEl = document.getElementById(`garageSummaryAction-${door.key}`);
@@ -617,8 +2158,12 @@ function updateGarageDoorSummary(liveDoors = [], confirmedEvents = [], durableHi
         }
         if (event) {
             if (actionEl) actionEl.textContent =
-                `${eventState === null ? 'Transition' : (eventState ? 'Opened' : 'Closed')} · ${formatCompactDoorAge(event.timestamp)}`;
+                `${eventState === null ? 'Transition' : (eventState ? 'Opened' : 'Closed')} · ${formatCompactDoorAge(event.time)}`;
             if (methodEl) methodEl.textContent = describeDoorDetectionMethod(event);
+            const openMinutes = (Date.now() - event.time) / 60000;
+            if (state === true && eventState === true && openMinutes >= CONFIG.thresholds.doorOpenMinutes) {
+                longOpen.push({ door, event, openMinutes });
+            }
         } else {
             const openedToday = getDoorOpenState(status?.wasOpenedToday);
             if (actionEl) actionEl.textContent = !durableHistoryAvailable
@@ -631,29 +2176,36 @@ function updateGarageDoorSummary(liveDoors = [], confirmedEvents = [], durableHi
                 : (openedToday === true ? 'Reed telemetry pending' : 'Reed history');
         }
     });
+
+    // Tag by the opening so a door opened again later notifies again
+    notifyDesktop('door', longOpen.map(({ door, event, openMinutes }) => ({
+        tag: `door:${door.key}:${event.time}`,
+        title: '🚪 Garage door left open',
+        body: `${event.doorName || door.key.toUpperCase()} has been open for ${DashboardUtils.formatDuration(Math.round(openMinutes) * 60, { format: 'verbose' })}`,
+        url: dashboardWidgetUrl('garageDoorSummary'),
+        urgent: true
+    })));
 }
 
 /** Render only compact operational outcomes; this is not a model-quality trend metric. */
 function updatePressureDetectorSummary(summary) {
     const legendEl = document.getElementById('pressureDetectorLegend');
     if (legendEl) {
-        const windowSeconds = Number(summary.matchWindowSeconds || 20);
-        legendEl.textContent = `Pressure: TP = reed-confirmed · FP* = no reed, assigned to detector prediction (${windowSeconds}s)`;
+        legendEl.textContent = `Pressure: TP = reed-confirmed · FP* = no reed, assigned to detector prediction (${summary.matchWindowSeconds}s)`;
     }
-    const statsByDoor = new Map((Array.isArray(summary?.perDoor) ? summary.perDoor : [])
-        .map(stats => [Number(stats?.doorId), stats]));
+    const statsByDoor = new Map(summary.perDoor.map(stats => [stats.doorId, stats]));
     GARAGE_DOOR_SUMMARY.forEach((door, index) => {
         const tpEl = document.getElementById(`pressureTp-${door.key}`);
         const fpEl = document.getElementById(`pressureFp-${door.key}`);
         const tpLastEl = document.getElementById(`pressureTpLast-${door.key}`);
         const fpLastEl = document.getElementById(`pressureFpLast-${door.key}`);
-        const stats = summary?.available ? statsByDoor.get(index) : null;
+        const stats = summary.available ? statsByDoor.get(index) : null;
         if (tpEl) tpEl.textContent = stats ? Number(stats.truePositives || 0).toLocaleString() : '—';
         if (fpEl) fpEl.textContent = stats ? Number(stats.falsePositives || 0).toLocaleString() : '—';
-        if (tpLastEl) tpLastEl.textContent = Number(stats?.latestTruePositiveAt || 0) > 0
+        if (tpLastEl) tpLastEl.textContent = stats?.latestTruePositiveAt > 0
             ? `last ${formatCompactDoorAge(stats.latestTruePositiveAt)}`
             : 'last —';
-        if (fpLastEl) fpLastEl.textContent = Number(stats?.latestFalsePositiveAt || 0) > 0
+        if (fpLastEl) fpLastEl.textContent = stats?.latestFalsePositiveAt > 0
             ? `last ${formatCompactDoorAge(stats.latestFalsePositiveAt)}`
             : 'last —';
     });
@@ -682,9 +2234,10 @@ const DashboardUtils = {
     },
 
     // Consolidated logout
-    logout() {
+    async logout() {
         localStorage.removeItem('ventilation_auth_token');
         localStorage.removeItem('ventilation_user_email');
+        await clearOfflineData();
         window.location.href = 'login.html';
     },
 
@@ -899,19 +2452,24 @@ const DashboardUtils = {
     },
 
     // Connection status management
-    updateConnectionStatus(status) {
+    // detail is optional: { attempt, maxAttempts, lastError, openUntil } from GlobalDataManager.getConnectionState()
+    updateConnectionStatus(status, detail = {}) {
         const statusElement = document.getElementById('connectionStatus');
         const statusText = document.getElementById('connectionText');
         
         if (!statusElement) return;
         
         // Remove all status classes
-        statusElement.classList.remove('online', 'connecting', 'disconnected');
+        statusElement.classList.remove('online', 'connecting', 'disconnected', 'retrying', 'circuit-open');
         
+        const resumeIn = detail.openUntil ? Math.max(0, Math.ceil((detail.openUntil - Date.now()) / 1000)) : 0;
         const statusMap = {
             'connected': { class: 'online', text: 'Connected' },
+            'live': { class: 'online', text: 'Live' },
             'connecting': { class: 'connecting', text: 'Connecting...' },
-            'disconnected': { class: 'disconnected', text: 'Disconnected' }
+            'disconnected': { class: 'disconnected', text: 'Disconnected' },
+            'retrying': { class: 'retrying', text: `Retrying (${detail.attempt || 1}/${detail.maxAttempts || 1})` },
+            'circuit-open': { class: 'circuit-open', text: resumeIn ? `API paused · retry in ${resumeIn}s` : 'API paused' }
         };
         
         const config = statusMap[status] || statusMap.disconnected;
@@ -919,6 +2477,7 @@ const DashboardUtils = {
         
         if (statusText) {
             statusText.textContent = config.text;
+            statusText.title = detail.lastError ? `Last error: ${detail.lastError}` : '';
         }
     },
 
@@ -982,383 +2541,65 @@ const DashboardUtils = {
             const style = document.createElement('style');
             style.id = 'api-notice-styles';
             style.textContent = `
-                @keyframes slideDown {
-                    from { opacity: 0; transform: translateY(-10px); }
-                    to { opacity: 1; transform: translateY(0); }
-                }
-            `;
-            document.head.appendChild(style);
-        }
-        
-        header.appendChild(notice);
-        
-        // Auto-remove after 10 seconds for warnings (not errors)
-        if (type === 'warning') {
-            setTimeout(() => {
-                if (notice.parentElement) {
-                    notice.remove();
-                }
-            }, 10000);
-        }
-    }
-};
-
-// === GLOBAL STATE MANAGEMENT (STAGE 1 OPTIMIZATION) ===
-const DashboardState = {
-    // Chart instances
-    charts: {
-        temperature: null,
-        pressure: null,
-        incidentTrends: null
-    },
-    
-    // UI state (consolidating global variables)
-    ui: {
-        refreshTimer: refreshTimer,
-        currentChartHours: currentChartHours,
-        currentPressureChartHours: currentPressureChartHours,
-        originalIncidentsData: originalIncidentsData
-    },
-    
-    // Chart data comparison timestamps (for Stage 3)
-    chartTimestamps: {
-        temperature: null,
-        pressure: null,
-        incidents: null
-    },
-    
-    // API data cache with TTL (Stage 2)
-    cache: {
-        statusData: { data: null, timestamp: null, ttl: 30000 }, // 30 seconds
-        enhancedData: { data: null, timestamp: null, ttl: 60000 }, // 60 seconds  
-        historyData: new Map(), // Key: hours, Value: { data, timestamp, ttl }
-        snapshot: { data: null, timestamp: null, ttl: 30000 } // 30 seconds
-    }
-};
-
-// === CENTRALIZED DATA MANAGEMENT (STAGE 2 OPTIMIZATION) ===
-const DataManager = {
-    // Subscription system for data updates
-    subscribers: {
-        status: [],
-        enhanced: [],
-        history: [],
-        snapshot: []
-    },
-
-    // Subscribe to data updates
-    subscribe(dataType, callback) {
-        if (!this.subscribers[dataType]) {
-            this.subscribers[dataType] = [];
-        }
-        this.subscribers[dataType].push(callback);
-    },
-
-    // Notify all subscribers of data updates
-    _notifySubscribers(dataType, data) {
-        if (this.subscribers[dataType]) {
-            this.subscribers[dataType].forEach(callback => {
-                try {
-                    callback(data);
-                } catch (error) {
-                    console.error(`Error notifying ${dataType} subscriber:`, error);
-                }
-            });
-        }
-    },
-
-    // Consolidated Enhanced Dashboard Data API call
-    async getEnhancedData(forceRefresh = false) {
-        const cache = DashboardState.cache.enhancedData;
-        const now = Date.now();
-
-        // Return cached data if still valid
-        if (!forceRefresh && cache.data && cache.timestamp && (now - cache.timestamp < cache.ttl)) {
-            console.log('DataManager: Using cached enhanced data');
-            return cache.data;
-        }
-
-        console.log('DataManager: Fetching fresh enhanced data');
-        
-        try {
-            // console.log('🔍 DEBUG: DataManager.getEnhancedData() - Making API call to:', CONFIG.enhancedApiUrl);
-            
-            // Only request the cheap small-table sections the dashboard consumes
-            // (startup -> System Health widget, yesterday -> Yesterday's Report).
-            // The 'doors' section runs a 48h VentilationData scan (~57s) and is
-            // unused now that the Door Activity Center is removed; 'monthly'/'health'
-            // are also not consumed here. Restricting sections keeps this off the
-            // <10s critical path.
-            const url = `${CONFIG.enhancedApiUrl}?deviceId=${CONFIG.deviceId}&sections=startup,yesterday`;
-            const response = await fetch(url, {
-                method: 'GET',
-                headers: DashboardUtils.getAuthHeaders()
-            });
-
-            // console.log('🔍 DEBUG: GetEnhancedDashboardData response status:', response.status, response.statusText);
-
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-
-            const data = await response.json();
-            // console.log('🔍 DEBUG: GetEnhancedDashboardData full response structure:', Object.keys(data));
-            
-            // Cache the response
-            cache.data = data;
-            cache.timestamp = now;
-
-            // Notify all subscribers
-            this._notifySubscribers('enhanced', data);
-
-            console.log('DataManager: Enhanced data fetched and cached successfully');
-            return data;
-
-        } catch (error) {
-            console.error('DataManager: Error fetching enhanced data:', error);
-            // Return cached data if available, even if expired
-            if (cache.data) {
-                console.log('DataManager: Returning expired cached data due to error');
-                return cache.data;
-            }
-            throw error;
-        }
-    },
-
-    // Consolidated History Data API call with parameter awareness
-    async getHistoryData(hours = 24, forceRefresh = false) {
-        const historyCache = DashboardState.cache.historyData;
-        const cacheKey = `hours_${hours}`;
-        const cache = historyCache.get(cacheKey);
-        const now = Date.now();
-        const ttl = 45000; // 45 seconds TTL
-
-        // Return cached data if still valid
-        if (!forceRefresh && cache && cache.data && cache.timestamp && (now - cache.timestamp < ttl)) {
-            console.log(`DataManager: Using cached history data for ${hours}h`);
-            return cache.data;
-        }
-
-        console.log(`DataManager: Fetching fresh history data for ${hours}h`);
-        
-        try {
-            let data;
-            
-            // DECISION: Use GetVentilationHistory for long-term data (>24h)
-            // Use GetDashboardSnapshot for short-term data (<=24h) which includes status/etc
-            if (hours > 24) {
-                console.log(`DataManager: Fetching long-term history data for ${hours}h via GetVentilationHistory`);
-                const url = `${CONFIG.historyApiUrl}?deviceId=${CONFIG.deviceId}&hours=${hours}`;
-                
-                const response = await fetch(url, {
-                    method: 'GET',
-                    headers: DashboardUtils.getAuthHeaders()
-                });
-
-                if (!response.ok) {
-                    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-                }
-
-                const responseData = await response.json();
-                
-                // Handle response wrapper
-                if (responseData && Array.isArray(responseData.data)) {
-                    data = responseData.data;
-                } else if (Array.isArray(responseData)) {
-                    data = responseData;
-                } else {
-                    throw new Error('Invalid response format from GetVentilationHistory');
-                }
-                
-                console.log(`DataManager: Successfully fetched ${data.length} history items`);
-            } else {
-                // Fetch via snapshot (always gets 24h)
-                const snapshot = await this.getDashboardSnapshot(forceRefresh);
-                data = snapshot.history;
-                
-                if (!data) {
-                    throw new Error('History data missing from snapshot');
-                }
-            }
-            
-            // Cache the response
-            historyCache.set(cacheKey, {
-                data: data,
-                timestamp: now,
-                ttl: ttl
-            });
-
-            // Notify all subscribers
-            this._notifySubscribers('history', { hours, data });
-
-            console.log(`DataManager: History data (${hours}h) processed successfully`);
-            return data;
-
-        } catch (error) {
-            console.error(`DataManager: Error fetching history data for ${hours}h:`, error);
-            // Return cached data if available, even if expired
-            if (cache && cache.data) {
-                console.log(`DataManager: Returning expired cached data for ${hours}h due to error`);
-                return cache.data;
-            }
-            throw error;
+                @keyframes slideDown {
+                    from { opacity: 0; transform: translateY(-10px); }
+                    to { opacity: 1; transform: translateY(0); }
+                }
+            `;
+            document.head.appendChild(style);
         }
-    },
-
-    // Get door analytics data for CSV export
-    async getDoorAnalyticsData(timeRange = '24h', analysis = 'raw-transitions') {
-        console.log(`DataManager: Fetching door analytics data for ${timeRange}`);
         
-        try {
-            const url = `https://esp32-ventilation-api.azurewebsites.net/api/GetEnhancedDoorAnalytics?timeRange=${timeRange}&analysis=${analysis}&deviceId=${CONFIG.deviceId}`;
-            const response = await fetch(url, {
-                method: 'GET',
-                headers: DashboardUtils.getAuthHeaders()
-            });
-
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-
-            const data = await response.json();
-            console.log(`DataManager: Door analytics data received - ${data.totalTransitions || 0} transitions`);
-            return data;
-        } catch (error) {
-            console.error('DataManager: Error fetching door analytics data:', error);
-            throw error;
-        }
-    },
-
-    // Get current system status from GetVentilationStatus API
-    async getCurrentSystemStatus(forceRefresh = false) {
-        const cache = DashboardState.cache.currentStatus || { data: null, timestamp: null, ttl: 30000 }; // 30 second cache
-        const now = Date.now();
-
-        // Initialize cache if not exists
-        if (!DashboardState.cache.currentStatus) {
-            DashboardState.cache.currentStatus = cache;
-        }
-
-        // Return cached data if still valid
-        if (!forceRefresh && cache.data && cache.timestamp && (now - cache.timestamp < cache.ttl)) {
-            console.log('DataManager: Using cached current system status');
-            return cache.data;
-        }
-
-        console.log('DataManager: Fetching fresh current system status');
+        header.appendChild(notice);
         
-        try {
-            // Use snapshot instead of direct call to deprecated API
-            // const url = `${CONFIG.currentStatusApiUrl}?deviceId=${CONFIG.deviceId}`;
-            
-            // Fetch via snapshot
-            const snapshot = await this.getDashboardSnapshot(forceRefresh);
-            const data = snapshot.status;
-            
-            if (!data) {
-                throw new Error('Status data missing from snapshot');
-            }
-            
-            // Cache the response
-            cache.data = data;
-            cache.timestamp = now;
-            DashboardState.cache.currentStatus = cache;
-
-            console.log('DataManager: Current system status extracted from snapshot successfully');
-            return data;
-
-        } catch (error) {
-            console.error('DataManager: Error fetching current system status:', error);
-            // Return cached data if available, even if expired
-            if (cache.data) {
-                console.log('DataManager: Returning expired cached system status due to error');
-                return cache.data;
-            }
-            throw error;
+        // Auto-remove after 10 seconds for warnings (not errors)
+        if (type === 'warning') {
+            setTimeout(() => {
+                if (notice.parentElement) {
+                    notice.remove();
+                }
+            }, 10000);
         }
     },
 
-    // Consolidated Dashboard Snapshot API call
-    async getDashboardSnapshot(forceRefresh = false) {
-        // Share a SINGLE snapshot cache with the modular GlobalDataManager when
-        // it is available. Without this, the inline DataManager and
-        // GlobalDataManager each keep their own cache and the ~2.4s snapshot is
-        // fetched twice on load. Delegating here collapses that to one fetch.
-        if (GlobalDataManager && GlobalDataManager !== DataManager &&
-            typeof GlobalDataManager.getDashboardSnapshot === 'function') {
-            return GlobalDataManager.getDashboardSnapshot(forceRefresh, 24);
-        }
-
-        const cache = DashboardState.cache.snapshot;
-        const now = Date.now();
-
-        // Return cached data if still valid
-        if (!forceRefresh && cache.data && cache.timestamp && (now - cache.timestamp < cache.ttl)) {
-            console.log('DataManager: Using cached snapshot data');
-            return cache.data;
-        }
-
-        console.log('DataManager: Fetching fresh dashboard snapshot');
-        
-        try {
-            const url = `${CONFIG.snapshotApiUrl}?deviceId=${CONFIG.deviceId}&hours=24`;
-            // Abort if the request stalls so the loading spinner can't hang forever
-            // on a flaky mobile connection.
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 60000);
-            let response;
-            try {
-                response = await fetch(url, {
-                    method: 'GET',
-                    headers: DashboardUtils.getAuthHeaders(),
-                    signal: controller.signal
-                });
-            } finally {
-                clearTimeout(timeoutId);
-            }
-
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-
-            const data = await response.json();
-            
-            // Cache the response
-            cache.data = data;
-            cache.timestamp = now;
-
-            // Notify all subscribers
-            this._notifySubscribers('snapshot', data);
-
-            console.log('DataManager: Dashboard snapshot fetched and cached successfully');
-            return data;
+    /**
+     * One CSV line from a list of cells, for the exports
+     * Text starting with =, +, -, @, tab or CR is prefixed with ' so a
+     * spreadsheet shows it instead of running it as a formula; rule names,
+     * sources and errors are user input. Numbers are written as they are.
+     * @param {Array} fields - Cells; null and undefined become empty
+     * @returns {string}
+     */
+    toCSVLine(fields) {
+        return fields.map(field => {
+            let text = String(field ?? '');
+            if (typeof field !== 'number' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+            return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        }).join(',');
+    }
+};
 
-        } catch (error) {
-            console.error('DataManager: Error fetching dashboard snapshot:', error);
-            // Return cached data if available, even if expired
-            if (cache.data) {
-                console.log('DataManager: Returning expired cached snapshot due to error');
-                return cache.data;
-            }
-            throw error;
-        }
+// === GLOBAL STATE MANAGEMENT (STAGE 1 OPTIMIZATION) ===
+const DashboardState = {
+    // Chart instances
+    charts: {
+        temperature: null,
+        pressure: null,
+        incidentTrends: null
     },
-
-    // Get the flat recent door-events list from the consolidated 24h snapshot.
-    // Feeds the "Door Status & Activity" 6-panel card instead of the slow
-    // GetEnhancedDoorAnalytics endpoint + full history fetch.
-    async getRecentDoorEvents(forceRefresh = false) {
-        const snapshot = await this.getDashboardSnapshot(forceRefresh);
-        return Array.isArray(snapshot.recentDoorEvents) ? snapshot.recentDoorEvents : [];
+    
+    // UI state (consolidating global variables)
+    ui: {
+        originalIncidentsData: originalIncidentsData
     },
-
-    // EXPERIMENTAL pressure-only 3-way garage-house classification (from the ESP32 gh3way
-    // telemetry object, surfaced by GetDashboardSnapshot). May be null if the device has not
-    // reported one yet. Always shown WITH confidence + [EXP] tag; never used for control.
-    async getGh3way(forceRefresh = false) {
-        const snapshot = await this.getDashboardSnapshot(forceRefresh);
-        return (snapshot && typeof snapshot.gh3way === 'object') ? snapshot.gh3way : null;
+    
+    // Chart data comparison timestamps (for Stage 3)
+    chartTimestamps: {
+        temperature: null,
+        pressure: null,
+        incidents: null
     }
+    
+    // API data lives in GlobalDataManager (data-api-manager.js): one cache per device
 };
 
 // Legacy function for backward compatibility - will be removed in later stages
@@ -1400,9 +2641,9 @@ function handleAuthError(response, context = 'API call') {
 }
 
 /**
- * Logs out the current user by clearing authentication data
+ * Logs out the current user by clearing authentication and offline data
  * Legacy wrapper function that delegates to DashboardUtils.logout()
- * @returns {void}
+ * @returns {Promise<void>}
  */
 function logout() {
     return DashboardUtils.logout();
@@ -1426,9 +2667,14 @@ function showApiFailureNotice(message, type = 'warning') {
 // Authentication check - redirect to login if not authenticated.
 // URL-parameter auth was removed (see policy comment above getApiKeyFromUrl).
 // The only supported credential is the Bearer token saved by login.html.
-window.addEventListener('load', function() {
+window.addEventListener('load', async function() {
+    try {
+        await initializeRuntimeConfig(); // Fixture mode (from config) needs no login
+    } catch (error) {
+        return; // The dashboard shows the configuration error instead
+    }
     const token = localStorage.getItem('ventilation_auth_token');
-    if (!token) {
+    if (!token && !isFixtureTransport()) {
         // No token -> bounce to login. login.html will redirect back to
         // dashboard.html on successful verification.
         window.location.href = 'login.html';
@@ -1440,45 +2686,183 @@ window.addEventListener('load', function() {
 /**
  * Updates the connection status indicator in the dashboard
  * Legacy wrapper function that delegates to DashboardUtils.updateConnectionStatus()
- * @param {string} status - The connection status ('connected', 'disconnected', 'reconnecting', etc.)
+ * @param {string} status - The connection status ('connected', 'disconnected', 'retrying', 'circuit-open', etc.)
+ * @param {Object} [detail] - Retry/circuit detail from GlobalDataManager.getConnectionState()
+ * @returns {void}
+ */
+function updateConnectionStatus(status, detail) {
+    return DashboardUtils.updateConnectionStatus(status, detail);
+}
+
+/**
+ * Mirrors DataManager retry / circuit-breaker state into the header
+ * A successful retry is painted as 'connected' by refreshData() itself
+ * @param {Object} state - From GlobalDataManager.getConnectionState()
+ * @returns {void}
+ */
+function handleConnectionStateChange(state) {
+    if (state.status === 'retrying' || state.status === 'circuit-open') {
+        updateConnectionStatus(state.status, state);
+    }
+}
+
+/**
+ * Shows whether updates are pushed ('Live') or polled ('Connected')
+ * Losing the channel needs no action: the auto-refresh timer polls again
+ * @param {Object} state - From GlobalDataManager.getLiveState()
+ * @returns {void}
+ */
+function handleLiveStateChange(state) {
+    Logger.log(`Live channel: ${state.status} (${state.mode})`);
+    if (state.status === 'open') {
+        updateConnectionStatus('live');
+    } else if (state.status === 'failed' || state.status === 'reconnecting') {
+        updateConnectionStatus(GlobalDataManager.getDataFreshness().stale ? 'disconnected' : 'connected');
+    }
+}
+
+/**
+ * Re-renders from the snapshot DataManager just updated with a pushed
+ * reading or door transition; no request is made
+ * @param {{type: string, snapshot: Object}} update - From the DataManager 'push' subscription
+ * @returns {Promise<void>}
+ */
+async function handleLivePush(update) {
+    await applySnapshotToDashboard(update.snapshot);
+    updateStaleDataBadge(GlobalDataManager.getDataFreshness());
+    if (update.type === 'telemetry') refreshCurrentChart();
+}
+
+/**
+ * Shows or hides the "stale since" badge in the status bar
+ * @param {{stale: boolean, since: number|null}} freshness - From GlobalDataManager.getDataFreshness()
  * @returns {void}
  */
-function updateConnectionStatus(status) {
-    return DashboardUtils.updateConnectionStatus(status);
+function updateStaleDataBadge(freshness) {
+    const badge = document.getElementById('staleDataBadge');
+    if (!badge) return;
+    if (!freshness || !freshness.stale) {
+        badge.style.display = 'none';
+        return;
+    }
+    const since = freshness.since ? DateTimeUtils.formatDateTime(new Date(freshness.since)) : 'unknown';
+    badge.textContent = `📴 Offline data · stale since ${since}`;
+    badge.title = 'Showing the last data saved on this device. It will update automatically when the connection returns.';
+    badge.style.display = '';
 }
 
 // Auto-refresh functionality
 /**
- * Starts the auto-refresh timer for dashboard data
- * Clears any existing refresh timer and starts a new interval timer
- * Refreshes dashboard data every CONFIG.refreshInterval milliseconds (default: 30 seconds)
+ * Registers every periodic widget refresh with GlobalRefreshScheduler and starts it
+ * The scheduler owns all refresh timers: it pauses or slows tasks while the tab
+ * is hidden or unattended and catches up when the page is used again.
+ * Cadences: snapshot every CONFIG.refreshInterval, the rest from CONFIG.refresh.
+ * While the live channel is open, snapshot ticks are skipped until a resync is due.
  * @returns {void}
  */
 function startAutoRefresh() {
-    // Clear any existing timer
-    if (refreshTimer) {
-        clearInterval(refreshTimer);
-    }
-    
-    // Start new timer
-    refreshTimer = setInterval(async () => {
+    const scheduler = GlobalRefreshScheduler;
+    const isTabShown = id => {
+        const tab = document.getElementById(id);
+        return !!tab && tab.style.display !== 'none';
+    };
+
+    // Status stays current on an unattended wall display; hidden tabs still poll
+    // slowly so the cached snapshot never goes far out of date
+    // Pushes keep the snapshot current while live, except on an explicit refresh
+    scheduler.register('status', async ({ force }) => {
+        if (!force && GlobalDataManager.canSkipPoll(lastSnapshotRefreshAt)) return;
         console.log('Auto-refreshing dashboard data...');
-        try {
-            await refreshData();
-            // Monthly aggregation now in Yesterday's Report - no need to refresh separately
-            // await loadAggregationStatus();
-            // Don't auto-refresh charts to avoid interrupting user interactions
-        } catch (error) {
-            console.error('Auto-refresh failed:', error);
-        }
-    }, CONFIG.refreshInterval);
-    
-    console.log(`Auto-refresh started with ${CONFIG.refreshInterval / 1000}s interval`);
+        await refreshData();
+    }, { whenHidden: 'slow', whenIdle: 'keep' });
+    scheduler.register('controls', loadVentilationControlState, { whenIdle: 'keep' });
+    scheduler.register('countdown', renderManualVentilationCountdown, { intervalMs: 1000, whenIdle: 'keep' });
+    // Schedule steps and preset reverts fall due whether or not anyone is looking,
+    // so a hidden tab checks them as often as a visible one
+    scheduler.register('schedules', runVentilationSchedules, { whenHidden: 'keep', whenIdle: 'keep' });
+    scheduler.register('presets', runPresetRevert, { whenHidden: 'keep', whenIdle: 'keep' });
+    // Chart managers skip the redraw when no newer data arrived
+    scheduler.register('charts', refreshCurrentChart, { whenIdle: 'keep' });
+    scheduler.register('systemHealth', updateSystemHealthWidget);
+    scheduler.register('incidents', loadIncidentAlmanac, { isActive: () => isTabShown('incidentsTab') });
+    scheduler.register('yesterday', async () => {
+        await loadYesterdaySummaryMetrics();
+        await loadYesterdayIndividualSensorData();
+    });
+    scheduler.register('climate', loadClimateAnalysis, { isActive: () => isTabShown('climateTab') });
+
+    scheduler.start();
+}
+
+/**
+ * Backs the Refresh / Try Again buttons: runs every registered refresh now,
+ * forced so the snapshot is re-fetched even while the live channel is open,
+ * which also restarts each task's interval
+ * @returns {Promise<void>}
+ */
+async function refreshAllNow() {
+    await GlobalRefreshScheduler.runAll({ force: true });
 }
 
 // This will be populated with more functions as we extract them from the HTML file
 // For now, let's add placeholders for the main functions we know exist
 
+        /**
+         * Renders a dashboard snapshot into every snapshot-driven widget
+         * Shared by refreshData() and the offline-cache paint on startup, so live
+         * and last-known data go through exactly the same rendering path
+         * @param {Object} snapshot - GetDashboardSnapshot payload
+         * @returns {Promise<void>}
+         */
+        async function applySnapshotToDashboard(snapshot) {
+            // Update dashboard with status data from snapshot
+            if (snapshot.status) {
+                await updateDashboard(snapshot.status);
+                // Emit event for modular system listeners
+                if (GlobalEventSystem) {
+                    GlobalEventSystem.emit('data:updated', { type: 'status', snapshot: true });
+                }
+            }
+
+            const recentReedTransitions = snapshot.recentDoorEvents.filter(isMeaningfulDoorTransition);
+            if (GlobalChartManager) GlobalChartManager.setAnnotations('doors', doorAnnotations(snapshot.recentDoorEvents));
+            updateGarageDoorSummary(
+                snapshot.status?.doors,
+                [...snapshot.latestDoorTransitions, ...recentReedTransitions],
+                snapshot.latestDoorTransitionsAvailable
+            );
+            updatePressureDetectorSummary(snapshot.pressureDetectionSummary);
+            
+            // Update Door Command Center (6-panel grid)
+            try {
+                // This will now use the cached history data we just populated
+                // FIX: Use currently selected time range if available, otherwise default to 24
+                const timeRangeEl = document.getElementById('analyticsTimeRange');
+                const currentHours = timeRangeEl ? parseInt(timeRangeEl.value) : 24;
+                await updateDoorCommandCenter(currentHours);
+            } catch (e) {
+                Logger.error('Error updating Door Command Center:', e);
+            }
+        }
+
+        /**
+         * Paints the last-known snapshot from the offline cache (IndexedDB)
+         * Runs before the first network refresh so a reload or a dropped mobile
+         * connection shows data immediately, flagged with the "stale since" badge
+         * @returns {Promise<void>}
+         */
+        async function paintLastKnownSnapshot() {
+            try {
+                const snapshot = await GlobalDataManager.getLastKnownSnapshot();
+                if (!snapshot) return;
+                Logger.log('Painting last-known snapshot from offline cache');
+                await applySnapshotToDashboard(snapshot);
+                updateStaleDataBadge(GlobalDataManager.getDataFreshness());
+            } catch (error) {
+                Logger.warn('Could not paint last-known snapshot:', error);
+            }
+        }
+
         // Main data refresh function
         /**
          * Refreshes all dashboard data by fetching current status and updating displays
@@ -1494,75 +2878,33 @@ function startAutoRefresh() {
                 const token = localStorage.getItem('ventilation_auth_token');
         
                 // If no authentication method is available, show no data
-                if (!token && !CONFIG.apiSecret) {
+                if (!token && !CONFIG.apiSecret && !isFixtureTransport()) {
                     showNoDataState();
                     updateConnectionStatus('disconnected');
                     return;
                 }
 
-                // Use GlobalDataManager if available (Modular System), otherwise fallback to local DataManager
-                const dataManager = GlobalDataManager || DataManager;
+                // While showing last-known (offline) data, always go back to the network.
+                // While live, pushes keep the cache current, so a refresh here is a deliberate resync.
+                const forceRefresh = GlobalDataManager.getDataFreshness().stale || GlobalDataManager.isLive();
                 
-                // Use consolidated DataManager to get snapshot
-                const snapshot = await dataManager.getDashboardSnapshot();
+                // Every widget below reads this same cached snapshot
+                const snapshot = await GlobalDataManager.getDashboardSnapshot(forceRefresh);
                 Logger.log('DataManager: Dashboard snapshot retrieved successfully');
                 
-                // Populate caches from snapshot to avoid redundant calls
-                // Note: GlobalDataManager handles its own caching, but we update DashboardState for legacy compatibility
-                if (snapshot.history) {
-                     DashboardState.cache.historyData.set('hours_24', {
-                        data: snapshot.history,
-                        timestamp: Date.now(),
-                        ttl: 45000
-                    });
-                }
-                
-                // Update dashboard with status data from snapshot
-                if (snapshot.status) {
-                    await updateDashboard(snapshot.status);
-                    // Emit event for modular system listeners
-                    if (GlobalEventSystem) {
-                        GlobalEventSystem.emit('data:updated', { type: 'status', snapshot: true });
-                    }
-                }
-
-                const latestDoorTransitions = Array.isArray(snapshot.latestDoorTransitions)
-                    ? snapshot.latestDoorTransitions
-                    : [];
-                const recentReedTransitions = Array.isArray(snapshot.recentDoorEvents)
-                    ? snapshot.recentDoorEvents.filter(isMeaningfulDoorTransition)
-                    : [];
-                updateGarageDoorSummary(
-                    snapshot.status?.doors,
-                    [...latestDoorTransitions, ...recentReedTransitions],
-                    snapshot.latestDoorTransitionsAvailable === true
-                );
-                updatePressureDetectorSummary(snapshot.pressureDetectionSummary);
-                
-                // Update Door Command Center (6-panel grid)
-                try {
-                    // This will now use the cached history data we just populated
-                    // FIX: Use currently selected time range if available, otherwise default to 24
-                    const timeRangeEl = document.getElementById('analyticsTimeRange');
-                    const currentHours = timeRangeEl ? parseInt(timeRangeEl.value) : 24;
-                    await updateDoorCommandCenter(currentHours);
-                } catch (e) {
-                    Logger.error('Error updating Door Command Center:', e);
-                }
-
-                await loadVentilationControlState();
+                await applySnapshotToDashboard(snapshot);
 
-                updateConnectionStatus('connected');
-
-                // Refresh chart data if chart is currently displayed
-                refreshCurrentChart();
+                // The snapshot may be the last-known copy served from the offline cache
+                const freshness = GlobalDataManager.getDataFreshness();
+                updateStaleDataBadge(freshness);
+                updateConnectionStatus(freshness.stale ? 'disconnected' : (GlobalDataManager.isLive() ? 'live' : 'connected'));
+                lastSnapshotRefreshAt = Date.now();
                 
                 // Clear any existing error notices
                 const apiFailureNotice = document.getElementById('apiFailureNotice');
                 if (apiFailureNotice) {
                     apiFailureNotice.style.display = 'none';
                 }
-                
             } catch (error) {
                 Logger.error('DataManager: Error refreshing dashboard data:', error);
                 
@@ -1575,6 +2917,10 @@ function startAutoRefresh() {
                     } else if (token) {
                         showApiFailureNotice('Status API returned 401 Unauthorized. Please check authentication or contact system administrator.', 'error');
                     }
+                } else if (error.name === 'CircuitOpenError') {
+                    // The API kept failing after retries; the header already
+                    // shows the cooldown, so skip the banner until it closes.
+                    Logger.log(`refreshData: ${error.message}`);
                 } else if (error.message && error.message.toLowerCase().includes('failed to fetch')) {
                     // Transient network blip or Azure Function cold start.
                     // Auto-refresh runs every 15s, so don't show a scary
@@ -1587,7 +2933,12 @@ function startAutoRefresh() {
                 }
                 
                 showNoDataState();
-                updateConnectionStatus('disconnected');
+                const connection = GlobalDataManager.getConnectionState();
+                if (connection.status === 'circuit-open') {
+                    updateConnectionStatus('circuit-open', connection);
+                } else {
+                    updateConnectionStatus('disconnected', connection);
+                }
             }
         }// Note: These functions are implemented later in this file
 
@@ -1602,7 +2953,7 @@ function startAutoRefresh() {
 // Variables are already declared at the top of this file
 
         // Add logout button to header
-        document.addEventListener('DOMContentLoaded', function() {
+        document.addEventListener('DOMContentLoaded', async function() {
             initializeDashboardTabs();
             const header = document.querySelector('.header');
             const userEmail = localStorage.getItem('ventilation_user_email') || 'User';
@@ -1619,9 +2970,17 @@ function startAutoRefresh() {
                 header.appendChild(userSection);
             }
             
+            // Nothing below can run without endpoints and devices from config.json
+            try {
+                await initializeRuntimeConfig();
+            } catch (error) {
+                showRuntimeConfigError(error);
+                return;
+            }
+            
             // Only show no-data notice if user has neither Bearer token nor API key
             const token = localStorage.getItem('ventilation_auth_token');
-            if (!CONFIG.apiSecret && !token) {
+            if (!CONFIG.apiSecret && !token && !isFixtureTransport()) {
                 const noDataNotice = document.createElement('div');
                 noDataNotice.style.cssText = 'background: rgba(255,193,7,0.9); color: #212529; padding: 10px; text-align: center; font-size: 0.9em; border-radius: 5px; margin-top: 10px;';
                 noDataNotice.innerHTML = '📊 <strong>No Data Available:</strong> <a href="login.html" style="color: #0056b3; text-decoration: underline;">Log in</a> to access live data.';
@@ -1707,6 +3066,13 @@ function startAutoRefresh() {
         async function initializeDashboard() {
             Logger.log('Initializing dashboard...');
             
+            // Already loaded by the DOMContentLoaded handler; this keeps direct callers safe
+            await initializeRuntimeConfig();
+            
+            // Restore the selected device before any data module reads CONFIG.deviceId
+            restoreActiveDevice();
+            initializeDeviceSelector();
+            
             // STAGE 5: Initialize modular systems first
             const modularSystems = await initializeModularSystems();
             if (modularSystems) {
@@ -1719,8 +3085,27 @@ function startAutoRefresh() {
                 GlobalEventSystem.on('chart:updated', (data) => {
                     Logger.log('STAGE 5: Chart update event received:', data.chartType);
                 });
+                
+                // Surface retries and open circuits in the header while requests are in flight
+                GlobalDataManager.subscribe('connection', handleConnectionStateChange);
+                
+                // Pushed telemetry, door transitions and command ACKs (when config.json enables "live")
+                GlobalDataManager.subscribe('live', handleLiveStateChange);
+                GlobalDataManager.subscribe('push', handleLivePush);
+                GlobalDataManager.subscribe('command', renderVentilationControlState);
+                
+                // A shared link (?hours= or ?from=&to=, ?compare=) picks the view before the first draw
+                const linkedView = ChartUtils.readChartViewFromUrl();
+                if (linkedView.range) GlobalChartManager.setRange(linkedView.range);
+                if (linkedView.comparison) GlobalChartManager.setComparison(linkedView.comparison);
+                
+                // Buttons, zoom, pan, both brushes and the date picker all change this one range
+                GlobalChartManager.onRangeChange(handleChartRangeChange);
             } else {
-                Logger.log('=== STAGE 5: Fallback to legacy systems ===');
+                // There is no second data layer to fall back to
+                showApiFailureNotice('Dashboard modules failed to load (see console). Check that the site is served over HTTP and reload.', 'error');
+                updateConnectionStatus('disconnected');
+                return;
             }
             
             // Initialize API secret from URL parameters
@@ -1731,19 +3116,27 @@ function startAutoRefresh() {
                 window.dataSourceTracker.clearAll();
             }
             
+            // Show last-known data instantly while the first network refresh runs
+            await paintLastKnownSnapshot();
+            
             // Load dashboard components with unified refresh logic
             // This ensures initial load and auto-refresh use the exact same code path
             await refreshData();
-            
-            // Load charts with modular enhancement
-            if (GlobalChartManager) {
-                // Use enhanced chart manager
-                await loadChartsWithModularSystem();
-            } else {
-                // Fallback to legacy chart loading
-                await createTemperatureChart(6); // Load 6-hour chart by default
-                await createPressureChart(6); // Load 6-hour pressure chart by default
-            }
+            await loadVentilationControlState();
+            
+            // Open the push channel once a snapshot is cached for pushes to update
+            GlobalDataManager.startLive();
+            
+            // Load charts (6-hour range unless the link says otherwise) and their overview brushes
+            restoreChartAnnotationVisibility();
+            renderAlertRules();
+            renderDesktopNotificationControl();
+            renderVentilationSchedules();
+            renderVentilationPresets();
+            renderVentilationAdvisor();
+            renderCommandHistory();
+            await loadChartsWithModularSystem();
+            syncChartRangeControls(GlobalChartManager.getRange());
             
             await loadIncidentAlmanac();
             
@@ -1766,9 +3159,18 @@ function startAutoRefresh() {
             
             // Note: Monthly aggregation status is handled by loadAggregationStatus() above
             
-            // Start auto-refresh
+            // Every periodic refresh from here on goes through GlobalRefreshScheduler
             startAutoRefresh();
-            
+
+            // Deep links from desktop notifications, in this tab or a reused one
+            window.addEventListener('hashchange', () => openDashboardWidgetFromUrl());
+            if ('serviceWorker' in navigator) {
+                navigator.serviceWorker.addEventListener('message', event => {
+                    if (event.data && event.data.type === 'open-widget') openDashboardWidgetFromUrl(event.data.url);
+                });
+            }
+            openDashboardWidgetFromUrl();
+
             Logger.log('Dashboard initialization complete');
         }
 
@@ -1786,27 +3188,195 @@ function startAutoRefresh() {
          */
         async function loadChartsWithModularSystem() {
             console.log('=== STAGE 5: Using enhanced ChartManager for chart loading ===');
+            const range = GlobalChartManager.getRange();
             
             try {
                 // Load temperature chart with smart updates
-                const tempChart = await GlobalChartManager.updateTemperatureChart(6, temperatureChart);
+                const tempChart = await GlobalChartManager.updateTemperatureChart(range, temperatureChart);
                 if (tempChart) {
                     temperatureChart = tempChart;
-                    GlobalEventSystem.emit('chart:updated', { chartType: 'temperature', hours: 6 });
+                    GlobalEventSystem.emit('chart:updated', { chartType: 'temperature', range });
                 }
                 
                 // Load pressure chart with smart updates
-                const pressChart = await GlobalChartManager.updatePressureChart(6, pressureChart);
+                const pressChart = await GlobalChartManager.updatePressureChart(range, pressureChart);
                 if (pressChart) {
                     pressureChart = pressChart;
-                    GlobalEventSystem.emit('chart:updated', { chartType: 'pressure', hours: 6 });
+                    GlobalEventSystem.emit('chart:updated', { chartType: 'pressure', range });
                 }
                 
+                await GlobalChartManager.updateHumidityChart(range, humidityChart);
+                GlobalEventSystem.emit('chart:updated', { chartType: 'humidity', range });
+                
             } catch (error) {
                 console.error('STAGE 5: Enhanced chart loading failed, falling back to legacy:', error);
-                await createTemperatureChart(6);
-                await createPressureChart(6);
+                await createTemperatureChart(range);
+                await createPressureChart(range);
+                await createHumidityChart(range);
+            }
+
+            attachChartBrushes();
+            await GlobalChartManager.updateBrushes();
+        }
+
+        /**
+         * Adds the overview strips under both history charts
+         * Dragging on either strip sets the shared range for both charts
+         * @returns {void}
+         */
+        function attachChartBrushes() {
+            const temperatureCanvas = document.getElementById('temperatureBrush');
+            const pressureCanvas = document.getElementById('pressureBrush');
+            if (temperatureCanvas) {
+                GlobalChartManager.attachBrush('temperature', temperatureCanvas, {
+                    valueOf: point => point.sensors.indoor.temp,
+                    color: '#e74c3c'
+                });
+            }
+            if (pressureCanvas) {
+                GlobalChartManager.attachBrush('pressure', pressureCanvas, {
+                    // 1013.25 is the sensor's no-reading placeholder, skipped like in the chart
+                    valueOf: point => (point.sensors.outdoor.pressure !== 1013.25 ? point.sensors.outdoor.pressure : null),
+                    color: '#6f42c1'
+                });
+            }
+        }
+
+        /**
+         * Time buttons above both charts: switch the shared range to a preset
+         * that follows the latest data (also how to leave a zoomed window)
+         * @param {number} hours - 6, 24, 72 or 168
+         * @returns {void}
+         */
+        function setChartRange(hours) {
+            GlobalChartManager.setRange(hours);
+        }
+
+        /**
+         * Apply button of the date picker on the Historical Data card
+         * @returns {void}
+         */
+        function applyChartRangePicker() {
+            const range = {
+                start: DateTimeUtils.fromLocalInputValue(document.getElementById('chartRangeStart').value),
+                end: DateTimeUtils.fromLocalInputValue(document.getElementById('chartRangeEnd').value)
+            };
+            const problem = GlobalChartManager.checkRange(range);
+            document.getElementById('chartRangePickerError').textContent = problem || '';
+            if (!problem) GlobalChartManager.setRange(range);
+        }
+
+        /**
+         * "Compare with" controls on the Historical Data card: turns the ghost
+         * series on the temperature and pressure charts on, off or to another window
+         * @returns {void}
+         */
+        function applyChartComparison() {
+            const mode = document.getElementById('chartComparisonMode').value;
+            const dateInput = document.getElementById('chartComparisonDate');
+            dateInput.style.display = mode === 'date' ? '' : 'none';
+            if (mode === 'date' && !dateInput.value) return; // Wait for a day to be picked
+            GlobalChartManager.setComparison(mode ? { mode, date: dateInput.value } : null);
+        }
+
+        /**
+         * Mean and max indoor temperature and fan minutes for the range against
+         * the comparison window, under the temperature chart
+         * @param {Object|null} comparison - From GlobalChartManager.getComparisonData, null to hide
+         * @returns {void}
+         */
+        function renderComparisonSummary(comparison) {
+            const element = document.getElementById('comparisonSummary');
+            if (!element) return;
+            if (!comparison) {
+                element.style.display = 'none';
+                return;
+            }
+            if (comparison.unavailable) {
+                element.innerHTML = `<strong>vs ${comparison.label}:</strong> not shown - ${comparison.unavailable}`;
+                element.style.display = 'block';
+                return;
+            }
+            const { primary, comparison: other, delta } = comparison.summary;
+            const signed = (value, digits, unit) => (value === null ? '--' : `${value > 0 ? '+' : ''}${value.toFixed(digits)}${unit}`);
+            const temp = value => (value === null ? '--' : `${value.toFixed(1)}°F`);
+            element.innerHTML = other.meanIndoorF === null && other.fanMinutes === 0
+                ? `<strong>vs ${comparison.label}:</strong> no readings in that window`
+                : `<strong>vs ${comparison.label}:</strong> ` +
+                  `mean indoor ${temp(primary.meanIndoorF)} (${signed(delta.meanIndoorF, 1, '°F')}) · ` +
+                  `max indoor ${temp(primary.maxIndoorF)} (${signed(delta.maxIndoorF, 1, '°F')}) · ` +
+                  `fan ${primary.fanMinutes} min (${signed(delta.fanMinutes, 0, ' min')})`;
+            element.style.display = 'block';
+        }
+
+        /**
+         * Door transition CSV for exactly the window the charts show
+         * @returns {Promise<void>}
+         */
+        function exportChartRangeCSV() {
+            const range = GlobalChartManager.getRange();
+            return exportPressureAnalysisCSV(range.hours ? range : GlobalChartManager.getRangeBounds(range));
+        }
+
+        /**
+         * Everything that describes the range without drawing it: time buttons,
+         * range labels, the date picker, the comparison controls and the page URL
+         * (so the view can be shared)
+         * @param {Object} range - Current range from GlobalChartManager
+         * @returns {void}
+         */
+        function syncChartRangeControls(range) {
+            ChartUtils.updateActiveButton('', range.hours, 'setChartRange');
+            document.querySelectorAll('.chart-range-label').forEach(label => {
+                label.textContent = range.hours ? '' : `Showing ${ChartUtils.describeRange(range)}`;
+            });
+
+            const bounds = GlobalChartManager.getRangeBounds(range);
+            const startInput = document.getElementById('chartRangeStart');
+            const endInput = document.getElementById('chartRangeEnd');
+            if (startInput && endInput) {
+                startInput.value = DateTimeUtils.toLocalInputValue(bounds.start);
+                endInput.value = DateTimeUtils.toLocalInputValue(bounds.end);
+                startInput.max = endInput.max = DateTimeUtils.toLocalInputValue(Date.now());
+                startInput.min = endInput.min = DateTimeUtils.toLocalInputValue(GlobalChartManager.earliestHistoryTime());
+                document.getElementById('chartRangePickerError').textContent = '';
+            }
+
+            const comparison = GlobalChartManager.getComparison();
+            const modeSelect = document.getElementById('chartComparisonMode');
+            const dateInput = document.getElementById('chartComparisonDate');
+            if (modeSelect && dateInput) {
+                modeSelect.value = comparison ? comparison.mode : '';
+                dateInput.style.display = comparison && comparison.mode === 'date' ? '' : 'none';
+                if (comparison && comparison.date) dateInput.value = comparison.date;
+                dateInput.max = DateTimeUtils.toLocalInputValue(Date.now()).slice(0, 10);
+                dateInput.min = DateTimeUtils.toLocalInputValue(GlobalChartManager.earliestHistoryTime()).slice(0, 10);
+            }
+
+            ChartUtils.writeChartViewToUrl(range, comparison);
+        }
+
+        /**
+         * Redraws everything that shows the shared chart range: all three history
+         * charts (the temperature chart carries the effectiveness overlay), both brushes, the
+         * range controls and the almanac when it follows the chart range. Runs for
+         * buttons, zoom, pan, brush and the date picker.
+         * @param {Object} range - New range from GlobalChartManager
+         * @returns {Promise<void>}
+         */
+        async function handleChartRangeChange(range) {
+            syncChartRangeControls(range);
+            if (document.getElementById('almanacPeriodFilter')?.value === 'chart') {
+                loadIncidentAlmanac();
             }
+
+            await Promise.all([
+                GlobalChartManager.updateTemperatureChart(range, temperatureChart),
+                GlobalChartManager.updatePressureChart(range, pressureChart),
+                GlobalChartManager.updateHumidityChart(range, humidityChart)
+            ]);
+            GlobalEventSystem.emit('chart:updated', { chartType: 'range', range });
+            await GlobalChartManager.updateBrushes();
         }
 
         // Enhanced chart button handlers with modular integration
@@ -1814,24 +3384,24 @@ function startAutoRefresh() {
          * Loads temperature chart for specified time period using modular system
          * Uses GlobalChartManager for intelligent updates and emits chart update events
          * Falls back to legacy createTemperatureChart() if modular system is unavailable
-         * @param {number} hours - Number of hours of data to display
+         * @param {Object} range - Shared chart range to display
          * @returns {void}
          */
-        function enhancedLoadChart(hours) {
+        function enhancedLoadChart(range) {
             if (GlobalChartManager && temperatureChart) {
-                GlobalChartManager.updateTemperatureChart(hours, temperatureChart)
+                GlobalChartManager.updateTemperatureChart(range, temperatureChart)
                     .then(updatedChart => {
                         if (updatedChart) {
                             temperatureChart = updatedChart;
-                            GlobalEventSystem.emit('chart:updated', { chartType: 'temperature', hours });
+                            GlobalEventSystem.emit('chart:updated', { chartType: 'temperature', range });
                         }
                     })
                     .catch(error => {
                         console.error('STAGE 5: Enhanced temperature chart update failed:', error);
-                        createTemperatureChart(hours); // Fallback
+                        createTemperatureChart(range, true); // Fallback
                     });
             } else {
-                createTemperatureChart(hours); // Fallback
+                createTemperatureChart(range, true); // Fallback
             }
         }
 
@@ -1839,24 +3409,24 @@ function startAutoRefresh() {
          * Loads pressure chart for specified time period using modular system
          * Uses GlobalChartManager for intelligent updates and emits chart update events
          * Falls back to legacy createPressureChart() if modular system is unavailable
-         * @param {number} hours - Number of hours of data to display
+         * @param {Object} range - Shared chart range to display
          * @returns {void}
          */
-        function enhancedLoadPressureChart(hours) {
+        function enhancedLoadPressureChart(range) {
             if (GlobalChartManager && pressureChart) {
-                GlobalChartManager.updatePressureChart(hours, pressureChart)
+                GlobalChartManager.updatePressureChart(range, pressureChart)
                     .then(updatedChart => {
                         if (updatedChart) {
                             pressureChart = updatedChart;
-                            GlobalEventSystem.emit('chart:updated', { chartType: 'pressure', hours });
+                            GlobalEventSystem.emit('chart:updated', { chartType: 'pressure', range });
                         }
                     })
                     .catch(error => {
                         console.error('STAGE 5: Enhanced pressure chart update failed:', error);
-                        createPressureChart(hours); // Fallback
+                        createPressureChart(range); // Fallback
                     });
             } else {
-                createPressureChart(hours); // Fallback
+                createPressureChart(range); // Fallback
             }
         }
 
@@ -1906,7 +3476,7 @@ function startAutoRefresh() {
             
             // Check if we have any authentication method (Bearer token or API key)
             const headers = getAuthHeaders();
-            const hasAuth = headers['Authorization'] || headers['X-API-Secret'];
+            const hasAuth = headers['Authorization'] || headers['X-API-Secret'] || isFixtureTransport();
             
             if (!hasAuth) {
                 console.log('loadYesterdayDetailedContent: No authentication available - Bearer token or API key required');
@@ -1914,7 +3484,7 @@ function startAutoRefresh() {
             }
             
             // Use consolidated DataManager instead of direct API call
-            DataManager.getEnhancedData()
+            GlobalDataManager.getEnhancedData()
                 .then(data => {
                     console.log('DataManager: Enhanced data received for detailed content');
                     
@@ -2319,7 +3889,7 @@ function startAutoRefresh() {
             
             try {
                 const headers = getAuthHeaders();
-                const hasAuth = headers['Authorization'] || headers['X-API-Secret'];
+                const hasAuth = headers['Authorization'] || headers['X-API-Secret'] || isFixtureTransport();
                 
                 if (!hasAuth) {
                     console.log('calculateYesterdaySummaryFromRawData: No authentication available');
@@ -2328,17 +3898,9 @@ function startAutoRefresh() {
                 }
 
                 // Use DataManager to get yesterday's raw data (same as individual sensor function)
-                const historyResponse = await DataManager.getHistoryData(24);
+                const historyData = await GlobalDataManager.getHistoryData(24);
                 console.log('DataManager: History data received for summary calculation (24h)');
                 
-                // Handle both array response (from snapshot) and object response (legacy/wrapper)
-                let historyData = [];
-                if (Array.isArray(historyResponse)) {
-                    historyData = historyResponse;
-                } else if (historyResponse && Array.isArray(historyResponse.data)) {
-                    historyData = historyResponse.data;
-                }
-                
                 if (!historyData || historyData.length === 0) {
                     console.log('No history data available for summary calculation');
                     setYesterdayMetricsToWaiting();
@@ -2469,7 +4031,7 @@ function startAutoRefresh() {
             
             try {
                 const headers = getAuthHeaders();
-                const hasAuth = headers['Authorization'] || headers['X-API-Secret'];
+                const hasAuth = headers['Authorization'] || headers['X-API-Secret'] || isFixtureTransport();
                 
                 if (!hasAuth) {
                     Logger.log('loadYesterdaySummaryFromEnhancedAPI: No authentication available');
@@ -2478,7 +4040,7 @@ function startAutoRefresh() {
                 }
 
                 // Use DataManager to get Enhanced Dashboard Data
-                const data = await DataManager.getEnhancedData();
+                const data = await GlobalDataManager.getEnhancedData();
                 Logger.log('🔍 DEBUG: Enhanced data received for summary metrics - full structure:');
                 Logger.log('🔍 DEBUG: - Root keys:', Object.keys(data));
                 if (data.sections) {
@@ -2834,7 +4396,7 @@ function startAutoRefresh() {
 
             // Check auth
             const headers = getAuthHeaders();
-            const hasAuth = headers['Authorization'] || headers['X-API-Secret'];
+            const hasAuth = headers['Authorization'] || headers['X-API-Secret'] || isFixtureTransport();
             
             if (!hasAuth) {
                 Logger.warn('updateDoorCommandCenter: No authentication available');
@@ -2852,12 +4414,12 @@ function startAutoRefresh() {
                 // (snapshot.recentDoorEvents) instead of the slow
                 // GetEnhancedDoorAnalytics endpoint + full history fetch. This
                 // keeps the card off the critical-path network cost.
-                const recentEvents = await DataManager.getRecentDoorEvents();
+                const recentEvents = await GlobalDataManager.getRecentDoorEvents();
 
                 // EXPERIMENTAL pressure-only 3-way garage-house direction. Rendered with its
                 // confidence + an [EXP] tag; null-safe (device may not have reported one yet).
                 try {
-                    const gh3 = await DataManager.getGh3way();
+                    const gh3 = await GlobalDataManager.getGh3way();
                     const labelEl = document.getElementById('gh3way-label');
                     const confEl = document.getElementById('gh3way-conf');
                     const ageEl = document.getElementById('gh3way-age');
@@ -2933,8 +4495,7 @@ function startAutoRefresh() {
                 if (recentEvents.length > 0) {
                     recentEvents.forEach(t => {
                                 // Filter: Show events within the requested time range (Rolling Window)
-                                const ts = t.timestamp > 10000000000 ? t.timestamp : t.timestamp * 1000;
-                                if (ts < cutoffTime) return;
+                                if (t.time < cutoffTime) return;
 
                                 // Determine panel ID
                                 let panelId = null;
@@ -3019,20 +4580,7 @@ function startAutoRefresh() {
                 // the logical order is preserved (Open -> Close -> Open -> Close)
                 Object.keys(doorEvents).forEach(key => {
                     doorEvents[key].sort((a, b) => {
-                        // Handle both numeric timestamps (Unix) and ISO strings
-                        const getTs = (t) => {
-                            // Try parsing as number first (handles "1764202045" string from JSON)
-                            const n = Number(t);
-                            if (!isNaN(n)) {
-                                // If it's a small number (seconds), convert to ms
-                                return n > 10000000000 ? n : n * 1000;
-                            }
-                            // Handle ISO strings
-                            const d = new Date(t);
-                            return isNaN(d.getTime()) ? 0 : d.getTime();
-                        };
-                        
-                        const tsDiff = getTs(b.timestamp) - getTs(a.timestamp);
+                        const tsDiff = b.time - a.time;
                         if (tsDiff !== 0) return tsDiff;
                         
                         // Secondary sort: Action
@@ -3119,8 +4667,7 @@ function startAutoRefresh() {
                                      // "First" header usually means "First event of the day" (Oldest)
                                      // So we take the LAST item in the list
                                      const oldestEvt = events[events.length - 1];
-                                     const firstTs = oldestEvt.timestamp > 10000000000 ? oldestEvt.timestamp : oldestEvt.timestamp * 1000;
-                                     firstEl.textContent = new Date(firstTs).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'});
+                                     firstEl.textContent = new Date(oldestEvt.time).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'});
                                 } else {
                                     firstEl.textContent = '--:--';
                                 }
@@ -3133,8 +4680,7 @@ function startAutoRefresh() {
                                      // "Last" header usually means "Last event of the day" (Newest)
                                      // So we take the FIRST item in the list
                                      const newestEvt = events[0];
-                                     const lastTs = newestEvt.timestamp > 10000000000 ? newestEvt.timestamp : newestEvt.timestamp * 1000;
-                                     lastEl.textContent = new Date(lastTs).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'});
+                                     lastEl.textContent = new Date(newestEvt.time).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'});
                                 } else {
                                     lastEl.textContent = '--:--';
                                 }
@@ -3153,9 +4699,7 @@ function startAutoRefresh() {
                                     let html = '<ul style="list-style:none; padding:0; margin:0; font-size:0.85em;">';
                                     // Limit the visible list to the last 5 events per door.
                                     events.slice(0, 5).forEach(evt => {
-                                        // Handle timestamp (seconds or ms)
-                                        const ts = evt.timestamp > 10000000000 ? evt.timestamp : evt.timestamp * 1000;
-                                        const timeStr = new Date(ts).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'});
+                                        const timeStr = new Date(evt.time).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'});
                                         const action = evt.action || 'Event';
                                         const method = (evt.method === 'reed-switch' || evt.method === 'reed') ? 'Reed' : 'Pressure';
                                         const color = (evt.method === 'reed-switch' || evt.method === 'reed') ? '#28a745' : '#17a2b8';
@@ -3566,7 +5110,7 @@ function startAutoRefresh() {
             
             // Check if we have any authentication method (Bearer token or API key)
             const headers = getAuthHeaders();
-            const hasAuth = headers['Authorization'] || headers['X-API-Secret'];
+            const hasAuth = headers['Authorization'] || headers['X-API-Secret'] || isFixtureTransport();
             
             if (!hasAuth) {
                 Logger.log('updateSystemHealthWidget: No authentication available - Bearer token or API key required');
@@ -3575,7 +5119,7 @@ function startAutoRefresh() {
             
             try {
                 // Use consolidated DataManager instead of direct API call
-                const data = await DataManager.getEnhancedData();
+                const data = await GlobalDataManager.getEnhancedData();
                 Logger.log('DataManager: Enhanced data received for system health widget');
                 
                 // Extract startup data from sections - correct API structure
@@ -3613,6 +5157,15 @@ function startAutoRefresh() {
                                     
                                     if (bootDate >= minValidDate && bootDate <= maxValidDate) {
                                         lastBootInfo.textContent = bootDate.toLocaleString();
+                                        // Each boot seen this session stays on the charts
+                                        if (GlobalChartManager) {
+                                            GlobalChartManager.addAnnotation('reboots', {
+                                                id: `boot-${bootDate.getTime()}`,
+                                                time: bootDate.getTime(),
+                                                label: 'Device rebooted',
+                                                detail: `Reason: ${startup.bootReason || 'Unknown'}`
+                                            });
+                                        }
                                     } else {
                                         lastBootInfo.textContent = 'Boot time invalid (unreasonable date)';
                                     }
@@ -3757,7 +5310,7 @@ function startAutoRefresh() {
             try {
                 // Get authentication headers
                 const headers = getAuthHeaders();
-                const hasAuth = headers['Authorization'] || headers['X-API-Secret'];
+                const hasAuth = headers['Authorization'] || headers['X-API-Secret'] || isFixtureTransport();
                 
                 if (!hasAuth) {
                     yesterdayElement.innerHTML = '<div class="error-state">Authentication required for door activity data</div>';
@@ -3767,7 +5320,7 @@ function startAutoRefresh() {
                 // Use the flat recent door-events list from the lean snapshot.
                 // (The old code read doorTransitions from 24h history, which the
                 // lean snapshot no longer includes.)
-                const recentDoorEvents = await DataManager.getRecentDoorEvents();
+                const recentDoorEvents = await GlobalDataManager.getRecentDoorEvents();
                 console.log(`DataManager: ${recentDoorEvents.length} recent door events for yesterday door activity`);
                 
                 if (!recentDoorEvents || recentDoorEvents.length === 0) {
@@ -3853,7 +5406,7 @@ function startAutoRefresh() {
             try {
                 // Get 24-hour history data like the door activity function
                 const headers = getAuthHeaders();
-                const hasAuth = headers['Authorization'] || headers['X-API-Secret'];
+                const hasAuth = headers['Authorization'] || headers['X-API-Secret'] || isFixtureTransport();
                 
                 if (!hasAuth) {
                     console.log('loadYesterdayIndividualSensorData: No authentication available');
@@ -3861,17 +5414,9 @@ function startAutoRefresh() {
                 }
 
                 // Use DataManager to get yesterday's sensor data
-                const historyResponse = await DataManager.getHistoryData(24);
+                const historyData = await GlobalDataManager.getHistoryData(24);
                 console.log('DataManager: History data received for individual sensor analysis (24h)');
                 
-                // Handle both array response (from snapshot) and object response (legacy/wrapper)
-                let historyData = [];
-                if (Array.isArray(historyResponse)) {
-                    historyData = historyResponse;
-                } else if (historyResponse && Array.isArray(historyResponse.data)) {
-                    historyData = historyResponse.data;
-                }
-                
                 if (!historyData || historyData.length === 0) {
                     console.log('No history data available for individual sensor analysis');
                     return;
@@ -4023,7 +5568,7 @@ function startAutoRefresh() {
                 
                 // TODO: Need to query VentilationIncidents table directly
                 // Current DataManager doesn't have incident query method
-                // Would need something like: DataManager.getIncidentsByDateRange(yesterdayStart, yesterdayEnd)
+                // Would need something like: GlobalDataManager.getIncidentsByDateRange(yesterdayStart, yesterdayEnd)
                 
                 // For now, return placeholder showing we know this is wrong
                 return 0; // This is wrong - need actual query
@@ -4055,8 +5600,7 @@ function startAutoRefresh() {
             
             try {
                 // Get yesterday's data from Enhanced Dashboard API (already loaded)
-                // Note: DataManager is defined as 'const DataManager' not 'window.DataManager'
-                const enhancedData = await DataManager.getEnhancedData();
+                const enhancedData = await GlobalDataManager.getEnhancedData();
                 
                 console.log('YESTERDAY INCIDENT SUMMARY: enhancedData =', enhancedData ? 'exists' : 'NULL');
                 console.log('YESTERDAY INCIDENT SUMMARY: sections =', enhancedData?.sections ? 'exists' : 'NULL');
@@ -4143,22 +5687,15 @@ function startAutoRefresh() {
             try {
                 // Get authentication headers (same as other API calls)
                 const headers = getAuthHeaders();
-                const hasAuth = headers['Authorization'] || headers['X-API-Secret'];
+                const hasAuth = headers['Authorization'] || headers['X-API-Secret'] || isFixtureTransport();
                 
                 if (!hasAuth) {
                     aggregationElement.innerHTML = '<div class="error-state">Authentication required for aggregation data</div>';
                     return;
                 }
                 
-                // Get data from Status API - same call as updateDashboard uses
-                const apiUrl = `${CONFIG.ventilationStatusApiUrl}?deviceId=${CONFIG.deviceId}`;
-                const response = await fetch(apiUrl, { method: 'GET', headers: headers });
-                
-                if (!response.ok) {
-                    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-                }
-                
-                const data = await response.json();
+                // Same cached snapshot status that updateDashboard renders
+                const data = await GlobalDataManager.getStatusData();
                 console.log('YESTERDAY MONTHLY AGGREGATION: Data received:', data);
                 if (data.system) console.log('YESTERDAY MONTHLY AGGREGATION: data.system:', data.system);
                 
@@ -4209,7 +5746,7 @@ function startAutoRefresh() {
                 
                 console.log('loadAggregationStatus: Making API call to:', apiUrl);
                 
-                const response = await fetch(apiUrl, {
+                const response = await apiFetch(apiUrl, {
                     method: 'GET',
                     headers
                 });
@@ -4441,7 +5978,7 @@ function startAutoRefresh() {
             if (!data.sections || !data.reliability) {
                 try {
                     console.log('🔍 DEBUG: Fetching current system status via DataManager (Snapshot)');
-                    const currentStatus = await DataManager.getCurrentSystemStatus();
+                    const currentStatus = await GlobalDataManager.getStatusData();
                     
                     // Merge current system status into the main data structure
                     if (currentStatus && currentStatus.sections) {
@@ -4480,15 +6017,7 @@ function startAutoRefresh() {
             // OPTIMIZATION: Use 24h history which is already cached by GetDashboardSnapshot
             console.log('🔍 DEBUG: Attempting to fetch current sensor readings from cached history');
             try {
-                const historyResponse = await DataManager.getHistoryData(24); // Use cached 24h data instead of fetching 1h
-                
-                // Handle both array response (from snapshot) and object response (legacy/wrapper)
-                let historyData = [];
-                if (Array.isArray(historyResponse)) {
-                    historyData = historyResponse;
-                } else if (historyResponse && Array.isArray(historyResponse.data)) {
-                    historyData = historyResponse.data;
-                }
+                const historyData = await GlobalDataManager.getHistoryData(24); // Use cached 24h data instead of fetching 1h
                 
                 if (historyData.length > 0) {
                     // 🐛 FIX: Azure returns data in reverse chronological order (newest first), so use index 0
@@ -4528,6 +6057,11 @@ function startAutoRefresh() {
             const indoor = sensors.indoor || {};
             const outdoor = sensors.outdoor || {};
             const garage = sensors.garage || {};
+
+            // Zone differences come from the named series (derived-metrics.js), so the
+            // cards below agree with the charts and alerts on what "indoor − outdoor" is
+            const currentReading = [{ time: Date.now(), sensors: { indoor, outdoor, garage } }];
+            const currentDerived = name => (GlobalChartManager ? GlobalChartManager.derivedSeries(name, currentReading)[0] : null);
             
             console.log('🔍 DEBUG: Setting indoor data - temp:', indoor.temp, 'humidity:', indoor.humidity, 'pressure:', indoor.pressure);
             document.getElementById('indoorTemp').textContent = indoor.temp != null && indoor.temp !== undefined ? `${indoor.temp.toFixed(1)}°F` : 'No data';
@@ -4582,8 +6116,7 @@ function startAutoRefresh() {
             
             // Calculate and display cooling effect using new mapped variables
             const coolingEffect = calculateCoolingEffect(
-                indoor.temp, 
-                outdoor.temp, 
+                currentDerived('indoorOutdoorDeltaF'),
                 systemData.fanMinutesToday, 
                 fanOn
             );
@@ -4636,6 +6169,14 @@ function startAutoRefresh() {
             }
             
             const stormRiskValue = weather.stormRisk || 'NONE';
+            notifyStormEscalation(stormRiskValue);
+            updateVentilationAdvisor({
+                indoorF: indoor.temp,
+                indoorHumidity: indoor.humidity,
+                outdoorF: outdoor.temp,
+                outdoorHumidity: outdoor.humidity,
+                forecast: weather.enhancedForecast
+            });
             
             // Get forecast temperature from enhanced forecast data (ESP32 v4 format)
             // ESP32 stores in Celsius, dashboard displays in Fahrenheit (matching serial debug format)
@@ -4809,8 +6350,9 @@ function startAutoRefresh() {
                 
                 // Update marine layer status based on pressure and temperature differential
                 const marineLayerElement = document.getElementById('marine-layer');
-                if (marineLayerElement && indoor.pressure != null && outdoor.pressure != null) {
-                    const pressureDiff = Math.abs(indoor.pressure - outdoor.pressure);
+                const indoorOutdoorHpa = currentDerived('indoorOutdoorDeltaHpa');
+                if (marineLayerElement && indoorOutdoorHpa !== null) {
+                    const pressureDiff = Math.abs(indoorOutdoorHpa);
                     // Marine layer typically creates small pressure differences
                     const marineLayerActive = pressureDiff < 2.0 && indoor.humidity > 60;
                     const marineStatus = marineLayerActive ? 'Present' : 'Clear';
@@ -4904,47 +6446,32 @@ function startAutoRefresh() {
                     }
                 }
                 
-                // Update pressure differentials
-                const indoorOutdoorElement = document.getElementById('indoor-outdoor-diff');
-                // Handle both flat and nested structure for pressure differentials
-                const indoorOutdoorVal = buildingPerformance.indoorOutdoorDiff != null ? 
-                    buildingPerformance.indoorOutdoorDiff : 
-                    (buildingPerformance.pressureDifferentials ? buildingPerformance.pressureDifferentials.indoorOutdoor : null);
-                    
-                if (indoorOutdoorElement && indoorOutdoorVal != null) {
-                    const diffVal = Number(indoorOutdoorVal);
-                    const diff = diffVal.toFixed(2);
-                    indoorOutdoorElement.textContent = `${diff} hPa`;
-                    // Color code based on pressure difference magnitude
-                    const absDiff = Math.abs(diffVal);
-                    if (absDiff < 0.5) {
-                        indoorOutdoorElement.style.color = '#4CAF50'; // Good - Green
-                    } else if (absDiff < 1.0) {
-                        indoorOutdoorElement.style.color = '#FF9800'; // Fair - Orange
-                    } else {
-                        indoorOutdoorElement.style.color = '#F44336'; // Poor - Red
-                    }
-                }
-                
-                const garageOutdoorElement = document.getElementById('garage-outdoor-diff');
-                const garageOutdoorVal = buildingPerformance.garageOutdoorDiff != null ? 
-                    buildingPerformance.garageOutdoorDiff : 
-                    (buildingPerformance.pressureDifferentials ? buildingPerformance.pressureDifferentials.garageOutdoor : null);
-
-                if (garageOutdoorElement && garageOutdoorVal != null) {
-                    const diffVal = Number(garageOutdoorVal);
-                    const diff = diffVal.toFixed(2);
-                    garageOutdoorElement.textContent = `${diff} hPa`;
+                // Update pressure differentials from the current readings (derived series);
+                // the API's building-performance figures only fill in a missing barometer
+                const differentials = buildingPerformance.pressureDifferentials || {};
+                const showPressureDifferential = (elementId, derivedName, apiValue) => {
+                    const element = document.getElementById(elementId);
+                    const derived = currentDerived(derivedName);
+                    const value = derived !== null ? derived : (apiValue != null ? Number(apiValue) : null);
+                    if (!element || value === null) return;
+                    element.textContent = `${value.toFixed(2)} hPa`;
                     // Color code based on pressure difference magnitude
-                    const absDiff = Math.abs(diffVal);
+                    const absDiff = Math.abs(value);
                     if (absDiff < 0.5) {
-                        garageOutdoorElement.style.color = '#4CAF50'; // Good - Green
+                        element.style.color = '#4CAF50'; // Good - Green
                     } else if (absDiff < 1.0) {
-                        garageOutdoorElement.style.color = '#FF9800'; // Fair - Orange
+                        element.style.color = '#FF9800'; // Fair - Orange
                     } else {
-                        garageOutdoorElement.style.color = '#F44336'; // Poor - Red
+                        element.style.color = '#F44336'; // Poor - Red
                     }
-                }
+                };
+                // Handle both flat and nested structure for the API values
+                showPressureDifferential('indoor-outdoor-diff', 'indoorOutdoorDeltaHpa',
+                    buildingPerformance.indoorOutdoorDiff != null ? buildingPerformance.indoorOutdoorDiff : differentials.indoorOutdoor);
+                showPressureDifferential('garage-outdoor-diff', 'garageOutdoorDeltaHpa',
+                    buildingPerformance.garageOutdoorDiff != null ? buildingPerformance.garageOutdoorDiff : differentials.garageOutdoor);
+                showPressureDifferential('indoor-garage-diff', 'indoorGarageDeltaHpa',
+                    buildingPerformance.indoorGarageDiff != null ? buildingPerformance.indoorGarageDiff : differentials.indoorGarage);
                 
                 // Update HVAC status
                 const hvacStatusElement = document.getElementById('hvac-status');
@@ -5033,8 +6560,7 @@ function startAutoRefresh() {
                 
                 // Update migraine risk
                 const migraineriskElement = document.getElementById('migraine-risk');
-                // Handle both camelCase and lowercase property names
-                const migraineRiskVal = healthMonitoring.migraineRisk != null ? healthMonitoring.migraineRisk : healthMonitoring.migrainerisk;
+                const migraineRiskVal = healthMonitoring.migraineRisk;
                 
                 if (migraineriskElement && migraineRiskVal != null) {
                     const riskVal = Number(migraineRiskVal);
@@ -5406,31 +6932,21 @@ function startAutoRefresh() {
             }
             
             // Check for alerts
-            checkAlerts(data);
+            checkAlerts(data, sensors);
 
             // Update last update time - use ESP32's timestamp if available, otherwise browser time
             let updateTime = new Date(); // Default to browser time
             let isESP32Time = false; // Track if we're using ESP32's actual time
             
             // Check if ESP32 provides its timestamp in the data
-            if (data.timestamp && typeof data.timestamp === 'string') {
-                // API timestamp is in ISO format (e.g., "2025-09-25T23:54:35.925026")
-                // Azure API returns UTC time without 'Z' suffix, so append it for correct parsing
-                const timestampString = data.timestamp.endsWith('Z') ? data.timestamp : data.timestamp + 'Z';
-                updateTime = new Date(timestampString);
+            if (data.time) {
+                // Reading time, normalized to epoch ms from ISO / unix seconds / readingTime
+                updateTime = new Date(data.time);
                 isESP32Time = true;
             } else if (data.system && data.system.currentTime) {
                 // ESP32 timestamp is available (Unix timestamp in seconds)
                 updateTime = new Date(parseInt(data.system.currentTime) * 1000);
                 isESP32Time = true;
-            } else if (data.timestamp) {
-                // Alternative location for timestamp (Unix format)
-                updateTime = new Date(parseInt(data.timestamp) * 1000);
-                isESP32Time = true;
-            } else if (data.readingTime) {
-                // Another alternative location
-                updateTime = new Date(parseInt(data.readingTime) * 1000);
-                isESP32Time = true;
             }
             // If none available, use browser time (already set above, isESP32Time remains false)
             
@@ -5711,6 +7227,7 @@ function startAutoRefresh() {
 
             // Store original data for filtering
             originalIncidentsData = incidents || [];
+            if (GlobalChartManager) GlobalChartManager.setAnnotations('incidents', []);
             
             if (!incidents || incidents.length === 0) {
                 incidentsList.innerHTML = '<div style="text-align: center; padding: 20px; color: #666;">No incidents recorded in the last 30 days</div>';
@@ -5746,6 +7263,7 @@ function startAutoRefresh() {
 
             // Store the valid incidents for filtering
             originalIncidentsData = validIncidents;
+            if (GlobalChartManager) GlobalChartManager.setAnnotations('incidents', incidentAnnotations(validIncidents));
             
             // Reset filters to default values and apply them
             document.getElementById('timePeriodFilter').value = 'last5'; // Default to Last 5 Incidents
@@ -5970,49 +7488,44 @@ function startAutoRefresh() {
             incidentsSummary.innerHTML = `<strong>${timePeriodText.charAt(0).toUpperCase() + timePeriodText.slice(1)}:</strong> ${summaryParts.join(' | ')}`;
         }
 
-        function checkAlerts(data) {
-            const alerts = [];
-            const sensors = data.sensors || {};
-            const system = data.system || {};
-            const weather = data.weather || {};
-
-            // Temperature alerts
-            const indoorTemp = sensors.indoor?.temp || 0;
-            if (indoorTemp > 85) {
-                alerts.push({type: 'danger', message: `High indoor temperature: ${indoorTemp.toFixed(1)}°F`});
-            } else if (indoorTemp < 60) {
-                alerts.push({type: 'warning', message: `Low indoor temperature: ${indoorTemp.toFixed(1)}°F`});
-            }
-
-            const garageTemp = sensors.garage?.temp || 0;
-            if (garageTemp > 95) {
-                alerts.push({type: 'danger', message: `High garage temperature: ${garageTemp.toFixed(1)}°F`});
-            } else if (garageTemp < 35) {
-                alerts.push({type: 'warning', message: `Low garage temperature: ${garageTemp.toFixed(1)}°F`});
-            }
-
-            // System alerts
-            const freeHeap = system.freeHeap || 0;
-            if (freeHeap < 50000) {
-                alerts.push({type: 'warning', message: `Low memory: ${Math.round(freeHeap/1024)}KB available`});
-            }
-
-            // Storm alerts
-            const stormRisk = weather.stormRisk || 'NONE';
-            if (stormRisk === 'STORM_LIKELY' || stormRisk === 'STORM_IMMINENT') {
-                alerts.push({type: 'warning', message: `Weather alert: ${stormRisk.replace('_', ' ')}`});
-            }
-
-            // Door alerts
-            if (data.doors) {
-                data.doors.forEach(door => {
-                    if (door.open && door.minutesOpen > 240) { // 4 hours
-                        alerts.push({type: 'warning', message: `${door.name || 'Door'} open for ${door.minutesOpen} minutes`});
-                    }
-                });
-            }
+        /**
+         * Runs the user's alert rules (alert-rules.js) against this status snapshot
+         * @param {Object} data - Snapshot status
+         * @param {Object} sensors - Latest { indoor, outdoor, garage } readings; the status carries none
+         * @returns {void}
+         */
+        function checkAlerts(data, sensors = data.sensors) {
+            if (!GlobalAlertEngine) return;
+            const startup = (data.sections && data.sections.startup) || {};
+            const alerts = GlobalAlertEngine.evaluate({
+                time: Date.now(),
+                sensors: sensors || {},
+                system: { ...startup.systemStatus, ...startup.system, ...data.system }, // freeHeap is reported at startup
+                weather: data.weather || {},
+                doors: Array.isArray(data.doors) ? data.doors : []
+            });
+            applyAlerts(alerts);
+        }
 
-            updateAlerts(alerts);
+        /**
+         * Logs the engine's alerts, then shows and notifies the ones neither suppressed nor snoozed
+         * Acknowledged alerts stay listed but no longer notify
+         * @param {Array} alerts - GlobalAlertEngine.evaluate() results
+         * @returns {void}
+         */
+        function applyAlerts(alerts) {
+            const shown = GlobalAlertLog
+                ? GlobalAlertLog.reconcile(alerts, CONFIG.deviceId)
+                : alerts.filter(alert => !alert.suppressed);
+            updateAlerts(shown);
+            notifyDesktop('alert', shown.filter(alert => !alert.acknowledgedAt).map(alert => ({
+                tag: `alert:${alert.key}`,
+                title: alert.type === 'danger' ? '🚨 Ventilation alert' : '⚠️ Ventilation alert',
+                body: alert.message,
+                url: dashboardWidgetUrl('alertSection'),
+                urgent: alert.type === 'danger'
+            })));
+            if (document.getElementById('alertHistoryTab')?.style.display === 'block') renderAlertHistory(); // Keep an open history tab current
         }
 
         function updateAlerts(alerts) {
@@ -6031,10 +7544,146 @@ function startAutoRefresh() {
                 const alertDiv = document.createElement('div');
                 alertDiv.className = `alert alert-${alert.type}`;
                 alertDiv.textContent = alert.message;
+                if (alert.entryId) {
+                    if (alert.acknowledgedAt) {
+                        alertDiv.classList.add('alert-acknowledged');
+                        const note = document.createElement('span');
+                        note.className = 'alert-ack-note';
+                        note.textContent = `✓ ${alert.acknowledgedBy} · ${DashboardUtils.formatDateTime(new Date(alert.acknowledgedAt))}`;
+                        alertDiv.appendChild(note);
+                    }
+                    alertDiv.appendChild(createAlertActions(alert));
+                }
                 alertList.appendChild(alertDiv);
             });
         }
 
+        const ALERT_SNOOZE_MINUTES = [15, 60, 240, 1440];
+
+        function createAlertActions(alert) {
+            const actions = document.createElement('span');
+            actions.className = 'alert-actions';
+            if (!alert.acknowledgedAt) {
+                const ack = document.createElement('button');
+                ack.type = 'button';
+                ack.className = 'alert-rule-action';
+                ack.textContent = 'Acknowledge';
+                ack.addEventListener('click', () => acknowledgeAlert(alert.entryId));
+                actions.appendChild(ack);
+            }
+            const snooze = document.createElement('select');
+            snooze.setAttribute('aria-label', 'Snooze alert');
+            [['', 'Snooze…'], ...ALERT_SNOOZE_MINUTES.map(minutes => [String(minutes), DashboardUtils.formatDuration(minutes * 60, { format: 'verbose' })])]
+                .forEach(([value, label]) => snooze.add(new Option(label, value)));
+            snooze.addEventListener('change', () => {
+                if (snooze.value) snoozeAlert(alert.entryId, Number(snooze.value));
+            });
+            actions.appendChild(snooze);
+            return actions;
+        }
+
+        function acknowledgeAlert(entryId) {
+            if (!GlobalAlertLog || !GlobalAlertLog.acknowledge(entryId, AuthUtils.getUserEmail())) return;
+            applyAlerts(GlobalAlertEngine.evaluate());
+        }
+
+        function snoozeAlert(entryId, minutes) {
+            if (!GlobalAlertLog || !GlobalAlertLog.snooze(entryId, Date.now() + minutes * 60000, AuthUtils.getUserEmail())) return;
+            applyAlerts(GlobalAlertEngine.evaluate());
+        }
+
+        // Alert log entries matching the Alert History tab's filters, newest first
+        function filteredAlertHistory() {
+            const days = Number(document.getElementById('alertHistoryPeriod').value) || 7;
+            return GlobalAlertLog.search({
+                text: document.getElementById('alertHistorySearch').value,
+                status: document.getElementById('alertHistoryStatus').value,
+                since: Date.now() - days * 24 * 60 * 60 * 1000
+            });
+        }
+
+        /**
+         * Fills the Alert History tab from the alert log
+         * Built with DOM nodes because messages carry user-named rules
+         * @returns {void}
+         */
+        function renderAlertHistory() {
+            const list = document.getElementById('alertHistoryList');
+            const statusText = document.getElementById('alertHistoryStatusText');
+            if (!list || !GlobalAlertLog) return;
+            const entries = filteredAlertHistory();
+            const when = time => DashboardUtils.formatDateTime(new Date(time));
+
+            list.replaceChildren(...entries.map(entry => {
+                const row = document.createElement('div');
+                row.className = `alert-history-row severity-${entry.type}`;
+                const badge = document.createElement('span');
+                badge.className = `alert-status-badge ${entry.status}`;
+                badge.textContent = entry.status;
+                row.append(badge, entry.message);
+
+                const details = [`Raised ${when(entry.raisedAt)}`];
+                if (entry.acknowledgedAt) details.push(`acknowledged by ${entry.acknowledgedBy} ${when(entry.acknowledgedAt)}`);
+                if (entry.snoozedUntil) details.push(`snoozed by ${entry.snoozedBy} until ${when(entry.snoozedUntil)}`);
+                if (entry.resolvedAt) details.push(`resolved ${when(entry.resolvedAt)} after ${DashboardUtils.formatDuration((entry.resolvedAt - entry.raisedAt) / 1000)}`);
+                const help = document.createElement('div');
+                help.className = 'alert-history-note';
+                help.textContent = `${details.join(' · ')} · ${entry.device}`;
+                row.appendChild(help);
+                return row;
+            }));
+            if (entries.length === 0) {
+                const empty = document.createElement('div');
+                empty.className = 'alert-history-note';
+                empty.textContent = 'No alerts match these filters.';
+                list.appendChild(empty);
+            }
+            if (statusText) statusText.textContent = `${entries.length} alert${entries.length === 1 ? '' : 's'}`;
+        }
+
+        /**
+         * Downloads the filtered alert history together with the system incidents
+         * from the same period, one row per alert or incident, oldest first
+         * @returns {void}
+         */
+        function exportAlertHistoryCSV() {
+            if (!GlobalAlertLog) return;
+            const days = Number(document.getElementById('alertHistoryPeriod').value) || 7;
+            const since = Date.now() - days * 24 * 60 * 60 * 1000;
+            const iso = time => (time ? new Date(time).toISOString() : '');
+            const rows = [
+                ...filteredAlertHistory().map(entry => ({
+                    start: entry.raisedAt,
+                    fields: ['alert', iso(entry.raisedAt), iso(entry.resolvedAt), entry.ruleId, entry.type, entry.status, entry.message,
+                        entry.acknowledgedBy || '', iso(entry.acknowledgedAt), iso(entry.snoozedUntil), entry.device]
+                })),
+                ...(originalIncidentsData || [])
+                    .filter(incident => incident.startTime * 1000 >= since)
+                    .map(incident => ({
+                        start: incident.startTime * 1000,
+                        fields: ['incident', iso(incident.startTime * 1000), incident.endTime > 0 ? iso(incident.endTime * 1000) : '',
+                            INCIDENT_TYPE_NAMES[incident.type] || `Incident type ${incident.type}`,
+                            INCIDENT_SEVERITY_NAMES[incident.severity] || 'Unknown', incident.endTime > 0 ? 'resolved' : 'ongoing',
+                            '', '', '', '', CONFIG.deviceId]
+                    }))
+            ].sort((a, b) => a.start - b.start);
+
+            const csvLines = [
+                ['source', 'start', 'end', 'rule_or_type', 'severity', 'status', 'message', 'acknowledged_by', 'acknowledged_at', 'snoozed_until', 'device'].join(','),
+                ...rows.map(row => DashboardUtils.toCSVLine(row.fields))
+            ];
+
+            const blob = new Blob([csvLines.join('\n')], { type: 'text/csv;charset=utf-8;' });
+            const url = window.URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `alerts_and_incidents_${days}d_${new Date().toISOString().split('T')[0]}.csv`;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            window.URL.revokeObjectURL(url);
+        }
+
         // Export System Reliability widget to a Word-compatible .doc file
         function exportReliabilityDoc() {
             try {
@@ -6102,14 +7751,15 @@ function startAutoRefresh() {
 // ===================================================================
 
         /**
-         * Loads and displays the temperature chart for the specified time period
+         * Loads and displays the temperature chart for the specified range
          * Uses DataManager to fetch historical temperature data from multiple sensors
-         * Updates chart buttons, clears previous data tracking, and renders the chart
+         * Clears previous data tracking and renders the chart
          * Handles authentication requirements and error states gracefully
-         * @param {number} hours - Number of hours of historical data to display
+         * @param {Object} range - { hours } preset or { start, end } window (see chart-manager.js)
          * @returns {Promise<void>}
          */
-        async function createTemperatureChart(hours, bypassEnhanced = false, providedData = null) {
+        async function createTemperatureChart(range, bypassEnhanced = false, providedData = null, comparison = null) {
+            const hours = ChartUtils.describeRange(range);
             Logger.log(`=== STAGE 3 FIX: createTemperatureChart(${hours}) using DataManager ===`);
             
             // Clear previous data source tracking to prevent accumulation
@@ -6117,54 +7767,40 @@ function startAutoRefresh() {
                 window.dataSourceTracker.temperatureDataSources = {};
                 window.dataSourceTracker.updateTemperatureDataSourceDisplay();
             }
-            
-            // Track the current chart time period
-            currentChartHours = hours;
-            
-            // Update active button using consolidated utility
-            ChartUtils.updateActiveButton('', hours, 'createTemperatureChart');
 
             // Check if we should use the enhanced modular system
             // If bypassEnhanced is true (passed by ChartManager), skip this check to avoid infinite loop
             if (!bypassEnhanced && GlobalChartManager && temperatureChart) {
                 // Use enhanced chart loading which utilizes ChartManager for smart updates
-                enhancedLoadChart(hours);
+                enhancedLoadChart(range);
                 return;
             }
 
             // Optimization: Use provided data if available (avoids double-fetch)
             if (providedData && Array.isArray(providedData) && providedData.length > 0) {
                 Logger.log(`createTemperatureChart: Using provided data (${providedData.length} items)`);
-                window.dataSourceTracker.trackTemperatureSource(`${hours} Hours`, 'Pre-fetched Data', `${providedData.length} data points`);
-                return updateChart(providedData, hours);
+                window.dataSourceTracker.trackTemperatureSource(hours, 'Pre-fetched Data', `${providedData.length} data points`);
+                return updateChart(providedData, range, comparison);
             }
 
             try {
                 const token = localStorage.getItem('ventilation_auth_token');
                 
                 // If no authentication method is available, show empty chart
-                if (!token && !CONFIG.apiSecret) {
+                if (!token && !CONFIG.apiSecret && !isFixtureTransport()) {
                     // No authentication available, show empty chart
-                    window.dataSourceTracker.trackTemperatureSource(`${hours} Hours`, 'No Auth', 'Authentication required');
-                    updateChart([], hours);
+                    window.dataSourceTracker.trackTemperatureSource(hours, 'No Auth', 'Authentication required');
+                    updateChart([], range);
                     return;
                 }
 
                 // Use consolidated DataManager for history data
-                const historyResponse = await DataManager.getHistoryData(hours);
-                Logger.log(`DataManager: History data received for temperature chart (${hours}h)`);
-                
-                // Handle both array response (from snapshot) and object response (legacy/wrapper)
-                let historyData = [];
-                if (Array.isArray(historyResponse)) {
-                    historyData = historyResponse;
-                } else if (historyResponse && Array.isArray(historyResponse.data)) {
-                    historyData = historyResponse.data;
-                }
+                const historyData = await GlobalChartManager.getRangeData(range);
+                Logger.log(`DataManager: History data received for temperature chart (${hours})`);
                 
                 if (historyData.length > 0) {
                     // Track successful hourly data fetch
-                    window.dataSourceTracker.trackTemperatureSource(`${hours} Hours`, 'Raw Sensor Data', `${historyData.length} data points`);
+                    window.dataSourceTracker.trackTemperatureSource(hours, 'Raw Sensor Data', `${historyData.length} data points`);
                     
                     try {
                         const firstTimestamp = new Date(historyData[0].timestamp);
@@ -6179,16 +7815,16 @@ function startAutoRefresh() {
                         // Error parsing timestamps for logging, proceeding with chart update
                     }
                 } else {
-                    window.dataSourceTracker.trackTemperatureSource(`${hours} Hours`, 'No Data', 'API returned empty data set');
+                    window.dataSourceTracker.trackTemperatureSource(hours, 'No Data', 'API returned empty data set');
                 }
-                return updateChart(historyData, hours);
+                return updateChart(historyData, range);
                 
             } catch (error) {
                 Logger.error('DataManager: Error loading history data for temperature chart:', error);
                 // Show empty chart instead of mock data
                 showApiFailureNotice(`Network error loading chart data: ${error.message}. Chart data is currently unavailable.`, 'warning');
-                window.dataSourceTracker.trackTemperatureSource(`${hours} Hours`, 'Network Error', error.message);
-                return updateChart([], hours);
+                window.dataSourceTracker.trackTemperatureSource(hours, 'Network Error', error.message);
+                return updateChart([], range);
             }
         }
 
@@ -6196,19 +7832,15 @@ function startAutoRefresh() {
         // Pressure chart now uses real data from Azure Functions API
         // The fetchPressureData sample function has been removed
 
-        async function createPressureChart(hours, bypassEnhanced = false, providedData = null) {
+        async function createPressureChart(range, bypassEnhanced = false, providedData = null, comparison = null) {
+            const hours = ChartUtils.describeRange(range);
             Logger.log(`=== STAGE 3 FIX: createPressureChart(${hours}) using DataManager ===`);
             
-            // Check if time range changed before updating currentPressureChartHours
-            const previousHours = currentPressureChartHours;
-            const timeRangeChanged = previousHours !== hours;
-            Logger.log(`Pressure chart: previousHours=${previousHours}, newHours=${hours}, timeRangeChanged=${timeRangeChanged}`);
-            
-            // Track the current pressure chart time period
-            currentPressureChartHours = hours;
-            
-            // Update active button using consolidated utility
-            ChartUtils.updateActiveButton('', hours, 'createPressureChart');
+            // Check if time range changed before updating drawnPressureRange
+            const drawnView = JSON.stringify([range, GlobalChartManager.getComparison()]);
+            const timeRangeChanged = drawnPressureRange !== drawnView;
+            Logger.log(`Pressure chart: range=${hours}, timeRangeChanged=${timeRangeChanged}`);
+            drawnPressureRange = drawnView;
 
             try {
                 let historyData = [];
@@ -6221,58 +7853,55 @@ function startAutoRefresh() {
                     // Fetch real pressure and forecast data from Azure Functions API
                     const token = localStorage.getItem('ventilation_auth_token');
                     
-                    if (!token && !CONFIG.apiSecret) {
+                    if (!token && !CONFIG.apiSecret && !isFixtureTransport()) {
                         Logger.log('No authentication available for pressure data');
-                        updatePressureChart([], hours);
+                        updatePressureChart([], range);
                         return;
                     }
 
                     // Use consolidated DataManager for history data
-                    const apiData = await DataManager.getHistoryData(hours);
-                    Logger.log(`DataManager: History data received for pressure chart (${hours}h)`);
-                    Logger.log('Received pressure/forecast data from API:', apiData);
-                    
-                    // Handle both array response (from snapshot) and object response (legacy/wrapper)
-                    if (Array.isArray(apiData)) {
-                        historyData = apiData;
-                    } else if (apiData && Array.isArray(apiData.data)) {
-                        historyData = apiData.data;
-                    }
+                    historyData = await GlobalChartManager.getRangeData(range);
+                    Logger.log(`DataManager: History data received for pressure chart (${hours})`);
+                    Logger.log('Received pressure/forecast data from API:', historyData);
                 }
                 
+                // Barometric trend for the storm risk fallback (history arrives newest first)
+                const pressureRates = GlobalChartManager.derivedSeries('pressureRate', [...historyData].reverse()).reverse();
+                
                 // Transform API data into pressure chart format
                 // Map to the actual structure returned by Azure Functions: sensors.outdoor.pressure and weather.forecastHigh
-                const pressureData = historyData.map(point => {
+                const pressureData = historyData.map((point, index) => {
                     const hasValidPressure = point.sensors && point.sensors.outdoor && point.sensors.outdoor.pressure && point.sensors.outdoor.pressure !== 1013.25;
                     
                     return {
-                        timestamp: point.timestamp || Math.floor(Date.now() / 1000),
+                        time: point.time,
                         pressure: hasValidPressure ? point.sensors.outdoor.pressure : null, // Only use real pressure readings from ESP32
                         pressureChange: point.pressureChange || 0,
+                        pressureTrend3h: pressureRates[index] === null ? null : pressureRates[index] * 3, // hPa over the last 3 hours
                         forecastTemp: (point.weather && point.weather.forecastHigh) || undefined, // Real forecast data from ESP32
                         stormRisk: (point.weather && point.weather.stormRisk) || 'Clear' // Real storm risk from ESP32
                     };
-                }).filter(point => point.pressure !== null && point.timestamp); // Only show points with real pressure data
+                }).filter(point => point.pressure !== null); // Only show points with real pressure data
                 
                 // Check if we have new data by comparing latest timestamps (more efficient than full data comparison)
                 // Find the latest timestamp in the current dataset
-                const timestamps = pressureData.map(p => new Date(p.timestamp * 1000)).filter(d => !isNaN(d.getTime()));
-                const newLatestTimestamp = timestamps.length > 0 ? new Date(Math.max(...timestamps)) : null;
+                const newLatestTimestamp = pressureData.length > 0 ? new Date(Math.max(...pressureData.map(p => p.time))) : null;
                 
                 if (!newLatestTimestamp) {
-                    Logger.log('Pressure chart: No valid timestamps found, skipping update');
+                    if (timeRangeChanged) return updatePressureChart([], range); // Empty window
+                    Logger.log('Pressure chart: No pressure readings found, skipping update');
                     return;
                 }
                 
                 // Only update if we have new data OR if the time range has changed
                 if (!latestPressureDataTimestamp || newLatestTimestamp > latestPressureDataTimestamp || timeRangeChanged) {
                     if (timeRangeChanged) {
-                        Logger.log(`Pressure chart: Time range changed to ${hours}h, updating chart`);
+                        Logger.log(`Pressure chart: Time range changed to ${hours}, updating chart`);
                     } else {
                         Logger.log(`Pressure chart: New data detected, updating chart (${newLatestTimestamp.toLocaleTimeString()})`);
                     }
                     latestPressureDataTimestamp = newLatestTimestamp;
-                    return updatePressureChart(pressureData, hours);
+                    return updatePressureChart(pressureData, range, comparison);
                 } else {
                     Logger.log('Pressure chart: No new data points, skipping refresh to avoid unnecessary animations');
                     return pressureChart;
@@ -6281,12 +7910,12 @@ function startAutoRefresh() {
             } catch (error) {
                 Logger.error('DataManager: Error loading history data for pressure chart:', error);
                 showApiFailureNotice(`Network error loading pressure chart data: ${error.message}. Chart data is currently unavailable.`, 'warning');
-                return updatePressureChart([], hours);
+                return updatePressureChart([], range);
             }
         }
 
         // Update the pressure chart with new data
-        function updatePressureChart(data, hours) {
+        function updatePressureChart(data, range, comparison = null) {
             const ctx = document.getElementById('pressureChart').getContext('2d');
             
             // Destroy existing chart if it exists
@@ -6309,9 +7938,10 @@ function startAutoRefresh() {
             } else {
                 // Barometric Pressure data (primary y-axis)
                 const pressureData = data.map(point => ({
-                    x: new Date(point.timestamp * 1000),
+                    x: new Date(point.time),
                     y: point.pressure, // Use only real pressure data from ESP32
                     pressureChange: point.pressureChange || 0,
+                    pressureTrend3h: point.pressureTrend3h,
                     stormRisk: point.stormRisk
                 }));
                 
@@ -6329,7 +7959,7 @@ function startAutoRefresh() {
                 });
                 
                 // Calculate storm risk based on pressure trends OR use ESP32 reported risk
-                const stormRiskData = pressureData.map((point, index) => {
+                let stormRiskData = pressureData.map(point => {
                     let riskLevel = 0;
                     let pressureChange = 0;
                     
@@ -6343,11 +7973,9 @@ function startAutoRefresh() {
                         else riskLevel = 0;
                     } else {
                         // Fallback to manual calculation
-                        // Calculate pressure change over last few hours (adjusted for hPa units)
-                        if (index >= 3) { // Need at least 3 points for trend
-                            const currentPressure = point.y;
-                            const pastPressure = pressureData[index - 3].y;
-                            pressureChange = currentPressure - pastPressure;
+                        // Pressure change over the last 3 hours ('pressureRate' derived series)
+                        if (point.pressureTrend3h !== null && point.pressureTrend3h !== undefined) {
+                            pressureChange = point.pressureTrend3h;
                             
                             // Determine storm risk based on pressure drop rate (hPa thresholds)
                             // Match the legend: Clear(0), Possible(1), Likely(2), Imminent(3)
@@ -6365,6 +7993,20 @@ function startAutoRefresh() {
                     };
                 });
                 
+                // Risk is worked out from every reading above; only the plotted
+                // points are thinned, the same rows for the line and the bars
+                const plottedIndices = GlobalChartManager.downsample(pressureData, ctx.canvas, {
+                    timeOf: point => point.x,
+                    series: [
+                        { valueOf: point => point.y, method: 'lttb' },
+                        { valueOf: (point, index) => stormRiskData[index].y, method: 'max' }
+                    ]
+                });
+                if (plottedIndices) {
+                    datasets[0].data = plottedIndices.map(index => pressureData[index]);
+                    stormRiskData = plottedIndices.map(index => stormRiskData[index]);
+                }
+                
                 datasets.push({
                     label: 'Storm Risk',
                     data: stormRiskData,
@@ -6399,7 +8041,7 @@ function startAutoRefresh() {
                     datasets.push({
                         label: 'Forecast High (Historical)',
                         data: forecastData.map(point => ({
-                            x: new Date(point.timestamp * 1000),
+                            x: new Date(point.time),
                             y: point.forecastTemp
                         })),
                         borderColor: 'rgba(255, 99, 132, 0.8)',
@@ -6415,23 +8057,20 @@ function startAutoRefresh() {
                 }
             }
             
-            // Determine time display format based on hours
-            let timeUnit = 'hour';
-            let stepSize = 1;
-            if (hours <= 6) {
-                timeUnit = 'minute';
-                stepSize = 30;
-            } else if (hours <= 24) {
-                timeUnit = 'hour';
-                stepSize = 2;
-            } else if (hours <= 72) {
-                timeUnit = 'hour';
-                stepSize = 6;
-            } else {
-                timeUnit = 'day';
-                stepSize = 1;
+            if (comparison && comparison.data) {
+                datasets.push(ChartUtils.comparisonDataset(comparison, ctx.canvas, {
+                    label: 'Barometric Pressure',
+                    color: 'rgba(54, 162, 235, 0.45)',
+                    yAxisID: 'pressure',
+                    valueOf: reading => (reading.sensors.outdoor.pressure !== 1013.25 ? reading.sensors.outdoor.pressure : null)
+                }));
             }
             
+            // Pin the axis to the shared range so both charts line up, with tick
+            // spacing for the window's span
+            const bounds = GlobalChartManager.getRangeBounds(range);
+            const { unit: timeUnit, stepSize } = ChartUtils.getTimeDisplayFormat((bounds.end - bounds.start) / (60 * 60 * 1000));
+            
             // Create the chart
             pressureChart = new Chart(ctx, {
                 type: 'line',
@@ -6522,6 +8161,8 @@ function startAutoRefresh() {
                         },
                         x: {
                             type: 'time',
+                            min: bounds.start,
+                            max: bounds.end,
                             time: {
                                 unit: timeUnit,
                                 stepSize: stepSize,
@@ -6554,6 +8195,7 @@ function startAutoRefresh() {
                         }
                     },
                     plugins: {
+                        zoom: GlobalChartManager.zoomOptions(),
                         legend: {
                             display: true,
                             position: 'top',
@@ -6566,6 +8208,7 @@ function startAutoRefresh() {
                         tooltip: {
                             mode: 'index',
                             intersect: false,
+                            filter: ChartUtils.comparisonTooltipFilter,
                             backgroundColor: 'rgba(0,0,0,0.8)',
                             titleColor: 'white',
                             bodyColor: 'white',
@@ -6583,6 +8226,10 @@ function startAutoRefresh() {
                                     const datasetLabel = context.dataset.label;
                                     const value = context.parsed.y;
                                     
+                                    if (context.dataset.comparison) {
+                                        return `👻 ${datasetLabel}: ${value.toFixed(1)} hPa (${new Date(context.raw.originalTime).toLocaleString()})`;
+                                    }
+                                    
                                     if (datasetLabel === 'Barometric Pressure') {
                                         const dataPoint = context.raw;
                                         let tooltip = `🌡️ Pressure: ${value.toFixed(1)} hPa`;
@@ -6621,14 +8268,229 @@ function startAutoRefresh() {
                             }
                         }
                     }
+                },
+                plugins: [GlobalChartManager.annotationPlugin()]
+            });
+        }
+
+        // Humidity & dew point chart: relative humidity and dew point for all three
+        // zones, shaded where garage surfaces are at risk, with each fan run coloured
+        // by what it did to the indoor dew point (ChartManager decides when to redraw)
+        async function createHumidityChart(range, providedData = null) {
+            try {
+                const historyData = Array.isArray(providedData) ? providedData : await GlobalChartManager.getRangeData(range);
+                return updateHumidityChart(historyData, range);
+            } catch (error) {
+                Logger.error('DataManager: Error loading history data for humidity chart:', error);
+                return updateHumidityChart([], range);
+            }
+        }
+
+        const HUMIDITY_ZONES = [
+            { zone: 'indoor', name: 'Indoor', color: '#e74c3c' },
+            { zone: 'outdoor', name: 'Outdoor', color: '#3498db' },
+            { zone: 'garage', name: 'Garage', color: '#f39c12' }
+        ];
+        const HUMIDITY_RISK_COLORS = { condensation: 'rgba(52, 152, 219, 0.18)', mold: 'rgba(111, 66, 193, 0.12)' };
+        const FAN_EFFECT_COLORS = { lowered: '#28a745', raised: '#dc3545', neutral: '#6c757d' };
+
+        function updateHumidityChart(data, range) {
+            const canvas = document.getElementById('humidityChart');
+            if (!canvas) return;
+            if (humidityChart) {
+                humidityChart.destroy();
+            }
+
+            // Oldest first, like the temperature chart
+            const readings = [...(data || [])].reverse().filter(item => DashboardUtils.isValidTimestamp(item.timestamp));
+            const { dewPoints, riskBands, fanEffects } = GlobalChartManager.analyzeHumidity(readings, CONFIG.thresholds);
+            updateHumidityRiskSummary(riskBands, fanEffects);
+
+            // Bands and fan effects above use every reading; only the plotted points are thinned
+            const plottedIndices = GlobalChartManager.downsample(readings, canvas, {
+                timeOf: reading => reading.time,
+                series: [
+                    ...HUMIDITY_ZONES.map(({ zone }) => ({ valueOf: reading => (reading.sensors[zone] ? reading.sensors[zone].humidity : null), method: 'lttb' })),
+                    { valueOf: reading => (reading.system && typeof reading.system.fanOn === 'boolean' ? Number(reading.system.fanOn) : null), method: 'transitions' }
+                ]
+            });
+            const plotted = plottedIndices || readings.map((reading, index) => index);
+            const seriesOf = valueOf => plotted
+                .map(index => ({ x: readings[index].time, y: valueOf(readings[index], index) }))
+                .filter(point => typeof point.y === 'number');
+
+            const datasets = [];
+            HUMIDITY_ZONES.forEach(({ zone, name, color }) => {
+                datasets.push({
+                    label: `${name} Humidity (%)`,
+                    data: seriesOf(reading => (reading.sensors[zone] ? reading.sensors[zone].humidity : null)),
+                    borderColor: color,
+                    backgroundColor: color,
+                    borderWidth: 2,
+                    pointRadius: 0,
+                    tension: 0.3,
+                    yAxisID: 'humidity'
+                });
+            });
+            HUMIDITY_ZONES.forEach(({ zone, name, color }) => {
+                datasets.push({
+                    label: `${name} Dew Point (°F)`,
+                    data: seriesOf((reading, index) => dewPoints[index][zone]),
+                    borderColor: color,
+                    backgroundColor: color,
+                    borderWidth: 1.5,
+                    borderDash: [5, 4],
+                    pointRadius: 0,
+                    tension: 0.3,
+                    yAxisID: 'dewPoint'
+                });
+            });
+
+            const fanEffectAt = time => fanEffects.find(run => time >= run.start && time <= run.end);
+            const fanColor = time => {
+                const run = fanEffectAt(time);
+                return run ? FAN_EFFECT_COLORS[run.effect] : FAN_EFFECT_COLORS.neutral;
+            };
+            datasets.push({
+                label: 'Fan (green: dew point lowered, red: raised)',
+                data: seriesOf(reading => (reading.system && typeof reading.system.fanOn === 'boolean' ? Number(reading.system.fanOn) : null)),
+                borderColor: FAN_EFFECT_COLORS.neutral,
+                backgroundColor: 'rgba(108, 117, 125, 0.1)',
+                stepped: true,
+                fill: true,
+                tension: 0,
+                pointRadius: 0,
+                yAxisID: 'fan',
+                segment: {
+                    borderColor: segment => (segment.p0.parsed.y === 1 ? fanColor(segment.p0.parsed.x) : FAN_EFFECT_COLORS.neutral),
+                    backgroundColor: segment => (segment.p0.parsed.y === 1 ? `${fanColor(segment.p0.parsed.x)}33` : 'transparent')
+                }
+            });
+
+            // Shade risk bands behind the lines
+            const riskBandsPlugin = {
+                id: 'humidityRiskBands',
+                beforeDatasetsDraw(chart) {
+                    const { ctx, chartArea, scales } = chart;
+                    ctx.save();
+                    riskBands.forEach(band => {
+                        const left = Math.max(scales.x.getPixelForValue(band.start), chartArea.left);
+                        const right = Math.min(scales.x.getPixelForValue(band.end), chartArea.right);
+                        if (right <= left) return;
+                        ctx.fillStyle = HUMIDITY_RISK_COLORS[band.level];
+                        ctx.fillRect(left, chartArea.top, right - left, chartArea.bottom - chartArea.top);
+                    });
+                    ctx.restore();
                 }
+            };
+
+            // Same window and tick spacing as the other history charts
+            const bounds = GlobalChartManager.getRangeBounds(range);
+            const { unit: timeUnit, stepSize } = ChartUtils.getTimeDisplayFormat((bounds.end - bounds.start) / (60 * 60 * 1000));
+
+            humidityChart = new Chart(canvas.getContext('2d'), {
+                type: 'line',
+                data: { datasets },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    interaction: {
+                        mode: 'nearest',
+                        axis: 'x',
+                        intersect: false
+                    },
+                    scales: {
+                        humidity: {
+                            type: 'linear',
+                            position: 'left',
+                            min: 0,
+                            max: 100,
+                            title: { display: true, text: 'Relative Humidity (%)' },
+                            ticks: { callback: value => `${value}%` }
+                        },
+                        dewPoint: {
+                            type: 'linear',
+                            position: 'right',
+                            title: { display: true, text: 'Dew Point (°F)' },
+                            ticks: { callback: value => `${value}°F` },
+                            grid: { drawOnChartArea: false }
+                        },
+                        fan: {
+                            type: 'linear',
+                            display: false,
+                            min: 0,
+                            max: 4 // Keeps the fan steps in the bottom quarter
+                        },
+                        x: {
+                            type: 'time',
+                            min: bounds.start,
+                            max: bounds.end,
+                            time: {
+                                unit: timeUnit,
+                                stepSize: stepSize,
+                                displayFormats: {
+                                    minute: 'h:mm a',
+                                    hour: 'h a',
+                                    day: 'M/d'
+                                },
+                                tooltipFormat: 'MMM d, h:mm a'
+                            },
+                            title: { display: true, text: 'Time' },
+                            ticks: {
+                                maxTicksLimit: 8,
+                                maxRotation: 45,
+                                minRotation: 0,
+                                autoSkip: true
+                            }
+                        }
+                    },
+                    plugins: {
+                        zoom: GlobalChartManager.zoomOptions(),
+                        legend: {
+                            display: true,
+                            position: 'top',
+                            labels: { usePointStyle: true }
+                        },
+                        tooltip: {
+                            mode: 'index',
+                            intersect: false,
+                            callbacks: {
+                                label: function(context) {
+                                    const value = context.parsed.y;
+                                    if (context.dataset.yAxisID === 'fan') {
+                                        const run = value === 1 ? fanEffectAt(context.parsed.x) : null;
+                                        if (!run) return value === 1 ? 'Fan: ON' : 'Fan: OFF';
+                                        const change = `${run.changeF > 0 ? '+' : ''}${run.changeF.toFixed(1)}°F`;
+                                        return `Fan: ON (indoor dew point ${run.effect} ${change} this run)`;
+                                    }
+                                    const unit = context.dataset.yAxisID === 'humidity' ? '%' : '°F';
+                                    return `${context.dataset.label.replace(/ \(.*\)$/, '')}: ${value.toFixed(1)}${unit}`;
+                                }
+                            }
+                        }
+                    }
+                },
+                plugins: [riskBandsPlugin, GlobalChartManager.annotationPlugin()]
             });
         }
 
+        // One line under the humidity chart: how long garage surfaces were at risk
+        // and how many fan runs lowered or raised the indoor dew point
+        function updateHumidityRiskSummary(riskBands, fanEffects) {
+            const summary = document.getElementById('humidityRiskSummary');
+            if (!summary) return;
+            const hoursAt = level => riskBands
+                .filter(band => band.level === level)
+                .reduce((total, band) => total + (band.end - band.start), 0) / (60 * 60 * 1000);
+            const count = effect => fanEffects.filter(run => run.effect === effect).length;
+            summary.textContent = `Garage condensation risk: ${hoursAt('condensation').toFixed(1)} h · mold risk: ${hoursAt('mold').toFixed(1)} h · ` +
+                `fan runs lowering indoor dew point: ${count('lowered')}, raising: ${count('raised')}, no change: ${count('neutral')}`;
+        }
+
         // Function to refresh the pressure chart with current time period
         async function refreshCurrentPressureChart() {
-            if (pressureChart && currentPressureChartHours) {
-                await createPressureChart(currentPressureChartHours);
+            if (pressureChart) {
+                await createPressureChart(GlobalChartManager.getRange());
             }
         }
 
@@ -6637,18 +8499,22 @@ function startAutoRefresh() {
             // Use Modular Chart Manager if available
             if (GlobalChartManager) {
                 if (temperatureChart) {
-                    await GlobalChartManager.updateTemperatureChart(currentChartHours, temperatureChart);
+                    await GlobalChartManager.updateTemperatureChart(GlobalChartManager.getRange(), temperatureChart);
                 }
                 if (pressureChart) {
-                    await GlobalChartManager.updatePressureChart(currentPressureChartHours, pressureChart);
+                    await GlobalChartManager.updatePressureChart(GlobalChartManager.getRange(), pressureChart);
+                }
+                if (humidityChart) {
+                    await GlobalChartManager.updateHumidityChart(GlobalChartManager.getRange(), humidityChart);
                 }
+                await GlobalChartManager.updateBrushes();
                 return;
             }
 
             // Fallback to legacy chart refresh
             if (temperatureChart) {
                 // Check if there's new chart data before refreshing
-                await checkAndRefreshChart(currentChartHours);
+                await checkAndRefreshChart(GlobalChartManager.getRange());
             }
             if (pressureChart) {
                 // Refresh pressure chart as well
@@ -6657,61 +8523,25 @@ function startAutoRefresh() {
         }
 
         // Smart chart refresh - only refreshes if new data is available
-        async function checkAndRefreshChart(hours) {
+        async function checkAndRefreshChart(range) {
             try {
                 const token = localStorage.getItem('ventilation_auth_token');
                 
                 // If no authentication method is available, skip chart refresh
-                if (!token && !CONFIG.apiSecret) {
+                if (!token && !CONFIG.apiSecret && !isFixtureTransport()) {
                     return;
                 }
 
                 // Use DataManager to get history data (which uses snapshot)
-                const historyResponse = await DataManager.getHistoryData(hours);
-                
-                // Handle both array response (from snapshot) and object response (legacy/wrapper)
-                let historyData = [];
-                if (Array.isArray(historyResponse)) {
-                    historyData = historyResponse;
-                } else if (historyResponse && Array.isArray(historyResponse.data)) {
-                    historyData = historyResponse.data;
-                }
+                const historyData = await GlobalChartManager.getRangeData(range);
                 
                 if (historyData.length === 0) {
                     // No data available, don't refresh
                     return;
                 }
                 
-                // Get the latest timestamp from the new data
-                const latestDataPoint = historyData[0]; // API returns newest first
-                let newLatestTimestamp = null;
-
-                // Parse the timestamp from the latest data point
-                if (latestDataPoint.timestamp) {
-                    if (typeof latestDataPoint.timestamp === 'string') {
-                        if (latestDataPoint.timestamp.includes('T') || latestDataPoint.timestamp.includes('-')) {
-                            newLatestTimestamp = new Date(latestDataPoint.timestamp);
-                        } else {
-                            const unixSeconds = parseInt(latestDataPoint.timestamp);
-                            if (!isNaN(unixSeconds) && unixSeconds > 1000000000) {
-                                newLatestTimestamp = new Date(unixSeconds * 1000);
-                            } else {
-                                newLatestTimestamp = new Date(latestDataPoint.timestamp);
-                            }
-                        }
-                    } else if (typeof latestDataPoint.timestamp === 'number') {
-                        const timestamp = latestDataPoint.timestamp;
-                        newLatestTimestamp = timestamp < 10000000000 ? new Date(timestamp * 1000) : new Date(timestamp);
-                    } else {
-                        newLatestTimestamp = new Date(latestDataPoint.timestamp);
-                    }
-                }
-
-                // If we can't parse the timestamp, refresh anyway to be safe
-                if (!newLatestTimestamp || isNaN(newLatestTimestamp.getTime())) {
-                    updateChart(historyData, hours);
-                    return;
-                }
+                // History is normalized newest first with epoch-ms `time`
+                const newLatestTimestamp = new Date(historyData[0].time);
 
                 // Check if this is newer than our stored latest timestamp
                 if (!latestChartDataTimestamp || newLatestTimestamp > latestChartDataTimestamp) {
@@ -6719,7 +8549,7 @@ function startAutoRefresh() {
                     
                     // Update our stored timestamp and refresh the chart
                     latestChartDataTimestamp = newLatestTimestamp;
-                    updateChart(historyData, hours);
+                    updateChart(historyData, range);
                 } else {
                     Logger.log('Temperature chart: No new data points, skipping refresh to avoid unnecessary animations');
                 }
@@ -6736,39 +8566,15 @@ function startAutoRefresh() {
          * Handles multiple temperature sensors (indoor, outdoor, garage)
          * Manages chart updates, timestamps, and responsive design
          * @param {Array} data - Array of temperature data points from the API
-         * @param {number} requestedHours - Number of hours of data requested (default: 6)
+         * @param {Object} range - Shared chart range the data was loaded for
          * @returns {void}
          */
-        function updateChart(data, requestedHours = 6) {
+        function updateChart(data, range, comparison = null) {
             const ctx = document.getElementById('temperatureChart').getContext('2d');
             
             // Update latest timestamp tracking for smart refresh
             if (data && data.length > 0) {
-                const latestDataPoint = data[0]; // API returns newest first
-                if (latestDataPoint.timestamp) {
-                    let timestamp;
-                    if (typeof latestDataPoint.timestamp === 'string') {
-                        if (latestDataPoint.timestamp.includes('T') || latestDataPoint.timestamp.includes('-')) {
-                            timestamp = new Date(latestDataPoint.timestamp);
-                        } else {
-                            const unixSeconds = parseInt(latestDataPoint.timestamp);
-                            if (!isNaN(unixSeconds) && unixSeconds > 1000000000) {
-                                timestamp = new Date(unixSeconds * 1000);
-                            } else {
-                                timestamp = new Date(latestDataPoint.timestamp);
-                            }
-                        }
-                    } else if (typeof latestDataPoint.timestamp === 'number') {
-                        const ts = latestDataPoint.timestamp;
-                        timestamp = ts < 10000000000 ? new Date(ts * 1000) : new Date(ts);
-                    } else {
-                        timestamp = new Date(latestDataPoint.timestamp);
-                    }
-                    
-                    if (!isNaN(timestamp.getTime())) {
-                        latestChartDataTimestamp = timestamp;
-                    }
-                }
+                latestChartDataTimestamp = new Date(data[0].time); // Normalized newest first
             }
             
             // Destroy existing chart
@@ -6781,6 +8587,7 @@ function startAutoRefresh() {
                 // Hide effectiveness analysis when no data
                 document.getElementById('effectivenessAnalysis').style.display = 'none';
                 document.getElementById('noEffectivenessData').style.display = 'block';
+                renderComparisonSummary(null);
                 
                 temperatureChart = new Chart(ctx, {
                     type: 'line',
@@ -6830,64 +8637,16 @@ function startAutoRefresh() {
             // We need to reverse it to show oldest to newest (left to right)
             let sortedData = [...data].reverse();
             
-            // Filter out corrupted data with invalid timestamps (fix for chart showing years 1954, 1963, 1972, 1981)
-            function isValidTimestamp(timestamp) {
-                return DashboardUtils.isValidTimestamp(timestamp);
-            }
-            
-            // Filter out items with corrupted timestamps
-            sortedData = sortedData.filter(item => {
-                if (!item.timestamp) return false;
-                return isValidTimestamp(item.timestamp);
-            });
+            // Filter out corrupted data with out-of-range timestamps (fix for chart showing years 1954, 1963, 1972, 1981)
+            sortedData = sortedData.filter(item => DashboardUtils.isValidTimestamp(item.timestamp));
             
             Logger.log(`Chart data: ${data.length} total items, ${sortedData.length} valid items after timestamp filtering`);
             
             // Prepare time-based data points for proper temporal spacing
-            const timeBasedData = sortedData.map((item, index) => {
-                let date;
-                
-                // Handle different timestamp formats with enhanced validation
-                if (typeof item.timestamp === 'string') {
-                    if (item.timestamp.includes('T') || item.timestamp.includes('-')) {
-                        date = new Date(item.timestamp);
-                    } else {
-                        const unixSeconds = parseInt(item.timestamp);
-                        if (!isNaN(unixSeconds) && unixSeconds > 1000000000 && unixSeconds < 2000000000) {
-                            date = new Date(unixSeconds * 1000);
-                        } else {
-                            Logger.warn('Invalid Unix timestamp:', item.timestamp);
-                            return null; // Skip this item
-                        }
-                    }
-                } else if (typeof item.timestamp === 'number') {
-                    if (item.timestamp < 1000000000 || item.timestamp > 2000000000) {
-                        Logger.warn('Invalid numeric timestamp:', item.timestamp);
-                        return null; // Skip this item
-                    }
-                    date = item.timestamp < 10000000000 ? new Date(item.timestamp * 1000) : new Date(item.timestamp);
-                } else {
-                    Logger.warn('Unknown timestamp format:', item.timestamp);
-                    return null; // Skip this item
-                }
-                
-                // Final validation - reject if date is invalid or outside reasonable range
-                if (isNaN(date.getTime())) {
-                    Logger.warn('Failed to parse timestamp:', item.timestamp);
-                    return null;
-                }
-                
-                const year = date.getFullYear();
-                if (year < 2020 || year > 2030) {
-                    Logger.warn('Timestamp outside valid range (corrupted):', date.toISOString(), 'from:', item.timestamp);
-                    return null;
-                }
-                
-                return {
-                    timestamp: date,
-                    item: item
-                };
-            }).filter(dataPoint => dataPoint !== null); // Remove null entries
+            const timeBasedData = sortedData.map(item => ({
+                timestamp: new Date(item.time),
+                item: item
+            }));
 
             // Debug: Log the final timestamp range being sent to chart
             if (timeBasedData.length > 0) {
@@ -6895,8 +8654,22 @@ function startAutoRefresh() {
                 Logger.log(`Chart prepared ${timeBasedData.length} data points`);
             }
 
+            // Long ranges: plot about one point per pixel, keeping each series' spikes
+            // and every fan switch (effectiveness below still uses every reading)
+            const sensorTemp = zone => dataPoint => dataPoint.item.sensors && dataPoint.item.sensors[zone] ? dataPoint.item.sensors[zone].temp : null;
+            const plottedIndices = GlobalChartManager.downsample(timeBasedData, ctx.canvas, {
+                timeOf: dataPoint => dataPoint.timestamp,
+                series: [
+                    { valueOf: sensorTemp('indoor'), method: 'lttb' },
+                    { valueOf: sensorTemp('outdoor'), method: 'lttb' },
+                    { valueOf: sensorTemp('garage'), method: 'lttb' },
+                    { valueOf: dataPoint => (dataPoint.item.system && typeof dataPoint.item.system.fanOn === 'boolean' ? Number(dataPoint.item.system.fanOn) : null), method: 'transitions' }
+                ]
+            });
+            const plottedData = plottedIndices ? plottedIndices.map(index => timeBasedData[index]) : timeBasedData;
+
             // Extract the actual sensor data with timestamps for Chart.js time scale
-            const indoorTemps = timeBasedData.map(dataPoint => {
+            const indoorTemps = plottedData.map(dataPoint => {
                 // Check if the item has the expected structure
                 if (dataPoint.item.sensors && dataPoint.item.sensors.indoor && typeof dataPoint.item.sensors.indoor.temp === 'number') {
                     return {
@@ -6907,7 +8680,7 @@ function startAutoRefresh() {
                 return null;
             }).filter(point => point !== null);
             
-            const outdoorTemps = timeBasedData.map(dataPoint => {
+            const outdoorTemps = plottedData.map(dataPoint => {
                 if (dataPoint.item.sensors && dataPoint.item.sensors.outdoor && typeof dataPoint.item.sensors.outdoor.temp === 'number') {
                     return {
                         x: dataPoint.timestamp,
@@ -6917,7 +8690,7 @@ function startAutoRefresh() {
                 return null;
             }).filter(point => point !== null);
             
-            const garageTemps = timeBasedData.map(dataPoint => {
+            const garageTemps = plottedData.map(dataPoint => {
                 if (dataPoint.item.sensors && dataPoint.item.sensors.garage && typeof dataPoint.item.sensors.garage.temp === 'number') {
                     return {
                         x: dataPoint.timestamp,
@@ -6927,7 +8700,7 @@ function startAutoRefresh() {
                 return null;
             }).filter(point => point !== null);
             
-            const fanStatus = timeBasedData.map(dataPoint => {
+            const fanStatus = plottedData.map(dataPoint => {
                 if (dataPoint.item.system && typeof dataPoint.item.system.fanOn === 'boolean') {
                     return {
                         x: dataPoint.timestamp,
@@ -6943,6 +8716,10 @@ function startAutoRefresh() {
             // Calculate ventilation effectiveness for substantial sessions (30+ minutes)
             const effectivenessData = calculateVentilationEffectiveness(timeBasedData);
             Logger.log('Effectiveness data points:', effectivenessData.length);
+            if (GlobalVentilationAdvisor && effectivenessData.length > 0) {
+                GlobalVentilationAdvisor.recordEffectiveness(effectivenessData);
+                renderVentilationAdvisor();
+            }
             
             // Debug logging for ongoing sessions
             if (timeBasedData.length > 0) {
@@ -6959,6 +8736,11 @@ function startAutoRefresh() {
 
             // Update effectiveness analysis section
             updateEffectivenessAnalysis(effectivenessData);
+            renderComparisonSummary(comparison);
+
+            // Same window and tick spacing as the pressure chart
+            const bounds = GlobalChartManager.getRangeBounds(range);
+            const { unit: timeUnit, stepSize } = ChartUtils.getTimeDisplayFormat((bounds.end - bounds.start) / (60 * 60 * 1000));
 
             // Create new chart with time-based data
             temperatureChart = new Chart(ctx, {
@@ -7015,7 +8797,21 @@ function startAutoRefresh() {
                             pointBorderWidth: 2,
                             yAxisID: 'effectiveness',
                             fill: false
-                        }
+                        },
+                        ...(comparison && comparison.data ? [
+                            ChartUtils.comparisonDataset(comparison, ctx.canvas, {
+                                label: 'Indoor Temperature (°F)',
+                                color: 'rgba(231, 76, 60, 0.45)',
+                                yAxisID: 'temp',
+                                valueOf: reading => reading.sensors.indoor.temp
+                            }),
+                            ChartUtils.comparisonDataset(comparison, ctx.canvas, {
+                                label: 'Outdoor Temperature (°F)',
+                                color: 'rgba(52, 152, 219, 0.45)',
+                                yAxisID: 'temp',
+                                valueOf: reading => reading.sensors.outdoor.temp
+                            })
+                        ] : [])
                     ]
                 },
                 options: {
@@ -7070,7 +8866,11 @@ function startAutoRefresh() {
                         },
                         x: {
                             type: 'time',
+                            min: bounds.start,
+                            max: bounds.end,
                             time: {
+                                unit: timeUnit,
+                                stepSize: stepSize,
                                 displayFormats: {
                                     minute: 'h:mm a',
                                     hour: 'h a',
@@ -7091,6 +8891,7 @@ function startAutoRefresh() {
                         }
                     },
                     plugins: {
+                        zoom: GlobalChartManager.zoomOptions(),
                         legend: {
                             display: true,
                             position: 'top'
@@ -7098,6 +8899,7 @@ function startAutoRefresh() {
                         tooltip: {
                             mode: 'index',
                             intersect: false,
+                            filter: ChartUtils.comparisonTooltipFilter,
                             callbacks: {
                                 title: function(context) {
                                     if (context.length > 0) {
@@ -7110,6 +8912,10 @@ function startAutoRefresh() {
                                     const datasetLabel = context.dataset.label;
                                     const value = context.parsed.y;
                                     
+                                    if (context.dataset.comparison) {
+                                        return `👻 ${datasetLabel}: ${value.toFixed(1)}°F (${new Date(context.raw.originalTime).toLocaleString()})`;
+                                    }
+                                    
                                     // Special handling for effectiveness data
                                     if (datasetLabel === 'Ventilation Effectiveness (%)') {
                                         const sessionData = context.raw.sessionData;
@@ -7148,14 +8954,17 @@ function startAutoRefresh() {
                             }
                         }
                     }
-                }
+                },
+                plugins: [GlobalChartManager.annotationPlugin()]
             });
         }
 
         // Enhanced Incident Almanac with multiple visualization modes
         async function loadIncidentAlmanac() {
             const viewType = document.getElementById('almanacViewType').value;
-            const periodFilter = parseInt(document.getElementById('almanacPeriodFilter').value);
+            // 'chart' follows the Historical Data range (buttons, zoom, date picker)
+            const periodValue = document.getElementById('almanacPeriodFilter').value;
+            const periodFilter = periodValue === 'chart' ? 'chart' : parseInt(periodValue);
             const severityFilter = document.getElementById('almanacSeverityFilter').value;
             const statusElement = document.getElementById('almanacStatus');
             
@@ -7172,13 +8981,21 @@ function startAutoRefresh() {
                 // Calculate time range with better granularity
                 const now = new Date();
                 let startDate;
+                let endDate = now;
                 let periodDescription;
                 
-                if (periodFilter === 1) {
+                if (periodFilter === 'chart') {
+                    const bounds = GlobalChartManager.getRangeBounds();
+                    startDate = new Date(bounds.start);
+                    endDate = new Date(bounds.end);
+                    Logger.log('ALMANAC DEBUG: Chart Range - from', startDate, 'to', endDate);
+                    periodDescription = `the chart range (${ChartUtils.describeRange(GlobalChartManager.getRange())})`;
+                } else if (periodFilter === 1) {
                     // Previous month - more precise calculation
                     const firstOfThisMonth = new Date(now.getFullYear(), now.getMonth(), 1);
                     startDate = new Date(firstOfThisMonth.getFullYear(), firstOfThisMonth.getMonth() - 1, 1);
                     const endOfPrevMonth = new Date(firstOfThisMonth.getTime() - 1);
+                    endDate = endOfPrevMonth;
                     
                     Logger.log('ALMANAC DEBUG: Previous Month - from', startDate, 'to', endOfPrevMonth);
                     periodDescription = `${startDate.toLocaleDateString('en-US', {month: 'long', year: 'numeric'})}`;
@@ -7234,6 +9051,7 @@ function startAutoRefresh() {
                 
                 // Filter by time range with additional debugging
                 const cutoffTimestamp = Math.floor(startDate.getTime() / 1000);
+                const endTimestamp = Math.floor(endDate.getTime() / 1000);
                 Logger.log('ALMANAC DEBUG: cutoffTimestamp =', cutoffTimestamp, new Date(cutoffTimestamp * 1000));
                 
                 // Show sample incident timestamps for debugging
@@ -7241,11 +9059,12 @@ function startAutoRefresh() {
                 Logger.log('ALMANAC DEBUG: Sample incident timestamps:');
                 sampleIncidents.forEach((incident, i) => {
                     const incidentDate = new Date(incident.startTime * 1000);
-                    Logger.log(`  Incident ${i+1}: ${incident.startTime} (${incidentDate.toLocaleString()}) - ${incident.startTime >= cutoffTimestamp ? 'PASSES' : 'FILTERED OUT'}`);
+                    const inRange = incident.startTime >= cutoffTimestamp && incident.startTime <= endTimestamp;
+                    Logger.log(`  Incident ${i+1}: ${incident.startTime} (${incidentDate.toLocaleString()}) - ${inRange ? 'PASSES' : 'FILTERED OUT'}`);
                 });
                 
                 const beforeTimeFilter = filteredIncidents.length;
-                filteredIncidents = filteredIncidents.filter(incident => incident.startTime >= cutoffTimestamp);
+                filteredIncidents = filteredIncidents.filter(incident => incident.startTime >= cutoffTimestamp && incident.startTime <= endTimestamp);
                 Logger.log('ALMANAC DEBUG: Before time filter:', beforeTimeFilter, 'incidents');
                 Logger.log('ALMANAC DEBUG: After time filter:', filteredIncidents.length, 'incidents');
                 
@@ -7304,6 +9123,8 @@ function startAutoRefresh() {
                 const now = new Date();
                 const prevMonth = new Date(now.getFullYear(), now.getMonth() - 1, 1);
                 monthElement.textContent = `${prevMonth.toLocaleString('default', { month: 'long', year: 'numeric' })}`;
+            } else if (periodFilter === 'chart') {
+                monthElement.textContent = ChartUtils.describeRange(GlobalChartManager.getRange());
             } else {
                 monthElement.textContent = 'Last 12 Months';
             }
@@ -7772,7 +9593,7 @@ function startAutoRefresh() {
                 const token = localStorage.getItem('ventilation_auth_token');
                 
                 // If no authentication method is available, return null
-                if (!token && !CONFIG.apiSecret) {
+                if (!token && !CONFIG.apiSecret && !isFixtureTransport()) {
                     window.dataSourceTracker.trackTemperatureSource('Monthly Trends', 'No Auth', 'Authentication required');
                     return null;
                 }
@@ -7850,11 +9671,11 @@ function startAutoRefresh() {
                     const year = monthData.Year;
                     const month = monthData.Month;
                     const midMonthDate = new Date(year, month - 1, 15); // 15th of month
-                    const timestamp = Math.floor(midMonthDate.getTime() / 1000);
                     
-                    // Create data point with monthly averages
+                    // Create data point with monthly averages (same time fields as normalized history)
                     const dataPoint = {
-                        timestamp: timestamp.toString(),
+                        timestamp: midMonthDate.toISOString(),
+                        time: midMonthDate.getTime(),
                         sensors: {}
                     };
                     
@@ -7879,34 +9700,7 @@ function startAutoRefresh() {
 
         // Helper function to validate temperature readings
         function isValidTemperatureReading(item) {
-            if (!item.timestamp || !item.sensors) return false;
-            
-            // Validate timestamp (same logic as chart)
-            let date;
-            if (typeof item.timestamp === 'string') {
-                if (item.timestamp.includes('T') || item.timestamp.includes('-')) {
-                    date = new Date(item.timestamp);
-                } else {
-                    const unixSeconds = parseInt(item.timestamp);
-                    if (!isNaN(unixSeconds) && unixSeconds > 1000000000 && unixSeconds < 2000000000) {
-                        date = new Date(unixSeconds * 1000);
-                    } else {
-                        return false;
-                    }
-                }
-            } else if (typeof item.timestamp === 'number') {
-                if (item.timestamp < 1000000000 || item.timestamp > 2000000000) {
-                    return false;
-                }
-                date = item.timestamp < 10000000000 ? new Date(item.timestamp * 1000) : new Date(item.timestamp);
-            } else {
-                return false;
-            }
-            
-            const year = date.getFullYear();
-            if (isNaN(date.getTime()) || year < 2020 || year > 2030) {
-                return false;
-            }
+            if (!DashboardUtils.isValidTimestamp(item.timestamp)) return false;
             
             // Check for valid temperature readings
             const indoor = item.sensors.indoor;
@@ -8528,21 +10322,7 @@ function startAutoRefresh() {
             
             months.forEach(month => {
                 const monthData = temperatureData.filter(item => {
-                    let timestamp;
-                    
-                    // Parse timestamp (same logic as chart validation)
-                    if (typeof item.timestamp === 'string') {
-                        if (item.timestamp.includes('T') || item.timestamp.includes('-')) {
-                            timestamp = Math.floor(new Date(item.timestamp).getTime() / 1000);
-                        } else {
-                            timestamp = parseInt(item.timestamp);
-                        }
-                    } else if (typeof item.timestamp === 'number') {
-                        timestamp = item.timestamp < 10000000000 ? item.timestamp : Math.floor(item.timestamp / 1000);
-                    } else {
-                        return false;
-                    }
-                    
+                    const timestamp = Math.floor(item.time / 1000); // month bounds are unix seconds
                     return timestamp >= month.start && timestamp <= month.end;
                 });
                 
@@ -8587,18 +10367,8 @@ function startAutoRefresh() {
             return null;
         }
 
-        function updateConnectionStatus(status) {
-            return DashboardUtils.updateConnectionStatus(status);
-        }
-
-        function startAutoRefresh() {
-            if (refreshTimer) {
-                clearInterval(refreshTimer);
-            }
-            
-            refreshTimer = setInterval(async () => {
-                await refreshData();
-            }, CONFIG.refreshInterval);
+        function updateConnectionStatus(status, detail) {
+            return DashboardUtils.updateConnectionStatus(status, detail);
         }
 
         // Manual refresh function
@@ -8749,12 +10519,11 @@ function startAutoRefresh() {
                 return null;
             }
 
-            // Get temperature data for the hour
-            const validTemps = hourData.filter(point => 
-                point.item.sensors &&
-                point.item.sensors.indoor && typeof point.item.sensors.indoor.temp === 'number' &&
-                point.item.sensors.outdoor && typeof point.item.sensors.outdoor.temp === 'number'
-            );
+            // Readings with both temperatures: those where the derived
+            // indoor − outdoor series has a value
+            const deltas = GlobalChartManager.derivedSeries('indoorOutdoorDeltaF', hourData.map(point => point.item));
+            const validTemps = hourData.filter((point, index) => deltas[index] !== null);
+            const validDeltas = deltas.filter(delta => delta !== null);
 
             if (validTemps.length < 2) {
                 return null; // Need temperature data
@@ -8767,7 +10536,8 @@ function startAutoRefresh() {
             const outdoorAvg = outdoorTemps.reduce((sum, temp) => sum + temp, 0) / outdoorTemps.length;
 
             const actualReduction = startTemp - endTemp;
-            const tempDifferential = startTemp - outdoorAvg;
+            // Cooling (or warming) potential when the session started
+            const tempDifferential = validDeltas[0];
 
             // Handle neutral case (temps are equal)
             if (Math.abs(tempDifferential) < 0.5) {
@@ -9028,9 +10798,10 @@ function startAutoRefresh() {
         }
 
         // Cooling effect calculation function
-        function calculateCoolingEffect(indoorTemp, outdoorTemp, fanMinutes, fanCurrentlyOn) {
+        // tempDiff is the indoorOutdoorDeltaF derived series at the latest reading
+        function calculateCoolingEffect(tempDiff, fanMinutes, fanCurrentlyOn) {
             // Return "No data" if we don't have the required temperatures
-            if (indoorTemp == null || outdoorTemp == null || fanMinutes == null) {
+            if (tempDiff == null || fanMinutes == null) {
                 return 'No data';
             }
 
@@ -9045,9 +10816,6 @@ function startAutoRefresh() {
             const SPECIFIC_HEAT_AIR = 0.24; // BTU per lb per °F
             const MINUTES_PER_HOUR = 60;
 
-            // Calculate temperature difference (how much cooling potential exists)
-            const tempDiff = indoorTemp - outdoorTemp;
-            
             // If outdoor is warmer than indoor, show day's performance instead of "No cooling benefit"
             if (tempDiff <= 0) {
                 if (fanCurrentlyOn) {
@@ -9157,9 +10925,11 @@ function showAnalyticsTab(tabName) {
     // Hide all tab content
     const incidentsTab = document.getElementById('incidentsTab');
     const climateTab = document.getElementById('climateTab');
+    const alertHistoryTab = document.getElementById('alertHistoryTab');
     
     if (incidentsTab) incidentsTab.style.display = 'none';
     if (climateTab) climateTab.style.display = 'none';
+    if (alertHistoryTab) alertHistoryTab.style.display = 'none';
     
     // Remove active class from all tab buttons
     const tabButtons = document.querySelectorAll('.tab-btn');
@@ -9195,6 +10965,16 @@ function showAnalyticsTab(tabName) {
         
         // Load climate analysis
         loadClimateAnalysis();
+
+    } else if (tabName === 'alerts') {
+        if (alertHistoryTab) alertHistoryTab.style.display = 'block';
+        const alertHistoryBtn = document.getElementById('alertHistoryTabBtn');
+        if (alertHistoryBtn) {
+            alertHistoryBtn.classList.add('active');
+            alertHistoryBtn.style.background = '#007bff';
+            alertHistoryBtn.style.color = 'white';
+        }
+        renderAlertHistory();
     }
 }
 
@@ -9252,7 +11032,7 @@ async function loadClimateAnalysis() {
     
     try {
         // Build API URL for new PacificNWClimateAnalyzer function
-        const apiUrl = `https://esp32-ventilation-api.azurewebsites.net/api/PacificNWClimateAnalyzer?type=${analysisType}&period=${timePeriod}&deviceId=${CONFIG.deviceId}`;
+        const apiUrl = `${CONFIG.climateApiUrl}?type=${analysisType}&period=${timePeriod}&deviceId=${CONFIG.deviceId}`;
         
         console.log(`Calling Climate API: ${apiUrl}`);
         
@@ -9276,7 +11056,7 @@ async function loadClimateAnalysis() {
         console.log('DEBUG: API secret available:', !!CONFIG.apiSecret);
         console.log('DEBUG: Current URL:', window.location.href);
         
-        const response = await fetch(apiUrl, {
+        const response = await apiFetch(apiUrl, {
             method: 'GET',
             headers: headers
         });
@@ -9818,12 +11598,17 @@ document.addEventListener('DOMContentLoaded', function() {
 });
 
 
-// CSV Export function for pressure analysis
+// CSV Export function for pressure analysis. Takes an element ID, an hours
+// value, or a chart range ({ hours } or { start, end }, e.g. from the date picker).
 async function exportPressureAnalysisCSV(sourceIdOrValue = null) {
     let timeRange = '24h'; // Default
+    let range = null;
 
-    // 1. Try to resolve argument as an Element ID
-    if (sourceIdOrValue) {
+    // 1. Try to resolve argument as a chart range, then as an Element ID
+    if (sourceIdOrValue && typeof sourceIdOrValue === 'object') {
+        range = sourceIdOrValue;
+        timeRange = range.hours ? String(range.hours) : ChartUtils.describeRangeForFile(range);
+    } else if (sourceIdOrValue) {
         const element = document.getElementById(sourceIdOrValue);
         if (element && (element.tagName === 'SELECT' || element.tagName === 'INPUT')) {
             timeRange = element.value;
@@ -9862,7 +11647,9 @@ async function exportPressureAnalysisCSV(sourceIdOrValue = null) {
         console.log(`Starting CSV export for range: ${timeRange}`);
         
         // Use the existing DataManager directly (no module import needed)
-        const jsonData = await DataManager.getDoorAnalyticsData(timeRange, 'raw-transitions');
+        const jsonData = range && !range.hours
+            ? await GlobalDataManager.getDoorAnalyticsRange(range.start, range.end, 'raw-transitions')
+            : await GlobalDataManager.getDoorAnalyticsData(timeRange, 'raw-transitions');
         
         if (!jsonData.transitions || jsonData.transitions.length === 0) {
             throw new Error('No door transition data found for the selected time range');
@@ -9885,8 +11672,8 @@ async function exportPressureAnalysisCSV(sourceIdOrValue = null) {
         window.URL.revokeObjectURL(url);
         
         // Update quality indicator - success
-        qualityDot.className = 'status-dot green';
-        qualityText.textContent = `Exported ${jsonData.transitions.length} records`;
+        if (qualityDot) qualityDot.className = 'status-dot green';
+        if (qualityText) qualityText.textContent = `Exported ${jsonData.transitions.length} records`;
         
         console.log(`CSV Export successful: ${jsonData.transitions.length} transitions exported for ${timeRange}`);
         
@@ -9894,15 +11681,17 @@ async function exportPressureAnalysisCSV(sourceIdOrValue = null) {
         console.error('CSV Export Error:', error);
         
         // Update quality indicator - error
-        qualityDot.className = 'status-dot red';
-        qualityText.textContent = 'Export failed';
+        if (qualityDot) qualityDot.className = 'status-dot red';
+        if (qualityText) qualityText.textContent = 'Export failed';
         
         // Show user-friendly error
         alert(`CSV Export failed: ${error.message}`);
     } finally {
         // Reset button state
-        exportButton.disabled = false;
-        exportButton.textContent = '📥 Export CSV Data';
+        if (exportButton) {
+            exportButton.disabled = false;
+            exportButton.textContent = '📥 Export CSV Data';
+        }
     }
 }
 
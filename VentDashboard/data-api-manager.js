@@ -1,39 +1,115 @@
 // Data Manager Module
 // Centralized API calls with intelligent caching and subscription system
 
-// Import CONFIG from dashboard.js
-// Note: This assumes CONFIG is available globally or passed to DataManager
+import { offlineCache, fixtureOfflineCache, pointTimeMs, mergeHistoryPoints, addCoverage, trimCoverage, coverageHoles, coverageFromPoints, HISTORY_RETENTION_MS } from './offline-cache.js';
+import { getTransport } from './transport.js';
+import { normalizeSnapshot, normalizeHistory, normalizeStatus, normalizeHistoryPoint, normalizeDoorEvent, getSchemaDriftReport } from './data-normalizer.js';
+import { LiveChannel, liveSettings } from './live-channel.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const HISTORY_TTL_MS = 45000; // How long the series counts as current before a gap fetch
+const HISTORY_COVERAGE_SLACK_MS = 15 * 60 * 1000; // Tolerate a sparse first reading at the range edge
+const HISTORY_SAMPLE_GAP_MS = HOUR_MS; // Readings further apart than this leave a hole (recordings sample every 30 min)
+const HISTORY_WINDOW_PAD_MS = HOUR_MS; // Fetch past the end so a window that follows "now" is reused for an hour
+const MAX_HISTORY_WINDOWS = 4;
+
+// Used when config.json omits retry / circuitBreaker fields
+// deadlineMs bounds a request across all its attempts and backoff; each attempt
+// also gives up after attemptTimeoutMs, leaving room within the deadline to retry
+const DEFAULT_RETRY = { maxRetries: 3, baseDelayMs: 1000, maxDelayMs: 15000, attemptTimeoutMs: 20000, deadlineMs: 60000 };
+const DEFAULT_CIRCUIT_BREAKER = { failureThreshold: 3, cooldownMs: 60000 };
+const MIN_ATTEMPT_MS = 5000; // A retry with less time than this before the deadline is not worth starting
+
+// CONFIG is the global in dashboard.js, populated from config.json by
+// initializeRuntimeConfig() before this module is imported
 const getApiConfig = () => {
-    if (typeof CONFIG !== 'undefined') {
-        return CONFIG;
-    }
-    // Fallback configuration
-    return {
-        enhancedApiUrl: 'https://esp32-ventilation-api.azurewebsites.net/api/GetEnhancedDashboardData',
-        doorAnalyticsApiUrl: 'https://esp32-ventilation-api.azurewebsites.net/api/GetEnhancedDoorAnalytics',
-        snapshotApiUrl: 'https://esp32-ventilation-api.azurewebsites.net/api/GetDashboardSnapshot',
-        historyApiUrl: 'https://esp32-ventilation-api.azurewebsites.net/api/GetVentilationHistory'
-    };
+    if (typeof CONFIG === 'undefined' || !CONFIG.snapshotApiUrl) {
+        throw new Error('DataManager: runtime config not loaded - await initializeRuntimeConfig() before importing data-api-manager.js');
+    }
+    return CONFIG;
 };
 
+// Fresh per-device cache slots. Every device gets its own set so switching
+// units never serves one controller's readings under another's name.
+const createDeviceCache = () => ({
+    statusData: { data: null, timestamp: null, ttl: 30000 }, // 30s TTL
+    historySeries: { points: [], covered: [], syncedAt: 0, hydrated: false }, // Points newest first, covered spans oldest first
+    historyWindows: [], // { from, to, points } fetched outside the series (period comparisons)
+    enhancedData: { data: null, timestamp: null, ttl: 60000 }, // 60s TTL (startup/yesterday sections change slowly)
+    snapshotData: { data: null, timestamp: null, ttl: 30000 } // 30s TTL
+});
+
 export class DataManager {
     constructor() {
-        this.cache = {
-            statusData: { data: null, timestamp: null, ttl: 30000 }, // 30s TTL
-            historyData: new Map(), // Keyed by hours parameter
-            enhancedData: { data: null, timestamp: null, ttl: 30000 }, // 30s TTL
-            snapshotData: { data: null, timestamp: null, ttl: 30000 } // 30s TTL
-        };
+        this.config = getApiConfig();
+
+        // Device registry: every controller the dashboard can display.
+        this.devices = Array.isArray(this.config.devices) && this.config.devices.length > 0
+            ? this.config.devices
+            : [{ id: this.config.deviceId, name: this.config.deviceId }];
+        this.deviceId = this.config.deviceId || this.devices[0].id;
+        this.deviceCaches = new Map(); // Keyed by deviceId
+        this.freshness = new Map(); // deviceId -> { stale, since }
+        this.offlineCache = getTransport().name === 'fixtures' ? fixtureOfflineCache : offlineCache;
         
         this.subscribers = {
             status: [],
             history: [],
             enhanced: [],
-            snapshot: []
+            snapshot: [],
+            device: [],
+            freshness: [],
+            connection: [],
+            live: [], // Live channel state changes
+            push: [], // { type: 'telemetry'|'door', deviceId, snapshot } after a pushed update is applied
+            command: [] // Command acknowledgements pushed by the device
         };
         
         this.activeRequests = new Map();
-        this.config = getApiConfig();
+        this.circuits = new Map(); // endpoint -> { state, failures, openUntil }
+        this.connectionState = { status: 'ok', endpoint: null, attempt: 0, maxAttempts: 0, lastError: null, retryAt: null, openUntil: null };
+        this.live = null; // LiveChannel for the active device
+        this.liveState = { status: 'off', mode: 'off', failures: 0 };
+    }
+
+    // Cache for the active device (created on first use)
+    get cache() {
+        return this._getDeviceCache(this.deviceId);
+    }
+
+    _getDeviceCache(deviceId) {
+        if (!this.deviceCaches.has(deviceId)) {
+            this.deviceCaches.set(deviceId, createDeviceCache());
+        }
+        return this.deviceCaches.get(deviceId);
+    }
+
+    // Device registry
+    getDevices() {
+        return this.devices.slice();
+    }
+
+    getDevice(deviceId = this.deviceId) {
+        return this.devices.find(device => device.id === deviceId) || null;
+    }
+
+    // Switch the active device. Cached data for the previous device is kept so
+    // switching back is instant while its TTLs are still valid.
+    setActiveDevice(deviceId) {
+        if (!this.getDevice(deviceId)) {
+            throw new Error(`Unknown device: ${deviceId}`);
+        }
+        if (deviceId === this.deviceId) return false;
+
+        console.log(`DataManager: Switching active device ${this.deviceId} -> ${deviceId}`);
+        this.deviceId = deviceId;
+        if (this.live) this.startLive(); // Resubscribe the channel to the new device
+        this._notifySubscribers('device', this.getDevice(deviceId));
+        return true;
+    }
+
+    _deviceParam() {
+        return `deviceId=${encodeURIComponent(this.deviceId)}`;
     }
 
     // Single source API calls with intelligent caching
@@ -59,60 +135,211 @@ export class DataManager {
         return data;
     }
 
+    // History is one time-indexed series per device (newest first). A request
+    // only downloads what the series is missing: the gap after its newest
+    // point, any hole its covered spans leave inside the range (e.g. while the
+    // page was closed), or a full range when it doesn't reach back far enough
+    // yet. The 6h/24h/72h/168h chart ranges are then sliced locally.
     async getHistoryData(hours = 24, forceRefresh = false) {
-        const cacheKey = `${hours}h`;
-        const cached = this.cache.historyData.get(cacheKey);
-        
-        if (!forceRefresh && cached && Date.now() - cached.timestamp < 45000) { // 45s TTL
-            console.log(`DataManager: Using cached history data for ${hours}h`);
-            return cached.data;
-        }
-        
-        let data;
-        
-        // DECISION: Use GetVentilationHistory for long-term data (>24h)
-        // Use GetDashboardSnapshot for short-term data (<=24h) which includes status/etc
-        if (hours > 24) {
-            console.log(`DataManager: Fetching long-term history data for ${hours}h via GetVentilationHistory`);
-            const historyUrl = this.config.historyApiUrl || 'https://esp32-ventilation-api.azurewebsites.net/api/GetVentilationHistory';
-            const endpoint = `${historyUrl}?deviceId=ESP32-Ventilation-01&hours=${hours}`;
-            
-            try {
-                const response = await this._deduplicatedFetch(endpoint, `history-${hours}`);
-                if (response && response.data && Array.isArray(response.data)) {
-                    data = response.data;
-                    console.log(`DataManager: Successfully fetched ${data.length} history items`);
+        const deviceId = this.deviceId;
+        const series = this.cache.historySeries;
+        const windowStart = Date.now() - hours * HOUR_MS;
+
+        await this._hydrateHistorySeries(deviceId, series);
+
+        try {
+            if (!this._seriesReaches(series, windowStart)) {
+                if (hours <= 24) {
+                    // The shared 24h snapshot seeds the series (see getDashboardSnapshot)
+                    console.log(`DataManager: Seeding history series for ${hours}h via snapshot`);
+                    await this.getDashboardSnapshot(false, 24);
                 } else {
-                    throw new Error('Invalid response format from GetVentilationHistory');
+                    console.log(`DataManager: Fetching full ${hours}h history via GetVentilationHistory`);
+                    const fetchedAt = Date.now();
+                    const points = await this._fetchHistory(deviceId, hours);
+                    this._mergeIntoSeries(deviceId, series, points, { from: windowStart, to: fetchedAt });
                 }
-            } catch (error) {
-                console.error(`DataManager: Failed to fetch long-term history:`, error);
-                throw error; // Propagate error, do not fallback to snapshot
             }
-        } else {
-            console.log(`DataManager: Fetching fresh history data for ${hours}h via snapshot`);
-            // Use snapshot instead of direct call
-            const snapshot = await this.getDashboardSnapshot(forceRefresh, hours);
-            data = snapshot.history;
+
+            await this._fetchHistoryHoles(deviceId, series, windowStart);
+
+            if (forceRefresh || Date.now() - series.syncedAt >= HISTORY_TTL_MS) {
+                await this._fetchHistoryGap(deviceId, series);
+            } else {
+                console.log(`DataManager: Using cached history series for ${hours}h`);
+            }
+        } catch (error) {
+            console.error(`DataManager: Failed to update history series:`, error);
+            // Serve whatever the series (memory + IndexedDB) already holds
+            const stored = this._sliceSeries(series, windowStart);
+            if (stored.length === 0) throw error;
+            console.log(`DataManager: Serving ${stored.length} cached history items for ${hours}h`);
+            this._markStale(deviceId, pointTimeMs(stored[0]));
+            return stored;
         }
-        
-        if (!data) throw new Error('History data missing');
-        
-        this.cache.historyData.set(cacheKey, {
-            data,
-            timestamp: Date.now()
-        });
-        
+
+        const data = this._sliceSeries(series, windowStart);
         this._notifySubscribers('history', { hours, data });
         return data;
     }
 
+    // History between two epoch-ms times, newest first. The series only keeps
+    // HISTORY_RETENTION_MS, so a range starting before that is fetched as a
+    // window (since/until); anything newer comes from the series.
+    async getHistoryRange(startMs, endMs, forceRefresh = false) {
+        if (startMs < Date.now() - HISTORY_RETENTION_MS) return this.getHistoryWindow(startMs, endMs);
+        return this._getSeriesRange(startMs, endMs, forceRefresh);
+    }
+
+    // Loads whatever the series is missing back to startMs, then slices it
+    async _getSeriesRange(startMs, endMs, forceRefresh = false) {
+        const hours = Math.max(1, Math.ceil((Date.now() - startMs) / HOUR_MS));
+        const data = await this.getHistoryData(hours, forceRefresh);
+        return data.filter(point => pointTimeMs(point) <= endMs);
+    }
+
+    // History for a window that may lie well before the series (e.g. the same
+    // week last year). Served from the series when its covered spans reach back
+    // that far; otherwise fetched on its own with since/until and kept apart,
+    // because the series drops anything older than HISTORY_RETENTION_MS.
+    // Newest first.
+    async getHistoryWindow(startMs, endMs) {
+        const deviceId = this.deviceId;
+        const cache = this.cache;
+        await this._hydrateHistorySeries(deviceId, cache.historySeries);
+
+        let points;
+        if (this._seriesReaches(cache.historySeries, startMs)) {
+            points = await this._getSeriesRange(startMs, endMs);
+        } else {
+            let window = cache.historyWindows.find(entry => entry.from <= startMs && entry.to >= endMs);
+            if (!window) {
+                const to = Math.min(Date.now(), endMs + HISTORY_WINDOW_PAD_MS);
+                const hours = Math.max(1, Math.ceil((Date.now() - startMs) / HOUR_MS));
+                console.log(`DataManager: Fetching history window ${new Date(startMs).toLocaleString()} - ${new Date(to).toLocaleString()}`);
+                window = { from: startMs, to, points: await this._fetchHistory(deviceId, hours, startMs, to) };
+                cache.historyWindows = [window, ...cache.historyWindows].slice(0, MAX_HISTORY_WINDOWS);
+            }
+            points = window.points;
+        }
+        return points.filter(point => {
+            const time = pointTimeMs(point);
+            return time >= startMs && time <= endMs;
+        });
+    }
+
+    // Newest timestamp (ms) in the active device's history series, or null
+    getLatestHistoryTimestamp() {
+        const points = this.cache.historySeries.points;
+        return points.length > 0 ? pointTimeMs(points[0]) : null;
+    }
+
+    async _fetchHistory(deviceId, hours, sinceMs = null, untilMs = null) {
+        const historyUrl = this.config.historyApiUrl;
+        // `since` lets the function skip rows we already have and `until` rows
+        // after a past window; deployments that ignore them still honour
+        // `hours`, and callers drop whatever falls outside.
+        const sinceParam = sinceMs ? `&since=${Math.floor(sinceMs / 1000)}` : '';
+        const untilParam = untilMs ? `&until=${Math.floor(untilMs / 1000)}` : '';
+        const endpoint = `${historyUrl}?deviceId=${encodeURIComponent(deviceId)}&hours=${hours}${sinceParam}${untilParam}`;
+
+        const response = await this._deduplicatedFetch(endpoint, `history-${deviceId}-${hours}${sinceParam}${untilParam}`);
+        if (!response || !(Array.isArray(response) || Array.isArray(response.data))) {
+            throw new Error('Invalid response format from GetVentilationHistory');
+        }
+        const points = normalizeHistory(response, 'GetVentilationHistory');
+        console.log(`DataManager: Successfully fetched ${points.length} history items`);
+        return points;
+    }
+
+    // Download only the readings after the series: from the end of its newest
+    // covered span, or its newest point when nothing is covered yet
+    async _fetchHistoryGap(deviceId, series) {
+        const newest = series.covered.length > 0
+            ? series.covered[series.covered.length - 1].to
+            : (series.points.length > 0 ? pointTimeMs(series.points[0]) : null);
+        if (!newest) return;
+
+        const fetchedAt = Date.now();
+        const gapHours = Math.max(1, Math.ceil((fetchedAt - newest) / HOUR_MS));
+        console.log(`DataManager: Fetching history gap since ${new Date(newest).toLocaleTimeString()} (${gapHours}h)`);
+        const points = await this._fetchHistory(deviceId, gapHours, newest);
+        this._mergeIntoSeries(deviceId, series, points, { from: newest, to: fetchedAt });
+    }
+
+    // Backfill holes between covered spans from windowStart up to the newest
+    // covered time; what lies after that is the gap _fetchHistoryGap() fills.
+    // A hole that comes back empty still counts as covered: the device was off.
+    async _fetchHistoryHoles(deviceId, series, windowStart) {
+        if (series.covered.length === 0) return;
+        const newestCovered = series.covered[series.covered.length - 1].to;
+        const holes = coverageHoles(series.covered, windowStart, newestCovered, HISTORY_COVERAGE_SLACK_MS);
+        for (const hole of holes) {
+            const hours = Math.max(1, Math.ceil((Date.now() - hole.from) / HOUR_MS));
+            console.log(`DataManager: Backfilling history hole ${new Date(hole.from).toLocaleString()} - ${new Date(hole.to).toLocaleString()}`);
+            const points = await this._fetchHistory(deviceId, hours, hole.from, hole.to);
+            this._mergeIntoSeries(deviceId, series, points, hole);
+        }
+    }
+
+    // True when the covered spans start at or before startMs (give or take a
+    // sparse first reading); holes inside are left to _fetchHistoryHoles()
+    _seriesReaches(series, startMs) {
+        return series.covered.length > 0 && series.covered[0].from <= startMs + HISTORY_COVERAGE_SLACK_MS;
+    }
+
+    // covered is the { from, to } span the points were fetched for, or null when
+    // they only extend the series (see _applyLiveTelemetry)
+    _mergeIntoSeries(deviceId, series, points, covered) {
+        const { points: merged, added } = mergeHistoryPoints(series.points, points);
+        series.points = merged;
+        series.syncedAt = Date.now();
+        const spans = covered ? [covered] : [];
+        // mergeHistoryPoints dropped anything past retention; so do the spans
+        series.covered = spans.reduce((all, span) => addCoverage(all, span.from, span.to), trimCoverage(series.covered));
+        if (added > 0 || spans.length > 0) {
+            this._persist(() => this.offlineCache.mergeHistory(deviceId, points, spans));
+        }
+        return added;
+    }
+
+    // Load the persisted series once per device so a reload starts from it
+    async _hydrateHistorySeries(deviceId, series) {
+        if (series.hydrated) return;
+        series.hydrated = true;
+
+        // Rows written before normalization existed still carry raw timestamps
+        const stored = normalizeHistory(await this._readPersisted(() => this.offlineCache.getHistory(deviceId)), 'offlineCache.history');
+        if (stored.length === 0) return;
+
+        series.points = mergeHistoryPoints(series.points, stored).points;
+        // Older records carry no spans; readings further apart than the sample
+        // gap count as a hole so it gets fetched once
+        const storedCoverage = await this._readPersisted(() => this.offlineCache.getCoverage(deviceId))
+            || coverageFromPoints(stored, HISTORY_SAMPLE_GAP_MS);
+        storedCoverage.forEach(span => {
+            series.covered = addCoverage(series.covered, span.from, span.to);
+        });
+        console.log(`DataManager: Restored ${stored.length} persisted history points for ${deviceId}`);
+    }
+
+    _sliceSeries(series, windowStart) {
+        return series.points.filter(point => pointTimeMs(point) >= windowStart);
+    }
+
     // Get the flat recent door-events list from the consolidated 24h snapshot.
     // Used by the "Door Status & Activity" card instead of the slow
     // GetEnhancedDoorAnalytics endpoint + full history fetch.
     async getRecentDoorEvents(forceRefresh = false) {
         const snapshot = await this.getDashboardSnapshot(forceRefresh, 24);
-        return Array.isArray(snapshot.recentDoorEvents) ? snapshot.recentDoorEvents : [];
+        return snapshot.recentDoorEvents;
+    }
+
+    // EXPERIMENTAL pressure-only 3-way garage-house classification (ESP32 gh3way
+    // telemetry, surfaced by GetDashboardSnapshot). Null until the device reports one.
+    async getGh3way(forceRefresh = false) {
+        const snapshot = await this.getDashboardSnapshot(forceRefresh, 24);
+        return snapshot.gh3way;
     }
 
     async getEnhancedData(forceRefresh = false) {
@@ -127,8 +354,15 @@ export class DataManager {
         // Only request the cheap small-table sections (startup, yesterday). The
         // 'doors' section runs a ~57s VentilationData scan and is unused now that
         // the Door Activity Center is removed.
-        const enhancedUrl = `${this.config.enhancedApiUrl}?deviceId=ESP32-Ventilation-01&sections=startup,yesterday`;
-        const data = await this._deduplicatedFetch(enhancedUrl, 'enhanced');
+        const enhancedUrl = `${this.config.enhancedApiUrl}?${this._deviceParam()}&sections=startup,yesterday`;
+        let data;
+        try {
+            data = normalizeStatus(await this._deduplicatedFetch(enhancedUrl, `enhanced-${this.deviceId}`), 'GetEnhancedDashboardData');
+        } catch (error) {
+            if (!cache.data) throw error;
+            console.log('DataManager: Returning expired enhanced data due to error');
+            return cache.data;
+        }
         
         cache.data = data;
         cache.timestamp = Date.now();
@@ -140,10 +374,10 @@ export class DataManager {
     // Get door analytics data for CSV export
     async getDoorAnalyticsData(timeRange = '24h', analysis = 'raw-transitions') {
         console.log(`DataManager: Fetching door analytics data for ${timeRange}`);
-        const endpoint = `${this.config.doorAnalyticsApiUrl}?timeRange=${timeRange}&analysis=${analysis}&deviceId=ESP32-Ventilation-01`;
+        const endpoint = `${this.config.doorAnalyticsApiUrl}?timeRange=${timeRange}&analysis=${analysis}&${this._deviceParam()}`;
         
         try {
-            const data = await this._deduplicatedFetch(endpoint, `door-analytics-${timeRange}-${analysis}`);
+            const data = await this._deduplicatedFetch(endpoint, `door-analytics-${this.deviceId}-${timeRange}-${analysis}`);
             console.log(`DataManager: Door analytics data received - ${data.totalTransitions || 0} transitions`);
             return data;
         } catch (error) {
@@ -152,6 +386,18 @@ export class DataManager {
         }
     }
 
+    // Door analytics between two epoch-ms times. The function only knows
+    // "hours back from now", so fetch back to startMs and drop the rest here.
+    async getDoorAnalyticsRange(startMs, endMs, analysis = 'raw-transitions') {
+        const hours = Math.max(1, Math.ceil((Date.now() - startMs) / HOUR_MS));
+        const data = await this.getDoorAnalyticsData(String(hours), analysis);
+        const transitions = (data.transitions || []).filter(transition => {
+            const time = pointTimeMs(transition);
+            return time >= startMs && time <= endMs;
+        });
+        return { ...data, transitions, totalTransitions: transitions.length };
+    }
+
     // Get Dashboard Snapshot (Consolidated Data)
     async getDashboardSnapshot(forceRefresh = false, hours = 24) {
         const cache = this.cache.snapshotData;
@@ -163,22 +409,35 @@ export class DataManager {
         }
         
         console.log(`DataManager: Fetching fresh dashboard snapshot (hours=${hours})`);
-        // Use default deviceId and hours if not specified in config (though config usually has URLs only)
-        // We append params to the URL
-        const endpoint = `${this.config.snapshotApiUrl}?deviceId=ESP32-Ventilation-01&hours=${hours}`;
+        // Capture the device up front: if the user switches mid-request the
+        // response must still land in the cache of the device it belongs to.
+        const deviceId = this.deviceId;
+        const endpoint = `${this.config.snapshotApiUrl}?${this._deviceParam()}&hours=${hours}`;
         
-        const data = await this._deduplicatedFetch(endpoint, `snapshot-${hours}`);
+        let data;
+        try {
+            data = normalizeSnapshot(await this._deduplicatedFetch(endpoint, `snapshot-${deviceId}-${hours}`));
+        } catch (error) {
+            if (!useCache) throw error;
+            // Network down: fall back to the expired in-memory copy, then to IndexedDB
+            const fallback = cache.data
+                ? { data: cache.data, savedAt: cache.timestamp }
+                : await this._loadPersistedSnapshot(deviceId);
+            if (!fallback) throw error;
+            console.log(`DataManager: Returning last-known snapshot from ${new Date(fallback.savedAt).toLocaleString()} due to error`);
+            cache.data = fallback.data;
+            cache.timestamp = fallback.savedAt; // Keep it expired so the next call retries the network
+            this._markStale(deviceId, fallback.savedAt);
+            return fallback.data;
+        }
         
         // DEBUG: Log the size of the history data received
-        if (data && data.history) {
-            const historyLen = Array.isArray(data.history) ? data.history.length : 'not-array';
-            console.log(`DataManager: DEBUG - Received snapshot for hours=${hours}. History length: ${historyLen}`);
-            if (Array.isArray(data.history) && data.history.length > 0) {
-                const first = data.history[0];
-                const last = data.history[data.history.length - 1];
-                const firstTime = first.timestamp ? new Date(first.timestamp * 1000).toLocaleString() : 'N/A';
-                const lastTime = last.timestamp ? new Date(last.timestamp * 1000).toLocaleString() : 'N/A';
-                console.log(`DataManager: DEBUG - History range: ${firstTime} to ${lastTime}`);
+        if (data.history) {
+            console.log(`DataManager: DEBUG - Received snapshot for hours=${hours}. History length: ${data.history.length}`);
+            if (data.history.length > 0) {
+                const newest = new Date(data.history[0].time).toLocaleString();
+                const oldest = new Date(data.history[data.history.length - 1].time).toLocaleString();
+                console.log(`DataManager: DEBUG - History range: ${oldest} to ${newest}`);
             }
         } else {
             console.log(`DataManager: DEBUG - No history data in snapshot for hours=${hours}`);
@@ -187,12 +446,222 @@ export class DataManager {
         if (useCache) {
             cache.data = data;
             cache.timestamp = Date.now();
-            this._notifySubscribers('snapshot', data);
+            this._markFresh(deviceId);
+            this._persist(() => this.offlineCache.putSnapshot(deviceId, data));
+            if (deviceId === this.deviceId) {
+                this._notifySubscribers('snapshot', data);
+            }
+        }
+        if (data.history) {
+            // Every snapshot carries the latest readings; fold them into the series
+            const series = this._getDeviceCache(deviceId).historySeries;
+            const now = Date.now();
+            this._mergeIntoSeries(deviceId, series, data.history, { from: now - hours * HOUR_MS, to: now });
         }
         
         return data;
     }
 
+    // Last-known snapshot from IndexedDB, used to paint the dashboard before
+    // the network answers. It seeds the in-memory slot so widgets painting it
+    // don't each hit the network; the device is marked stale, and callers
+    // force-refresh while getDataFreshness().stale is true.
+    async getLastKnownSnapshot() {
+        const deviceId = this.deviceId;
+        const stored = await this._loadPersistedSnapshot(deviceId);
+        if (!stored) return null;
+
+        const cache = this._getDeviceCache(deviceId).snapshotData;
+        if (!cache.data) {
+            cache.data = stored.data;
+            cache.timestamp = Date.now();
+        }
+        this._markStale(deviceId, stored.savedAt);
+        return stored.data;
+    }
+
+    // { stale: boolean, since: ms|null } for the active device
+    getDataFreshness(deviceId = this.deviceId) {
+        return this.freshness.get(deviceId) || { stale: false, since: null };
+    }
+
+    // Push channel (live-channel.js). Polling stays the fallback: the
+    // dashboard only skips its poll ticks while isLive() is true, so a channel
+    // that never connects, drops or gives up changes nothing.
+    startLive() {
+        const settings = liveSettings(this.config);
+        if (settings.mode === 'off' || !this.config.liveApiUrl) return false;
+
+        this.stopLive();
+        const deviceId = this.deviceId;
+        const channel = new LiveChannel({
+            url: this.config.liveApiUrl,
+            mode: settings.mode,
+            deviceId,
+            getTicket: () => this._fetchLiveTicket(deviceId),
+            settings
+        });
+        channel.on('state', ({ state, failures }) => {
+            if (this.live !== channel) return;
+            this.liveState = { status: state, mode: settings.mode, failures };
+            this._notifySubscribers('live', this.getLiveState());
+        });
+        channel.on('telemetry', data => this._applyLiveTelemetry(deviceId, data));
+        channel.on('door', data => this._applyLiveDoor(deviceId, data));
+        channel.on('command-ack', data => {
+            if (deviceId === this.deviceId) this._notifySubscribers('command', data);
+        });
+
+        this.live = channel;
+        channel.start();
+        return true;
+    }
+
+    // Single-use stream ticket for the live channel, fetched with the usual
+    // auth headers so the Bearer token itself never goes into the stream URL
+    async _fetchLiveTicket(deviceId) {
+        const endpoint = `${this.config.liveApiUrl}?deviceId=${encodeURIComponent(deviceId)}`;
+        const response = await getTransport().request(endpoint, {
+            method: 'POST',
+            headers: DashboardUtils.getAuthHeaders()
+        });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const body = await response.json();
+        if (!body || typeof body.ticket !== 'string' || !body.ticket) throw new Error('No ticket in response');
+        return body.ticket;
+    }
+
+    stopLive() {
+        if (!this.live) return;
+        const channel = this.live;
+        this.live = null;
+        channel.stop();
+        this.liveState = { status: 'off', mode: this.liveState.mode, failures: 0 };
+        this._notifySubscribers('live', this.getLiveState());
+    }
+
+    isLive() {
+        return this.liveState.status === 'open';
+    }
+
+    // True while pushes keep the snapshot current and no periodic resync is due
+    canSkipPoll(lastRefreshAt) {
+        return this.isLive() && Date.now() - lastRefreshAt < liveSettings(this.config).resyncIntervalMs;
+    }
+
+    // { status: 'off'|'connecting'|'open'|'reconnecting'|'failed'|'closed', mode, failures }
+    getLiveState() {
+        return { ...this.liveState };
+    }
+
+    // A pushed reading joins the history series and refreshes the cached
+    // snapshot, so widgets re-render from cache without another request
+    _applyLiveTelemetry(deviceId, { point, status }) {
+        const normalized = normalizeHistoryPoint(point, 'live.telemetry');
+        if (!normalized) return;
+
+        const cache = this._getDeviceCache(deviceId);
+        // While pushes arrive back to back the series stays unbroken; after a
+        // longer silence the reading stands alone and the hole is backfilled
+        const series = cache.historySeries;
+        const time = pointTimeMs(normalized);
+        const newestCovered = series.covered.length > 0 ? series.covered[series.covered.length - 1].to : null;
+        const contiguous = newestCovered !== null && time >= newestCovered && time - newestCovered <= HISTORY_SAMPLE_GAP_MS;
+        this._mergeIntoSeries(deviceId, series, [normalized], contiguous ? { from: newestCovered, to: time } : null);
+
+        const snapshot = cache.snapshotData.data;
+        if (!snapshot) return; // Nothing painted yet; the first poll brings everything
+        const windowStart = Date.now() - 24 * HOUR_MS;
+        const history = mergeHistoryPoints(snapshot.history || [], [normalized]).points
+            .filter(item => pointTimeMs(item) >= windowStart);
+        this._updateLiveSnapshot(deviceId, 'telemetry', { ...snapshot, history, status: this._mergeLiveStatus(snapshot.status, status) });
+    }
+
+    _applyLiveDoor(deviceId, { event, doors }) {
+        const normalized = normalizeDoorEvent(event, 'live.door');
+        const snapshot = this._getDeviceCache(deviceId).snapshotData.data;
+        if (!normalized || !snapshot) return;
+
+        // latestDoorTransitions keeps one newest transition per door
+        const previous = snapshot.latestDoorTransitions.find(item => item.doorId === normalized.doorId);
+        const latestDoorTransitions = previous && previous.time >= normalized.time
+            ? snapshot.latestDoorTransitions
+            : [normalized, ...snapshot.latestDoorTransitions.filter(item => item.doorId !== normalized.doorId)];
+        this._updateLiveSnapshot(deviceId, 'door', {
+            ...snapshot,
+            status: doors ? this._mergeLiveStatus(snapshot.status, { doors }) : snapshot.status,
+            latestDoorTransitions,
+            recentDoorEvents: [normalized, ...snapshot.recentDoorEvents]
+        });
+    }
+
+    // Pushes carry only the status sections that changed
+    _mergeLiveStatus(current, changes) {
+        if (!changes) return current;
+        const { time, ...previous } = current || {}; // Let a pushed timestamp replace the old time
+        return normalizeStatus({ ...previous, ...changes }, 'live.status');
+    }
+
+    _updateLiveSnapshot(deviceId, type, snapshot) {
+        const cache = this._getDeviceCache(deviceId);
+        cache.snapshotData.data = snapshot;
+        cache.snapshotData.timestamp = Date.now();
+        cache.statusData.data = snapshot.status;
+        cache.statusData.timestamp = Date.now();
+        this._markFresh(deviceId);
+        this._persist(() => this.offlineCache.putSnapshot(deviceId, snapshot));
+        if (deviceId === this.deviceId) {
+            this._notifySubscribers('push', { type, deviceId, snapshot });
+        }
+    }
+
+    // Fields the normalizer renamed, dropped or rejected since page load (see data-normalizer.js)
+    getSchemaDriftReport() {
+        return getSchemaDriftReport();
+    }
+
+    async _loadPersistedSnapshot(deviceId) {
+        const record = await this._readPersisted(() => this.offlineCache.getSnapshot(deviceId));
+        if (!record || !record.data) return null;
+        const history = await this._readPersisted(() => this.offlineCache.getHistory(deviceId, 24));
+        return {
+            data: normalizeSnapshot({ ...record.data, history: history || [] }),
+            savedAt: record.savedAt
+        };
+    }
+
+    _markStale(deviceId, since) {
+        const current = this.freshness.get(deviceId);
+        // Keep the original "stale since" time across repeated failures
+        if (current && current.stale) return;
+        this.freshness.set(deviceId, { stale: true, since });
+        if (deviceId === this.deviceId) this._notifySubscribers('freshness', this.getDataFreshness(deviceId));
+    }
+
+    _markFresh(deviceId) {
+        const current = this.freshness.get(deviceId);
+        this.freshness.set(deviceId, { stale: false, since: null });
+        if (current && current.stale && deviceId === this.deviceId) {
+            this._notifySubscribers('freshness', this.getDataFreshness(deviceId));
+        }
+    }
+
+    // Persistence is best effort: a failed IndexedDB write never fails a fetch
+    _persist(operation) {
+        Promise.resolve()
+            .then(operation)
+            .catch(error => console.warn('DataManager: Offline cache write failed:', error));
+    }
+
+    async _readPersisted(operation) {
+        try {
+            return await operation();
+        } catch (error) {
+            console.warn('DataManager: Offline cache read failed:', error);
+            return null;
+        }
+    }
+
     // Subscription system for data updates
     subscribe(dataType, callback) {
         if (this.subscribers[dataType]) {
@@ -209,13 +678,76 @@ export class DataManager {
         }
     }
 
-    // Request deduplication to prevent multiple simultaneous calls
-    async _deduplicatedFetch(endpoint, requestKey, timeoutMs = 60000) {
+    // Request deduplication to prevent multiple simultaneous calls. The shared
+    // promise covers every retry, so callers joining mid-backoff wait for the
+    // same final result instead of starting their own attempts.
+    async _deduplicatedFetch(endpoint, requestKey, deadlineMs = this._retryConfig().deadlineMs) {
         if (this.activeRequests.has(requestKey)) {
             console.log(`DataManager: Deduplicating request for ${requestKey}`);
             return this.activeRequests.get(requestKey);
         }
 
+        const request = this._fetchWithRetry(endpoint, requestKey, deadlineMs);
+        this.activeRequests.set(requestKey, request);
+
+        try {
+            return await request;
+        } finally {
+            this.activeRequests.delete(requestKey);
+        }
+    }
+
+    // Every call through _deduplicatedFetch is an idempotent GET, so transient
+    // failures (network errors, timeouts, 5xx, 429) are retried with jittered
+    // exponential backoff, all within one deadline so a hung connection still
+    // fails in time for the offline/stale fallback. A per-endpoint circuit
+    // breaker stops calling a function that keeps failing until its cooldown
+    // has passed, then lets a single trial request through.
+    async _fetchWithRetry(endpoint, requestKey, deadlineMs) {
+        const endpointKey = this._endpointKey(endpoint);
+        const trial = this._checkCircuit(endpointKey);
+
+        const { maxRetries, attemptTimeoutMs } = this._retryConfig();
+        const maxAttempts = trial ? 1 : maxRetries + 1;
+        const deadline = Date.now() + deadlineMs;
+        let lastError = null;
+
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            try {
+                const timeoutMs = Math.min(attemptTimeoutMs, deadline - Date.now());
+                const result = await this._fetchOnce(endpoint, requestKey, timeoutMs);
+                this._recordSuccess(endpointKey);
+                console.log(`DataManager: ${endpoint} fetched and cached successfully`);
+                return result;
+            } catch (error) {
+                lastError = error;
+                if (!this._isRetryable(error) || attempt === maxAttempts) break;
+
+                const delay = this._backoffDelay(attempt);
+                if (deadline - Date.now() - delay < MIN_ATTEMPT_MS) break; // No time left for another try
+                console.warn(`DataManager: ${requestKey} failed (${error.message}); retry ${attempt + 1}/${maxAttempts} in ${delay}ms`);
+                this._setConnectionState({
+                    status: 'retrying',
+                    endpoint: endpointKey,
+                    attempt: attempt + 1,
+                    maxAttempts,
+                    lastError: error.message,
+                    retryAt: Date.now() + delay
+                });
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+
+        if (this._isRetryable(lastError)) {
+            this._recordFailure(endpointKey, lastError);
+        } else if (trial) {
+            this._endTrial(endpointKey); // The endpoint answered; let the next request try again
+        }
+        console.error(`DataManager: Error fetching ${endpoint}:`, lastError);
+        throw lastError;
+    }
+
+    async _fetchOnce(endpoint, requestKey, timeoutMs) {
         // Use the dashboard's authentication system
         const headers = DashboardUtils.getAuthHeaders();
 
@@ -225,11 +757,13 @@ export class DataManager {
         const controller = new AbortController();
         const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
 
-        const request = fetch(endpoint, {
-            method: 'GET',
-            headers: headers,
-            signal: controller.signal
-        }).then(response => {
+        try {
+            const response = await getTransport().request(endpoint, {
+                method: 'GET',
+                headers: headers,
+                signal: controller.signal
+            });
+
             // Check for authentication failures
             if (response.status === 401 || response.status === 403) {
                 console.error(`DataManager: Authentication failed (${response.status}) - redirecting to login`);
@@ -238,36 +772,156 @@ export class DataManager {
                     localStorage.removeItem('esp32-auth-token');
                     localStorage.removeItem('esp32-auth-email');
                 }
+                // And the last-known data, which must not outlive the session
+                await Promise.all([offlineCache.clear(), fixtureOfflineCache.clear()])
+                    .catch(error => console.warn('DataManager: Could not clear offline data:', error));
                 // Redirect to login page
                 window.location.href = 'login.html';
-                throw new Error('Authentication expired - redirecting to login');
+                const authError = new Error('Authentication expired - redirecting to login');
+                authError.status = response.status;
+                throw authError;
             }
             
             if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                const httpError = new Error(`HTTP ${response.status}: ${response.statusText}`);
+                httpError.status = response.status;
+                throw httpError;
             }
-            return response.json();
-        });
-        
-        this.activeRequests.set(requestKey, request);
-        
-        try {
-            const result = await request;
-            console.log(`DataManager: ${endpoint} fetched and cached successfully`);
-            return result;
+            return await response.json();
         } catch (error) {
             if (error && error.name === 'AbortError') {
                 console.error(`DataManager: Request for ${requestKey} timed out after ${timeoutMs}ms`);
-                throw new Error(`Request timed out after ${Math.round(timeoutMs / 1000)}s: ${endpoint}`);
+                const timeoutError = new Error(`Request timed out after ${Math.round(timeoutMs / 1000)}s: ${endpoint}`);
+                timeoutError.timedOut = true;
+                throw timeoutError;
             }
-            console.error(`DataManager: Error fetching ${endpoint}:`, error);
             throw error;
         } finally {
             clearTimeout(timeoutId);
-            this.activeRequests.delete(requestKey);
         }
     }
 
+    _retryConfig() {
+        return { ...DEFAULT_RETRY, ...(this.config.retry || {}) };
+    }
+
+    _circuitConfig() {
+        return { ...DEFAULT_CIRCUIT_BREAKER, ...(this.config.circuitBreaker || {}) };
+    }
+
+    _isRetryable(error) {
+        if (!error || error.name === 'CircuitOpenError') return false;
+        if (error.timedOut) return true;
+        if (typeof error.status === 'number') {
+            return error.status >= 500 || error.status === 408 || error.status === 429;
+        }
+        // fetch() rejects with a TypeError on network failure ("Failed to fetch")
+        return error instanceof TypeError;
+    }
+
+    // Equal jitter: half the exponential delay is fixed, half is random, so
+    // several tabs recovering from the same outage don't retry in lockstep
+    _backoffDelay(attempt) {
+        const { baseDelayMs, maxDelayMs } = this._retryConfig();
+        const exponential = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt - 1));
+        return Math.round(exponential / 2 + Math.random() * exponential / 2);
+    }
+
+    // One breaker per Azure Function: query strings (device, hours) don't matter
+    _endpointKey(endpoint) {
+        try {
+            const url = new URL(endpoint, window.location.href);
+            return `${url.origin}${url.pathname}`;
+        } catch (error) {
+            return String(endpoint).split('?')[0];
+        }
+    }
+
+    // Throws while the circuit is open, and while half-open with its trial request
+    // still in flight; returns true when the caller is that trial request
+    _checkCircuit(endpointKey) {
+        const circuit = this.circuits.get(endpointKey);
+        if (!circuit || circuit.state === 'closed') return false;
+
+        const name = endpointKey.split('/').pop();
+        if (circuit.state === 'open' && Date.now() < circuit.openUntil) {
+            const seconds = Math.ceil((circuit.openUntil - Date.now()) / 1000);
+            const error = new Error(`Circuit open for ${name} - next attempt in ${seconds}s`);
+            error.name = 'CircuitOpenError';
+            throw error;
+        }
+        if (circuit.state === 'half-open') {
+            const error = new Error(`Circuit half-open for ${name} - waiting for the trial request`);
+            error.name = 'CircuitOpenError';
+            throw error;
+        }
+        // Cooldown over: let one trial request through
+        circuit.state = 'half-open';
+        return true;
+    }
+
+    // A trial request that neither succeeded nor failed transiently: back to closed
+    // counting, so the endpoint is not stuck half-open
+    _endTrial(endpointKey) {
+        const circuit = this.circuits.get(endpointKey);
+        if (circuit && circuit.state === 'half-open') circuit.state = 'closed';
+    }
+
+    _recordSuccess(endpointKey) {
+        const circuit = this.circuits.get(endpointKey);
+        if (circuit) {
+            if (circuit.state !== 'closed') {
+                console.log(`DataManager: Circuit closed for ${endpointKey}`);
+            }
+            this.circuits.delete(endpointKey);
+        }
+        if (this.connectionState.status !== 'ok' && this.connectionState.endpoint === endpointKey) {
+            this._setConnectionState({ status: 'ok', endpoint: endpointKey });
+        }
+    }
+
+    _recordFailure(endpointKey, error) {
+        const { failureThreshold, cooldownMs } = this._circuitConfig();
+        const circuit = this.circuits.get(endpointKey) || { state: 'closed', failures: 0, openUntil: 0 };
+        circuit.failures++;
+
+        if (circuit.state === 'half-open' || circuit.failures >= failureThreshold) {
+            circuit.state = 'open';
+            circuit.openUntil = Date.now() + cooldownMs;
+            console.warn(`DataManager: Circuit opened for ${endpointKey} after ${circuit.failures} failures (cooldown ${cooldownMs / 1000}s)`);
+            this._setConnectionState({
+                status: 'circuit-open',
+                endpoint: endpointKey,
+                attempt: 0,
+                maxAttempts: 0,
+                lastError: error ? error.message : null,
+                openUntil: circuit.openUntil
+            });
+        } else if (this.connectionState.endpoint === endpointKey) {
+            this._setConnectionState({ status: 'failed', endpoint: endpointKey, lastError: error ? error.message : null });
+        }
+        this.circuits.set(endpointKey, circuit);
+    }
+
+    // { status: 'ok'|'retrying'|'failed'|'circuit-open', endpoint, attempt, maxAttempts, lastError, retryAt, openUntil }
+    getConnectionState() {
+        return { ...this.connectionState };
+    }
+
+    _setConnectionState(state) {
+        this.connectionState = {
+            status: 'ok',
+            endpoint: null,
+            attempt: 0,
+            maxAttempts: 0,
+            lastError: null,
+            retryAt: null,
+            openUntil: null,
+            ...state
+        };
+        this._notifySubscribers('connection', this.getConnectionState());
+    }
+
     _notifySubscribers(dataType, data) {
         this.subscribers[dataType].forEach(callback => {
             try {
@@ -278,12 +932,14 @@ export class DataManager {
         });
     }
 
-    // Clear all cached data
-    clearCache() {
-        this.cache.statusData = { data: null, timestamp: null, ttl: 30000 };
-        this.cache.historyData.clear();
-        this.cache.enhancedData = { data: null, timestamp: null, ttl: 30000 };
-        console.log('DataManager: Cache cleared');
+    // Clear cached data for one device, or for every device when omitted
+    clearCache(deviceId = null) {
+        if (deviceId) {
+            this.deviceCaches.delete(deviceId);
+        } else {
+            this.deviceCaches.clear();
+        }
+        console.log(`DataManager: Cache cleared${deviceId ? ` for ${deviceId}` : ''}`);
     }
 }
 
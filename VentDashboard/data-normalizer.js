@@ -0,0 +1,304 @@
+// Data Normalizer Module
+// Turns every API payload into one internal model so widgets can stop doing
+// their own defensive parsing:
+//   - history responses are always a newest-first array (never { data: [...] })
+//   - every record carries `timestamp` (ISO-8601 UTC string) and `time` (epoch ms),
+//     whether the API sent unix seconds, milliseconds or an ISO string
+//   - key spelling drift (e.g. healthMonitoring.migrainerisk) maps onto one name
+// Schema drift (aliases used, fields dropped, records rejected) is logged once
+// per field here and kept in a report instead of scattered through the widgets.
+
+// Top-level status fields the dashboard reads; anything else is dropped and reported
+const STATUS_FIELDS = [
+    'deviceId', 'timestamp', 'time', 'sections', 'system', 'reliability', 'weather', 'sensors',
+    'doors', 'incidents', 'healthMonitoring', 'buildingPerformance', 'detectionAnalytics',
+    'zoneActivity', 'mostActiveZone', 'recentPerformance', 'eventSummary', 'assessments',
+    'pressureAnalysis', 'weatherVentilation', 'enhancedStorm', 'dataSource'
+];
+
+const SNAPSHOT_FIELDS = [
+    'deviceId', 'status', 'history', 'latestDoorTransitions', 'latestDoorTransitionsAvailable',
+    'recentDoorEvents', 'pressureDetectionSummary', 'gh3way', 'generatedAt'
+];
+
+const HISTORY_POINT_FIELDS = ['timestamp', 'time', 'sensors', 'system', 'weather', 'pressureChange'];
+
+const SENSOR_LOCATIONS = ['indoor', 'outdoor', 'garage'];
+const SENSOR_READINGS = ['temp', 'humidity', 'pressure'];
+
+// alias -> canonical name, per object kind
+const FIELD_ALIASES = {
+    status: { readingTime: 'timestamp' },
+    historyPoint: { readingTime: 'timestamp' },
+    sensor: { temperature: 'temp' },
+    healthMonitoring: { migrainerisk: 'migraineRisk', MigraineRisk: 'migraineRisk' }
+};
+
+// Unix seconds stop at 2286 and milliseconds start in 1970+, so 1e12 separates them
+const MS_THRESHOLD = 1e12;
+
+/**
+ * Converts unix seconds, unix milliseconds or a date string into epoch ms
+ * ISO strings without a zone are treated as UTC, like the Azure Functions send them
+ * @param {*} value - Raw timestamp from an API payload
+ * @returns {number|null} Epoch milliseconds, or null when unparseable
+ */
+export function toEpochMs(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (value instanceof Date) return Number.isFinite(value.getTime()) ? value.getTime() : null;
+
+    const numeric = Number(value);
+    if (Number.isFinite(numeric)) {
+        if (numeric <= 0) return null;
+        return numeric >= MS_THRESHOLD ? numeric : numeric * 1000;
+    }
+
+    let text = String(value).trim();
+    if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(text)) text += 'Z';
+    const parsed = Date.parse(text);
+    return Number.isFinite(parsed) ? parsed : null;
+}
+
+function toNumberOrNull(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const numeric = Number(value);
+    return Number.isFinite(numeric) ? numeric : null;
+}
+
+function toBooleanOrNull(value) {
+    if (value === true || value === 1 || String(value).toLowerCase() === 'true') return true;
+    if (value === false || value === 0 || String(value).toLowerCase() === 'false') return false;
+    return null;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+export class SchemaDriftMonitor {
+    constructor() {
+        this.entries = new Map(); // `${source}|${kind}|${field}` -> entry
+    }
+
+    // kind: 'dropped' (unknown field removed), 'alias' (renamed), 'rejected' (record discarded), 'shape' (wrapper/format)
+    record(source, kind, field, detail = '') {
+        const key = `${source}|${kind}|${field}`;
+        const existing = this.entries.get(key);
+        if (existing) {
+            existing.count++;
+            existing.lastSeen = Date.now();
+            return;
+        }
+        this.entries.set(key, { source, kind, field, detail, count: 1, firstSeen: Date.now(), lastSeen: Date.now() });
+        console.warn(`DataNormalizer: Schema drift in ${source} - ${kind} ${field}${detail ? ` (${detail})` : ''}`);
+    }
+
+    getReport() {
+        return [...this.entries.values()].map(entry => ({ ...entry }));
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+}
+
+export const schemaDrift = new SchemaDriftMonitor();
+
+/**
+ * Schema drift seen since the page loaded (also logged once per field)
+ * @returns {Array<{source, kind, field, detail, count, firstSeen, lastSeen}>}
+ */
+export function getSchemaDriftReport() {
+    return schemaDrift.getReport();
+}
+
+function applyAliases(raw, aliases, source) {
+    const result = { ...raw };
+    Object.entries(aliases).forEach(([alias, canonical]) => {
+        if (!(alias in result)) return;
+        if (result[canonical] === undefined || result[canonical] === null) {
+            result[canonical] = result[alias];
+        }
+        delete result[alias];
+        schemaDrift.record(source, 'alias', alias, `read as ${canonical}`);
+    });
+    return result;
+}
+
+function pickKnown(raw, fields, source) {
+    const result = {};
+    Object.keys(raw).forEach(key => {
+        if (fields.includes(key)) {
+            result[key] = raw[key];
+        } else {
+            schemaDrift.record(source, 'dropped', key);
+        }
+    });
+    return result;
+}
+
+function withTime(record, rawTimestamp) {
+    const time = toEpochMs(rawTimestamp);
+    record.time = time;
+    record.timestamp = time === null ? null : new Date(time).toISOString();
+    return record;
+}
+
+function normalizeSensors(raw, source) {
+    const sensors = {};
+    SENSOR_LOCATIONS.forEach(location => {
+        const reading = isPlainObject(raw && raw[location])
+            ? applyAliases(raw[location], FIELD_ALIASES.sensor, `${source}.sensors.${location}`)
+            : {};
+        sensors[location] = {};
+        SENSOR_READINGS.forEach(name => {
+            sensors[location][name] = toNumberOrNull(reading[name]);
+        });
+    });
+    return sensors;
+}
+
+/**
+ * One history reading: { timestamp, time, sensors: { indoor|outdoor|garage: { temp, humidity, pressure } },
+ * system: { fanOn, ... }, weather, pressureChange }. Missing readings are null.
+ * @param {Object} raw - Reading from GetVentilationHistory or snapshot.history
+ * @param {string} [source] - Payload name for drift reports
+ * @returns {Object|null} Normalized point, or null when it has no usable timestamp
+ */
+export function normalizeHistoryPoint(raw, source = 'history') {
+    if (!isPlainObject(raw)) {
+        schemaDrift.record(source, 'rejected', 'point', 'not an object');
+        return null;
+    }
+
+    const aliased = applyAliases(raw, FIELD_ALIASES.historyPoint, source);
+    const known = pickKnown(aliased, HISTORY_POINT_FIELDS, source);
+    const point = withTime({}, known.time !== undefined ? known.time : known.timestamp);
+    if (point.time === null) {
+        schemaDrift.record(source, 'rejected', 'timestamp', `unparseable: ${JSON.stringify(known.timestamp)}`);
+        return null;
+    }
+
+    point.sensors = normalizeSensors(known.sensors, source);
+    const system = isPlainObject(known.system) ? known.system : {};
+    point.system = { ...system, fanOn: toBooleanOrNull(system.fanOn) };
+    point.weather = isPlainObject(known.weather) ? known.weather : null;
+    point.pressureChange = toNumberOrNull(known.pressureChange);
+    return point;
+}
+
+/**
+ * History in any of the shapes the API has used (bare array or { data: [...] })
+ * @param {Array|Object} payload - GetVentilationHistory response or snapshot.history
+ * @param {string} [source] - Payload name for drift reports
+ * @returns {Array<Object>} Normalized points, newest first, without duplicates
+ */
+export function normalizeHistory(payload, source = 'GetVentilationHistory') {
+    let items;
+    if (Array.isArray(payload)) {
+        items = payload;
+    } else if (isPlainObject(payload) && Array.isArray(payload.data)) {
+        items = payload.data;
+    } else {
+        if (payload !== null && payload !== undefined) {
+            schemaDrift.record(source, 'shape', 'response', 'expected an array or { data: [...] }');
+        }
+        return [];
+    }
+
+    const byTime = new Map();
+    items.forEach(item => {
+        const point = normalizeHistoryPoint(item, source);
+        if (point) byTime.set(point.time, point);
+    });
+    return [...byTime.values()].sort((a, b) => b.time - a.time);
+}
+
+/**
+ * Door transition/event: original fields kept (the door widgets read many
+ * detector-specific ones), plus normalized timestamp/time and numeric doorId
+ * @param {Object} raw - Entry from latestDoorTransitions / recentDoorEvents
+ * @param {string} [source] - Payload name for drift reports
+ * @returns {Object|null}
+ */
+export function normalizeDoorEvent(raw, source = 'doorEvents') {
+    if (!isPlainObject(raw)) return null;
+    const event = withTime({ ...raw }, raw.time !== undefined ? raw.time : raw.timestamp);
+    if (event.time === null) {
+        schemaDrift.record(source, 'rejected', 'timestamp', `unparseable: ${JSON.stringify(raw.timestamp)}`);
+        return null;
+    }
+    const doorId = toNumberOrNull(raw.doorId);
+    if (doorId !== null) event.doorId = doorId;
+    return event;
+}
+
+function normalizeDoorEvents(list, source) {
+    if (!Array.isArray(list)) return [];
+    return list.map(item => normalizeDoorEvent(item, source)).filter(Boolean);
+}
+
+function normalizeHealthMonitoring(raw) {
+    if (!isPlainObject(raw)) return raw === undefined ? undefined : null;
+    const health = applyAliases(raw, FIELD_ALIASES.healthMonitoring, 'status.healthMonitoring');
+    health.migraineRisk = toNumberOrNull(health.migraineRisk);
+    return health;
+}
+
+// Per-door timestamps become epoch ms so formatCompactDoorAge() reads them directly
+function normalizePressureDetectionSummary(raw) {
+    if (!isPlainObject(raw)) return { available: false, matchWindowSeconds: 20, perDoor: [] };
+    return {
+        ...raw,
+        available: raw.available === true,
+        matchWindowSeconds: toNumberOrNull(raw.matchWindowSeconds) || 20,
+        perDoor: (Array.isArray(raw.perDoor) ? raw.perDoor : []).map(stats => ({
+            ...stats,
+            doorId: toNumberOrNull(stats && stats.doorId),
+            latestTruePositiveAt: toEpochMs(stats && stats.latestTruePositiveAt) || 0,
+            latestFalsePositiveAt: toEpochMs(stats && stats.latestFalsePositiveAt) || 0
+        }))
+    };
+}
+
+/**
+ * Device status (snapshot.status / GetEnhancedDashboardData): known sections
+ * pass through, `timestamp`/`time` are normalized, unknown fields are dropped
+ * @param {Object} raw - Status payload
+ * @param {string} [source] - Payload name for drift reports
+ * @returns {Object|null}
+ */
+export function normalizeStatus(raw, source = 'status') {
+    if (!isPlainObject(raw)) return null;
+    const status = pickKnown(applyAliases(raw, FIELD_ALIASES.status, source), STATUS_FIELDS, source);
+    withTime(status, status.time !== undefined ? status.time : status.timestamp);
+    if ('healthMonitoring' in status) status.healthMonitoring = normalizeHealthMonitoring(status.healthMonitoring);
+    if (Array.isArray(status.doors)) {
+        status.doors = status.doors.map(door => (isPlainObject(door) ? { ...door, open: toBooleanOrNull(door.open) } : door));
+    }
+    return status;
+}
+
+/**
+ * GetDashboardSnapshot payload in the internal model. Safe to run on an
+ * already-normalized snapshot (e.g. one restored from the offline cache).
+ * @param {Object} raw - Snapshot payload
+ * @returns {Object} { status, history, latestDoorTransitions, latestDoorTransitionsAvailable,
+ *                     recentDoorEvents, pressureDetectionSummary, gh3way, ... }
+ */
+export function normalizeSnapshot(raw) {
+    const source = 'GetDashboardSnapshot';
+    if (!isPlainObject(raw)) {
+        schemaDrift.record(source, 'shape', 'response', 'expected an object');
+        raw = {};
+    }
+    const snapshot = pickKnown(raw, SNAPSHOT_FIELDS, source);
+    snapshot.status = normalizeStatus(snapshot.status, `${source}.status`);
+    if ('history' in snapshot) snapshot.history = normalizeHistory(snapshot.history, `${source}.history`);
+    snapshot.latestDoorTransitions = normalizeDoorEvents(snapshot.latestDoorTransitions, `${source}.latestDoorTransitions`);
+    snapshot.latestDoorTransitionsAvailable = snapshot.latestDoorTransitionsAvailable === true;
+    snapshot.recentDoorEvents = normalizeDoorEvents(snapshot.recentDoorEvents, `${source}.recentDoorEvents`);
+    snapshot.pressureDetectionSummary = normalizePressureDetectionSummary(snapshot.pressureDetectionSummary);
+    snapshot.gh3way = isPlainObject(snapshot.gh3way) ? snapshot.gh3way : null;
+    return snapshot;
+}
@@ -0,0 +1,141 @@
+// Derived Metrics Module
+// Named series computed from normalized history readings (data-normalizer.js):
+// zone differences, dew point, absolute humidity, enthalpy and the barometric
+// trend. Charts, alerts and exports ask for a series by name instead of
+// re-deriving it from raw sensor fields.
+//
+// Each definition is evaluated per reading with the whole series at hand
+// (oldest first), so trend metrics can look back. A missing input gives null.
+
+import { dewPointF, absoluteHumidity, enthalpyBtuPerLb } from './humidity-analysis.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const PRESSURE_PLACEHOLDER_HPA = 1013.25; // Sensor's no-reading value
+const STANDARD_PRESSURE_HPA = 1013.25; // For enthalpy when a zone has no barometer reading
+const PRESSURE_TREND_WINDOW_MS = 3 * HOUR_MS; // Barometric tendency is read over three hours
+const PRESSURE_TREND_MIN_SPAN_MS = 30 * 60 * 1000; // Less history than this is too noisy to call a trend
+
+const ZONES = [
+    { zone: 'indoor', name: 'Indoor' },
+    { zone: 'outdoor', name: 'Outdoor' },
+    { zone: 'garage', name: 'Garage' }
+];
+
+function sensorValue(reading, zone, field) {
+    const sensor = reading.sensors && reading.sensors[zone];
+    const value = sensor ? sensor[field] : null;
+    if (typeof value !== 'number' || !Number.isFinite(value)) return null;
+    if (field === 'pressure' && value === PRESSURE_PLACEHOLDER_HPA) return null;
+    return value;
+}
+
+function difference(a, b) {
+    return a === null || b === null ? null : a - b;
+}
+
+// Outdoor pressure change per hour, from the oldest reading within the trend window
+function pressureRate(readings, index) {
+    const current = sensorValue(readings[index], 'outdoor', 'pressure');
+    if (current === null) return null;
+    const since = readings[index].time - PRESSURE_TREND_WINDOW_MS;
+
+    let low = 0;
+    let high = index;
+    while (low < high) { // First reading inside the window
+        const middle = (low + high) >> 1;
+        if (readings[middle].time < since) low = middle + 1;
+        else high = middle;
+    }
+    for (let i = low; i < index; i++) {
+        const span = readings[index].time - readings[i].time;
+        if (span < PRESSURE_TREND_MIN_SPAN_MS) return null;
+        const past = sensorValue(readings[i], 'outdoor', 'pressure');
+        if (past !== null) return (current - past) / (span / HOUR_MS);
+    }
+    return null;
+}
+
+const definitions = new Map(); // name -> { label, unit, valueAt(readings, index) }
+
+/**
+ * Adds a named series (or replaces one with the same name)
+ * @param {string} name - Key callers use, e.g. 'indoorDewPointF'
+ * @param {Object} definition
+ * @param {string} definition.label - Human-readable name for legends and CSV headers
+ * @param {string} definition.unit
+ * @param {Function} definition.valueAt - (readings oldest first, index) => number|null
+ */
+export function defineDerivedSeries(name, { label, unit, valueAt }) {
+    definitions.set(name, { label, unit, valueAt });
+}
+
+defineDerivedSeries('indoorOutdoorDeltaF', {
+    label: 'Indoor − outdoor temperature',
+    unit: '°F',
+    valueAt: (readings, index) => difference(sensorValue(readings[index], 'indoor', 'temp'), sensorValue(readings[index], 'outdoor', 'temp'))
+});
+
+defineDerivedSeries('indoorGarageDeltaHpa', {
+    label: 'Indoor − garage pressure',
+    unit: 'hPa',
+    valueAt: (readings, index) => difference(sensorValue(readings[index], 'indoor', 'pressure'), sensorValue(readings[index], 'garage', 'pressure'))
+});
+
+defineDerivedSeries('indoorOutdoorDeltaHpa', {
+    label: 'Indoor − outdoor pressure',
+    unit: 'hPa',
+    valueAt: (readings, index) => difference(sensorValue(readings[index], 'indoor', 'pressure'), sensorValue(readings[index], 'outdoor', 'pressure'))
+});
+
+defineDerivedSeries('garageOutdoorDeltaHpa', {
+    label: 'Garage − outdoor pressure',
+    unit: 'hPa',
+    valueAt: (readings, index) => difference(sensorValue(readings[index], 'garage', 'pressure'), sensorValue(readings[index], 'outdoor', 'pressure'))
+});
+
+ZONES.forEach(({ zone, name }) => {
+    const temp = reading => sensorValue(reading, zone, 'temp');
+    const humidity = reading => sensorValue(reading, zone, 'humidity');
+    defineDerivedSeries(`${zone}DewPointF`, {
+        label: `${name} dew point`,
+        unit: '°F',
+        valueAt: (readings, index) => dewPointF(temp(readings[index]), humidity(readings[index]))
+    });
+    defineDerivedSeries(`${zone}AbsoluteHumidity`, {
+        label: `${name} absolute humidity`,
+        unit: 'g/m³',
+        valueAt: (readings, index) => absoluteHumidity(temp(readings[index]), humidity(readings[index]))
+    });
+    defineDerivedSeries(`${zone}Enthalpy`, {
+        label: `${name} enthalpy`,
+        unit: 'BTU/lb',
+        valueAt: (readings, index) => {
+            const reading = readings[index];
+            return enthalpyBtuPerLb(temp(reading), humidity(reading), sensorValue(reading, zone, 'pressure') ?? STANDARD_PRESSURE_HPA);
+        }
+    });
+});
+
+defineDerivedSeries('pressureRate', {
+    label: 'Barometric trend',
+    unit: 'hPa/h',
+    valueAt: pressureRate
+});
+
+// Every defined series, for pickers and export column lists
+export function listDerivedSeries() {
+    return [...definitions.entries()].map(([name, { label, unit }]) => ({ name, label, unit }));
+}
+
+/**
+ * Evaluates a named series over a run of readings
+ * @param {string} name - See listDerivedSeries()
+ * @param {Array} readings - Normalized history, oldest first
+ * @returns {Array<number|null>} One value per reading
+ * @throws {Error} When no series has that name
+ */
+export function computeDerivedSeries(name, readings) {
+    const definition = definitions.get(name);
+    if (!definition) throw new Error(`Unknown derived series "${name}"`);
+    return readings.map((reading, index) => definition.valueAt(readings, index));
+}
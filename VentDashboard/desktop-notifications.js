@@ -0,0 +1,135 @@
+// Desktop Notifications Module
+// Opt-in Web Notifications for things worth interrupting someone for: alert
+// rules firing, a garage door left open, a storm escalating, a command that
+// failed. They are raised from the page, so only while a dashboard tab is open
+// and refreshing (a backgrounded tab counts; a closed browser does not). Shown
+// through notification-worker.js when it registers, so a notification already
+// shown can still be clicked after its tab closes, else with the page's own
+// Notification API.
+//
+// Callers describe what is currently true per group; each notification is
+// shown once and may show again only after its condition has cleared. What was
+// shown is kept in localStorage, so a reload or a second tab does not repeat it.
+
+const OPT_IN_STORAGE_KEY = 'ventilation_desktop_notifications'; // 'on' when the user enabled them
+const DELIVERED_STORAGE_KEY_PREFIX = 'ventilation_notified:'; // + group; JSON list of tags shown
+const SERVICE_WORKER_URL = 'notification-worker.js';
+const ICON_URL = 'favicon.ico';
+
+export class DesktopNotifier {
+    constructor({ storage = localStorage } = {}) {
+        this.storage = storage;
+        this.registration = null;
+    }
+
+    isSupported() {
+        return typeof window !== 'undefined' && 'Notification' in window;
+    }
+
+    // 'on', 'off', 'denied' (blocked in the browser) or 'unsupported'
+    getState() {
+        if (!this.isSupported()) return 'unsupported';
+        if (Notification.permission === 'denied') return 'denied';
+        return this.storage.getItem(OPT_IN_STORAGE_KEY) === 'on' && Notification.permission === 'granted' ? 'on' : 'off';
+    }
+
+    /**
+     * Asks for permission (must run from a click) and registers the worker
+     * @returns {Promise<string>} State after the request - see getState()
+     */
+    async enable() {
+        if (!this.isSupported()) return 'unsupported';
+        const permission = Notification.permission === 'granted' ? 'granted' : await Notification.requestPermission();
+        if (permission !== 'granted') return this.getState();
+        this.storage.setItem(OPT_IN_STORAGE_KEY, 'on');
+        await this.start();
+        return this.getState();
+    }
+
+    disable() {
+        this.storage.removeItem(OPT_IN_STORAGE_KEY);
+        const deliveredKeys = [];
+        for (let i = 0; i < this.storage.length; i++) {
+            const key = this.storage.key(i);
+            if (key && key.startsWith(DELIVERED_STORAGE_KEY_PREFIX)) deliveredKeys.push(key);
+        }
+        deliveredKeys.forEach(key => this.storage.removeItem(key));
+    }
+
+    // Registers the worker for an earlier opt-in; without one notifications still work while the tab is open
+    async start() {
+        if (this.getState() !== 'on' || this.registration || !('serviceWorker' in navigator)) return;
+        try {
+            this.registration = await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+        } catch (error) {
+            console.warn('DesktopNotifier: Service worker unavailable, notifying from the page only:', error);
+        }
+    }
+
+    /**
+     * Replaces what is currently notifiable in one group
+     * @param {string} group - e.g. 'alert', 'door'
+     * @param {Array<{tag: string, title: string, body: string, url: string, urgent?: boolean}>} notifications
+     *   url deep-links back to the widget; urgent ones stay up until dismissed
+     * @returns {Promise<void>}
+     */
+    async sync(group, notifications) {
+        const delivered = this._loadDelivered(group);
+        const current = new Set(notifications.map(notification => notification.tag));
+        [...delivered].forEach(tag => {
+            if (!current.has(tag)) delivered.delete(tag); // Cleared: may notify again next time
+        });
+
+        const due = notifications.filter(notification => !delivered.has(notification.tag));
+        due.forEach(notification => delivered.add(notification.tag));
+        // Stored before showing, so another tab syncing meanwhile skips them
+        this._storeDelivered(group, delivered);
+        for (const notification of due) {
+            await this.notify(notification);
+        }
+    }
+
+    _loadDelivered(group) {
+        try {
+            const tags = JSON.parse(this.storage.getItem(`${DELIVERED_STORAGE_KEY_PREFIX}${group}`) || '[]');
+            return new Set(Array.isArray(tags) ? tags : []);
+        } catch (error) {
+            return new Set();
+        }
+    }
+
+    _storeDelivered(group, delivered) {
+        const key = `${DELIVERED_STORAGE_KEY_PREFIX}${group}`;
+        if (delivered.size === 0) {
+            this.storage.removeItem(key);
+        } else {
+            this.storage.setItem(key, JSON.stringify([...delivered]));
+        }
+    }
+
+    /**
+     * Shows one notification now, unless they are off or the dashboard is in front of the user
+     * @param {{tag: string, title: string, body: string, url: string, urgent?: boolean}} notification
+     * @returns {Promise<void>}
+     */
+    async notify({ tag, title, body, url, urgent = false }) {
+        if (this.getState() !== 'on') return;
+        if (document.visibilityState === 'visible' && document.hasFocus()) return; // The page already shows it
+
+        const options = { body, tag, icon: ICON_URL, data: { url }, requireInteraction: urgent };
+        try {
+            if (this.registration) {
+                await this.registration.showNotification(title, options);
+                return;
+            }
+            const notification = new Notification(title, options);
+            notification.onclick = () => {
+                window.focus();
+                window.location.assign(url);
+                notification.close();
+            };
+        } catch (error) {
+            console.warn('DesktopNotifier: Could not show notification:', error);
+        }
+    }
+}
@@ -0,0 +1,142 @@
+// Humidity Analysis Module
+// Moist-air formulas (dew point, absolute humidity, enthalpy) and the two
+// judgements the humidity chart draws from them: when garage surfaces are at
+// condensation or mold risk, and whether each fan run left the house with a
+// higher or lower indoor dew point. Works on normalized history readings
+// (data-normalizer.js), oldest first.
+
+// Magnus formula constants (Alduchov & Eskridge), valid for -40..50 °C
+const MAGNUS_A_HPA = 6.1094;
+const MAGNUS_B = 17.625;
+const MAGNUS_C = 243.04;
+
+const WATER_VAPOR_GAS_CONSTANT = 461.5; // J/(kg·K)
+const MOLAR_MASS_RATIO = 0.621945; // Water vapour / dry air
+
+const FAN_EFFECT_MIN_CHANGE_F = 0.5; // Smaller dew point moves are sensor noise
+
+/**
+ * @param {number} tempF - Air temperature (°F)
+ * @param {number} relativeHumidity - 0-100 (%)
+ * @returns {number|null} Dew point (°F), or null when either reading is missing
+ */
+export function dewPointF(tempF, relativeHumidity) {
+    if (typeof tempF !== 'number' || typeof relativeHumidity !== 'number') return null;
+    if (!(relativeHumidity > 0 && relativeHumidity <= 100)) return null;
+    const tempC = (tempF - 32) * 5 / 9;
+    const gamma = Math.log(relativeHumidity / 100) + (MAGNUS_B * tempC) / (MAGNUS_C + tempC);
+    const dewPointC = (MAGNUS_C * gamma) / (MAGNUS_B - gamma);
+    return dewPointC * 9 / 5 + 32;
+}
+
+// Partial pressure of the water vapour in the air (hPa), or null
+function vaporPressureHpa(tempF, relativeHumidity) {
+    if (typeof tempF !== 'number' || typeof relativeHumidity !== 'number') return null;
+    if (!(relativeHumidity >= 0 && relativeHumidity <= 100)) return null;
+    const tempC = (tempF - 32) * 5 / 9;
+    return (relativeHumidity / 100) * MAGNUS_A_HPA * Math.exp((MAGNUS_B * tempC) / (MAGNUS_C + tempC));
+}
+
+/**
+ * @param {number} tempF - Air temperature (°F)
+ * @param {number} relativeHumidity - 0-100 (%)
+ * @returns {number|null} Water vapour per cubic metre of air (g/m³)
+ */
+export function absoluteHumidity(tempF, relativeHumidity) {
+    const vaporHpa = vaporPressureHpa(tempF, relativeHumidity);
+    if (vaporHpa === null) return null;
+    const tempK = (tempF - 32) * 5 / 9 + 273.15;
+    return (vaporHpa * 100 / (WATER_VAPOR_GAS_CONSTANT * tempK)) * 1000;
+}
+
+/**
+ * Moist-air enthalpy: the heat a fan moves per pound of air, sensible and latent
+ * @param {number} tempF - Air temperature (°F)
+ * @param {number} relativeHumidity - 0-100 (%)
+ * @param {number} pressureHpa - Barometric pressure (hPa)
+ * @returns {number|null} BTU per pound of dry air
+ */
+export function enthalpyBtuPerLb(tempF, relativeHumidity, pressureHpa) {
+    const vaporHpa = vaporPressureHpa(tempF, relativeHumidity);
+    if (vaporHpa === null || typeof pressureHpa !== 'number' || pressureHpa <= vaporHpa) return null;
+    const humidityRatio = MOLAR_MASS_RATIO * vaporHpa / (pressureHpa - vaporHpa); // lb water per lb dry air
+    return 0.240 * tempF + humidityRatio * (1061 + 0.444 * tempF);
+}
+
+// Dew point of one zone of a normalized reading, or null
+export function zoneDewPointF(reading, zone) {
+    const sensor = reading.sensors && reading.sensors[zone];
+    return sensor ? dewPointF(sensor.temp, sensor.humidity) : null;
+}
+
+/**
+ * Spans where garage surfaces are at risk. Surfaces are taken to sit at garage
+ * air temperature, so condensation is likely once the garage dew point comes
+ * within condensationSpreadF of it; below that, sustained high humidity is
+ * still a mold risk.
+ * @param {Array} readings - Normalized history, oldest first
+ * @param {Object} thresholds - CONFIG.thresholds (condensationSpreadF, moldHumidityPct)
+ * @returns {Array<{start: number, end: number, level: string}>} level is 'condensation' or 'mold'
+ */
+export function garageRiskBands(readings, thresholds) {
+    const levelOf = reading => {
+        const garage = reading.sensors && reading.sensors.garage;
+        const dewPoint = zoneDewPointF(reading, 'garage');
+        if (dewPoint === null) return null;
+        if (garage.temp - dewPoint <= thresholds.condensationSpreadF) return 'condensation';
+        if (garage.humidity >= thresholds.moldHumidityPct) return 'mold';
+        return null;
+    };
+
+    const bands = [];
+    let open = null;
+    readings.forEach(reading => {
+        const level = levelOf(reading);
+        if (open && open.level !== level) {
+            open.end = reading.time; // Risk lasted until this reading showed otherwise
+            bands.push(open);
+            open = null;
+        }
+        if (level && !open) open = { start: reading.time, end: reading.time, level };
+        if (open) open.end = reading.time;
+    });
+    if (open) bands.push(open);
+    return bands;
+}
+
+/**
+ * Each fan run with the indoor dew point change from the reading before it
+ * started to its last reading
+ * @param {Array} readings - Normalized history, oldest first
+ * @returns {Array<{start: number, end: number, changeF: number, effect: string}>}
+ *   effect is 'lowered', 'raised' or 'neutral'
+ */
+export function fanDewPointEffects(readings) {
+    const runs = [];
+    let run = null;
+    let lastDewPointBefore = null;
+    readings.forEach(reading => {
+        const fanOn = reading.system && reading.system.fanOn === true;
+        const dewPoint = zoneDewPointF(reading, 'indoor');
+        if (fanOn) {
+            if (!run) run = { start: reading.time, end: reading.time, from: lastDewPointBefore ?? dewPoint, to: dewPoint };
+            run.end = reading.time;
+            if (dewPoint !== null) run.to = dewPoint;
+        } else {
+            if (run) {
+                runs.push(run);
+                run = null;
+            }
+            if (dewPoint !== null) lastDewPointBefore = dewPoint;
+        }
+    });
+    if (run) runs.push(run);
+
+    return runs
+        .filter(({ from, to }) => from !== null && to !== null)
+        .map(({ start, end, from, to }) => {
+            const changeF = to - from;
+            const effect = changeF <= -FAN_EFFECT_MIN_CHANGE_F ? 'lowered' : changeF >= FAN_EFFECT_MIN_CHANGE_F ? 'raised' : 'neutral';
+            return { start, end, changeF, effect };
+        });
+}
@@ -0,0 +1,207 @@
+// Live Channel Module
+// Push channel for telemetry, door transitions and command acknowledgements,
+// over Server-Sent Events or a WebSocket. DataManager owns one channel for the
+// active device; while it is not open the dashboard keeps polling as before.
+// Enable with "live" in config.json (runtime-config.js). dev-server/ at the
+// repository root has a local stand-in that speaks both protocols.
+//
+// Every message is one JSON envelope: { type, deviceId, data }
+//   telemetry   - data: { point, status? }    one history reading (+ status fields)
+//   door        - data: { event }             one door transition
+//   command-ack - data: { commandId, command, value, state, pendingCount, pending }
+//   ping        - keep-alive, no data
+// SSE sends the envelope as the data of an event named after its type.
+//
+// Neither EventSource nor WebSocket can send an Authorization header, and the
+// Bearer token must never appear in a URL (see the AUTHENTICATION POLICY in
+// dashboard.js). Each connect therefore first asks for a stream ticket:
+//   POST <live url>?deviceId=<id>   Authorization: Bearer <token>
+//     -> 200 { ticket, expiresInSec }
+// and opens <live url>?deviceId=<id>&ticket=<ticket>. The backend must accept a
+// ticket once, only for that device, and only for a short time (30s or less);
+// a missing, reused or expired ticket is refused with 401.
+
+const MESSAGE_TYPES = ['telemetry', 'door', 'command-ack', 'ping'];
+
+// Used when config.json omits live fields
+const DEFAULT_LIVE = {
+    mode: 'off',
+    reconnectDelayMs: 2000,
+    maxReconnectDelayMs: 60000,
+    maxFailures: 5, // Consecutive failed connects before dropping to slow retries
+    failedRetryMs: 300000, // Retry interval once maxFailures is reached
+    staleAfterMs: 45000, // Server pings every 15s; silence this long means the link is dead
+    resyncIntervalMs: 300000 // Full snapshot poll while live, to catch anything missed
+};
+
+export const LIVE_MODES = ['off', 'sse', 'websocket'];
+
+export function liveSettings(config) {
+    return { ...DEFAULT_LIVE, ...((config && config.live) || {}) };
+}
+
+export class LiveChannel {
+    /**
+     * @param {Object} options
+     * @param {string} options.url - CONFIG.liveApiUrl (http(s); switched to ws(s) for WebSocket)
+     * @param {string} options.mode - 'sse' or 'websocket'
+     * @param {string} options.deviceId - Device whose messages to receive
+     * @param {Function} [options.getTicket] - Resolves to a single-use stream ticket
+     *   (see the header comment), or null when the endpoint needs none
+     * @param {Object} [options.settings] - reconnect / stale timings (see DEFAULT_LIVE)
+     */
+    constructor({ url, mode, deviceId, getTicket = async () => null, settings = {} }) {
+        this.url = url;
+        this.mode = mode;
+        this.deviceId = deviceId;
+        this.getTicket = getTicket;
+        this.settings = { ...DEFAULT_LIVE, ...settings };
+        this.handlers = new Map(); // type -> [callback]
+        this.source = null; // EventSource or WebSocket
+        this.failures = 0;
+        this.reconnectTimer = null;
+        this.staleTimer = null;
+        this.stopped = true;
+        this.attempt = 0; // Bumped per connect so a late ticket for an abandoned attempt is dropped
+        this.state = 'closed'; // 'connecting' | 'open' | 'reconnecting' | 'failed' | 'closed'
+    }
+
+    on(type, callback) {
+        if (!this.handlers.has(type)) this.handlers.set(type, []);
+        this.handlers.get(type).push(callback);
+    }
+
+    start() {
+        this.stopped = false;
+        this.failures = 0;
+        this._connect();
+    }
+
+    stop() {
+        this.stopped = true;
+        this._teardown();
+        this._setState('closed');
+    }
+
+    _endpoint(ticket) {
+        const url = new URL(this.url, window.location.href);
+        url.searchParams.set('deviceId', this.deviceId);
+        if (ticket) url.searchParams.set('ticket', ticket);
+        if (this.mode === 'websocket') url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+        return url.toString();
+    }
+
+    async _connect() {
+        this._teardown();
+        this._setState(this.failures === 0 ? 'connecting' : 'reconnecting');
+        const attempt = ++this.attempt;
+
+        let ticket;
+        try {
+            ticket = await this.getTicket();
+        } catch (error) {
+            if (attempt === this.attempt) this._handleFailure(`stream ticket refused (${error.message})`);
+            return;
+        }
+        if (this.stopped || attempt !== this.attempt) return;
+
+        try {
+            if (this.mode === 'websocket') {
+                this.source = new WebSocket(this._endpoint(ticket));
+                this.source.onopen = () => this._handleOpen();
+                this.source.onmessage = event => this._handleMessage(event.data);
+                this.source.onclose = () => this._handleFailure('connection closed');
+            } else {
+                this.source = new EventSource(this._endpoint(ticket));
+                this.source.onopen = () => this._handleOpen();
+                MESSAGE_TYPES.forEach(type => {
+                    this.source.addEventListener(type, event => this._handleMessage(event.data));
+                });
+                // EventSource reconnects by itself, but without backoff or a
+                // failure limit, so errors are handled like a WebSocket close
+                this.source.onerror = () => this._handleFailure('stream error');
+            }
+        } catch (error) {
+            this._handleFailure(error.message);
+        }
+    }
+
+    _handleOpen() {
+        console.log(`LiveChannel: Connected (${this.mode}) for ${this.deviceId}`);
+        this.failures = 0;
+        this._setState('open');
+        this._armStaleTimer();
+    }
+
+    _handleMessage(raw) {
+        this._armStaleTimer();
+        let message;
+        try {
+            message = JSON.parse(raw);
+        } catch (error) {
+            console.warn('LiveChannel: Ignoring non-JSON message');
+            return;
+        }
+        if (!message || !MESSAGE_TYPES.includes(message.type)) {
+            console.warn('LiveChannel: Ignoring unknown message type', message && message.type);
+            return;
+        }
+        // A late message from the previous device's connection must not leak in
+        if (message.deviceId && message.deviceId !== this.deviceId) return;
+        this._emit(message.type, message.data || {});
+    }
+
+    _handleFailure(reason) {
+        if (this.stopped) return;
+        this._teardown();
+        this.failures++;
+
+        if (this.failures >= this.settings.maxFailures) {
+            // Keep trying now and then, so a backend outage doesn't leave the
+            // tab polling until the next reload or device switch
+            console.warn(`LiveChannel: ${this.failures} failed attempts (${reason}); polling continues, next try in ${Math.round(this.settings.failedRetryMs / 1000)}s`);
+            this._setState('failed');
+            this.reconnectTimer = setTimeout(() => this._connect(), this.settings.failedRetryMs);
+            return;
+        }
+
+        const exponential = Math.min(this.settings.maxReconnectDelayMs, this.settings.reconnectDelayMs * Math.pow(2, this.failures - 1));
+        const delay = Math.round(exponential / 2 + Math.random() * exponential / 2);
+        console.log(`LiveChannel: ${reason} - reconnecting in ${Math.round(delay / 1000)}s (attempt ${this.failures + 1}/${this.settings.maxFailures})`);
+        this._setState('reconnecting');
+        this.reconnectTimer = setTimeout(() => this._connect(), delay);
+    }
+
+    _armStaleTimer() {
+        clearTimeout(this.staleTimer);
+        this.staleTimer = setTimeout(() => this._handleFailure('no messages received'), this.settings.staleAfterMs);
+    }
+
+    _teardown() {
+        clearTimeout(this.reconnectTimer);
+        clearTimeout(this.staleTimer);
+        if (this.source) {
+            const source = this.source;
+            this.source = null;
+            // Detach first so closing doesn't report a failure for a channel we ended
+            source.onopen = source.onmessage = source.onclose = source.onerror = null;
+            source.close();
+        }
+    }
+
+    _setState(state) {
+        if (this.state === state) return;
+        this.state = state;
+        this._emit('state', { state, failures: this.failures });
+    }
+
+    _emit(type, data) {
+        (this.handlers.get(type) || []).forEach(callback => {
+            try {
+                callback(data);
+            } catch (error) {
+                console.error(`LiveChannel: Error in ${type} handler:`, error);
+            }
+        });
+    }
+}
@@ -0,0 +1,23 @@
+// Notification Service Worker
+// Registered by desktop-notifications.js once the user opts in. It only handles
+// clicks: notifications are still raised by an open dashboard tab (there is no
+// Push subscription, so nothing arrives while every tab is closed). What it adds
+// is that a notification already shown stays in the system tray, and stays
+// clickable, after its tab closes; a click brings the dashboard back (reusing an
+// open tab when there is one) at the widget named in the notification's data.url.
+
+self.addEventListener('install', () => self.skipWaiting());
+self.addEventListener('activate', event => event.waitUntil(self.clients.claim()));
+
+self.addEventListener('notificationclick', event => {
+    event.notification.close();
+    const url = (event.notification.data && event.notification.data.url) || self.registration.scope;
+    event.waitUntil((async () => {
+        const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        const dashboard = windows.find(client => client.url.split('#')[0] === url.split('#')[0]) || windows[0];
+        if (!dashboard) return self.clients.openWindow(url);
+        // The page handles the deep link itself so it can switch tabs without a reload
+        dashboard.postMessage({ type: 'open-widget', url });
+        return dashboard.focus();
+    })());
+});
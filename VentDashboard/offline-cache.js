@@ -0,0 +1,238 @@
+// Offline Cache Module
+// Persistent IndexedDB layer behind DataManager: keeps the last snapshot and a
+// merged history series per device so reloads and dropped connections can be
+// served from the last-known data
+
+const DB_NAME = 'esp32-ventilation-dashboard';
+const DB_VERSION = 1;
+const SNAPSHOT_STORE = 'snapshots'; // keyPath: deviceId
+const HISTORY_STORE = 'history';    // keyPath: deviceId
+
+// Charts go back one week; keep a day of slack so the 168h view stays complete.
+export const HISTORY_RETENTION_MS = 8 * 24 * 60 * 60 * 1000;
+
+// History timestamps arrive as unix seconds, milliseconds or ISO strings
+export function pointTimeMs(point) {
+    const value = point ? point.timestamp : null;
+    if (value === null || value === undefined || value === '') return 0;
+    const numeric = Number(value);
+    if (Number.isFinite(numeric) && numeric > 0) return numeric > 1e12 ? numeric : numeric * 1000;
+    const parsed = Date.parse(String(value));
+    return Number.isFinite(parsed) ? parsed : 0;
+}
+
+// Merge readings into a newest-first series. Points whose timestamp is already
+// present are skipped and anything past the retention window is dropped.
+// Returns { points, added } so callers can tell whether anything was new.
+export function mergeHistoryPoints(existing, incoming) {
+    const byTime = new Map();
+    (existing || []).forEach(point => byTime.set(pointTimeMs(point), point));
+
+    let added = 0;
+    (incoming || []).forEach(point => {
+        const time = pointTimeMs(point);
+        if (!time || byTime.has(time)) return;
+        byTime.set(time, point);
+        added++;
+    });
+
+    const cutoff = Date.now() - HISTORY_RETENTION_MS;
+    const points = [...byTime.entries()]
+        .filter(([time]) => time >= cutoff)
+        .sort((a, b) => b[0] - a[0])
+        .map(([, point]) => point);
+
+    return { points, added };
+}
+
+// Covered spans ({ from, to } in ms, oldest first) record the stretches of time
+// the series holds everything for. They tell a hole - such as the hours the page
+// was closed - apart from a device that simply sent nothing, so only holes are
+// fetched. Adds one span, joining any it overlaps or touches.
+export function addCoverage(spans, from, to) {
+    if (!(from <= to)) return trimCoverage(spans);
+    let merged = { from, to };
+    const kept = [];
+    (spans || []).forEach(span => {
+        if (span.to < merged.from || span.from > merged.to) {
+            kept.push(span);
+        } else {
+            merged = { from: Math.min(span.from, merged.from), to: Math.max(span.to, merged.to) };
+        }
+    });
+    return trimCoverage([...kept, merged].sort((a, b) => a.from - b.from));
+}
+
+// Spans cut back to the retention window, matching the points mergeHistoryPoints
+// keeps: coverage must never claim readings that were dropped
+export function trimCoverage(spans) {
+    const cutoff = Date.now() - HISTORY_RETENTION_MS;
+    return (spans || [])
+        .filter(span => span.to >= cutoff)
+        .map(span => (span.from < cutoff ? { from: cutoff, to: span.to } : span));
+}
+
+// Uncovered stretches of [from, to] longer than minGapMs, oldest first
+export function coverageHoles(spans, from, to, minGapMs = 0) {
+    const holes = [];
+    let cursor = from;
+    (spans || []).forEach(span => {
+        if (span.to <= cursor || span.from >= to) return;
+        if (span.from - cursor > minGapMs) holes.push({ from: cursor, to: span.from });
+        cursor = Math.max(cursor, span.to);
+    });
+    if (to - cursor > minGapMs) holes.push({ from: cursor, to });
+    return holes;
+}
+
+// Spans implied by stored points, for records saved before spans were kept:
+// readings further apart than maxGapMs are treated as a hole
+export function coverageFromPoints(points, maxGapMs) {
+    const times = (points || []).map(pointTimeMs).filter(Boolean).sort((a, b) => a - b);
+    let spans = [];
+    times.forEach((time, index) => {
+        const previous = index > 0 ? times[index - 1] : null;
+        spans = addCoverage(spans, previous !== null && time - previous <= maxGapMs ? previous : time, time);
+    });
+    return spans;
+}
+
+export class OfflineCache {
+    constructor(dbName = DB_NAME) {
+        this.dbName = dbName;
+        this.dbPromise = null;
+        this.historyWrites = new Map(); // deviceId -> tail of that device's queued history writes
+    }
+
+    isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    _open() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(SNAPSHOT_STORE)) {
+                    db.createObjectStore(SNAPSHOT_STORE, { keyPath: 'deviceId' });
+                }
+                if (!db.objectStoreNames.contains(HISTORY_STORE)) {
+                    db.createObjectStore(HISTORY_STORE, { keyPath: 'deviceId' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }).catch(error => {
+            // Private browsing / disabled storage: allow a retry on next use
+            this.dbPromise = null;
+            throw error;
+        });
+
+        return this.dbPromise;
+    }
+
+    async _run(storeName, mode, operation) {
+        const db = await this._open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            const request = operation(tx.objectStore(storeName));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    // Last-known snapshot for a device: { deviceId, data, savedAt } or null.
+    // History is stored separately (see mergeHistory) to avoid keeping it twice.
+    async getSnapshot(deviceId) {
+        if (!this.isSupported()) return null;
+        const record = await this._run(SNAPSHOT_STORE, 'readonly', store => store.get(deviceId));
+        return record || null;
+    }
+
+    async putSnapshot(deviceId, data) {
+        if (!this.isSupported() || !data) return;
+        const { history, ...rest } = data;
+        await this._run(SNAPSHOT_STORE, 'readwrite', store => store.put({
+            deviceId,
+            data: rest,
+            savedAt: Date.now()
+        }));
+    }
+
+    // Stored history for a device, newest first (same order as the API)
+    async getHistory(deviceId, hours = null) {
+        if (!this.isSupported()) return [];
+        const record = await this._run(HISTORY_STORE, 'readonly', store => store.get(deviceId));
+        const points = record && Array.isArray(record.points) ? record.points : [];
+        if (!hours) return points;
+
+        const cutoff = Date.now() - hours * 60 * 60 * 1000;
+        return points.filter(point => pointTimeMs(point) >= cutoff);
+    }
+
+    // Covered spans saved with the history (see addCoverage), or null for
+    // records written before spans were kept
+    async getCoverage(deviceId) {
+        if (!this.isSupported()) return null;
+        const record = await this._run(HISTORY_STORE, 'readonly', store => store.get(deviceId));
+        return record && Array.isArray(record.covered) ? record.covered : null;
+    }
+
+    // Merge readings (and the spans they cover) into the stored series. Points
+    // already present (same timestamp) are skipped, so only new data is written
+    // after a reconnect. Writes for one device run one at a time: each reads the
+    // record the previous one wrote, so concurrent merges never drop points.
+    mergeHistory(deviceId, points, covered = []) {
+        const previous = this.historyWrites.get(deviceId) || Promise.resolve();
+        const write = previous
+            .catch(() => {}) // A failed write was already reported to its caller
+            .then(() => this._mergeHistoryNow(deviceId, points, covered));
+        this.historyWrites.set(deviceId, write);
+        const release = () => {
+            if (this.historyWrites.get(deviceId) === write) this.historyWrites.delete(deviceId);
+        };
+        write.then(release, release);
+        return write;
+    }
+
+    async _mergeHistoryNow(deviceId, points, covered) {
+        if (!this.isSupported()) return 0;
+        const incoming = Array.isArray(points) ? points : [];
+        if (incoming.length === 0 && covered.length === 0) return 0;
+
+        const record = await this._run(HISTORY_STORE, 'readonly', store => store.get(deviceId));
+        const existing = record && Array.isArray(record.points) ? record.points : [];
+        const storedCoverage = record && Array.isArray(record.covered) ? record.covered : [];
+        const { points: merged, added } = mergeHistoryPoints(existing, incoming);
+        const spans = covered.reduce((all, span) => addCoverage(all, span.from, span.to), storedCoverage);
+        if (added === 0 && JSON.stringify(spans) === JSON.stringify(storedCoverage)) return 0;
+
+        await this._run(HISTORY_STORE, 'readwrite', store => store.put({
+            deviceId,
+            points: merged,
+            covered: spans,
+            updatedAt: Date.now()
+        }));
+
+        if (added > 0) console.log(`OfflineCache: Merged ${added} new history points for ${deviceId} (${merged.length} stored)`);
+        return added;
+    }
+
+    async clear(deviceId = null) {
+        if (!this.isSupported()) return;
+        for (const storeName of [SNAPSHOT_STORE, HISTORY_STORE]) {
+            await this._run(storeName, 'readwrite', store => (deviceId ? store.delete(deviceId) : store.clear()));
+        }
+        console.log(`OfflineCache: Cleared${deviceId ? ` ${deviceId}` : ' all devices'}`);
+    }
+}
+
+// Create singleton instance
+export const offlineCache = new OfflineCache();
+
+// Fixture mode keeps its own database so recorded data never shows up as a
+// real device's last-known readings
+export const fixtureOfflineCache = new OfflineCache(`${DB_NAME}-fixtures`);
@@ -0,0 +1,247 @@
+// Refresh Scheduler Module
+// The only timer loop for periodic widget refreshes. Each widget registers a
+// task with its own cadence; the scheduler pauses or slows tasks while the tab
+// is hidden or nobody has touched the page for a while (a dashboard left open
+// on a wall tablet), and runs whatever fell due as soon as the page is visible
+// or used again. Cadences come from "refresh" in config.json (runtime-config.js).
+
+// Used when config.json omits refresh fields
+const DEFAULT_REFRESH = {
+    idleAfterMs: 600000, // No pointer, key or scroll input this long means nobody is watching closely
+    idleSlowdown: 4, // Interval multiplier for tasks that slow down while idle
+    hiddenSlowdown: 10, // Interval multiplier for tasks that slow down in a hidden tab
+    intervals: {
+        controls: 60000,
+        schedules: 60000,
+        presets: 60000,
+        charts: 60000,
+        systemHealth: 60000,
+        incidents: 600000,
+        yesterday: 1800000,
+        climate: 1800000
+    }
+};
+
+export const HIDDEN_POLICIES = ['pause', 'slow', 'keep'];
+export const IDLE_POLICIES = ['keep', 'slow'];
+
+const ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'wheel', 'touchstart', 'scroll'];
+
+// The snapshot ("status") cadence stays on the top-level refreshInterval
+export function refreshSettings(config) {
+    const refresh = (config && config.refresh) || {};
+    return {
+        ...DEFAULT_REFRESH,
+        ...refresh,
+        intervals: {
+            ...DEFAULT_REFRESH.intervals,
+            ...(refresh.intervals || {}),
+            status: config && config.refreshInterval
+        }
+    };
+}
+
+export class RefreshScheduler {
+    /**
+     * @param {Object} [settings] - From refreshSettings(CONFIG)
+     */
+    constructor(settings = {}) {
+        this.settings = { ...DEFAULT_REFRESH, ...settings };
+        this.tasks = new Map(); // name -> task, in registration order
+        this.started = false;
+        this.hidden = document.hidden;
+        this.idle = false;
+        this.lastActivityAt = Date.now();
+        this.idleTimer = null;
+        this._onVisibilityChange = () => this._handleVisibilityChange();
+        this._onActivity = () => this._handleActivity();
+    }
+
+    /**
+     * Adds a periodic refresh. Registering a name again replaces the task.
+     * @param {string} name - Task name; also the key into settings.intervals
+     * @param {Function} run - Async refresh, called with { force }: true when someone asked
+     *   for this run (runNow, or runAll({ force: true })), so shortcuts such as skipping a
+     *   poll while live must not apply. Errors are logged and the task stays scheduled.
+     * @param {Object} [options]
+     * @param {number} [options.intervalMs] - Cadence while visible and active (default: settings.intervals[name])
+     * @param {string} [options.whenHidden='pause'] - 'pause', 'slow' (interval × hiddenSlowdown) or 'keep'
+     *   (for tasks that send commands on time, such as schedules)
+     * @param {string} [options.whenIdle='slow'] - 'keep' or 'slow' (interval × idleSlowdown)
+     * @param {Function} [options.isActive] - Return false to skip a tick, e.g. while a tab is not shown
+     */
+    register(name, run, { intervalMs, whenHidden = 'pause', whenIdle = 'slow', isActive = () => true } = {}) {
+        const baseIntervalMs = intervalMs || this.settings.intervals[name];
+        if (!(baseIntervalMs > 0)) throw new Error(`RefreshScheduler: No interval for task "${name}"`);
+
+        this.unregister(name);
+        const task = { name, run, baseIntervalMs, whenHidden, whenIdle, isActive, lastRunAt: Date.now(), extraRuns: [], timer: null, running: null };
+        this.tasks.set(name, task);
+        if (this.started) this._schedule(task);
+    }
+
+    unregister(name) {
+        const task = this.tasks.get(name);
+        if (!task) return;
+        clearTimeout(task.timer);
+        this.tasks.delete(name);
+    }
+
+    // Tasks count as just run: start() follows the initial load
+    start() {
+        if (this.started) return;
+        this.started = true;
+        document.addEventListener('visibilitychange', this._onVisibilityChange);
+        ACTIVITY_EVENTS.forEach(type => window.addEventListener(type, this._onActivity, { passive: true, capture: true }));
+        this._armIdleTimer();
+        const now = Date.now();
+        this.tasks.forEach(task => {
+            task.lastRunAt = now;
+            this._schedule(task);
+        });
+        console.log(`RefreshScheduler: Started ${this.tasks.size} tasks (${this._describeTasks()})`);
+    }
+
+    stop() {
+        this.started = false;
+        document.removeEventListener('visibilitychange', this._onVisibilityChange);
+        ACTIVITY_EVENTS.forEach(type => window.removeEventListener(type, this._onActivity, { capture: true }));
+        clearTimeout(this.idleTimer);
+        this.tasks.forEach(task => clearTimeout(task.timer));
+    }
+
+    /**
+     * Runs a task now, forced, and restarts its interval from here
+     * @param {string} name
+     * @returns {Promise<void>} Settles when the run finishes (joins a run already in flight)
+     */
+    runNow(name) {
+        const task = this.tasks.get(name);
+        return task ? this._run(task, true) : Promise.resolve();
+    }
+
+    /**
+     * Every task in registration order, e.g. after switching device
+     * @param {Object} [options]
+     * @param {boolean} [options.force=false] - Pass { force: true } to each task (the Refresh
+     *   button); isActive() still skips tasks whose widget is not shown
+     * @returns {Promise<void>}
+     */
+    async runAll({ force = false } = {}) {
+        for (const task of this.tasks.values()) {
+            await this._run(task, false, force);
+        }
+    }
+
+    // One extra run after delayMs, on top of the regular cadence (e.g. to pick up a command ACK)
+    runSoon(name, delayMs) {
+        const task = this.tasks.get(name);
+        if (!task) return;
+        task.extraRuns.push(Date.now() + delayMs);
+        if (this.started) this._schedule(task);
+    }
+
+    // For the console: what runs when, and why
+    getState() {
+        return {
+            hidden: this.hidden,
+            idle: this.idle,
+            tasks: [...this.tasks.values()].map(task => ({
+                name: task.name,
+                intervalMs: this._effectiveInterval(task),
+                lastRunAt: task.lastRunAt,
+                nextRunAt: this._nextRunAt(task),
+                running: !!task.running
+            }))
+        };
+    }
+
+    // null while the task is paused
+    _effectiveInterval(task) {
+        let interval = task.baseIntervalMs;
+        if (this.hidden) {
+            if (task.whenHidden === 'pause') return null;
+            if (task.whenHidden === 'slow') interval *= this.settings.hiddenSlowdown;
+        } else if (this.idle && task.whenIdle === 'slow') {
+            interval *= this.settings.idleSlowdown;
+        }
+        return interval;
+    }
+
+    _nextRunAt(task) {
+        const interval = this._effectiveInterval(task);
+        const candidates = [...task.extraRuns];
+        if (interval !== null) candidates.push(task.lastRunAt + interval);
+        return candidates.length > 0 ? Math.min(...candidates) : null;
+    }
+
+    // A due time already in the past runs at once: that is the catch-up on focus
+    _schedule(task) {
+        clearTimeout(task.timer);
+        task.timer = null;
+        if (!this.started || task.running) return; // _run reschedules when it finishes
+        const nextRunAt = this._nextRunAt(task);
+        if (nextRunAt === null) return;
+        task.timer = setTimeout(() => this._run(task, false), Math.max(0, nextRunAt - Date.now()));
+    }
+
+    // bypass skips isActive(); force is handed to the task (see register)
+    _run(task, bypass, force = bypass) {
+        if (task.running) return task.running;
+        clearTimeout(task.timer);
+        const now = Date.now();
+        task.extraRuns = task.extraRuns.filter(time => time > now);
+
+        task.running = (async () => {
+            try {
+                if (bypass || task.isActive()) await task.run({ force });
+            } catch (error) {
+                console.error(`RefreshScheduler: Task "${task.name}" failed:`, error);
+            } finally {
+                task.lastRunAt = Date.now();
+                task.running = null;
+                this._schedule(task);
+            }
+        })();
+        return task.running;
+    }
+
+    _handleVisibilityChange() {
+        this.hidden = document.hidden;
+        console.log(`RefreshScheduler: Page ${this.hidden ? 'hidden - pausing/slowing' : 'visible - catching up'}`);
+        if (!this.hidden) this._handleActivity(); // Coming back counts as activity
+        this._rescheduleAll();
+    }
+
+    // Fires on every scroll event, so the common path only stores a time
+    _handleActivity() {
+        this.lastActivityAt = Date.now();
+        if (!this.idle) return;
+        this.idle = false;
+        console.log('RefreshScheduler: Activity - back to full cadence');
+        this._armIdleTimer();
+        this._rescheduleAll();
+    }
+
+    _armIdleTimer() {
+        clearTimeout(this.idleTimer);
+        this.idleTimer = setTimeout(() => {
+            const quietMs = Date.now() - this.lastActivityAt;
+            if (quietMs < this.settings.idleAfterMs) {
+                this._armIdleTimer(); // Activity since arming; check again later
+                return;
+            }
+            this.idle = true;
+            console.log('RefreshScheduler: No activity - slowing idle-tolerant tasks');
+            this._rescheduleAll();
+        }, Math.max(0, this.lastActivityAt + this.settings.idleAfterMs - Date.now()));
+    }
+
+    _rescheduleAll() {
+        this.tasks.forEach(task => this._schedule(task));
+    }
+
+    _describeTasks() {
+        return [...this.tasks.values()].map(task => `${task.name} ${Math.round(task.baseIntervalMs / 1000)}s`).join(', ');
+    }
+}
@@ -0,0 +1,290 @@
+// Runtime Configuration Module
+// Single source for endpoints, devices, refresh intervals and thresholds:
+// config.json fetched at startup, then localStorage and URL overrides on top.
+// dashboard.js copies the result into CONFIG; login.html reads authApiUrl.
+//
+// To add a controller, append { "id", "name" } to devices in config.json, with
+// id exactly as the device reports it to the API; deviceId names the one shown
+// by default. The header switcher appears once more than one is listed.
+
+import { LIVE_MODES } from './live-channel.js';
+import { refreshSettings } from './refresh-scheduler.js';
+
+const CONFIG_URL = 'config.json';
+const OVERRIDES_STORAGE_KEY = 'ventilation_config_overrides'; // JSON object, deep-merged over config.json
+const TRANSPORT_STORAGE_KEY = 'ventilation_transport';
+
+// config.json endpoint name -> flat CONFIG property the dashboard reads
+const ENDPOINT_KEYS = {
+    status: 'statusApiUrl',
+    ventilationStatus: 'ventilationStatusApiUrl',
+    enhanced: 'enhancedApiUrl',
+    snapshot: 'snapshotApiUrl',
+    history: 'historyApiUrl',
+    command: 'commandApiUrl',
+    doorAnalytics: 'doorAnalyticsApiUrl',
+    climate: 'climateApiUrl',
+    auth: 'authApiUrl',
+    live: 'liveApiUrl'
+};
+
+// Only harmless settings may come from the query string. Endpoints are
+// deliberately excluded: a crafted link could otherwise send the Bearer token
+// to another host. Change apiBaseUrl through localStorage overrides instead.
+const URL_OVERRIDES = {
+    deviceId: value => value,
+    refreshInterval: value => Number(value),
+    transport: value => value
+};
+
+const TRANSPORTS = ['http', 'fixtures'];
+
+// Thresholds the alert rules and cards read; extra numeric keys are allowed
+const REQUIRED_THRESHOLDS = [
+    'indoorTempHighF', 'indoorTempLowF', 'garageTempHighF', 'garageTempLowF',
+    'freeHeapLowBytes', 'doorOpenMinutes', 'condensationSpreadF', 'moldHumidityPct'
+];
+
+// Fixture mode skips sign-in and shows recorded readings, so it only runs where
+// a developer serves the dashboard themselves (see dev-server/)
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+export function isLocalHost(hostname = window.location.hostname) {
+    return LOCAL_HOSTS.includes(hostname) || hostname.endsWith('.localhost');
+}
+
+export class ConfigError extends Error {
+    constructor(problems) {
+        super(`Invalid runtime configuration:\n- ${problems.join('\n- ')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function deepMerge(base, overrides) {
+    const result = { ...base };
+    Object.entries(overrides || {}).forEach(([key, value]) => {
+        result[key] = isPlainObject(value) && isPlainObject(base[key]) ? deepMerge(base[key], value) : value;
+    });
+    return result;
+}
+
+function isPositiveNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+function readStoredOverrides() {
+    const raw = localStorage.getItem(OVERRIDES_STORAGE_KEY);
+    if (!raw) return {};
+    try {
+        const overrides = JSON.parse(raw);
+        if (isPlainObject(overrides)) return overrides;
+    } catch (error) {
+        // Fall through to the warning below
+    }
+    console.warn(`RuntimeConfig: Ignoring localStorage['${OVERRIDES_STORAGE_KEY}'] - not a JSON object`);
+    return {};
+}
+
+// On localhost ?transport= is remembered so reloads stay in fixture mode until
+// ?transport=http. Anywhere else a fixture link is ignored and never stored.
+function readUrlOverrides() {
+    const params = new URLSearchParams(window.location.search);
+    const overrides = {};
+    Object.entries(URL_OVERRIDES).forEach(([key, parse]) => {
+        if (params.has(key)) overrides[key] = parse(params.get(key));
+    });
+
+    if (!isLocalHost()) {
+        localStorage.removeItem(TRANSPORT_STORAGE_KEY); // Remembered by earlier builds
+        if (overrides.transport === 'fixtures') {
+            console.warn('RuntimeConfig: Ignoring ?transport=fixtures - fixture mode only runs on localhost');
+            delete overrides.transport;
+        }
+    } else if (overrides.transport === 'fixtures') {
+        localStorage.setItem(TRANSPORT_STORAGE_KEY, 'fixtures');
+    } else if (overrides.transport === 'http') {
+        localStorage.removeItem(TRANSPORT_STORAGE_KEY);
+    } else if (!('transport' in overrides) && localStorage.getItem(TRANSPORT_STORAGE_KEY) === 'fixtures') {
+        overrides.transport = 'fixtures';
+    }
+    return overrides;
+}
+
+/**
+ * Lists everything wrong with a merged config (empty array when valid)
+ * @param {Object} config - config.json with overrides applied
+ * @returns {string[]} Human-readable problems, one per field
+ */
+export function validateConfig(config) {
+    const problems = [];
+    if (!isPlainObject(config)) return ['config.json must contain a JSON object'];
+
+    if (typeof config.apiBaseUrl !== 'string' || !/^https?:\/\//.test(config.apiBaseUrl)) {
+        problems.push('apiBaseUrl is required and must be an http(s) URL');
+    }
+
+    if (!isPlainObject(config.endpoints)) {
+        problems.push('endpoints is required (map of endpoint name to Azure Function name or URL)');
+    } else {
+        Object.keys(ENDPOINT_KEYS).forEach(name => {
+            const value = config.endpoints[name];
+            if (typeof value !== 'string' || !value.trim()) problems.push(`endpoints.${name} is missing`);
+        });
+    }
+
+    if (!Array.isArray(config.devices) || config.devices.length === 0) {
+        problems.push('devices must list at least one { id, name } entry');
+    } else {
+        config.devices.forEach((device, index) => {
+            if (!device || typeof device.id !== 'string' || !device.id) problems.push(`devices[${index}].id is missing`);
+        });
+        if (typeof config.deviceId !== 'string' || !config.devices.some(device => device && device.id === config.deviceId)) {
+            problems.push(`deviceId "${config.deviceId}" is not one of the configured devices`);
+        }
+    }
+
+    if (!isPositiveNumber(config.refreshInterval) || config.refreshInterval < 1000) {
+        problems.push('refreshInterval must be a number of milliseconds (at least 1000)');
+    }
+
+    if (!TRANSPORTS.includes(config.transport)) {
+        problems.push(`transport must be one of: ${TRANSPORTS.join(', ')}`);
+    }
+
+    // Optional: DataManager has defaults for any field left out
+    [['retry', ['baseDelayMs', 'maxDelayMs', 'attemptTimeoutMs', 'deadlineMs']], ['circuitBreaker', ['failureThreshold', 'cooldownMs']]].forEach(([section, fields]) => {
+        if (config[section] === undefined) return;
+        if (!isPlainObject(config[section])) {
+            problems.push(`${section} must be an object`);
+            return;
+        }
+        fields.forEach(field => {
+            const value = config[section][field];
+            if (value !== undefined && !isPositiveNumber(value)) problems.push(`${section}.${field} must be a positive number`);
+        });
+    });
+    // Optional: without it the live channel is off; LiveChannel defaults the timings
+    if (config.live !== undefined) {
+        if (!isPlainObject(config.live)) {
+            problems.push('live must be an object');
+        } else {
+            if (config.live.mode !== undefined && !LIVE_MODES.includes(config.live.mode)) {
+                problems.push(`live.mode must be one of: ${LIVE_MODES.join(', ')}`);
+            }
+            ['reconnectDelayMs', 'maxReconnectDelayMs', 'maxFailures', 'failedRetryMs', 'staleAfterMs', 'resyncIntervalMs'].forEach(field => {
+                const value = config.live[field];
+                if (value !== undefined && !isPositiveNumber(value)) problems.push(`live.${field} must be a positive number`);
+            });
+        }
+    }
+    // Optional: RefreshScheduler has defaults for any field left out
+    if (config.refresh !== undefined) {
+        if (!isPlainObject(config.refresh)) {
+            problems.push('refresh must be an object');
+        } else {
+            ['idleAfterMs', 'idleSlowdown', 'hiddenSlowdown'].forEach(field => {
+                const value = config.refresh[field];
+                if (value !== undefined && !isPositiveNumber(value)) problems.push(`refresh.${field} must be a positive number`);
+            });
+            if (config.refresh.intervals !== undefined && !isPlainObject(config.refresh.intervals)) {
+                problems.push('refresh.intervals must be an object');
+            } else {
+                const known = Object.keys(refreshSettings(config).intervals);
+                Object.entries(config.refresh.intervals || {}).forEach(([name, value]) => {
+                    if (name === 'status') {
+                        problems.push('refresh.intervals.status is not used - set refreshInterval instead');
+                    } else if (!known.includes(name)) {
+                        problems.push(`refresh.intervals.${name} is not a refresh task (known: ${known.filter(key => key !== 'status').join(', ')})`);
+                    } else if (!isPositiveNumber(value) || value < 1000) {
+                        problems.push(`refresh.intervals.${name} must be a number of milliseconds (at least 1000)`);
+                    }
+                });
+            }
+        }
+    }
+    const maxRetries = isPlainObject(config.retry) ? config.retry.maxRetries : undefined;
+    if (maxRetries !== undefined && !(Number.isInteger(maxRetries) && maxRetries >= 0)) {
+        problems.push('retry.maxRetries must be a whole number (0 disables retries)');
+    }
+
+    if (!isPlainObject(config.thresholds)) {
+        problems.push('thresholds is required');
+    } else {
+        REQUIRED_THRESHOLDS.forEach(name => {
+            if (config.thresholds[name] === undefined) problems.push(`thresholds.${name} is missing`);
+        });
+        Object.entries(config.thresholds).forEach(([name, value]) => {
+            if (typeof value !== 'number' || !Number.isFinite(value)) problems.push(`thresholds.${name} must be a number`);
+        });
+    }
+
+    return problems;
+}
+
+/**
+ * Turns endpoint names into absolute URLs on the flat keys the dashboard
+ * already uses (snapshotApiUrl, commandApiUrl, ...). Absolute URLs in
+ * endpoints are kept as-is so one function can live on another host.
+ * @param {Object} config - Validated config
+ * @returns {Object} Flat endpoint URL map
+ */
+export function resolveEndpoints(config) {
+    const base = config.apiBaseUrl.replace(/\/+$/, '');
+    const urls = {};
+    Object.entries(ENDPOINT_KEYS).forEach(([name, key]) => {
+        const endpoint = config.endpoints[name].trim();
+        urls[key] = /^https?:\/\//.test(endpoint) ? endpoint : `${base}/${endpoint.replace(/^\/+/, '')}`;
+    });
+    return urls;
+}
+
+let loadPromise = null;
+
+/**
+ * Loads config.json once per page and applies overrides in order:
+ * config.json < localStorage overrides < URL parameters
+ * @returns {Promise<Object>} Validated config with resolved endpoint URLs
+ * @throws {ConfigError} When config.json is missing, unreadable or invalid
+ */
+export function loadRuntimeConfig() {
+    if (!loadPromise) {
+        loadPromise = fetchRuntimeConfig().catch(error => {
+            loadPromise = null; // Let a later call try again
+            throw error;
+        });
+    }
+    return loadPromise;
+}
+
+async function fetchRuntimeConfig() {
+    let fileConfig;
+    try {
+        const response = await fetch(CONFIG_URL, { cache: 'no-store' });
+        if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        fileConfig = await response.json();
+    } catch (error) {
+        throw new ConfigError([`Could not load ${CONFIG_URL} (${error.message})`]);
+    }
+
+    const config = deepMerge(deepMerge(fileConfig, readStoredOverrides()), readUrlOverrides());
+    // A stale shared link or saved override must not stop the dashboard loading:
+    // only config.json's own deviceId has to be one of the devices
+    if (config.deviceId !== fileConfig.deviceId && Array.isArray(config.devices)
+        && !config.devices.some(device => device && device.id === config.deviceId)) {
+        console.warn(`RuntimeConfig: Ignoring unknown device "${config.deviceId}" from the URL or saved overrides - showing ${fileConfig.deviceId}`);
+        config.deviceId = fileConfig.deviceId;
+    }
+    const problems = validateConfig(config);
+    if (config.transport === 'fixtures' && !isLocalHost()) {
+        problems.push('transport "fixtures" only runs on localhost - use "http" for a deployed dashboard');
+    }
+    if (problems.length > 0) throw new ConfigError(problems);
+
+    console.log(`RuntimeConfig: Loaded ${CONFIG_URL} (transport: ${config.transport}, device: ${config.deviceId})`);
+    return { ...config, ...resolveEndpoints(config) };
+}
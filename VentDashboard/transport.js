@@ -0,0 +1,202 @@
+// Transport Module
+// Every API request from DataManager and the dashboard goes through one
+// transport: plain fetch() against the Azure Functions, or recorded fixtures
+// from fixtures/ so the whole dashboard can be developed and demoed offline.
+// Select with ?transport=fixtures or "transport" in config.json (runtime-config.js);
+// both are refused outside localhost, and the page shows a FIXTURE DATA banner.
+
+const FIXTURE_BASE_PATH = 'fixtures/';
+const FIXTURE_LATENCY_MS = 150; // Enough to exercise loading states without slowing development
+const HOUR_MS = 60 * 60 * 1000;
+const REBASE_STEP_MS = 30 * 60 * 1000; // Sampling interval of the recorded history
+const ISO_TIMESTAMP = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+
+// CONFIG.transport comes from config.json plus the ?transport= override
+const getTransportMode = () => (typeof CONFIG !== 'undefined' && CONFIG.transport) || 'http';
+
+const STATUS_TEXT = { 200: 'OK', 400: 'Bad Request', 404: 'Not Found' };
+
+function jsonResponse(body, status = 200) {
+    return new Response(JSON.stringify(body), {
+        status,
+        statusText: STATUS_TEXT[status] || '',
+        headers: { 'Content-Type': 'application/json' }
+    });
+}
+
+// Recordings are shifted so their recordedAt lands on "now": charts, door ages
+// and the stale badge then behave exactly as they would against live data.
+// The shift moves in whole sampling steps so repeated requests return the
+// same timestamps and DataManager's incremental merge sees no duplicates.
+function rebaseTimestamps(value, shiftMs) {
+    if (Array.isArray(value)) return value.map(item => rebaseTimestamps(item, shiftMs));
+    if (value && typeof value === 'object') {
+        const result = {};
+        Object.entries(value).forEach(([key, child]) => {
+            result[key] = rebaseTimestamps(child, shiftMs);
+        });
+        return result;
+    }
+    if (typeof value === 'string' && ISO_TIMESTAMP.test(value)) {
+        const time = Date.parse(value);
+        if (Number.isFinite(time)) return new Date(time + shiftMs).toISOString();
+    }
+    return value;
+}
+
+function filterByHours(points, hours, sinceMs = null) {
+    const cutoff = Math.max(Date.now() - hours * HOUR_MS, sinceMs || 0);
+    return points.filter(point => Date.parse(point.timestamp) >= cutoff);
+}
+
+export class HttpTransport {
+    constructor() {
+        this.name = 'http';
+    }
+
+    request(url, options = {}) {
+        return fetch(url, options);
+    }
+}
+
+export class FixtureTransport {
+    constructor(basePath = FIXTURE_BASE_PATH) {
+        this.name = 'fixtures';
+        this.basePath = basePath;
+        this.recordings = new Map();
+        this.commandState = null; // Mutable copy of the VentilationCommand recording
+        this.commandCount = 0; // For commandIds
+        this.routes = {
+            GetDashboardSnapshot: params => this._snapshot(params),
+            GetVentilationHistory: params => this._history(params),
+            GetVentilationStatus: () => this._snapshotStatus(),
+            GetEnhancedDashboardData: async () => {
+                const status = await this._snapshotStatus();
+                return { sections: status.sections, reliability: status.reliability };
+            },
+            VentilationCommand: (params, options) => this._command(options),
+            PacificNWClimateAnalyzer: params => this._climate(params)
+        };
+    }
+
+    async request(url, options = {}) {
+        const parsed = new URL(url, window.location.href);
+        const route = parsed.pathname.split('/').pop();
+
+        await this._delay(options.signal);
+
+        const handler = this.routes[route];
+        if (!handler) {
+            console.warn(`FixtureTransport: No recording for ${route}`);
+            return jsonResponse({ error: `No fixture recorded for ${route}` }, 404);
+        }
+
+        // Handlers return a payload, or a Response when they need another status
+        const result = await handler(parsed.searchParams, options);
+        console.log(`FixtureTransport: Served ${route}${parsed.search}`);
+        return result instanceof Response ? result : jsonResponse(result);
+    }
+
+    // Honour AbortController timeouts the same way fetch() does
+    _delay(signal) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(resolve, FIXTURE_LATENCY_MS);
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    clearTimeout(timer);
+                    reject(new DOMException('The operation was aborted.', 'AbortError'));
+                }, { once: true });
+            }
+        });
+    }
+
+    async _load(name) {
+        if (!this.recordings.has(name)) {
+            const response = await fetch(`${this.basePath}${name}.json`, { cache: 'no-store' });
+            if (!response.ok) throw new Error(`Fixture ${name}.json missing (HTTP ${response.status})`);
+            this.recordings.set(name, await response.json());
+        }
+        const recording = this.recordings.get(name);
+        const elapsed = Date.now() - Date.parse(recording.recordedAt);
+        const shiftMs = Math.floor(elapsed / REBASE_STEP_MS) * REBASE_STEP_MS;
+        return rebaseTimestamps(recording, shiftMs);
+    }
+
+    async _historyPoints() {
+        const recording = await this._load('GetVentilationHistory');
+        return recording.data;
+    }
+
+    async _snapshotStatus() {
+        const recording = await this._load('GetDashboardSnapshot');
+        return recording.status;
+    }
+
+    async _snapshot(params) {
+        const hours = Number(params.get('hours')) || 24;
+        const { recordedAt, ...snapshot } = await this._load('GetDashboardSnapshot');
+        snapshot.history = filterByHours(await this._historyPoints(), hours);
+        return snapshot;
+    }
+
+    async _history(params) {
+        const hours = Number(params.get('hours')) || 24;
+        const since = Number(params.get('since'));
+        const data = filterByHours(await this._historyPoints(), hours, since ? since * 1000 : null);
+        return { deviceId: params.get('deviceId'), count: data.length, data };
+    }
+
+    // GET returns the control state; POST applies the command right away, as
+    // if the device had already picked it up on its next poll, so there is
+    // never anything left to cancel (DELETE) or change (PATCH)
+    async _command(options) {
+        if (!this.commandState) {
+            const { state } = await this._load('VentilationCommand');
+            this.commandState = { state, pendingCount: 0, pending: [], commands: ['set_fan_start_temp', 'add_minutes', 'stop_ventilation'] };
+        }
+
+        const method = (options.method || 'GET').toUpperCase();
+        if (method === 'DELETE' || method === 'PATCH') {
+            return jsonResponse({ error: 'Command already picked up by the device' }, 409);
+        }
+        if (method === 'POST') {
+            const { command, value } = JSON.parse(options.body || '{}');
+            const state = this.commandState.state;
+            if (command === 'set_fan_start_temp') {
+                state.fanStartTempF = Number(value);
+            } else if (command === 'add_minutes') {
+                state.manualVentRemainingSec = (state.manualVentRemainingSec || 0) + Number(value) * 60;
+            } else if (command === 'stop_ventilation') {
+                state.manualVentRemainingSec = 0;
+            } else {
+                return jsonResponse({ error: `Unknown command: ${command}` }, 400);
+            }
+            state.updatedAt = new Date().toISOString();
+            this.commandCount++;
+            return { success: true, commandId: `fixture-${this.commandCount}`, command, value, queuedAt: state.updatedAt };
+        }
+
+        return this.commandState;
+    }
+
+    async _climate(params) {
+        const { analyses } = await this._load('PacificNWClimateAnalyzer');
+        const type = params.get('type') || 'seasonal';
+        return analyses[type] || { error: `No recorded ${type} analysis`, message: 'Fixture mode only includes the recorded analysis types' };
+    }
+}
+
+export function createTransport(mode = getTransportMode()) {
+    return mode === 'fixtures' ? new FixtureTransport() : new HttpTransport();
+}
+
+let activeTransport = null;
+
+// Created on first use so CONFIG.transport has been resolved by then
+export function getTransport() {
+    if (!activeTransport) {
+        activeTransport = createTransport();
+        console.log(`Transport: Using ${activeTransport.name} transport`);
+    }
+    return activeTransport;
+}
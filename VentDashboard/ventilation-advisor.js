@@ -0,0 +1,265 @@
+// Ventilation Advisor Module
+// Looks ahead 24 hours for the best times to run the fan. The ESP32's
+// enhancedForecast only gives the day's high, humidity and rain chance, so the
+// outdoor temperature is modelled as a daily curve (coolest around 06:00,
+// warmest around 15:00) through the forecast high, pinned to the current
+// reading and drifting back to the curve over a few hours. The outdoor dew point
+// moves from the current one towards the forecast's.
+//
+// An hour is worth ventilating when outside is cooler by the weather card's
+// margin without being more humid, or clearly drier without being warmer. How
+// much it helps comes from this device's own past fan runs: the effectiveness
+// sessions calculateVentilationEffectiveness() finds in the chart history are
+// kept per device, giving a cooling rate and an hour-of-day factor.
+
+import { dewPointF } from './humidity-analysis.js';
+
+const STORAGE_KEY_PREFIX = 'ventilation_effectiveness:'; // + device id
+const HOUR_MS = 60 * 60 * 1000;
+const HISTORY_MS = 14 * 24 * HOUR_MS; // Sessions older than this are dropped
+const COOLEST_HOUR = 6;
+const WARMEST_HOUR = 15;
+const DEFAULT_SWING_F = 9; // Half the usual day/night range when the forecast cannot tell
+const ANCHOR_HOURS = 4; // The current reading's offset from the curve fades over about this long
+const DEW_POINT_BLEND_HOURS = 12; // Current outdoor dew point -> forecast dew point
+const COOLER_BY_F = 3; // Same margin as the weather card's "cooler outside"
+const MAX_OUTDOOR_F = 75;
+const MORE_HUMID_BY_F = 2; // Outdoor dew point this far above indoor brings moisture in
+const DRIER_BY_F = 5;
+const DEFAULT_COOLING_RATE = 0.15; // °F indoor drop per hour per °F of indoor − outdoor, 4500 CFM with losses
+const MIN_SESSIONS = 3; // Fewer past runs than this and the defaults are used
+
+const fahrenheit = celsius => celsius * 9 / 5 + 32;
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = sorted.length >> 1;
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// -1 at the coolest hour, +1 at the warmest, for a time of day in hours
+function dailyShape(hour) {
+    if (hour >= COOLEST_HOUR && hour < WARMEST_HOUR) {
+        return -Math.cos(Math.PI * (hour - COOLEST_HOUR) / (WARMEST_HOUR - COOLEST_HOUR));
+    }
+    const sinceWarmest = (hour - WARMEST_HOUR + 24) % 24;
+    return Math.cos(Math.PI * sinceWarmest / (24 - WARMEST_HOUR + COOLEST_HOUR));
+}
+
+const hourOfDay = time => {
+    const date = new Date(time);
+    return date.getHours() + date.getMinutes() / 60;
+};
+
+/**
+ * Hourly outdoor outlook, starting with the current hour
+ * @param {Object} conditions
+ * @param {number} conditions.outdoorF - Current outdoor temperature
+ * @param {number|null} conditions.outdoorDewPointF
+ * @param {Object} [conditions.forecast] - enhancedForecast: { valid, temperature (°C high), humidity, precipitationProb }
+ * @param {number} [now]
+ * @param {number} [hours]
+ * @returns {Array<{start: number, end: number, outdoorF: number, dewPointF: number|null}>}
+ */
+export function outdoorOutlook({ outdoorF, outdoorDewPointF, forecast }, now = Date.now(), hours = 24) {
+    const hasForecast = forecast && forecast.valid && typeof forecast.temperature === 'number';
+    const highF = hasForecast ? fahrenheit(forecast.temperature) : null;
+    const shapeNow = dailyShape(hourOfDay(now));
+
+    // Fit the swing to the gap between now and the high while that gap says something
+    let swing = DEFAULT_SWING_F;
+    if (hasForecast && 1 - shapeNow > 0.5) swing = Math.min(12, Math.max(3, (highF - outdoorF) / (1 - shapeNow)));
+    const mean = hasForecast ? highF - swing : outdoorF - swing * shapeNow;
+    const offset = outdoorF - (mean + swing * shapeNow);
+
+    const forecastDewPoint = hasForecast ? dewPointF(highF, forecast.humidity) : null;
+    const outlook = [];
+    const firstHour = new Date(now);
+    firstHour.setMinutes(0, 0, 0);
+    for (let i = 0; i < hours; i++) {
+        const start = i === 0 ? now : firstHour.getTime() + i * HOUR_MS;
+        const end = firstHour.getTime() + (i + 1) * HOUR_MS;
+        const middle = (start + end) / 2;
+        const ahead = (middle - now) / HOUR_MS;
+        const dewPoint = outdoorDewPointF === null || forecastDewPoint === null
+            ? outdoorDewPointF
+            : outdoorDewPointF + (forecastDewPoint - outdoorDewPointF) * Math.min(1, ahead / DEW_POINT_BLEND_HOURS);
+        outlook.push({
+            start,
+            end,
+            outdoorF: mean + swing * dailyShape(hourOfDay(middle)) + offset * Math.exp(-ahead / ANCHOR_HOURS),
+            dewPointF: dewPoint
+        });
+    }
+    return outlook;
+}
+
+export class VentilationAdvisor {
+    /**
+     * @param {Object} options
+     * @param {string} options.deviceId - Effectiveness history is stored per device
+     * @param {Storage} [options.storage]
+     */
+    constructor({ deviceId, storage = localStorage }) {
+        this.storage = storage;
+        this.setDevice(deviceId);
+    }
+
+    setDevice(deviceId) {
+        this.deviceId = deviceId;
+        this.storageKey = `${STORAGE_KEY_PREFIX}${deviceId}`;
+        this.sessions = this._load(); // Oldest first
+    }
+
+    /**
+     * Keeps the finished fan sessions from a calculateVentilationEffectiveness() result
+     * @param {Array} points - { x: Date, y: percentage, sessionData }
+     * @param {number} [now]
+     */
+    recordEffectiveness(points, now = Date.now()) {
+        const byHour = new Map(this.sessions.map(session => [session.time, session]));
+        points.forEach(point => {
+            const session = point.sessionData;
+            if (!session || session.isOngoing || !Number.isFinite(point.y)) return;
+            const time = new Date(point.x).getTime() - HOUR_MS / 2; // Points sit mid-hour
+            byHour.set(time, {
+                time,
+                percentage: point.y,
+                fanMinutes: session.fanMinutes,
+                tempDifferential: session.tempDifferential,
+                actualReduction: session.actualReduction
+            });
+        });
+        this.sessions = [...byHour.values()].filter(session => now - session.time < HISTORY_MS).sort((a, b) => a.time - b.time);
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(this.sessions));
+        } catch (error) {
+            console.warn('VentilationAdvisor: Could not save effectiveness history:', error);
+        }
+    }
+
+    /**
+     * What past fan runs say about this house
+     * @returns {{sessions: number, coolingRate: number, learnedRate: boolean, hourFactors: Object}}
+     *   hourFactors maps an hour of day to how runs then compared with the average
+     */
+    learned() {
+        const cooling = this.sessions.filter(session => session.tempDifferential >= 2 && session.fanMinutes >= 30 && session.actualReduction > 0);
+        const learnedRate = cooling.length >= MIN_SESSIONS;
+        const coolingRate = learnedRate
+            ? Math.min(0.5, Math.max(0.02, median(cooling.map(session => session.actualReduction / (session.tempDifferential * session.fanMinutes / 60)))))
+            : DEFAULT_COOLING_RATE;
+
+        const hourFactors = {};
+        if (this.sessions.length >= MIN_SESSIONS) {
+            const average = this.sessions.reduce((sum, session) => sum + session.percentage, 0) / this.sessions.length;
+            const byHour = new Map();
+            this.sessions.forEach(session => {
+                const hour = new Date(session.time).getHours();
+                byHour.set(hour, [...(byHour.get(hour) || []), session.percentage]);
+            });
+            byHour.forEach((percentages, hour) => {
+                if (percentages.length < 2 || !(average > 0)) return;
+                const mean = percentages.reduce((sum, value) => sum + value, 0) / percentages.length;
+                hourFactors[hour] = Math.min(1.3, Math.max(0.7, mean / average));
+            });
+        }
+        return { sessions: this.sessions.length, coolingRate, learnedRate, hourFactors };
+    }
+
+    /**
+     * The best fan windows in the next hours, soonest first
+     * @param {Object} conditions
+     * @param {number} conditions.indoorF
+     * @param {number|null} conditions.indoorHumidity
+     * @param {number} conditions.outdoorF
+     * @param {number|null} conditions.outdoorHumidity
+     * @param {Object} [conditions.forecast] - enhancedForecast
+     * @param {number} [conditions.minIndoorF] - Do not recommend cooling the house below this
+     * @param {Object} [options]
+     * @param {number} [options.now]
+     * @param {number} [options.hours]
+     * @param {number} [options.limit]
+     * @returns {Array<{start: number, end: number, kind: string, score: number, expectedDropF: number,
+     *   averageDeltaF: number, lowestOutdoorF: number, reasons: string[]}>} kind is 'cooling' or 'drying'
+     */
+    recommend(conditions, { now = Date.now(), hours = 24, limit = 3 } = {}) {
+        const { indoorF, indoorHumidity, outdoorF, outdoorHumidity, forecast, minIndoorF = -Infinity } = conditions;
+        if (typeof indoorF !== 'number' || typeof outdoorF !== 'number') return [];
+        const indoorDewPoint = dewPointF(indoorF, indoorHumidity);
+        const outlook = outdoorOutlook({ outdoorF, outdoorDewPointF: dewPointF(outdoorF, outdoorHumidity), forecast }, now, hours);
+        const { coolingRate, hourFactors } = this.learned();
+        const rainChance = forecast && forecast.valid && typeof forecast.precipitationProb === 'number' ? forecast.precipitationProb : 0;
+        const rainFactor = 1 - Math.min(100, Math.max(0, rainChance)) / 200;
+
+        // The house is assumed to hold its temperature except while the fan cools it
+        let houseF = indoorF;
+        const rated = outlook.map(hour => {
+            const deltaF = houseF - hour.outdoorF;
+            const dewPointGap = indoorDewPoint === null || hour.dewPointF === null ? null : hour.dewPointF - indoorDewPoint;
+            const factor = (hourFactors[new Date(hour.start).getHours()] || 1) * rainFactor;
+            const hourShare = (hour.end - hour.start) / HOUR_MS;
+            let kind = null;
+            let benefit = 0;
+            if (deltaF >= COOLER_BY_F && hour.outdoorF < MAX_OUTDOOR_F && houseF > minIndoorF
+                && (dewPointGap === null || dewPointGap <= MORE_HUMID_BY_F)) {
+                kind = 'cooling';
+                benefit = Math.min(coolingRate * deltaF * hourShare, houseF - minIndoorF);
+                houseF -= benefit;
+            } else if (dewPointGap !== null && dewPointGap <= -DRIER_BY_F && deltaF > -2 && indoorHumidity > 50) {
+                kind = 'drying';
+                benefit = 0.02 * -dewPointGap * hourShare;
+            }
+            return { ...hour, kind, deltaF, dewPointGap, benefit, score: benefit * factor };
+        });
+
+        // Consecutive good hours of the same kind make one window
+        const windows = [];
+        rated.forEach(hour => {
+            const last = windows[windows.length - 1];
+            if (!hour.kind) return;
+            if (last && last.kind === hour.kind && last.end === hour.start) last.hours.push(hour);
+            else windows.push({ kind: hour.kind, start: hour.start, end: hour.end, hours: [hour] });
+            windows[windows.length - 1].end = hour.end;
+        });
+
+        const reasonsFor = window => {
+            const reasons = [];
+            const deltas = window.hours.map(hour => hour.deltaF);
+            if (window.kind === 'cooling') reasons.push(`outside ${Math.round(Math.min(...deltas))}-${Math.round(Math.max(...deltas))}°F cooler`);
+            const gaps = window.hours.map(hour => hour.dewPointGap).filter(gap => gap !== null);
+            if (gaps.length > 0) {
+                const gap = gaps.reduce((sum, value) => sum + value, 0) / gaps.length;
+                reasons.push(gap <= -1 ? `drier air (dew point ${Math.round(-gap)}°F lower)` : 'no more humid than inside');
+            }
+            if (window.hours.some(hour => hourFactors[new Date(hour.start).getHours()] > 1.05)) reasons.push('past runs at this time worked well');
+            if (rainChance >= 50) reasons.push(`${Math.round(rainChance)}% rain chance`);
+            return reasons;
+        };
+
+        return windows
+            .map(window => ({
+                start: window.start,
+                end: window.end,
+                kind: window.kind,
+                score: window.hours.reduce((sum, hour) => sum + hour.score, 0),
+                expectedDropF: window.kind === 'cooling' ? window.hours.reduce((sum, hour) => sum + hour.benefit, 0) : 0,
+                averageDeltaF: window.hours.reduce((sum, hour) => sum + hour.deltaF, 0) / window.hours.length,
+                lowestOutdoorF: Math.min(...window.hours.map(hour => hour.outdoorF)),
+                reasons: reasonsFor(window)
+            }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit)
+            .sort((a, b) => a.start - b.start);
+    }
+
+    _load() {
+        try {
+            const saved = JSON.parse(this.storage.getItem(this.storageKey) || '[]');
+            return Array.isArray(saved) ? saved.filter(session => session && Number.isFinite(session.time)) : [];
+        } catch (error) {
+            console.warn('VentilationAdvisor: Ignoring unreadable effectiveness history:', error);
+            return [];
+        }
+    }
+}
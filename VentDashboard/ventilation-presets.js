@@ -0,0 +1,214 @@
+// Ventilation Presets Module
+// Named one-tap scenes for the control card, e.g. "Summer night flush". A preset
+// bundles a fan start temperature, a manual ventilation duration and an optional
+// revert that puts the earlier fan start back at a clock time or when the manual
+// time runs out. expandPreset() turns one into the commands still needed given
+// what the device is doing, so tapping a preset twice does not stack minutes.
+//
+// Presets are saved per signed-in user, like alert rules. A pending revert
+// belongs to the device it was applied to and lives in localStorage, so any open
+// dashboard tab can send it when it falls due.
+
+import { parseClock } from './alert-rules.js';
+
+const STORAGE_KEY_PREFIX = 'ventilation_presets:'; // + user email
+const REVERT_STORAGE_KEY_PREFIX = 'ventilation_preset_revert:'; // + device id
+const FAN_START_MIN_F = 55; // Same range setFanTempStart() accepts
+const FAN_START_MAX_F = 90;
+const MAX_MINUTES = 120; // The firmware caps manual time at two hours
+
+export function defaultPresets() {
+    const preset = (id, name, fanStartTempF, minutes, revertAt) => ({ id, name, fanStartTempF, minutes, revertAt });
+    return [
+        preset('summer-night-flush', 'Summer night flush', 62, 60, '07:00'),
+        preset('workshop-sanding', 'Workshop sanding — 90 min', null, 90, null),
+        preset('away-mode', 'Away mode', 85, 0, null)
+    ];
+}
+
+/**
+ * Lists everything wrong with a preset (empty array when it can be saved)
+ * @param {Object} preset
+ * @param {string} preset.name
+ * @param {number|null} preset.fanStartTempF - null leaves the setting alone
+ * @param {number} preset.minutes - Manual ventilation to have left; 0 for none
+ * @param {string|null} preset.revertAt - 'HH:MM', 'end' (when the minutes run out) or null
+ * @returns {string[]}
+ */
+export function validatePreset(preset) {
+    const problems = [];
+    if (!preset || typeof preset !== 'object') return ['Preset is missing'];
+    if (!preset.name || !String(preset.name).trim()) problems.push('Name the preset');
+    const hasFanStart = preset.fanStartTempF !== null && preset.fanStartTempF !== undefined;
+    if (hasFanStart && !(preset.fanStartTempF >= FAN_START_MIN_F && preset.fanStartTempF <= FAN_START_MAX_F)) {
+        problems.push(`Fan start must be ${FAN_START_MIN_F}-${FAN_START_MAX_F}°F`);
+    }
+    if (!(Number.isInteger(preset.minutes) && preset.minutes >= 0 && preset.minutes <= MAX_MINUTES)) {
+        problems.push(`Minutes must be a whole number from 0 to ${MAX_MINUTES}`);
+    }
+    if (!hasFanStart && !(preset.minutes > 0)) problems.push('Set a fan start, some minutes, or both');
+    if (preset.revertAt) {
+        if (!hasFanStart) problems.push('Only a fan start setting can be reverted');
+        if (preset.revertAt === 'end' ? !(preset.minutes > 0) : parseClock(preset.revertAt) === null) {
+            problems.push(preset.revertAt === 'end' ? 'Reverting when the minutes end needs some minutes' : 'Revert time must be HH:MM');
+        }
+    }
+    return problems;
+}
+
+// The next time the clock reads 'HH:MM', after now
+function nextClockTime(clock, now) {
+    const time = new Date(now);
+    time.setHours(0, parseClock(clock), 0, 0);
+    if (time.getTime() <= now) time.setDate(time.getDate() + 1);
+    return time.getTime();
+}
+
+/**
+ * The commands a preset still needs, given what the device will be doing once
+ * its pending commands apply
+ * @param {Object} preset
+ * @param {Object} control
+ * @param {number} control.fanStartTempF - Current (or already queued) setting
+ * @param {number} control.manualRemainingSec - Manual fan time expected to be left
+ * @param {number} [now]
+ * @returns {{steps: Array<{command: string, value: number}>, revert: Object|null}} The
+ *   revert, when there is one, is { fanStartTempF (to restore), presetFanStartTempF, dueAt }
+ */
+export function expandPreset(preset, control, now = Date.now()) {
+    const steps = [];
+    const hasFanStart = preset.fanStartTempF !== null && preset.fanStartTempF !== undefined;
+    if (hasFanStart && Number(preset.fanStartTempF) !== Number(control.fanStartTempF)) {
+        steps.push({ command: 'set_fan_start_temp', value: Number(preset.fanStartTempF) });
+    }
+    const missingMinutes = Math.ceil((preset.minutes * 60 - (control.manualRemainingSec || 0)) / 60);
+    if (preset.minutes > 0 && missingMinutes > 0) steps.push({ command: 'add_minutes', value: missingMinutes });
+
+    let revert = null;
+    if (hasFanStart && preset.revertAt && Number(preset.fanStartTempF) !== Number(control.fanStartTempF)) {
+        revert = {
+            fanStartTempF: Number(control.fanStartTempF),
+            presetFanStartTempF: Number(preset.fanStartTempF),
+            dueAt: preset.revertAt === 'end'
+                ? now + Math.max(preset.minutes * 60, control.manualRemainingSec || 0) * 1000
+                : nextClockTime(preset.revertAt, now)
+        };
+    }
+    return { steps, revert };
+}
+
+export class PresetStore {
+    /**
+     * @param {Object} options
+     * @param {string} options.userKey - Presets are stored per user (email)
+     * @param {string} options.deviceId - Pending reverts are stored per device
+     * @param {Storage} [options.storage]
+     */
+    constructor({ userKey, deviceId, storage = localStorage }) {
+        this.storageKey = `${STORAGE_KEY_PREFIX}${userKey || 'anonymous'}`;
+        this.storage = storage;
+        this.presets = this._load();
+        this.setDevice(deviceId);
+    }
+
+    setDevice(deviceId) {
+        this.deviceId = deviceId;
+        this.revertKey = `${REVERT_STORAGE_KEY_PREFIX}${deviceId}`;
+    }
+
+    getPresets() {
+        return this.presets.map(preset => ({ ...preset }));
+    }
+
+    getPreset(id) {
+        const preset = this.presets.find(item => item.id === id);
+        return preset ? { ...preset } : null;
+    }
+
+    /**
+     * Adds a preset, or replaces the one with the same id
+     * @param {Object} preset
+     * @returns {string[]} Problems; the preset is only saved when there are none
+     */
+    savePreset(preset) {
+        const problems = validatePreset(preset);
+        if (problems.length > 0) return problems;
+        const saved = {
+            ...preset,
+            id: preset.id || `preset-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            name: preset.name.trim()
+        };
+        const index = this.presets.findIndex(existing => existing.id === saved.id);
+        if (index >= 0) {
+            this.presets[index] = saved;
+        } else {
+            this.presets.push(saved);
+        }
+        this._store();
+        return [];
+    }
+
+    // expandPreset(), for callers that only hold the store
+    expand(preset, control, now = Date.now()) {
+        return expandPreset(preset, control, now);
+    }
+
+    deletePreset(id) {
+        this.presets = this.presets.filter(preset => preset.id !== id);
+        this._store();
+    }
+
+    resetToDefaults() {
+        this.storage.removeItem(this.storageKey);
+        this.presets = defaultPresets();
+    }
+
+    // The revert waiting to be sent for the current device, or null
+    getRevert() {
+        try {
+            const revert = JSON.parse(this.storage.getItem(this.revertKey) || 'null');
+            return revert && Number.isFinite(revert.dueAt) ? revert : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Remembers a revert for the current device. When one is already waiting,
+     * the setting it restores is kept: that is the one from before any preset.
+     * @param {Object} revert - From expandPreset(), plus presetId, presetName and user
+     */
+    setRevert(revert) {
+        const earlier = this.getRevert();
+        const saved = earlier ? { ...revert, fanStartTempF: earlier.fanStartTempF } : revert;
+        this.storage.setItem(this.revertKey, JSON.stringify(saved));
+    }
+
+    clearRevert() {
+        this.storage.removeItem(this.revertKey);
+    }
+
+    // A revert whose time has come, or null
+    dueRevert(now = Date.now()) {
+        const revert = this.getRevert();
+        return revert && revert.dueAt <= now ? revert : null;
+    }
+
+    _load() {
+        const raw = this.storage.getItem(this.storageKey);
+        if (raw) {
+            try {
+                const stored = JSON.parse(raw);
+                if (Array.isArray(stored)) return stored.filter(preset => validatePreset(preset).length === 0);
+            } catch (error) {
+                // Fall through to the warning below
+            }
+            console.warn(`PresetStore: Ignoring localStorage['${this.storageKey}'] - not a list of presets`);
+        }
+        return defaultPresets();
+    }
+
+    _store() {
+        this.storage.setItem(this.storageKey, JSON.stringify(this.presets));
+    }
+}
@@ -0,0 +1,358 @@
+// Ventilation Schedules Module
+// Weekly time-of-day fan programs for one device. The device only understands
+// set_fan_start_temp and add_minutes, so a schedule becomes a sequence of those
+// commands: a "ventilate" window keeps manual fan time topped up in blocks,
+// "hold off" and "fan start" windows change the fan start temperature and put
+// the earlier setting back when they end, unless someone changed it meanwhile. An optional condition on any alert
+// metric (e.g. indoor − outdoor above 3 °F) gates a window. A schedule with an
+// expiresAt time is a one-off (the advisor's "schedule this"): it runs no window
+// starting after then, and pruneExpired() removes it once it is over.
+//
+// Every change is saved as a new numbered version per device, so an earlier
+// program can be restored. Schedules live in this browser's localStorage and
+// there is no server-side runner: commands are sent by whichever dashboard tab
+// is open in this browser when a step falls due, and a step that falls due with
+// no tab open is not sent. The run log lives in localStorage too, so a second
+// tab sees what the first already sent.
+
+import { parseClock, ALERT_OPERATORS } from './alert-rules.js';
+
+const STORAGE_KEY_PREFIX = 'ventilation_schedules:'; // + device id
+const RUNS_STORAGE_KEY_PREFIX = 'ventilation_schedule_runs:'; // + device id
+const MAX_VERSIONS = 20;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const VENTILATE_BLOCK_MINUTES = 20; // Same block as the +20 minutes button
+const TOP_UP_BELOW_MINUTES = 5; // Queue the next block once this little manual time is left
+const RESEND_AFTER_MS = 2 * 60 * 1000; // The device polls every 30 s; give a sent step time to show up in the state
+const FAN_START_MIN_F = 55; // Same range setFanTempStart() accepts
+const FAN_START_MAX_F = 90;
+
+export const SCHEDULE_ACTIONS = {
+    ventilate: { label: 'Run the fan' },
+    hold_off: { label: 'Keep the fan off' }, // Fan start raised to the top of its range
+    fan_start: { label: 'Set fan start to', unit: '°F' }
+};
+
+/**
+ * Lists everything wrong with a schedule (empty array when it can be saved)
+ * @param {Object} schedule
+ * @returns {string[]}
+ */
+export function validateSchedule(schedule) {
+    const problems = [];
+    if (!schedule || typeof schedule !== 'object') return ['Schedule is missing'];
+    if (!schedule.name || !String(schedule.name).trim()) problems.push('Name the schedule');
+    if (!Array.isArray(schedule.days) || schedule.days.length === 0 || schedule.days.some(day => !(day >= 0 && day <= 6))) {
+        problems.push('Pick at least one day');
+    }
+    const start = parseClock(schedule.start);
+    const end = parseClock(schedule.end);
+    if (start === null || end === null) problems.push('Start and end need a time (HH:MM)');
+    else if (start === end) problems.push('Start and end cannot be the same time');
+    if (!SCHEDULE_ACTIONS[schedule.action]) problems.push('Pick what the schedule does');
+    if (schedule.action === 'fan_start' && !(schedule.value >= FAN_START_MIN_F && schedule.value <= FAN_START_MAX_F)) {
+        problems.push(`Fan start must be ${FAN_START_MIN_F}-${FAN_START_MAX_F}°F`);
+    }
+    if (schedule.expiresAt !== undefined && schedule.expiresAt !== null && !Number.isFinite(schedule.expiresAt)) {
+        problems.push('A one-off schedule needs the time it ends');
+    }
+    if (schedule.condition) {
+        const { metric, operator, value } = schedule.condition;
+        if (!metric) problems.push('Pick the metric the condition watches');
+        if (!ALERT_OPERATORS[operator]) problems.push('Pick a condition');
+        else if (ALERT_OPERATORS[operator].numeric && !Number.isFinite(value)) problems.push('The condition needs a number');
+        else if (!ALERT_OPERATORS[operator].numeric && !String(value || '').trim()) problems.push('The condition needs at least one value');
+    }
+    return problems;
+}
+
+/**
+ * Occurrences of a schedule that overlap a time range; a window ending at or
+ * before its start time runs past midnight into the next day
+ * @param {Object} schedule
+ * @param {number} from - Epoch ms
+ * @param {number} to - Epoch ms
+ * @returns {Array<{start: number, end: number}>} Oldest first
+ */
+export function scheduleWindows(schedule, from, to) {
+    const start = parseClock(schedule.start);
+    const end = parseClock(schedule.end);
+    if (start === null || end === null || start === end) return [];
+    const windows = [];
+    const day = new Date(from - DAY_MS);
+    day.setHours(0, 0, 0, 0);
+    for (; day.getTime() <= to; day.setDate(day.getDate() + 1)) {
+        if (!schedule.days.includes(day.getDay())) continue;
+        const windowStart = new Date(day);
+        windowStart.setHours(0, start, 0, 0);
+        if (schedule.expiresAt && windowStart.getTime() >= schedule.expiresAt) continue;
+        const windowEnd = new Date(day);
+        if (end <= start) windowEnd.setDate(windowEnd.getDate() + 1);
+        windowEnd.setHours(0, end, 0, 0);
+        if (windowEnd.getTime() > from && windowStart.getTime() < to) {
+            windows.push({ start: windowStart.getTime(), end: windowEnd.getTime() });
+        }
+    }
+    return windows;
+}
+
+function conditionMet(condition, valueOf) {
+    if (!condition) return true;
+    const value = valueOf(condition.metric);
+    if (value === null || value === undefined) return false; // Unknown counts as not met
+    if (condition.operator === 'above') return value > condition.value;
+    if (condition.operator === 'below') return value < condition.value;
+    const wanted = String(condition.value).split(',').map(item => item.trim().toUpperCase()).filter(Boolean);
+    return wanted.includes(String(value).toUpperCase());
+}
+
+function targetFanStart(schedule) {
+    return schedule.action === 'hold_off' ? FAN_START_MAX_F : Number(schedule.value);
+}
+
+export class VentilationScheduler {
+    /**
+     * @param {Object} options
+     * @param {string} options.deviceId - Schedules are stored per device
+     * @param {Storage} [options.storage]
+     */
+    constructor({ deviceId, storage = localStorage }) {
+        this.storage = storage;
+        this.setDevice(deviceId);
+    }
+
+    setDevice(deviceId) {
+        this.deviceId = deviceId;
+        this.storageKey = `${STORAGE_KEY_PREFIX}${deviceId}`;
+        this.runsStorageKey = `${RUNS_STORAGE_KEY_PREFIX}${deviceId}`;
+        this.versions = this._load();
+    }
+
+    getSchedules() {
+        const current = this.versions[this.versions.length - 1];
+        return current ? current.schedules.map(schedule => ({ ...schedule, days: [...schedule.days] })) : [];
+    }
+
+    // 0 until the first save
+    getVersion() {
+        const current = this.versions[this.versions.length - 1];
+        return current ? current.version : 0;
+    }
+
+    // [{ version, savedAt, savedBy, note, count }], newest first
+    listVersions() {
+        return this.versions
+            .map(({ version, savedAt, savedBy, note, schedules }) => ({ version, savedAt, savedBy, note, count: schedules.length }))
+            .reverse();
+    }
+
+    /**
+     * Adds a schedule, or replaces the one with the same id, as a new version
+     * @param {Object} schedule
+     * @param {string} user - Recorded with the version
+     * @returns {string[]} Problems; nothing is saved when there are any
+     */
+    saveSchedule(schedule, user) {
+        const problems = validateSchedule(schedule);
+        if (problems.length > 0) return problems;
+        const saved = {
+            ...schedule,
+            id: schedule.id || `schedule-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            name: String(schedule.name).trim(),
+            days: [...new Set(schedule.days)].sort()
+        };
+        const schedules = this.getSchedules();
+        const index = schedules.findIndex(existing => existing.id === saved.id);
+        if (index >= 0) schedules[index] = saved;
+        else schedules.push(saved);
+        this._commit(schedules, user, `${index >= 0 ? 'Edited' : 'Added'} "${saved.name}"`);
+        return [];
+    }
+
+    deleteSchedule(id, user) {
+        const schedules = this.getSchedules();
+        const removed = schedules.find(schedule => schedule.id === id);
+        if (!removed) return;
+        this._commit(schedules.filter(schedule => schedule.id !== id), user, `Deleted "${removed.name}"`);
+    }
+
+    setScheduleEnabled(id, enabled, user) {
+        const schedules = this.getSchedules();
+        const schedule = schedules.find(item => item.id === id);
+        if (!schedule || schedule.enabled === enabled) return;
+        schedule.enabled = enabled;
+        this._commit(schedules, user, `${enabled ? 'Enabled' : 'Paused'} "${schedule.name}"`);
+    }
+
+    // Removes one-off schedules whose time has passed, as a new version; false when there were none
+    pruneExpired(now = Date.now(), user = 'dashboard') {
+        const schedules = this.getSchedules();
+        const finished = schedules.filter(schedule => schedule.expiresAt && schedule.expiresAt <= now);
+        if (finished.length === 0) return false;
+        this._commit(schedules.filter(schedule => !finished.includes(schedule)), user,
+            `Removed finished ${finished.map(schedule => `"${schedule.name}"`).join(', ')}`);
+        return true;
+    }
+
+    // Makes an earlier version current again, as a new version
+    restoreVersion(version, user) {
+        const earlier = this.versions.find(item => item.version === version);
+        if (!earlier) return false;
+        this._commit(earlier.schedules, user, `Restored version ${version}`);
+        return true;
+    }
+
+    /**
+     * Planned commands for the preview, from now on
+     * @param {number} [now]
+     * @param {number} [hours]
+     * @returns {Array<{time: number, scheduleId: string, scheduleName: string, description: string, conditional: boolean}>} Soonest first
+     */
+    upcoming(now = Date.now(), hours = 24) {
+        const steps = [];
+        this.getSchedules().filter(schedule => schedule.enabled).forEach(schedule => {
+            scheduleWindows(schedule, now, now + hours * 60 * 60 * 1000).forEach(occurrence => {
+                const step = (time, description) => steps.push({
+                    time, scheduleId: schedule.id, scheduleName: schedule.name, description, conditional: !!schedule.condition
+                });
+                if (schedule.action === 'ventilate') {
+                    if (occurrence.start >= now) step(occurrence.start, `Start the fan (+${VENTILATE_BLOCK_MINUTES} min blocks)`);
+                    step(occurrence.end, 'Stop topping up fan time');
+                } else {
+                    if (occurrence.start >= now) step(occurrence.start, `Fan start → ${targetFanStart(schedule).toFixed(1)}°F`);
+                    step(occurrence.end, 'Fan start back to the earlier setting');
+                }
+            });
+        });
+        return steps.sort((a, b) => a.time - b.time);
+    }
+
+    /**
+     * Commands that should go out now
+     * @param {Object} control - { fanStartTempF, manualRemainingSec } from the VentilationCommand state
+     * @param {Function} valueOf - metric key -> current value, for conditions (GlobalAlertEngine.currentValue)
+     * @param {number} [now]
+     * @returns {Array<{scheduleId: string, scheduleName: string, phase: string, command: string, value: number, windowStart: number, windowEnd: number}>}
+     *   phase is 'start', 'topup' or 'restore'; hand each to markSent() once queued
+     */
+    due(control, valueOf, now = Date.now()) {
+        const runs = this._loadRuns();
+        const pending = run => run && run.lastSentAt && now - run.lastSentAt < RESEND_AFTER_MS;
+        const steps = [];
+
+        // Put the fan start back after a window ends, even if its schedule was deleted or paused meanwhile
+        Object.entries(runs).forEach(([scheduleId, run]) => {
+            if (run.restoreTo === null || run.restoreTo === undefined || now < run.windowEnd || pending(run)) return;
+            steps.push({
+                scheduleId, scheduleName: run.scheduleName, phase: 'restore', command: 'set_fan_start_temp', value: run.restoreTo,
+                windowStart: run.windowStart, windowEnd: run.windowEnd
+            });
+        });
+
+        this.getSchedules().filter(schedule => schedule.enabled).forEach(schedule => {
+            const run = runs[schedule.id];
+            if (pending(run) || steps.some(step => step.scheduleId === schedule.id)) return;
+            const active = scheduleWindows(schedule, now, now).find(item => item.start <= now && now < item.end);
+            if (!active || !conditionMet(schedule.condition, valueOf)) return;
+            const started = run && run.windowStart === active.start;
+            const step = { scheduleId: schedule.id, scheduleName: schedule.name, windowStart: active.start, windowEnd: active.end };
+
+            if (schedule.action === 'ventilate') {
+                const minutesLeft = Math.floor((active.end - now) / 60000);
+                if (control.manualRemainingSec < TOP_UP_BELOW_MINUTES * 60 && minutesLeft >= TOP_UP_BELOW_MINUTES) {
+                    steps.push({ ...step, phase: started ? 'topup' : 'start', command: 'add_minutes', value: Math.min(VENTILATE_BLOCK_MINUTES, minutesLeft) });
+                }
+            } else if (!started) {
+                const target = targetFanStart(schedule);
+                if (control.fanStartTempF !== target) {
+                    steps.push({ ...step, phase: 'start', command: 'set_fan_start_temp', value: target });
+                }
+            }
+        });
+        return steps;
+    }
+
+    /**
+     * Drops the restores of ended windows whose fan start was changed since the
+     * schedule set it, as a preset's revert is: putting the earlier setting back
+     * would undo that change. Call before due().
+     * @param {Object} control - { fanStartTempF } from the VentilationCommand state
+     * @param {number} [now]
+     * @returns {string[]} Names of the schedules whose restore was dropped
+     */
+    dropOverriddenRestores(control, now = Date.now()) {
+        const runs = this._loadRuns();
+        const dropped = Object.entries(runs).filter(([, run]) => run.restoreTo !== null && run.restoreTo !== undefined
+            && Number.isFinite(run.scheduledTo) && now >= run.windowEnd
+            && Number(control.fanStartTempF) !== run.scheduledTo);
+        if (dropped.length === 0) return [];
+        dropped.forEach(([scheduleId]) => delete runs[scheduleId]);
+        this.storage.setItem(this.runsStorageKey, JSON.stringify(runs));
+        return dropped.map(([, run]) => run.scheduleName);
+    }
+
+    /**
+     * Records a step from due() that was queued, so it is not sent again
+     * @param {Object} step
+     * @param {Object} control - State before the step, for the setting to restore
+     * @param {number} [now]
+     */
+    markSent(step, control, now = Date.now()) {
+        const runs = this._loadRuns();
+        if (step.phase === 'restore') {
+            delete runs[step.scheduleId];
+        } else {
+            const earlier = runs[step.scheduleId];
+            const setsFanStart = step.command === 'set_fan_start_temp';
+            const restoreTo = setsFanStart
+                ? (earlier && earlier.windowStart === step.windowStart ? earlier.restoreTo : control.fanStartTempF)
+                : null;
+            runs[step.scheduleId] = {
+                scheduleName: step.scheduleName,
+                windowStart: step.windowStart,
+                windowEnd: step.windowEnd,
+                restoreTo,
+                scheduledTo: setsFanStart ? Number(step.value) : null, // What the window set, to spot a later change
+                lastSentAt: now
+            };
+        }
+        this.storage.setItem(this.runsStorageKey, JSON.stringify(runs));
+    }
+
+    _commit(schedules, user, note) {
+        this.versions.push({
+            version: this.getVersion() + 1,
+            savedAt: new Date().toISOString(),
+            savedBy: user || 'unknown',
+            note,
+            schedules
+        });
+        this.versions = this.versions.slice(-MAX_VERSIONS);
+        this.storage.setItem(this.storageKey, JSON.stringify({ versions: this.versions }));
+    }
+
+    _load() {
+        const raw = this.storage.getItem(this.storageKey);
+        if (raw) {
+            try {
+                const stored = JSON.parse(raw);
+                if (stored && Array.isArray(stored.versions)) {
+                    return stored.versions.filter(item => item && Number.isInteger(item.version) && Array.isArray(item.schedules));
+                }
+            } catch (error) {
+                // Fall through to the warning below
+            }
+            console.warn(`VentilationScheduler: Ignoring localStorage['${this.storageKey}'] - not a schedule history`);
+        }
+        return [];
+    }
+
+    _loadRuns() {
+        try {
+            const runs = JSON.parse(this.storage.getItem(this.runsStorageKey) || '{}');
+            return runs && typeof runs === 'object' ? runs : {};
+        } catch (error) {
+            return {};
+        }
+    }
+}
@@ -0,0 +1,477 @@
+// Stand-in API Server
+// Local replacement for the Azure Functions so the live channel (live-channel.js)
+// can be developed end to end: serves the dashboard, answers the REST endpoints
+// from the recordings in fixtures/, and pushes synthesized telemetry, door
+// transitions and command acknowledgements over SSE and WebSocket.
+// Node built-ins only. It lives outside VentDashboard/ so the Static Web App
+// deploy never ships it. From the repository root:
+//
+//   node dev-server/stand-in-server.mjs [--port 8787] [--mode sse|websocket] [--telemetry-ms 15000]
+//
+// then open http://localhost:8787/dashboard.html. It listens on 127.0.0.1 only
+// and serves the page and API from one origin, so it sends no CORS headers.
+// The served config.json points apiBaseUrl at this server and switches "live"
+// on; the file on disk is untouched. Stop the server to watch the dashboard
+// fall back to polling.
+
+import { createServer } from 'node:http';
+import { createHash, randomUUID } from 'node:crypto';
+import { readFile } from 'node:fs/promises';
+import { extname, join, normalize } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = fileURLToPath(new URL('../VentDashboard/', import.meta.url));
+const FIXTURES = join(ROOT, 'fixtures');
+const HOST = '127.0.0.1'; // Never reachable from the network: there is no real auth here
+
+const HOUR_MS = 60 * 60 * 1000;
+const REBASE_STEP_MS = 30 * 60 * 1000; // Sampling interval of the recorded history
+const ISO_TIMESTAMP = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+const PING_MS = 15000; // Must stay well under LiveChannel's staleAfterMs
+const DOOR_EVENT_CHANCE = 0.25; // Per telemetry tick
+const DEVICE_POLL_MS = 5000; // How long a queued command waits for the "device"
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const TICKET_TTL_MS = 30000; // Stream tickets are single use and short lived (see live-channel.js)
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.ico': 'image/x-icon',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml'
+};
+
+function parseArgs(argv) {
+    const options = { port: 8787, mode: 'sse', telemetryMs: 15000 };
+    for (let i = 0; i < argv.length; i++) {
+        const [flag, value] = [argv[i], argv[i + 1]];
+        if (flag === '--port') options.port = Number(value);
+        else if (flag === '--mode') options.mode = value;
+        else if (flag === '--telemetry-ms') options.telemetryMs = Number(value);
+        else continue;
+        i++;
+    }
+    if (!['sse', 'websocket'].includes(options.mode)) throw new Error('--mode must be sse or websocket');
+    return options;
+}
+
+const options = parseArgs(process.argv.slice(2));
+
+// Same rebasing as FixtureTransport: recordings are shifted in whole sampling
+// steps so recordedAt lands on "now"
+function rebaseTimestamps(value, shiftMs) {
+    if (Array.isArray(value)) return value.map(item => rebaseTimestamps(item, shiftMs));
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, child]) => [key, rebaseTimestamps(child, shiftMs)]));
+    }
+    if (typeof value === 'string' && ISO_TIMESTAMP.test(value)) {
+        const time = Date.parse(value);
+        if (Number.isFinite(time)) return new Date(time + shiftMs).toISOString();
+    }
+    return value;
+}
+
+const recordings = new Map();
+
+async function loadRecording(name) {
+    if (!recordings.has(name)) {
+        recordings.set(name, JSON.parse(await readFile(join(FIXTURES, `${name}.json`), 'utf8')));
+    }
+    const recording = recordings.get(name);
+    const elapsed = Date.now() - Date.parse(recording.recordedAt);
+    return rebaseTimestamps(recording, Math.floor(elapsed / REBASE_STEP_MS) * REBASE_STEP_MS);
+}
+
+// Per-device state layered over the recordings: pushed readings, door
+// transitions and the command queue survive between requests
+const devices = new Map();
+
+async function getDevice(deviceId) {
+    if (!devices.has(deviceId)) {
+        const snapshot = await loadRecording('GetDashboardSnapshot');
+        const command = await loadRecording('VentilationCommand');
+        devices.set(deviceId, {
+            livePoints: [], // Newest first, like the history endpoint
+            doors: snapshot.status.doors.map(door => ({ ...door })),
+            doorEvents: [], // Pushed transitions, newest first
+            command: { state: { ...command.state } },
+            queue: [] // Commands the "device" has not picked up yet: { commandId, command, value, queuedAt, timer }
+        });
+    }
+    return devices.get(deviceId);
+}
+
+async function historyPoints(deviceId, hours, sinceMs = 0) {
+    const device = await getDevice(deviceId);
+    const { data } = await loadRecording('GetVentilationHistory');
+    const cutoff = Math.max(Date.now() - hours * HOUR_MS, sinceMs);
+    return [...device.livePoints, ...data].filter(point => Date.parse(point.timestamp) >= cutoff);
+}
+
+async function snapshot(deviceId, hours) {
+    const device = await getDevice(deviceId);
+    const { recordedAt, ...recorded } = await loadRecording('GetDashboardSnapshot');
+    const latest = new Map(recorded.latestDoorTransitions.map(event => [event.doorId, event]));
+    [...device.doorEvents].reverse().forEach(event => latest.set(event.doorId, event));
+    return {
+        ...recorded,
+        deviceId,
+        status: { ...recorded.status, deviceId, doors: device.doors },
+        history: await historyPoints(deviceId, hours),
+        latestDoorTransitions: [...latest.values()],
+        recentDoorEvents: [...device.doorEvents, ...recorded.recentDoorEvents]
+    };
+}
+
+// --- Live channel ---
+
+const clients = new Set(); // { deviceId, send(type, envelope), close() }
+
+function broadcast(deviceId, type, data) {
+    const envelope = JSON.stringify({ type, deviceId, data });
+    clients.forEach(client => {
+        if (client.deviceId === deviceId) client.send(type, envelope);
+    });
+}
+
+function randomWalk(value, step, digits = 1) {
+    return Number((value + (Math.random() - 0.5) * 2 * step).toFixed(digits));
+}
+
+async function pushTelemetry(deviceId) {
+    const device = await getDevice(deviceId);
+    const [previous] = await historyPoints(deviceId, 24);
+    const sensors = {};
+    Object.entries(previous.sensors).forEach(([location, reading]) => {
+        sensors[location] = {
+            temp: randomWalk(reading.temp, 0.3),
+            humidity: randomWalk(reading.humidity, 0.5),
+            pressure: randomWalk(reading.pressure, 0.1)
+        };
+    });
+    const point = { ...previous, timestamp: new Date().toISOString(), sensors };
+    device.livePoints.unshift(point);
+    device.livePoints = device.livePoints.filter(item => Date.parse(item.timestamp) >= Date.now() - 24 * HOUR_MS);
+    broadcast(deviceId, 'telemetry', { point, status: { timestamp: point.timestamp } });
+}
+
+async function pushDoorEvent(deviceId) {
+    const device = await getDevice(deviceId);
+    const door = device.doors[Math.floor(Math.random() * device.doors.length)];
+    door.open = !door.open;
+    if (door.open) door.wasOpenedToday = true;
+    const event = {
+        doorId: door.id - 1, // Events count doors from 0, status from 1
+        doorName: door.name,
+        opened: door.open,
+        timestamp: new Date().toISOString(),
+        detectionMethod: 'reed-switch'
+    };
+    device.doorEvents.unshift(event);
+    device.doorEvents.length = Math.min(device.doorEvents.length, 50);
+    broadcast(deviceId, 'door', { event, doors: device.doors });
+}
+
+function activeDeviceIds() {
+    return new Set([...clients].map(client => client.deviceId));
+}
+
+setInterval(() => {
+    activeDeviceIds().forEach(deviceId => {
+        pushTelemetry(deviceId).catch(error => console.error('Telemetry push failed:', error));
+        if (Math.random() < DOOR_EVENT_CHANCE) {
+            pushDoorEvent(deviceId).catch(error => console.error('Door push failed:', error));
+        }
+    });
+}, options.telemetryMs);
+
+setInterval(() => {
+    clients.forEach(client => client.send('ping', JSON.stringify({ type: 'ping', deviceId: client.deviceId })));
+}, PING_MS);
+
+// --- Stream tickets ---
+
+const tickets = new Map(); // ticket -> { deviceId, expiresAt }
+
+function issueTicket(req, deviceId) {
+    if (!/^Bearer \S+/.test(req.headers.authorization || '')) return [401, { error: 'Bearer token required' }];
+    const ticket = randomUUID();
+    tickets.set(ticket, { deviceId, expiresAt: Date.now() + TICKET_TTL_MS });
+    return [200, { ticket, expiresInSec: TICKET_TTL_MS / 1000 }];
+}
+
+// True once per issued ticket, for the device it was issued for
+function redeemTicket(ticket, deviceId) {
+    const entry = tickets.get(ticket);
+    tickets.delete(ticket);
+    tickets.forEach((item, key) => {
+        if (item.expiresAt < Date.now()) tickets.delete(key);
+    });
+    return Boolean(entry) && entry.deviceId === deviceId && entry.expiresAt >= Date.now();
+}
+
+function openEventStream(req, res, deviceId) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+    });
+    res.write('retry: 5000\n\n');
+    const client = {
+        deviceId,
+        send: (type, envelope) => res.write(`event: ${type}\ndata: ${envelope}\n\n`),
+        close: () => res.end()
+    };
+    clients.add(client);
+    console.log(`SSE client connected for ${deviceId} (${clients.size} open)`);
+    req.on('close', () => clients.delete(client));
+}
+
+// Minimal RFC 6455: text frames out, close frames in; nothing else is needed
+function websocketFrame(payload, opcode = 0x1) {
+    const body = Buffer.from(payload);
+    let header;
+    if (body.length < 126) {
+        header = Buffer.from([0x80 | opcode, body.length]);
+    } else if (body.length < 65536) {
+        header = Buffer.alloc(4);
+        header.writeUInt8(0x80 | opcode, 0);
+        header.writeUInt8(126, 1);
+        header.writeUInt16BE(body.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header.writeUInt8(0x80 | opcode, 0);
+        header.writeUInt8(127, 1);
+        header.writeBigUInt64BE(BigInt(body.length), 2);
+    }
+    return Buffer.concat([header, body]);
+}
+
+function openWebSocket(req, socket, deviceId) {
+    const key = req.headers['sec-websocket-key'];
+    if (!key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+    const accept = createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+
+    const client = {
+        deviceId,
+        send: (type, envelope) => socket.write(websocketFrame(envelope)),
+        close: () => socket.end(websocketFrame('', 0x8))
+    };
+    clients.add(client);
+    console.log(`WebSocket client connected for ${deviceId} (${clients.size} open)`);
+
+    socket.on('data', chunk => {
+        if ((chunk[0] & 0x0f) === 0x8) client.close(); // Close frame: answer and hang up
+    });
+    socket.on('close', () => clients.delete(client));
+    socket.on('error', () => clients.delete(client));
+}
+
+// --- REST endpoints ---
+
+async function readBody(req) {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const text = Buffer.concat(chunks).toString('utf8');
+    return text ? JSON.parse(text) : {};
+}
+
+const COMMANDS = ['set_fan_start_temp', 'add_minutes', 'stop_ventilation'];
+const MAX_MANUAL_VENT_SEC = 2 * 60 * 60; // The firmware caps manual time at two hours
+let nextCommandId = 1;
+
+// GET payload: the state, what is still waiting for the device and the commands
+// POST accepts. Listing pending and stop_ventilation is what tells the dashboard
+// it may offer Cancel/Change and Stop (see the contract in dashboard.js).
+function commandStatus(device) {
+    const pending = device.queue.map(({ commandId, command, value, queuedAt }) => ({ commandId, command, value, queuedAt }));
+    return { state: { ...device.command.state }, pendingCount: pending.length, pending, commands: COMMANDS };
+}
+
+function applyCommand(state, { command, value }) {
+    if (command === 'set_fan_start_temp') {
+        state.fanStartTempF = Number(value);
+    } else if (command === 'stop_ventilation') {
+        state.manualVentRemainingSec = 0;
+    } else {
+        const elapsed = state.updatedAt ? (Date.now() - Date.parse(state.updatedAt)) / 1000 : 0;
+        state.manualVentRemainingSec = Math.min(MAX_MANUAL_VENT_SEC,
+            Math.max(0, (state.manualVentRemainingSec || 0) - elapsed) + Number(value) * 60);
+    }
+    state.updatedAt = new Date().toISOString();
+}
+
+// The device picks queued commands up on its next poll, then the ACK is pushed.
+// Until then a command can be cancelled (DELETE) or given a new value (PATCH).
+async function queueCommand(deviceId, { command, value }) {
+    const device = await getDevice(deviceId);
+    if (!COMMANDS.includes(command)) {
+        return [400, { error: `Unknown command: ${command}` }];
+    }
+    const entry = { commandId: `cmd-${nextCommandId++}`, command, value, queuedAt: new Date().toISOString() };
+    entry.timer = setTimeout(() => {
+        device.queue = device.queue.filter(item => item !== entry);
+        applyCommand(device.command.state, entry);
+        broadcast(deviceId, 'command-ack', { commandId: entry.commandId, command, value: entry.value, ...commandStatus(device) });
+    }, DEVICE_POLL_MS);
+    device.queue.push(entry);
+    return [200, { success: true, commandId: entry.commandId, command, value, queuedAt: entry.queuedAt }];
+}
+
+async function cancelCommand(deviceId, commandId) {
+    const device = await getDevice(deviceId);
+    const entry = device.queue.find(item => item.commandId === commandId);
+    if (!entry) return [409, { error: 'Command already picked up by the device' }];
+    clearTimeout(entry.timer);
+    device.queue = device.queue.filter(item => item !== entry);
+    return [200, { success: true, commandId, cancelled: true }];
+}
+
+async function replaceCommandValue(deviceId, { commandId, value }) {
+    const device = await getDevice(deviceId);
+    const entry = device.queue.find(item => item.commandId === commandId);
+    if (!entry) return [409, { error: 'Command already picked up by the device' }];
+    entry.value = value;
+    return [200, { success: true, commandId, command: entry.command, value, queuedAt: entry.queuedAt }];
+}
+
+const routes = {
+    async GetDashboardSnapshot(params, deviceId) {
+        return [200, await snapshot(deviceId, Number(params.get('hours')) || 24)];
+    },
+    async GetVentilationHistory(params, deviceId) {
+        const since = Number(params.get('since'));
+        const until = Number(params.get('until'));
+        let data = await historyPoints(deviceId, Number(params.get('hours')) || 24, since ? since * 1000 : 0);
+        if (until) data = data.filter(point => Date.parse(point.timestamp) <= until * 1000);
+        return [200, { deviceId, count: data.length, data }];
+    },
+    async GetVentilationStatus(params, deviceId) {
+        return [200, (await snapshot(deviceId, 1)).status];
+    },
+    async GetEnhancedDashboardData(params, deviceId) {
+        const { status } = await snapshot(deviceId, 1);
+        return [200, { sections: status.sections, reliability: status.reliability }];
+    },
+    async VentilationCommand(params, deviceId, req) {
+        if (req.method === 'POST') {
+            const body = await readBody(req);
+            return queueCommand(body.deviceId || deviceId, body);
+        }
+        if (req.method === 'PATCH') {
+            const body = await readBody(req);
+            return replaceCommandValue(body.deviceId || deviceId, body);
+        }
+        if (req.method === 'DELETE') {
+            return cancelCommand(deviceId, params.get('commandId'));
+        }
+        return [200, commandStatus(await getDevice(deviceId))];
+    },
+    async PacificNWClimateAnalyzer(params) {
+        const { analyses } = await loadRecording('PacificNWClimateAnalyzer');
+        const type = params.get('type') || 'seasonal';
+        return [200, analyses[type] || { error: `No recorded ${type} analysis` }];
+    },
+    // Development login: any email, any 4-digit code
+    async AuthenticateUser(params, deviceId, req) {
+        const { action, email } = await readBody(req);
+        if (action === 'request_code') return [200, { success: true, message: 'Stand-in server: enter any 4-digit code' }];
+        if (action === 'verify_code') return [200, { success: true, token: `stand-in-${Buffer.from(email || 'dev').toString('hex')}` }];
+        return [400, { success: false, message: `Unknown action: ${action}` }];
+    }
+};
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+// apiBaseUrl follows the Host the page was opened on (localhost or 127.0.0.1),
+// keeping every request same-origin
+async function serveConfig(req, res) {
+    const config = JSON.parse(await readFile(join(ROOT, 'config.json'), 'utf8'));
+    config.apiBaseUrl = `http://${req.headers.host}/api`;
+    config.transport = 'http';
+    config.live = { ...config.live, mode: options.mode };
+    sendJson(res, 200, config);
+}
+
+async function serveStatic(pathname, res) {
+    const path = normalize(join(ROOT, decodeURIComponent(pathname === '/' ? '/index.html' : pathname)));
+    if (!path.startsWith(ROOT)) {
+        sendJson(res, 404, { error: 'Not found' });
+        return;
+    }
+    try {
+        const body = await readFile(path);
+        res.writeHead(200, { 'Content-Type': MIME_TYPES[extname(path)] || 'application/octet-stream', 'Cache-Control': 'no-store' });
+        res.end(body);
+    } catch (error) {
+        sendJson(res, 404, { error: 'Not found' });
+    }
+}
+
+const server = createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const deviceId = url.searchParams.get('deviceId') || 'ESP32-Ventilation-01';
+
+    try {
+        if (url.pathname === '/config.json') {
+            await serveConfig(req, res);
+        } else if (url.pathname === '/api/DashboardLive' && req.method === 'POST') {
+            const [status, body] = issueTicket(req, deviceId);
+            console.log(`POST ${url.pathname}${url.search} -> ${status}`);
+            sendJson(res, status, body);
+        } else if (url.pathname === '/api/DashboardLive') {
+            if (!redeemTicket(url.searchParams.get('ticket'), deviceId)) {
+                sendJson(res, 401, { error: 'Missing, used or expired stream ticket' });
+                return;
+            }
+            openEventStream(req, res, deviceId);
+        } else if (url.pathname.startsWith('/api/')) {
+            const handler = routes[url.pathname.slice('/api/'.length)];
+            if (!handler) {
+                sendJson(res, 404, { error: `Stand-in server has no ${url.pathname}` });
+                return;
+            }
+            const [status, body] = await handler(url.searchParams, deviceId, req);
+            console.log(`${req.method} ${url.pathname}${url.search} -> ${status}`);
+            sendJson(res, status, body);
+        } else {
+            await serveStatic(url.pathname, res);
+        }
+    } catch (error) {
+        console.error(`${req.method} ${url.pathname} failed:`, error);
+        sendJson(res, 500, { error: error.message });
+    }
+});
+
+server.on('upgrade', (req, socket) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    if (url.pathname !== '/api/DashboardLive') {
+        socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+        return;
+    }
+    const deviceId = url.searchParams.get('deviceId') || 'ESP32-Ventilation-01';
+    if (!redeemTicket(url.searchParams.get('ticket'), deviceId)) {
+        socket.end('HTTP/1.1 401 Unauthorized\r\n\r\n');
+        return;
+    }
+    openWebSocket(req, socket, deviceId);
+});
+
+server.listen(options.port, HOST, () => {
+    console.log(`Stand-in API on http://localhost:${options.port}/dashboard.html (live: ${options.mode}, telemetry every ${options.telemetryMs / 1000}s)`);
+});